@@ -1,7 +1,9 @@
 // Import necessary modules
-import { setEncryptionKey, getEncryptionKey } from './database.js';
+import { setEncryptionKey, getEncryptionKey } from './vault-session.js';
 import { initializeUI, toggleTheme, showNotification } from './ui.js';
-import { initializeAuth, checkAuthentication, AUTH_EVENTS } from './auth.js';
+import { checkAuthentication, AUTH_EVENTS } from './auth.js';
+import { initializeAuth } from './auth-screen.js';
+import { initializeRecoveryUnlock } from './recovery-unlock.js';
 import editorModule from './editor.js';
 import fileManagerModule from './files.js';
 import photoManagerModule from './photos.js';
@@ -43,6 +45,7 @@ export function initializeApp() {
   
   // Initialize authentication first
   initializeAuth();
+  initializeRecoveryUnlock();
   
   // Listen for authentication events
   window.addEventListener(AUTH_EVENTS.LOGIN, handleLogin);
@@ -0,0 +1,121 @@
+// Import dependencies
+import { initializePasswordUnlock, showMainScreen, showAuthMessage, applyAuthMode } from './password-unlock.js';
+import { AUTH_EVENTS, checkAuthentication, logout } from './auth.js';
+import { restoreSession } from './vault-session.js';
+import { markOpenVault } from './vault-picker.js';
+import { VAULT_LOCK_EVENT, takeLockNotice } from './auto-lock.js';
+import { recordSuccessfulUnlock } from './unlock-throttle.js';
+import { showFailedUnlocks } from './unlock-throttle-settings.js';
+import { initializeVaultImport } from './vault-import.js';
+
+/**
+ * Initialize the auth screen: unlocking or creating the selected vault, logging out,
+ * importing a vault file, and reopening the vault after a reload
+ */
+export function initializeAuth() {
+  console.log('Initializing authentication...');
+
+  initializePasswordUnlock();
+
+  const logoutBtn = document.getElementById('logout-btn');
+  if (logoutBtn) {
+    logoutBtn.textContent = 'Logout';
+    logoutBtn.addEventListener('click', handleLogoutClick);
+  }
+
+  // Import modal: preview a vault file, then replace, merge or cancel
+  initializeVaultImport({ isUnlocked: checkAuthentication, onImported: handleVaultImported });
+
+  listenForAuthEvents();
+  restoreOpenVault();
+  showLockNotice();
+
+  console.log('Authentication initialized');
+}
+
+/**
+ * Log out and return to the auth screen
+ * @param {Event} e - The click event
+ */
+function handleLogoutClick(e) {
+  e.preventDefault();
+
+  logout();
+  showMainScreen(false);
+
+  // Reset UI for login
+  applyAuthMode();
+
+  // Show logout message
+  showAuthMessage('You have been logged out', 'success');
+}
+
+/**
+ * Open the app on a vault imported from the auth screen
+ */
+function handleVaultImported() {
+  showMainScreen(true);
+  showAuthMessage('Vault imported successfully', 'success');
+
+  // Dispatch login event to trigger app initialization
+  window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
+}
+
+/**
+ * Follow logins, logouts and locks from anywhere in the app
+ */
+function listenForAuthEvents() {
+  window.addEventListener(AUTH_EVENTS.LOGIN, () => {
+    // The vault just opened becomes the one the picker selects next time
+    markOpenVault();
+
+    // Opening the vault ends any wait, and shows the wrong passwords tried since it was last opened
+    showFailedUnlocks(recordSuccessfulUnlock());
+    console.log('User logged in');
+  });
+
+  window.addEventListener(AUTH_EVENTS.LOGOUT, () => {
+    showMainScreen(false);
+    console.log('User logged out');
+  });
+
+  // A locked vault leaves the main screen at once; the page then reloads to the auth screen
+  window.addEventListener(VAULT_LOCK_EVENT, () => {
+    logout();
+    showMainScreen(false);
+  });
+}
+
+/**
+ * Reopen the vault this tab had open before a reload
+ * Unseal the data key and restore the vault header, then start the components as after an unlock;
+ * if this session can no longer unseal the key, the password unlocks the vault again
+ */
+function restoreOpenVault() {
+  if (!checkAuthentication()) return;
+
+  showMainScreen(true);
+  restoreSession().then(restored => {
+    if (restored) {
+      window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
+      return;
+    }
+    showMainScreen(false);
+  });
+}
+
+/**
+ * After a lock, say why and let the password unlock the same vault again
+ */
+function showLockNotice() {
+  const lockNotice = takeLockNotice();
+  if (lockNotice && !checkAuthentication()) {
+    showAuthMessage(`${lockNotice}. Enter your password to unlock it again.`, 'info');
+    document.getElementById('password').focus();
+  }
+}
+
+// Export auth screen module
+export default {
+  initializeAuth
+};
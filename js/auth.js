@@ -1,16 +1,22 @@
-// Import crypto functionality
-import CryptoJS from 'crypto-js';
+// Import dependencies
+import { saveToSecureStorage, lockVault } from './database.js';
+import { importDatabaseWithPassword } from './vault-open.js';
+import { changeVaultPassword } from './key-commit.js';
+import { setVaultFile } from './vault-file.js';
 import {
-  deriveKeyFromPassword,
-  validatePassword,
-  setEncryptionKey,
-  encryptData,
-  decryptData,
-  saveToSecureStorage,
-  setVaultFile,
-  importDatabaseWithPassword
-} from './database.js';
-import { showNotification } from './ui.js';
+  initializeVaultKey,
+  unwrapWithPassword,
+  addRecoveryKeySlot,
+  resetPasswordWithRecoveryKey
+} from './vault-slots.js';
+import { setEncryptionKey, setActiveKeySlot, hasSession, clearSession } from './vault-session.js';
+import { getVaultAuth, setVaultAuth } from './vault-registry.js';
+import { createKdfParams } from './vault-format.js';
+import { calibrateKdf } from './kdf.js';
+import { generateRecoveryKey, normalizeRecoveryKey } from './recovery-key.js';
+import { showEmergencyKit } from './emergency-kit.js';
+import { rememberVaultFileHandle } from './file-handle.js';
+import { VaultError } from './vault-errors.js';
 
 // Auth Event system
 export const AUTH_EVENTS = {
@@ -25,15 +31,12 @@ let isAuthenticated = false;
 let authData = null;
 let username = null;
 
-// Hidden file input for vault selection
-let vaultFileInput = null;
-
 /**
- * Check if user exists (has saved auth data)
+ * Check if user exists (the selected vault has saved auth data)
  * @returns {boolean} True if user exists
  */
 export function userExists() {
-  return localStorage.getItem('auth') !== null;
+  return getVaultAuth() !== null;
 }
 
 /**
@@ -41,16 +44,17 @@ export function userExists() {
  * @returns {boolean} True if user is authenticated
  */
 export function checkAuthentication() {
-  // Check both the isAuthenticated flag and session storage
-  return isAuthenticated || sessionStorage.getItem('sessionKey') !== null;
+  // Check both the isAuthenticated flag and the sealed session key
+  return isAuthenticated || hasSession();
 }
 
 /**
- * Create a new user
+ * Create a new user: a new vault with a recovery key, opened at once
  * @param {string} password - The password to set
+ * @param {string} keyfile - Optional hex keyfile hash to require alongside the password
  * @returns {Promise<boolean>} True if user was created successfully
  */
-export async function createUser(password) {
+export async function createUser(password, keyfile = null) {
   if (!password) {
     console.error("Create user error: Password is empty");
     return false;
@@ -59,58 +63,39 @@ export async function createUser(password) {
   try {
     console.log("Creating user with password...");
     
-    // Check if CryptoJS is properly loaded
-    if (!CryptoJS || !CryptoJS.lib || !CryptoJS.lib.WordArray) {
-      throw new Error("CryptoJS library is not properly loaded");
-    }
-    
-    // Generate a random salt
-    const salt = CryptoJS.lib.WordArray.random(16).toString();
-    console.log("Salt generated:", salt);
-    
-    // Derive a key from the password
-    const derivedKey = deriveKeyFromPassword(password, salt);
-    console.log("Key derived successfully");
-    
-    // Hash the derived key for storage
-    const keyHash = CryptoJS.SHA256(derivedKey).toString();
-    console.log("Key hash created");
-    
-    // Store auth data in localStorage
-    const authData = {
-      salt,
-      keyHash,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    // Calibrate the KDF for this device and generate a random per-vault salt
+    const kdf = await createPasswordKdf(keyfile);
     
-    localStorage.setItem('auth', JSON.stringify(authData));
-    console.log("Auth data stored in localStorage");
-    
-    // Store session key in sessionStorage
-    sessionStorage.setItem('sessionKey', derivedKey);
-    console.log("Session key stored");
+    // Generate the vault data key and wrap it under the password key
+    const derivedKey = await initializeVaultKey(password, kdf, keyfile);
+    if (!derivedKey) {
+      throw new Error("Failed to derive key from password");
+    }
+    console.log("Vault keys created successfully");
     
-    // Set the encryption key for the database
-    const encryptionKeySet = setEncryptionKey(derivedKey);
-    console.log("Encryption key set:", encryptionKeySet);
+    // Create empty vault structure and save it to secure storage
+    const saved = await saveToSecureStorage({ docs: {}, photos: {}, files: {} });
+    if (!saved) {
+      throw new Error("Failed to save vault");
+    }
     
-    // Create empty vault structure
-    const emptyVault = {
-      docs: {},
-      photos: {},
-      files: {},
-      auth: authData
-    };
+    // Give the vault a recovery key in its own slot
+    const recoveryKey = await createRecoveryKey(password);
     
-    // Save the vault to secure storage
-    const saved = await saveToSecureStorage(emptyVault);
-    console.log("Empty vault created:", saved);
+    // Record in the vault registry that the vault exists, so the next visit offers to unlock it.
+    // It holds nothing derived from the password, which is only ever checked by opening a key slot,
+    // and password changes leave it as it is
+    authData = { createdAt: new Date().toISOString() };
+    setVaultAuth(authData);
     
-    // Dispatch login event
+    // Set authentication state and dispatch login event
+    isAuthenticated = true;
     window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
     console.log("Login event dispatched");
     
+    // Hand the user the recovery key once, as a printable emergency kit
+    if (recoveryKey) showEmergencyKit(recoveryKey);
+    
     return true;
   } catch (error) {
     console.error("Error creating user:", error.message);
@@ -119,12 +104,37 @@ export async function createUser(password) {
   }
 }
 
+/**
+ * Calibrate key derivation for a new vault password on this device
+ * @param {string} keyfile - Optional hex keyfile hash; if given, the header records that a keyfile is required
+ * @returns {Promise<Object>} The key derivation parameters with a fresh salt
+ */
+async function createPasswordKdf(keyfile) {
+  const cost = await calibrateKdf();
+  return createKdfParams(keyfile ? { ...cost, keyfile: true } : cost);
+}
+
+/**
+ * Generate a recovery key and add it to the open vault as a key slot
+ * @param {string} password - The vault password, to recover the data key the slot wraps
+ * @returns {Promise<string|null>} The recovery key, or null if the slot could not be added
+ */
+async function createRecoveryKey(password) {
+  const recoveryKey = generateRecoveryKey();
+  const slotId = await addRecoveryKeySlot(password, recoveryKey);
+  if (!slotId) {
+    console.error("Could not add a recovery key to the new vault");
+    return null;
+  }
+  return recoveryKey;
+}
+
 /**
  * Authenticate a user
  * @param {string} password - The password to authenticate with
- * @returns {boolean} True if authentication was successful
+ * @returns {Promise<boolean>} True if authentication was successful
  */
-export function authenticateUser(password) {
+export async function authenticateUser(password) {
   if (!password) {
     console.error("Authentication error: Password is empty");
     return false;
@@ -133,31 +143,20 @@ export function authenticateUser(password) {
   try {
     console.log("Authenticating user...");
     
-    // Get stored auth data
-    const authDataStr = localStorage.getItem('auth');
-    if (!authDataStr) {
-      console.error("Authentication error: No auth data found in localStorage");
+    // Make sure a vault has been set up on this device
+    if (!userExists()) {
+      console.error("Authentication error: No auth data found for the selected vault");
       return false;
     }
     
-    const authData = JSON.parse(authDataStr);
-    console.log("Auth data retrieved successfully");
+    // Any key slot of the open vault can unlock it, not only the password in the auth record
+    const match = await unwrapWithPassword(password);
+    console.log("Password validation result:", Boolean(match));
     
-    // Validate the password
-    const isValid = validatePassword(password, authData);
-    console.log("Password validation result:", isValid);
-    
-    if (isValid) {
-      // Derive the key again
-      const derivedKey = deriveKeyFromPassword(password, authData.salt);
-      console.log("Key derived successfully");
-      
-      // Store session key in sessionStorage
-      sessionStorage.setItem('sessionKey', derivedKey);
-      console.log("Session key stored");
-      
-      // Set the encryption key for the database
-      const encryptionKeySet = setEncryptionKey(derivedKey);
+    if (match) {
+      // Set the encryption key for the database and remember which slot opened it
+      const encryptionKeySet = await setEncryptionKey(match.dataKey);
+      setActiveKeySlot(match.slot.id);
       console.log("Encryption key set:", encryptionKeySet);
       
       // Set authentication state
@@ -182,47 +181,18 @@ export function authenticateUser(password) {
  * Change user password
  * @param {string} currentPassword - The current password
  * @param {string} newPassword - The new password to set
- * @returns {boolean} True if password was changed successfully
+ * @returns {Promise<boolean>} True if password was changed successfully
  */
-export function changePassword(currentPassword, newPassword) {
+export async function changePassword(currentPassword, newPassword) {
   if (!currentPassword || !newPassword) return false;
   
   try {
-    // First authenticate with current password
-    const isAuthenticated = authenticateUser(currentPassword);
-    
-    if (!isAuthenticated) return false;
-    
-    // Generate a new salt
-    const salt = CryptoJS.lib.WordArray.random(16).toString();
-    
-    // Derive a key from the new password
-    const derivedKey = deriveKeyFromPassword(newPassword, salt);
-    
-    // Hash the derived key for storage
-    const keyHash = CryptoJS.SHA256(derivedKey).toString();
-    
-    // Get the current auth data to preserve creation date
-    const authDataStr = localStorage.getItem('auth');
-    const currentAuthData = JSON.parse(authDataStr);
-    
-    // Update auth data in localStorage
-    const authData = {
-      salt,
-      keyHash,
-      createdAt: currentAuthData.createdAt,
-      updatedAt: new Date().toISOString()
-    };
-    
-    localStorage.setItem('auth', JSON.stringify(authData));
-    
-    // Update session key in sessionStorage
-    sessionStorage.setItem('sessionKey', derivedKey);
-    
-    // Set the new encryption key for the database
-    setEncryptionKey(derivedKey);
-    
-    return true;
+    // Re-wrap the data key under the new password; the vault content is unchanged,
+    // and the new file is verified before the old wrap is discarded. The auth record
+    // does not depend on the password, so a session opened with the duress password
+    // leaves no trace outside the vault file
+    const derivedKey = await changeVaultPassword(currentPassword, newPassword);
+    return Boolean(derivedKey);
   } catch (error) {
     console.error("Error changing password:", error);
     return false;
@@ -233,7 +203,7 @@ export function changePassword(currentPassword, newPassword) {
  * Logout user
  */
 export function logoutUser() {
-  sessionStorage.removeItem('sessionKey');
+  clearSession();
   
   // Dispatch logout event
   window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGOUT));
@@ -260,7 +230,7 @@ export async function handleDatabaseImport(file, password) {
     
     if (!created) return false;
     
-    // Use the importDatabaseWithPassword function from database.js
+    // Use the importDatabaseWithPassword function from vault-open.js
     const imported = await importDatabaseWithPassword(file, password);
     console.log("Database imported:", imported);
     
@@ -273,436 +243,94 @@ export async function handleDatabaseImport(file, password) {
 }
 
 /**
- * Initialize authentication
+ * Login with password and vault file
+ * @param {string} password - The password to use
+ * @param {File} vaultFile - The vault file to use
+ * @param {string} keyfile - Optional hex keyfile hash, for vaults that require one
+ * @param {FileSystemFileHandle|null} fileHandle - The handle the file was opened through, if any
+ * @returns {Promise<boolean>} True once the vault is open
+ * @throws {VaultError} Why the vault did not open, for the unlock screen to show
  */
-export function initializeAuth() {
-  console.log('Initializing authentication...');
-  
-  // Create hidden file input for vault selection
-  vaultFileInput = document.createElement('input');
-  vaultFileInput.type = 'file';
-  vaultFileInput.id = 'vault-file-input';
-  vaultFileInput.accept = '.vault';
-  vaultFileInput.style.display = 'none';
-  document.body.appendChild(vaultFileInput);
-  
-  // Get authentication elements
-  const authScreen = document.getElementById('auth-screen');
-  const mainScreen = document.getElementById('main-screen');
-  const passwordForm = document.getElementById('password-form');
-  const passwordInput = document.getElementById('password');
-  const confirmPasswordInput = document.getElementById('confirm-password');
-  const unlockBtn = document.getElementById('unlock-btn');
-  const newUserFields = document.getElementById('new-user-fields');
-  const logoutBtn = document.getElementById('logout-btn');
-  const importDbBtn = document.getElementById('import-db-btn');
-  const importFileInput = document.getElementById('import-file-input');
-  
-  // Check if user exists
-  const hasUser = userExists();
-  
-  // Show/hide appropriate fields based on whether user exists
-  if (hasUser) {
-    logoutBtn.textContent = 'Logout';
-    newUserFields.style.display = 'none';
-    unlockBtn.textContent = 'Unlock Vault';
-  } else {
-    logoutBtn.textContent = 'Logout';
-    newUserFields.style.display = 'block';
-    unlockBtn.textContent = 'Create Vault';
-  }
+export async function login(password, vaultFile, keyfile = null, fileHandle = null) {
+  console.log('Attempting login...');
   
-  // Add click handler for unlock button
-  if (unlockBtn) {
-    unlockBtn.addEventListener('click', async (e) => {
-      e.preventDefault();
-      
-      // Get values
-      const password = passwordInput.value.trim();
-      
-      // If existing user, handle login
-      if (hasUser) {
-        // Validate
-        if (!password) {
-          showAuthMessage('Please enter your password', 'error');
-          return;
-        }
-        
-        // Disable button during authentication
-        unlockBtn.disabled = true;
-        unlockBtn.textContent = 'Unlocking...';
-        
-        try {
-          // Prompt user to select their vault file
-          vaultFileInput.onchange = async (e) => {
-            const file = e.target.files[0];
-            if (!file) {
-              showAuthMessage('No vault file selected', 'error');
-              unlockBtn.disabled = false;
-              unlockBtn.textContent = 'Unlock Vault';
-              return;
-            }
-            
-            // Set the vault file and attempt login
-            const success = await login(password, file);
-            
-            if (success) {
-              // Hide auth screen, show main screen
-              authScreen.classList.remove('active');
-              mainScreen.classList.add('active');
-              
-              // Clear password
-              passwordInput.value = '';
-              
-              // Show welcome message
-              showAuthMessage(`Login successful`, 'success');
-            } else {
-              showAuthMessage('Invalid password or corrupted vault file', 'error');
-            }
-            
-            // Reset button
-            unlockBtn.disabled = false;
-            unlockBtn.textContent = 'Unlock Vault';
-          };
-          
-          // Trigger file selection
-          vaultFileInput.click();
-        } catch (error) {
-          console.error('Login error:', error);
-          showAuthMessage('Login failed: ' + error.message, 'error');
-          
-          // Reset button
-          unlockBtn.disabled = false;
-          unlockBtn.textContent = 'Unlock Vault';
-        }
-      } else {
-        // Handle signup for new user
-        const confirmPassword = confirmPasswordInput.value.trim();
-        
-        // Validate
-        if (!password) {
-          showAuthMessage('Please enter a password', 'error');
-          return;
-        }
-        
-        if (password !== confirmPassword) {
-          showAuthMessage('Passwords do not match', 'error');
-          return;
-        }
-        
-        if (password.length < 8) {
-          showAuthMessage('Password must be at least 8 characters', 'error');
-          return;
-        }
-        
-        // Disable button during signup
-        unlockBtn.disabled = true;
-        unlockBtn.textContent = 'Creating Vault...';
-        
-        try {
-          // Create a new vault
-          const success = await signup(password);
-          
-          if (success) {
-            // Hide auth screen, show main screen
-            authScreen.classList.remove('active');
-            mainScreen.classList.add('active');
-            
-            // Clear passwords
-            passwordInput.value = '';
-            confirmPasswordInput.value = '';
-            
-            // Show welcome message
-            showAuthMessage('New vault created successfully! Your vault file has been downloaded.', 'success');
-            showNotification('Remember to keep your vault file safe!', 'info');
-          }
-          
-          // Reset button
-          unlockBtn.disabled = false;
-          unlockBtn.textContent = 'Create Vault';
-        } catch (error) {
-          console.error('Signup error:', error);
-          showAuthMessage('Vault creation failed: ' + error.message, 'error');
-          
-          // Reset button
-          unlockBtn.disabled = false;
-          unlockBtn.textContent = 'Create Vault';
-        }
-      }
-    });
-  }
-  
-  // Password form submission - just prevent default since we use the button click handler
-  if (passwordForm) {
-    passwordForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-    });
-  }
-  
-  // Logout button
-  if (logoutBtn) {
-    logoutBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      
-      logout();
-      
-      // Hide main screen, show auth screen
-      mainScreen.classList.remove('active');
-      authScreen.classList.add('active');
-      
-      // Reset UI for login
-      if (hasUser) {
-        newUserFields.style.display = 'none';
-        unlockBtn.textContent = 'Unlock Vault';
-      } else {
-        newUserFields.style.display = 'block';
-        unlockBtn.textContent = 'Create Vault';
-      }
-      
-      // Show logout message
-      showAuthMessage('You have been logged out', 'success');
-    });
-  }
-  
-  // Import database button
-  if (importDbBtn && importFileInput) {
-    importDbBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      
-      // If we have an import file input, trigger it
-      if (importFileInput) {
-        importFileInput.click();
-      } else {
-        showAuthMessage('Import functionality not available', 'error');
-      }
-    });
-  }
-  
-  // Handle file input change (if present)
-  let selectedImportFile = null; // Store the selected file for import
-  
-  if (importFileInput) {
-    importFileInput.addEventListener('change', async (e) => {
-      selectedImportFile = e.target.files[0]; // Store the selected file
-      
-      if (!selectedImportFile) return;
-      
-      console.log('Import file selected:', selectedImportFile.name);
-      
-      // Show password modal for importing
-      const importModal = document.getElementById('import-modal');
-      if (importModal) {
-        importModal.classList.add('active');
-      }
-    });
-  }
-  
-  // Listen for auth events
-  window.addEventListener(AUTH_EVENTS.LOGIN, () => {
-    console.log('User logged in');
-  });
+  // Use the imported function from vault-open.js
+  await importDatabaseWithPassword(vaultFile, password, keyfile);
   
-  window.addEventListener(AUTH_EVENTS.LOGOUT, () => {
-    authScreen.classList.add('active');
-    mainScreen.classList.remove('active');
-    console.log('User logged out');
-  });
+  // Set authentication state
+  isAuthenticated = true;
   
-  // Add event listener for the import confirmation button
-  const importConfirmBtn = document.getElementById('import-confirm-btn');
-  if (importConfirmBtn) {
-    importConfirmBtn.addEventListener('click', async () => {
-      console.log('Import confirmation button clicked');
-      
-      // Use the stored selected file instead of trying to get it from db-import
-      console.log('Selected file for import:', selectedImportFile ? selectedImportFile.name : 'None');
-      
-      const password = document.getElementById('import-password').value.trim();
-      
-      // Validate
-      if (!selectedImportFile) {
-        showAuthMessage('Please select a vault file', 'error');
-        return;
-      }
-      
-      if (!password) {
-        showAuthMessage('Please enter your vault login password', 'error');
-        return;
-      }
-      
-      // Show processing message
-      showAuthMessage('Processing vault file...', 'info');
-      
-      // Disable button during import
-      importConfirmBtn.disabled = true;
-      importConfirmBtn.textContent = 'Importing...';
-      
-      try {
-        // Ensure the file has the right extension
-        const fileName = selectedImportFile.name.toLowerCase();
-        if (!fileName.endsWith('.vault') && !fileName.endsWith('.json')) {
-          showAuthMessage('Selected file must be a .vault file', 'error');
-          importConfirmBtn.disabled = false;
-          importConfirmBtn.textContent = 'Import';
-          return;
-        }
-        
-        // Use the imported function
-        const imported = await importDatabaseWithPassword(selectedImportFile, password);
-        console.log('Import result:', imported);
-        
-        if (imported) {
-          // Clear the stored file reference
-          selectedImportFile = null;
-          
-          // Close the modal
-          document.getElementById('import-modal').classList.remove('active');
-          
-          // Hide auth screen, show main screen
-          authScreen.classList.remove('active');
-          mainScreen.classList.add('active');
-          
-          // Show success message
-          showAuthMessage('Vault imported successfully', 'success');
-          
-          // Dispatch login event to trigger app initialization
-          window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
-        } else {
-          // Keep the modal open but show error
-          showAuthMessage('Error importing vault. Invalid vault login password or corrupted file. Please try again.', 'error');
-          
-          // Reset password field to allow another attempt
-          const passwordInput = document.getElementById('import-password');
-          if (passwordInput) {
-            passwordInput.value = '';
-            passwordInput.focus();
-          }
-          
-          // Add a hint about the password
-          const passHint = document.createElement('p');
-          passHint.innerHTML = 'Hint: Use the same password you use to unlock your vault.';
-          passHint.className = 'import-password-hint';
-          passHint.style.color = 'var(--warning-color)';
-          passHint.style.fontSize = 'small';
-          passHint.style.marginTop = '8px';
-
-          // Add it after the password input if it doesn't already exist
-          const formGroup = passwordInput.parentNode;
-          if (formGroup && !formGroup.querySelector('.import-password-hint')) {
-            formGroup.appendChild(passHint);
-          }
-        }
-      } catch (error) {
-        console.error('Import error:', error);
-        showAuthMessage('Error importing vault: ' + error.message, 'error');
-      } finally {
-        // Reset button
-        importConfirmBtn.disabled = false;
-        importConfirmBtn.textContent = 'Import';
-      }
-    });
+  // Set the vault file, and the handle saves are written back through
+  setVaultFile(vaultFile, fileHandle);
+  if (fileHandle) {
+    await rememberVaultFileHandle(fileHandle);
   }
   
-  // Add event listeners for closing the import modal
-  const importModal = document.getElementById('import-modal');
-  const closeModalButtons = document.querySelectorAll('#import-modal .close-modal');
-  if (closeModalButtons.length > 0) {
-    closeModalButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        // Close the modal
-        if (importModal) {
-          importModal.classList.remove('active');
-        }
-      });
-    });
-  }
+  // Set the username (could be derived from the vault file name)
+  username = vaultFile.name.split('.')[0];
   
-  // Check if user is already authenticated
-  if (checkAuthentication()) {
-    // Get the session key
-    const sessionKey = sessionStorage.getItem('sessionKey');
-    
-    // Set the encryption key
-    setEncryptionKey(sessionKey);
-    
-    // Show main screen
+  // Show the main screen, hide auth screen
+  const authScreen = document.getElementById('auth-screen');
+  const mainScreen = document.getElementById('main-screen');
+  if (authScreen && mainScreen) {
     authScreen.classList.remove('active');
     mainScreen.classList.add('active');
   }
   
-  // Helper function to show auth messages
-  function showAuthMessage(message, type) {
-    const messageContainer = document.getElementById('auth-message');
-    if (!messageContainer) {
-      console.error('Auth message container not found');
-      return;
-    }
-    
-    messageContainer.textContent = message;
-    messageContainer.className = 'message';
-    messageContainer.classList.add(`${type}-message`);
-    
-    // Clear the message after 3 seconds
-    setTimeout(() => {
-      messageContainer.textContent = '';
-      messageContainer.className = 'message';
-    }, 3000);
-  }
+  // Dispatch login event to trigger app initialization
+  window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
   
-  // Helper function to clear auth messages
-  function clearAuthMessages() {
-    const messageContainer = document.getElementById('auth-message');
-    if (messageContainer) {
-      messageContainer.textContent = '';
-      messageContainer.className = 'message';
-    }
-  }
-  
-  console.log('Authentication initialized');
+  console.log('Login successful');
+  return true;
 }
 
 /**
- * Login with password and vault file
- * @param {string} password - The password to use
- * @param {File} vaultFile - The vault file to use
- * @returns {Promise<boolean>} True if login was successful
+ * Open a vault with its recovery key and set a new password
+ * The vault only opens once the new password slot has been written and verified
+ * @param {string} recoveryKey - The recovery key as entered
+ * @param {string} newPassword - The new password to set
+ * @param {File} vaultFile - The vault file to open
+ * @param {FileSystemFileHandle|null} fileHandle - The handle the file was opened through, if any
+ * @returns {Promise<boolean>} True if the vault was recovered
+ * @throws {VaultError} If the vault file did not open with the recovery key
  */
-export async function login(password, vaultFile) {
+export async function recoverVault(recoveryKey, newPassword, vaultFile, fileHandle = null) {
   try {
-    console.log('Attempting login...');
+    const canonicalKey = normalizeRecoveryKey(recoveryKey);
+    if (!canonicalKey) {
+      console.error('Recovery failed: malformed recovery key');
+      return false;
+    }
     
-    // Use the imported function from database.js
-    const success = await importDatabaseWithPassword(vaultFile, password);
+    // Open the vault through its recovery key slot
+    await importDatabaseWithPassword(vaultFile, canonicalKey);
     
-    if (success) {
-      // Set authentication state
-      isAuthenticated = true;
-      
-      // Set the vault file
-      setVaultFile(vaultFile);
-      
-      // Set the username (could be derived from the vault file name)
-      username = vaultFile.name.split('.')[0];
-      
-      // Show the main screen, hide auth screen
-      const authScreen = document.getElementById('auth-screen');
-      const mainScreen = document.getElementById('main-screen');
-      if (authScreen && mainScreen) {
-        authScreen.classList.remove('active');
-        mainScreen.classList.add('active');
-      }
-      
-      // Dispatch login event to trigger app initialization
-      window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
-      
-      console.log('Login successful');
-      return true;
-    } else {
-      console.error('Login failed: incorrect password or corrupted vault file');
+    // Set the handle first so the new password slot is written back to the opened file
+    setVaultFile(vaultFile, fileHandle);
+    
+    // Require the new password before anything else; undo the unlock if that fails
+    const derivedKey = await resetPasswordWithRecoveryKey(canonicalKey, newPassword);
+    if (!derivedKey) {
+      logout();
+      clearSession();
       return false;
     }
+    
+    // Set authentication state and start the app
+    isAuthenticated = true;
+    if (fileHandle) {
+      await rememberVaultFileHandle(fileHandle);
+    }
+    username = vaultFile.name.split('.')[0];
+    window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
+    
+    console.log('Vault recovered with recovery key');
+    return true;
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Recovery error:', error);
+    
+    // Let the recovery screen say why the vault file did not open
+    if (error instanceof VaultError) throw error;
     return false;
   }
 }
@@ -710,66 +338,25 @@ export async function login(password, vaultFile) {
 /**
  * Sign up with a new password
  * @param {string} password - The password to use
+ * @param {string} keyfile - Optional hex keyfile hash to require alongside the password
  * @returns {Promise<boolean>} True if signup was successful
  */
-export async function signup(password) {
-  try {
-    console.log('Creating new vault...');
-    
-    // Generate a salt
-    const salt = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-    
-    // Derive key from password
-    const key = deriveKeyFromPassword(password, salt);
-    if (!key) {
-      throw new Error('Failed to derive key from password');
-    }
-    
-    // Set the encryption key
-    setEncryptionKey(key);
-    
-    // Create auth data
-    const keyHash = CryptoJS.SHA256(key).toString();
-    authData = {
-      salt,
-      keyHash
-    };
-    
-    // Create empty vault with structure
-    const emptyVault = {
-      docs: {},
-      photos: {},
-      files: {},
-      auth: authData
-    };
-    
-    // Save the vault
-    const saved = await saveToSecureStorage(emptyVault);
-    
-    if (saved) {
-      // Set authentication state
-      isAuthenticated = true;
-      
-      // Show the main screen, hide auth screen
-      const authScreen = document.getElementById('auth-screen');
-      const mainScreen = document.getElementById('main-screen');
-      if (authScreen && mainScreen) {
-        authScreen.classList.remove('active');
-        mainScreen.classList.add('active');
-      }
-      
-      // Dispatch login event to trigger app initialization
-      window.dispatchEvent(new CustomEvent(AUTH_EVENTS.LOGIN));
-      
-      console.log('New vault created successfully');
-      return true;
-    } else {
-      throw new Error('Failed to save vault');
-    }
-  } catch (error) {
-    console.error('Signup error:', error);
+export async function signup(password, keyfile = null) {
+  console.log('Creating new vault...');
+  if (!await createUser(password, keyfile)) {
     return false;
   }
+  
+  // Show the main screen, hide auth screen
+  const authScreen = document.getElementById('auth-screen');
+  const mainScreen = document.getElementById('main-screen');
+  if (authScreen && mainScreen) {
+    authScreen.classList.remove('active');
+    mainScreen.classList.add('active');
+  }
+  
+  console.log('New vault created successfully');
+  return true;
 }
 
 /**
@@ -783,187 +370,12 @@ export function logout() {
   authData = null;
   username = null;
   
-  // Clear encryption key
-  setEncryptionKey(null);
-  
-  // Clear vault file
-  setVaultFile(null);
+  // Wipe the encryption key, key slots, keyfile hash, vault file and decrypted vault
+  lockVault();
   
   console.log('Logout successful');
 }
 
-/**
- * Set up the import dialog functionality
- */
-function setupImportDialog() {
-  const importDialog = document.getElementById('import-dialog');
-  const importConfirmBtn = document.getElementById('import-confirm');
-  const importCancelBtn = document.getElementById('import-cancel');
-  const importPassword = document.getElementById('import-password');
-  const importMessage = document.getElementById('import-message');
-  const importFileInfo = document.getElementById('import-file-info');
-  
-  if (!importDialog || !importConfirmBtn || !importCancelBtn || !importPassword || !importMessage) {
-    console.error("Import dialog elements not found");
-    return;
-  }
-  
-  // Add a hint element if it doesn't exist
-  if (!document.getElementById('import-password-hint')) {
-    const hintElement = document.createElement('div');
-    hintElement.id = 'import-password-hint';
-    hintElement.className = 'password-hint';
-    hintElement.style.fontSize = '0.85em';
-    hintElement.style.marginTop = '5px';
-    hintElement.style.color = 'var(--text-secondary)';
-    hintElement.style.display = 'none';
-    hintElement.textContent = 'Enter your vault login password (the password you use to unlock your vault).';
-    importPassword.parentNode.appendChild(hintElement);
-  }
-  
-  // Add a label to clearly indicate this is the vault password
-  const passwordLabel = importPassword.previousElementSibling;
-  if (passwordLabel && passwordLabel.tagName === 'LABEL') {
-    passwordLabel.textContent = 'Vault Password:';
-  } else {
-    // Create a label if it doesn't exist
-    const newLabel = document.createElement('label');
-    newLabel.htmlFor = 'import-password';
-    newLabel.textContent = 'Vault Password:';
-    importPassword.parentNode.insertBefore(newLabel, importPassword);
-  }
-  
-  // Store selected import file
-  let selectedImportFile = null;
-  
-  // Import button click handler
-  importConfirmBtn.addEventListener('click', async () => {
-    console.log("Import confirm button clicked");
-    
-    // Get the selected file
-    const fileInput = document.getElementById('db-import');
-    selectedImportFile = fileInput.files[0];
-    
-    // Validate we have a file and password
-    if (!selectedImportFile) {
-      importMessage.textContent = "Please select a vault file first";
-      importMessage.className = "error-message";
-      return;
-    }
-    
-    const password = importPassword.value;
-    if (!password) {
-      importMessage.textContent = "Please enter your vault password";
-      importMessage.className = "error-message";
-      // Show the password hint
-      const hintElement = document.getElementById('import-password-hint');
-      if (hintElement) hintElement.style.display = 'block';
-      return;
-    }
-    
-    // Provide visual feedback that processing is happening
-    importMessage.textContent = "Processing import...";
-    importMessage.className = "";
-    importConfirmBtn.disabled = true;
-    
-    // Check file extension
-    const fileExt = selectedImportFile.name.split('.').pop().toLowerCase();
-    if (fileExt !== 'vault' && fileExt !== 'json') {
-      importMessage.textContent = `Invalid file type: .${fileExt}. Please select a .vault or .json file.`;
-      importMessage.className = "error-message";
-      importConfirmBtn.disabled = false;
-      return;
-    }
-    
-    // Attempt to import
-    console.log(`Attempting to import file: ${selectedImportFile.name}`);
-    const importResult = await importDatabaseWithPassword(selectedImportFile, password);
-    
-    if (importResult) {
-      console.log("Import successful");
-      importMessage.textContent = "Import successful! Reloading the app...";
-      importMessage.className = "success-message";
-      
-      // Close dialog and reload app after a delay
-      setTimeout(() => {
-        importDialog.close();
-        window.location.reload();
-      }, 1500);
-    } else {
-      console.log("Import failed");
-      importMessage.textContent = "Invalid vault password or corrupt file. Please try again.";
-      importMessage.className = "error-message";
-      
-      // Reset password field for another attempt
-      importPassword.value = "";
-      importPassword.focus();
-      
-      // Show the password hint
-      const hintElement = document.getElementById('import-password-hint');
-      if (hintElement) hintElement.style.display = 'block';
-      
-      // Re-enable confirm button
-      importConfirmBtn.disabled = false;
-    }
-  });
-  
-  // Cancel button click handler
-  importCancelBtn.addEventListener('click', () => {
-    importDialog.close();
-    // Reset form
-    importPassword.value = "";
-    importMessage.textContent = "";
-    importMessage.className = "";
-    selectedImportFile = null;
-    const hintElement = document.getElementById('import-password-hint');
-    if (hintElement) hintElement.style.display = 'none';
-  });
-  
-  // File input change handler to update the file info
-  const fileInput = document.getElementById('db-import');
-  if (fileInput) {
-    fileInput.addEventListener('change', (event) => {
-      selectedImportFile = event.target.files[0];
-      if (selectedImportFile) {
-        if (importFileInfo) {
-          importFileInfo.textContent = `Selected file: ${selectedImportFile.name} (${(selectedImportFile.size / 1024).toFixed(2)} KB)`;
-          importFileInfo.style.display = 'block';
-        }
-        console.log(`File selected: ${selectedImportFile.name}, Size: ${selectedImportFile.size} bytes`);
-        
-        // Always show the password hint when a file is selected
-        const hintElement = document.getElementById('import-password-hint');
-        if (hintElement) hintElement.style.display = 'block';
-      } else {
-        if (importFileInfo) {
-          importFileInfo.style.display = 'none';
-        }
-      }
-    });
-  }
-}
-
-/**
- * Initialize authentication module
- */
-export function init() {
-  setupLoginListener();
-  setupLogoutListener();
-  setupRegisterListener();
-  setupAccountButtons();
-  setupImportDialog();
-  
-  // Check if user is already authenticated
-  const authData = loadAuthData();
-  if (authData && authData.userId) {
-    // User is already authenticated
-    isAuthenticated = true;
-    return true;
-  }
-  
-  return false;
-}
-
 // Export auth module
 export default {
   AUTH_EVENTS,
@@ -974,8 +386,8 @@ export default {
   changePassword,
   logoutUser,
   importDatabaseWithPassword,
-  initializeAuth,
   login,
+  recoverVault,
   signup,
   logout,
   isAuthenticated: () => isAuthenticated,
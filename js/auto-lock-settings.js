@@ -0,0 +1,60 @@
+// Import dependencies
+import { getAutoLockSettings, setAutoLockSettings, startAutoLock, lockNow } from './auto-lock.js';
+import { showNotification } from './ui.js';
+
+/**
+ * Initialize the auto-lock section of the settings modal and start watching for inactivity
+ */
+export function initializeAutoLockSettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const saveBtn = document.getElementById('autolock-settings-btn');
+  const lockBtn = document.getElementById('lock-now-btn');
+
+  if (!saveBtn || !lockBtn) {
+    console.warn('Auto-lock settings not found');
+    return;
+  }
+
+  // Show the stored settings whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', renderAutoLockSettings);
+  }
+  renderAutoLockSettings();
+
+  saveBtn.addEventListener('click', handleSaveSettings);
+  lockBtn.addEventListener('click', () => {
+    lockBtn.disabled = true;
+    lockNow();
+  });
+
+  startAutoLock();
+}
+
+/**
+ * Show the stored auto-lock settings
+ */
+function renderAutoLockSettings() {
+  const { idleMinutes, lockOnHide } = getAutoLockSettings();
+  document.getElementById('autolock-minutes').value = idleMinutes;
+  document.getElementById('autolock-hidden').checked = lockOnHide;
+}
+
+/**
+ * Store the auto-lock settings from the form, and watch with them from now on
+ */
+function handleSaveSettings() {
+  const { idleMinutes, lockOnHide } = setAutoLockSettings({
+    idleMinutes: document.getElementById('autolock-minutes').value,
+    lockOnHide: document.getElementById('autolock-hidden').checked
+  });
+  renderAutoLockSettings();
+  startAutoLock();
+
+  const idle = idleMinutes > 0 ? `after ${idleMinutes} minutes without activity` : 'only when you lock it';
+  showNotification(`The vault locks ${idle}${lockOnHide ? ', or when the page is hidden' : ''}`, 'success');
+}
+
+// Export auto-lock settings module
+export default {
+  initializeAutoLockSettings
+};
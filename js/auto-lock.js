@@ -0,0 +1,201 @@
+// Import dependencies
+import { lockVault } from './database.js';
+import { getEncryptionKey } from './vault-session.js';
+import { vaultPreferenceKey } from './vault-registry.js';
+
+/*
+ * Auto-lock
+ *
+ * Locks the open vault after a while without user activity and, if chosen, as soon as
+ * the page is hidden or the device wakes from sleep. Locking saves pending changes first,
+ * then wipes the data key and every decrypted copy of the vault from memory and returns
+ * to the auth screen, where the vault unlocks again with its password.
+ */
+
+// Auto-lock settings of each vault on this device
+const SETTINGS_KEY = 'mdvault_autolock';
+export const DEFAULT_AUTO_LOCK_SETTINGS = { idleMinutes: 15, lockOnHide: false };
+const IDLE_LIMITS = [0, 24 * 60];
+
+// Window event announcing a lock, so modules wipe their copies of the vault
+export const VAULT_LOCK_EVENT = 'vault:lock';
+
+// Session entry that tells the auth screen why the vault was locked, after the reload
+const LOCK_NOTICE_KEY = 'vaultLockNotice';
+
+// User input that counts as activity
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+// How often the idle time is checked. A check that comes this much later than due
+// means timers were suspended, as they are while the device sleeps
+const CHECK_INTERVAL_MS = 15 * 1000;
+const SLEEP_GAP_MS = 60 * 1000;
+
+// Activity tracking and the lock in progress
+let lastActivity = Date.now();
+let lastCheck = Date.now();
+let checkTimer = null;
+let listening = false;
+let locking = false;
+
+/**
+ * Read the auto-lock settings of the vault in use
+ * @returns {{idleMinutes: number, lockOnHide: boolean}} Minutes without activity before locking (0 for never),
+ *   and whether to lock when the page is hidden or the device sleeps
+ */
+export function getAutoLockSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(vaultPreferenceKey(SETTINGS_KEY)) || 'null');
+    return { ...DEFAULT_AUTO_LOCK_SETTINGS, ...stored };
+  } catch (error) {
+    console.warn('Ignoring unreadable auto-lock settings:', error);
+    return { ...DEFAULT_AUTO_LOCK_SETTINGS };
+  }
+}
+
+/**
+ * Store the auto-lock settings of the vault in use, with the idle time clamped to its limits
+ * @param {Object} settings - The new settings
+ * @param {number} settings.idleMinutes - Minutes without activity before locking, 0 for never
+ * @param {boolean} settings.lockOnHide - Whether to lock when the page is hidden or the device sleeps
+ * @returns {{idleMinutes: number, lockOnHide: boolean}} The settings as stored
+ */
+export function setAutoLockSettings({ idleMinutes, lockOnHide }) {
+  const [min, max] = IDLE_LIMITS;
+  const minutes = Math.round(Number(idleMinutes));
+  const next = {
+    idleMinutes: Number.isFinite(minutes) ? Math.min(max, Math.max(min, minutes)) : DEFAULT_AUTO_LOCK_SETTINGS.idleMinutes,
+    lockOnHide: Boolean(lockOnHide)
+  };
+
+  localStorage.setItem(vaultPreferenceKey(SETTINGS_KEY), JSON.stringify(next));
+  console.log('Auto-lock settings saved:', next);
+  return next;
+}
+
+/**
+ * Watch for inactivity, hiding and sleep while the vault is open, replacing any earlier watch
+ */
+export function startAutoLock() {
+  stopAutoLock();
+  lastActivity = Date.now();
+  lastCheck = Date.now();
+
+  // Listeners stay for the page's lifetime; they do nothing while the vault is locked
+  if (!listening) {
+    ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, recordActivity, { capture: true, passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    listening = true;
+  }
+
+  checkTimer = setInterval(checkIdle, CHECK_INTERVAL_MS);
+  console.log('Auto-lock started:', getAutoLockSettings());
+}
+
+/**
+ * Stop watching for inactivity
+ */
+export function stopAutoLock() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+/**
+ * Note user activity, which restarts the idle time
+ */
+function recordActivity() {
+  lastActivity = Date.now();
+}
+
+/**
+ * Lock when the page is hidden, if chosen, and check the idle time when it shows again
+ */
+function handleVisibilityChange() {
+  if (!checkTimer) return;
+
+  if (document.visibilityState === 'hidden') {
+    if (getAutoLockSettings().lockOnHide) {
+      lockNow('The vault was locked when the page was hidden');
+    }
+  } else {
+    checkIdle();
+  }
+}
+
+/**
+ * Lock if the device slept and that is chosen, or if the idle time has run out
+ */
+function checkIdle() {
+  const now = Date.now();
+  const { idleMinutes, lockOnHide } = getAutoLockSettings();
+  const slept = now - lastCheck > CHECK_INTERVAL_MS + SLEEP_GAP_MS;
+  lastCheck = now;
+
+  if (lockOnHide && slept) {
+    lockNow('The vault was locked when the device went to sleep');
+  } else if (idleMinutes > 0 && now - lastActivity >= idleMinutes * 60 * 1000) {
+    lockNow(`The vault was locked after ${idleMinutes} minutes without activity`);
+  }
+}
+
+/**
+ * Have every module save its pending changes, and wait for the saves
+ * Autosave listeners add their save to the event's pending list
+ * @returns {Promise<boolean>} True if every pending change was saved
+ */
+export async function flushAutosave() {
+  const pending = [];
+  window.dispatchEvent(new CustomEvent('vault:autosave', { detail: { pending } }));
+
+  const results = await Promise.allSettled(pending);
+  return results.every(result => result.status === 'fulfilled' && result.value !== false);
+}
+
+/**
+ * Lock the open vault
+ * Pending changes are saved first. Then modules wipe their copies of the vault, the data key
+ * and decrypted vault are wiped with the session, and the page starts afresh on the auth screen,
+ * so no view or listener set up for the unlocked vault remains
+ * @param {string} reason - Why the vault is locked, shown on the auth screen
+ */
+export async function lockNow(reason = 'The vault was locked') {
+  if (locking || !getEncryptionKey()) return;
+  locking = true;
+  stopAutoLock();
+  console.log(`Locking vault: ${reason}`);
+
+  // Locking goes ahead even if a save failed, but says so
+  const saved = await flushAutosave();
+  const notice = saved ? reason : `${reason}. Some changes could not be saved first.`;
+
+  window.dispatchEvent(new CustomEvent(VAULT_LOCK_EVENT, { detail: { reason: notice } }));
+  lockVault();
+
+  sessionStorage.setItem(LOCK_NOTICE_KEY, notice);
+  window.location.reload();
+}
+
+/**
+ * Take the reason of the lock that led to this page load, if any
+ * @returns {string|null} Why the vault was locked, or null if it was not
+ */
+export function takeLockNotice() {
+  const notice = sessionStorage.getItem(LOCK_NOTICE_KEY);
+  sessionStorage.removeItem(LOCK_NOTICE_KEY);
+  return notice;
+}
+
+// Export auto-lock module
+export default {
+  DEFAULT_AUTO_LOCK_SETTINGS,
+  VAULT_LOCK_EVENT,
+  getAutoLockSettings,
+  setAutoLockSettings,
+  startAutoLock,
+  stopAutoLock,
+  flushAutosave,
+  lockNow,
+  takeLockNotice
+};
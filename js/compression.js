@@ -0,0 +1,101 @@
+// Compression applied to plaintext before it is encrypted
+// Ciphertext does not compress, so this is the only point where it helps
+export const COMPRESSION_FORMAT = 'gzip';
+
+// Formats this version can read back from a vault header or blob record
+const READABLE_FORMATS = ['gzip', 'deflate'];
+
+// Content types that are already compressed and would only cost time to compress again
+const COMPRESSED_TYPE_PATTERNS = [
+  /^image\/(jpeg|png|gif|webp|avif|heic|heif)$/,
+  /^video\//,
+  /^audio\/(mpeg|mp4|aac|ogg|opus|webm|flac)$/,
+  /^application\/(zip|x-zip-compressed|gzip|x-gzip|x-bzip2|x-xz|zstd|x-7z-compressed|vnd\.rar|x-rar-compressed)$/,
+  /^application\/(pdf|epub\+zip|java-archive)$/,
+  // Office Open XML and OpenDocument files are ZIP archives
+  /^application\/vnd\.(openxmlformats-officedocument|oasis\.opendocument)\./
+];
+
+/**
+ * Check whether the browser can compress and decompress streams
+ * @returns {boolean} True if CompressionStream and DecompressionStream are available
+ */
+export function supportsCompression() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+/**
+ * Check whether a recorded compression format can be read
+ * @param {string} format - The format from a vault header or blob record
+ * @returns {boolean} True if the format is known
+ */
+export function isReadableCompression(format) {
+  return READABLE_FORMATS.includes(format);
+}
+
+/**
+ * Check whether content of a type is worth compressing
+ * @param {string} contentType - The MIME type, empty for vault documents
+ * @returns {boolean} False for media and archives that are already compressed
+ */
+export function shouldCompress(contentType) {
+  const type = (contentType || '').toLowerCase();
+  return !COMPRESSED_TYPE_PATTERNS.some(pattern => pattern.test(type));
+}
+
+/**
+ * Compress a byte stream
+ * @param {ReadableStream<Uint8Array>} stream - The plaintext stream
+ * @param {string} format - The compression format
+ * @returns {ReadableStream<Uint8Array>} The compressed stream
+ */
+export function compressStream(stream, format = COMPRESSION_FORMAT) {
+  return stream.pipeThrough(new CompressionStream(format));
+}
+
+/**
+ * Decompress a byte stream
+ * @param {ReadableStream<Uint8Array>} stream - The compressed stream
+ * @param {string} format - The compression format it was written with
+ * @returns {ReadableStream<Uint8Array>} The plaintext stream
+ */
+export function decompressStream(stream, format = COMPRESSION_FORMAT) {
+  if (!supportsCompression()) {
+    throw new Error("This browser cannot decompress vault contents (DecompressionStream is not available)");
+  }
+  return stream.pipeThrough(new DecompressionStream(format));
+}
+
+/**
+ * Compress bytes
+ * @param {Uint8Array} bytes - The plaintext bytes
+ * @param {string} format - The compression format
+ * @returns {Promise<Uint8Array>} The compressed bytes
+ */
+export async function compressBytes(bytes, format = COMPRESSION_FORMAT) {
+  const compressed = compressStream(new Blob([bytes]).stream(), format);
+  return new Uint8Array(await new Response(compressed).arrayBuffer());
+}
+
+/**
+ * Decompress bytes
+ * @param {Uint8Array} bytes - The compressed bytes
+ * @param {string} format - The compression format they were written with
+ * @returns {Promise<Uint8Array>} The plaintext bytes
+ */
+export async function decompressBytes(bytes, format = COMPRESSION_FORMAT) {
+  const decompressed = decompressStream(new Blob([bytes]).stream(), format);
+  return new Uint8Array(await new Response(decompressed).arrayBuffer());
+}
+
+// Export compression module
+export default {
+  COMPRESSION_FORMAT,
+  supportsCompression,
+  isReadableCompression,
+  shouldCompress,
+  compressStream,
+  decompressStream,
+  compressBytes,
+  decompressBytes
+};
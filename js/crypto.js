@@ -0,0 +1,243 @@
+// Import crypto-js only for reading vaults written by the legacy CBC code
+import CryptoJS from 'crypto-js';
+
+// AES-GCM parameters
+export const AES_KEY_BITS = 256;
+export const GCM_IV_BYTES = 12;
+export const GCM_TAG_BITS = 128;
+
+// Shared text encoders
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Get the WebCrypto subtle interface
+ * @returns {SubtleCrypto} The subtle crypto interface
+ */
+function getSubtle() {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error("WebCrypto is not available (a secure context is required)");
+  }
+  return globalThis.crypto.subtle;
+}
+
+/**
+ * Generate cryptographically secure random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} The random bytes
+ */
+export function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - The text to encode
+ * @returns {Uint8Array} The UTF-8 bytes
+ */
+export function utf8Encode(text) {
+  return textEncoder.encode(text);
+}
+
+/**
+ * Decode UTF-8 bytes to a string
+ * @param {Uint8Array|ArrayBuffer} bytes - The bytes to decode
+ * @returns {string} The decoded text
+ */
+export function utf8Decode(bytes) {
+  return textDecoder.decode(bytes);
+}
+
+/**
+ * Encode bytes as Base64
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The Base64 string
+ */
+export function bytesToBase64(bytes) {
+  // Build the binary string in slices to avoid call stack limits on large inputs
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a Base64 string to bytes
+ * @param {string} base64 - The Base64 string
+ * @returns {Uint8Array} The decoded bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as hex
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The hex string
+ */
+export function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decode a hex string to bytes
+ * @param {string} hex - The hex string
+ * @returns {Uint8Array} The decoded bytes
+ */
+export function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Derive key bits from a password with PBKDF2-SHA256
+ * @param {string} password - The password
+ * @param {Uint8Array} salt - The salt
+ * @param {number} iterations - Iteration count
+ * @param {number} bits - Number of bits to derive
+ * @returns {Promise<Uint8Array>} The derived bits
+ */
+export async function pbkdf2Sha256(password, salt, iterations, bits = AES_KEY_BITS) {
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey('raw', utf8Encode(password), 'PBKDF2', false, ['deriveBits']);
+  const derived = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    bits
+  );
+  return new Uint8Array(derived);
+}
+
+/**
+ * Derive key bits with HKDF-SHA256
+ * @param {Uint8Array|CryptoKey} inputKey - The input keying material, raw or as an HKDF key
+ * @param {Uint8Array} salt - The HKDF salt
+ * @param {string} info - Context string binding the output to its purpose
+ * @param {number} bits - Number of bits to derive
+ * @returns {Promise<Uint8Array>} The derived bits
+ */
+export async function hkdfSha256(inputKey, salt, info, bits = AES_KEY_BITS) {
+  const subtle = getSubtle();
+  const baseKey = inputKey instanceof CryptoKey ? inputKey : await importHkdfKey(inputKey);
+  const derived = await subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: utf8Encode(info) },
+    baseKey,
+    bits
+  );
+  return new Uint8Array(derived);
+}
+
+/**
+ * Import raw key bytes as a non-extractable HKDF key
+ * The key can only derive other keys; its bytes cannot be read back
+ * @param {Uint8Array} rawKey - The input keying material
+ * @returns {Promise<CryptoKey>} The HKDF key
+ */
+export async function importHkdfKey(rawKey) {
+  return getSubtle().importKey('raw', rawKey, 'HKDF', false, ['deriveBits']);
+}
+
+/**
+ * Import raw key bytes as an AES-GCM key
+ * @param {Uint8Array} rawKey - 32 raw key bytes
+ * @returns {Promise<CryptoKey>} The AES-GCM key
+ */
+export async function importAesKey(rawKey) {
+  if (!rawKey || rawKey.length * 8 !== AES_KEY_BITS) {
+    throw new Error(`AES key must be ${AES_KEY_BITS} bits`);
+  }
+  return getSubtle().importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt bytes with AES-256-GCM under a fresh random 96-bit IV
+ * @param {CryptoKey} key - The AES-GCM key
+ * @param {Uint8Array} plaintext - The bytes to encrypt
+ * @returns {Promise<Uint8Array>} IV followed by ciphertext and authentication tag
+ */
+export async function encryptBytes(key, plaintext) {
+  const iv = randomBytes(GCM_IV_BYTES);
+  const ciphertext = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv, tagLength: GCM_TAG_BITS },
+    key,
+    plaintext
+  );
+
+  // Prepend the IV so the payload is self-contained
+  const result = new Uint8Array(GCM_IV_BYTES + ciphertext.byteLength);
+  result.set(iv, 0);
+  result.set(new Uint8Array(ciphertext), GCM_IV_BYTES);
+  return result;
+}
+
+/**
+ * Decrypt bytes produced by encryptBytes
+ * Throws if the payload was truncated, tampered with or encrypted under another key
+ * @param {CryptoKey} key - The AES-GCM key
+ * @param {Uint8Array} payload - IV followed by ciphertext and authentication tag
+ * @returns {Promise<Uint8Array>} The decrypted bytes
+ */
+export async function decryptBytes(key, payload) {
+  if (!payload || payload.length < GCM_IV_BYTES + GCM_TAG_BITS / 8) {
+    throw new Error("Ciphertext is truncated");
+  }
+
+  const iv = payload.subarray(0, GCM_IV_BYTES);
+  const ciphertext = payload.subarray(GCM_IV_BYTES);
+  const plaintext = await getSubtle().decrypt(
+    { name: 'AES-GCM', iv, tagLength: GCM_TAG_BITS },
+    key,
+    ciphertext
+  );
+  return new Uint8Array(plaintext);
+}
+
+/**
+ * Decrypt a payload written by the legacy CryptoJS AES-CBC passphrase mode
+ * Used only to migrate old vaults; CBC has no integrity check
+ * @param {string} encryptedData - The CryptoJS ciphertext string
+ * @param {string} passphrase - The Base64 derived key used as passphrase
+ * @returns {string|null} The decrypted UTF-8 text, or null if decryption failed
+ */
+export function decryptLegacyCbc(encryptedData, passphrase) {
+  const decrypted = CryptoJS.AES.decrypt(encryptedData, passphrase, {
+    mode: CryptoJS.mode.CBC,
+    padding: CryptoJS.pad.Pkcs7
+  });
+
+  if (!decrypted || decrypted.sigBytes <= 0) {
+    return null;
+  }
+
+  return decrypted.toString(CryptoJS.enc.Utf8) || null;
+}
+
+// Export crypto module
+export default {
+  AES_KEY_BITS,
+  GCM_IV_BYTES,
+  GCM_TAG_BITS,
+  randomBytes,
+  utf8Encode,
+  utf8Decode,
+  bytesToBase64,
+  base64ToBytes,
+  bytesToHex,
+  hexToBytes,
+  pbkdf2Sha256,
+  hkdfSha256,
+  importHkdfKey,
+  importAesKey,
+  encryptBytes,
+  decryptBytes,
+  decryptLegacyCbc
+};
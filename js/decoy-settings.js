@@ -0,0 +1,286 @@
+// Import dependencies
+import {
+  hasDecoyVault,
+  setDuressPassword,
+  removeDecoyVault,
+  getDecoyData,
+  updateDecoyData
+} from './vault-decoy.js';
+import { getVaultFileHandle } from './vault-file.js';
+import { describeVaultFileSave } from './file-handle.js';
+import { showNotification } from './ui.js';
+
+// Id of the decoy document in the form, or null for a new one
+let editingDocId = null;
+
+/**
+ * Initialize the duress password section of the settings modal
+ */
+export function initializeDecoySettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const setBtn = document.getElementById('set-duress-btn');
+  const docList = document.getElementById('decoy-doc-list');
+
+  if (!setBtn || !docList) {
+    console.warn('Duress password settings not found');
+    return;
+  }
+
+  // Show the decoy as it is whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', renderDecoySettings);
+  }
+  renderDecoySettings();
+
+  setBtn.addEventListener('click', handleSetDuressPassword);
+  document.getElementById('remove-decoy-btn').addEventListener('click', handleRemoveDecoy);
+  document.getElementById('save-decoy-doc-btn').addEventListener('click', handleSaveDocument);
+  document.getElementById('new-decoy-doc-btn').addEventListener('click', () => editDocument(null));
+
+  // One listener handles the buttons of every decoy document
+  docList.addEventListener('click', (event) => {
+    const editBtn = event.target.closest('[data-edit-decoy-doc]');
+    if (editBtn) {
+      editDocument(editBtn.dataset.editDecoyDoc);
+      return;
+    }
+    const deleteBtn = event.target.closest('[data-delete-decoy-doc]');
+    if (deleteBtn) {
+      handleDeleteDocument(deleteBtn.dataset.deleteDecoyDoc, deleteBtn);
+    }
+  });
+}
+
+/**
+ * Show whether the vault has a decoy, and the decoy's documents
+ */
+function renderDecoySettings() {
+  const exists = hasDecoyVault();
+  document.getElementById('decoy-status').textContent = exists
+    ? 'This vault has a decoy. Its duress password can be changed below.'
+    : 'No duress password is set.';
+  document.getElementById('set-duress-btn').textContent = exists ? 'Change Duress Password' : 'Set Duress Password';
+  document.getElementById('remove-decoy-btn').style.display = exists ? '' : 'none';
+  document.getElementById('decoy-contents').style.display = exists ? 'block' : 'none';
+  renderDecoyDocuments();
+}
+
+/**
+ * Render the decoy's documents, most recently changed first
+ */
+function renderDecoyDocuments() {
+  const docList = document.getElementById('decoy-doc-list');
+  const data = getDecoyData();
+  docList.innerHTML = '';
+  if (!data) return;
+
+  Object.values(data.docs || {})
+    .sort((a, b) => (b.modified || '').localeCompare(a.modified || ''))
+    .forEach(doc => {
+      const item = document.createElement('li');
+
+      const info = document.createElement('span');
+      const modified = doc.modified ? `, changed ${new Date(doc.modified).toLocaleDateString()}` : '';
+      info.textContent = `${doc.name}${modified}`;
+      item.appendChild(info);
+
+      const actions = document.createElement('span');
+      actions.className = 'snapshot-actions';
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn secondary';
+      editBtn.textContent = 'Edit';
+      editBtn.dataset.editDecoyDoc = doc.id;
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.dataset.deleteDecoyDoc = doc.id;
+      actions.append(editBtn, deleteBtn);
+      item.appendChild(actions);
+
+      docList.appendChild(item);
+    });
+}
+
+/**
+ * Get the current password from the duress password form
+ * @returns {string|null} The password, or null if it is missing
+ */
+function getCurrentPassword() {
+  const password = document.getElementById('duress-current-password').value.trim();
+  if (!password) {
+    showNotification('Enter your current password to change the decoy', 'error');
+    return null;
+  }
+  return password;
+}
+
+/**
+ * Validate the form and set the duress password, creating the decoy if there is none
+ */
+async function handleSetDuressPassword() {
+  const setBtn = document.getElementById('set-duress-btn');
+  const duressInput = document.getElementById('duress-password');
+  const confirmInput = document.getElementById('duress-confirm-password');
+  const duressPassword = duressInput.value.trim();
+
+  // Validate
+  if (!duressPassword) {
+    showNotification('Enter a duress password', 'error');
+    return;
+  }
+  if (duressPassword !== confirmInput.value.trim()) {
+    showNotification('Duress passwords do not match', 'error');
+    return;
+  }
+  if (duressPassword.length < 8) {
+    showNotification('Duress password must be at least 8 characters', 'error');
+    return;
+  }
+  const password = getCurrentPassword();
+  if (!password) return;
+
+  const created = !hasDecoyVault();
+  setBtn.disabled = true;
+  setBtn.textContent = 'Saving...';
+
+  try {
+    if (!await setDuressPassword(password, duressPassword)) {
+      showNotification('Could not set the duress password. Check your current password, and use a duress password that does not open this vault.', 'error');
+      return;
+    }
+
+    [duressInput, confirmInput].forEach(input => { input.value = ''; });
+    document.getElementById('duress-current-password').value = '';
+    const message = created ? 'Duress password set. Add documents to make the decoy vault believable.' : 'Duress password changed.';
+    showNotification(`${message} ${describeVaultFileSave(getVaultFileHandle())}`, 'success', 6000);
+  } catch (error) {
+    console.error('Error setting the duress password:', error);
+    showNotification('Error setting the duress password: ' + error.message, 'error');
+  } finally {
+    setBtn.disabled = false;
+    renderDecoySettings();
+  }
+}
+
+/**
+ * Delete the decoy after confirmation
+ */
+async function handleRemoveDecoy() {
+  const password = getCurrentPassword();
+  if (!password) return;
+
+  if (!confirm('Delete the decoy vault and its documents? The duress password will no longer open anything. Snapshots taken earlier keep the decoy until they are pruned.')) {
+    return;
+  }
+
+  const removeBtn = document.getElementById('remove-decoy-btn');
+  removeBtn.disabled = true;
+
+  try {
+    if (!await removeDecoyVault(password)) {
+      showNotification('Could not delete the decoy. Check your current password.', 'error');
+      return;
+    }
+
+    document.getElementById('duress-current-password').value = '';
+    editDocument(null);
+    showNotification('Decoy vault deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting the decoy vault:', error);
+    showNotification('Error deleting the decoy vault: ' + error.message, 'error');
+  } finally {
+    removeBtn.disabled = false;
+    renderDecoySettings();
+  }
+}
+
+/**
+ * Load a decoy document into the form, or clear the form for a new one
+ * @param {string|null} docId - The document to edit, or null for a new document
+ */
+function editDocument(docId) {
+  const data = getDecoyData();
+  const doc = docId && data && data.docs ? data.docs[docId] : null;
+  editingDocId = doc ? doc.id : null;
+  document.getElementById('decoy-doc-name').value = doc ? doc.name : '';
+  document.getElementById('decoy-doc-content').value = doc ? doc.content : '';
+}
+
+/**
+ * Save the document in the form to the decoy
+ */
+async function handleSaveDocument() {
+  const data = getDecoyData();
+  const name = document.getElementById('decoy-doc-name').value.trim();
+  if (!data || !name) {
+    showNotification('Enter a name for the decoy document', 'error');
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const existing = editingDocId && data.docs ? data.docs[editingDocId] : null;
+  const doc = existing
+    ? { ...existing, name, content: document.getElementById('decoy-doc-content').value, modified: now }
+    : {
+      id: generateId(),
+      name,
+      type: 'markdown',
+      content: document.getElementById('decoy-doc-content').value,
+      created: now,
+      modified: now
+    };
+
+  try {
+    if (!await updateDecoyData({ ...data, docs: { ...data.docs, [doc.id]: doc } })) {
+      showNotification('The decoy document could not be saved', 'error');
+      return;
+    }
+    editDocument(null);
+    renderDecoyDocuments();
+    showNotification(`Decoy document "${name}" saved`, 'success');
+  } catch (error) {
+    console.error('Error saving decoy document:', error);
+    showNotification(error.message, 'error');
+  }
+}
+
+/**
+ * Delete a decoy document after confirmation
+ * @param {string} docId - The document to delete
+ * @param {HTMLButtonElement} deleteBtn - The button that was clicked
+ */
+async function handleDeleteDocument(docId, deleteBtn) {
+  const data = getDecoyData();
+  if (!data || !data.docs || !data.docs[docId] || !confirm(`Delete "${data.docs[docId].name}" from the decoy?`)) {
+    return;
+  }
+
+  deleteBtn.disabled = true;
+  const { [docId]: removed, ...docs } = data.docs;
+  try {
+    if (!await updateDecoyData({ ...data, docs })) {
+      showNotification('The decoy document could not be deleted', 'error');
+      deleteBtn.disabled = false;
+      return;
+    }
+    if (editingDocId === docId) editDocument(null);
+    renderDecoyDocuments();
+  } catch (error) {
+    console.error('Error deleting decoy document:', error);
+    showNotification(error.message, 'error');
+    deleteBtn.disabled = false;
+  }
+}
+
+/**
+ * Generate a document id in the form the editor uses
+ * @returns {string} The new id
+ */
+function generateId() {
+  return 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Export decoy settings module
+export default {
+  initializeDecoySettings
+};
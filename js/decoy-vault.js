@@ -0,0 +1,183 @@
+// Import WebCrypto helpers
+import {
+  AES_KEY_BITS,
+  randomBytes,
+  hkdfSha256,
+  importAesKey,
+  encryptBytes,
+  decryptBytes,
+  utf8Encode,
+  utf8Decode,
+  bytesToBase64,
+  base64ToBytes
+} from './crypto.js';
+import { COMPRESSION_FORMAT, supportsCompression, compressBytes, decompressBytes } from './compression.js';
+import { encryptVaultItems, decryptVaultItems } from './vault-items.js';
+import { VAULT_SCHEMA_VERSION } from './vault-schema.js';
+import { CorruptVaultError } from './vault-errors.js';
+
+/*
+ * Decoy vault
+ *
+ * A duress password opens a decoy vault instead of the real one. The decoy lives in the
+ * spare area every vault file carries: a key slot for the duress password and a fixed-size
+ * encrypted area with the decoy's own item index and records. Without a decoy the slot is
+ * one no password opens and the area is random ciphertext of the same size. The area is
+ * encrypted afresh on every save either way, so a file does not show whether it has a decoy.
+ * The real vault keeps the decoy's data key inside its own encrypted contents.
+ *
+ * The open decoy can be given a duress password and a decoy of its own, so its settings
+ * behave as the real vault's do. That decoy is kept as item records inside the open decoy's
+ * contents, with its key; the file has no slot for it, so its password opens nothing.
+ *
+ * A decoy holds documents only. File contents are stored as blobs beside the vault file,
+ * not in the spare area, so a decoy's would show in the number of blobs a file carries;
+ * photos are kept inline and would soon outgrow the area. Files and photos cannot be added
+ * to a decoy, in its settings or while it is open.
+ */
+
+// Plaintext size of the spare area; a decoy's compressed records must fit in it
+export const SPARE_AREA_BYTES = 64 * 1024;
+
+// Why files and photos are refused while a decoy is open or edited
+export const DOCUMENTS_ONLY_MESSAGE = 'This vault holds documents only; files and photos cannot be added to it';
+
+// HKDF context for the key that encrypts the spare area
+const SPARE_KEY_INFO = 'SecureVault spare area';
+
+// The plaintext starts with a compression flag byte and the content length (u32), and is zero padded
+const SPARE_HEADER_BYTES = 5;
+
+/**
+ * Derive the key that encrypts the spare area
+ * @param {string|CryptoKey} dataKey - The decoy's Base64 data key, or the open decoy's non-extractable key
+ * @returns {Promise<CryptoKey>} The AES-GCM key
+ */
+async function deriveSpareKey(dataKey) {
+  const input = typeof dataKey === 'string' ? base64ToBytes(dataKey) : dataKey;
+  return importAesKey(await hkdfSha256(input, new Uint8Array(0), SPARE_KEY_INFO));
+}
+
+/**
+ * Create the contents of a new, empty decoy vault
+ * @returns {Object} The decoy vault data
+ */
+export function createDecoyData() {
+  return {
+    docs: {},
+    files: {},
+    photos: {},
+    meta: { version: VAULT_SCHEMA_VERSION, createdAt: new Date().toISOString() }
+  };
+}
+
+/**
+ * Check that decoy vault data adds no files or photos to those it held before
+ * Decoys saved before they held documents only may still have some, and keep them
+ * @param {Object} data - The decoy vault data about to be saved
+ * @param {Object|null} previous - The decoy vault data as last saved
+ * @throws {Error} If a file or photo was added
+ */
+export function assertDocumentsOnly(data, previous) {
+  const added = ['files', 'photos'].some(section => Object.keys(data[section] || {})
+    .some(id => !(previous && previous[section] && previous[section][id])));
+  if (added) {
+    throw new Error(DOCUMENTS_ONLY_MESSAGE);
+  }
+}
+
+/**
+ * Encrypt decoy vault data into the spare area
+ * The data is encrypted as item records like the real vault, so unchanged items are reused
+ * @param {Object} data - The decoy vault data
+ * @param {string|CryptoKey} dataKey - The decoy's data key
+ * @param {ItemCache|null} cache - The decoy's records from the last save or load
+ * @returns {Promise<{data: string, cache: ItemCache}>} Base64 of the encrypted area, and the updated cache
+ * @throws {Error} If the decoy vault does not fit in the spare area
+ */
+export async function sealSpareArea(data, dataKey, cache = null) {
+  const { records, cache: nextCache } = await sealDecoyRecords(data, dataKey, cache);
+  const { compression } = records;
+
+  const json = utf8Encode(JSON.stringify(records));
+  const content = compression ? await compressBytes(json, compression) : json;
+  if (content.length > SPARE_AREA_BYTES - SPARE_HEADER_BYTES) {
+    throw new Error(`The decoy vault is too large: it can hold about ${SPARE_AREA_BYTES / 1024} KiB of compressed contents`);
+  }
+
+  const plaintext = new Uint8Array(SPARE_AREA_BYTES);
+  const view = new DataView(plaintext.buffer);
+  view.setUint8(0, compression ? 1 : 0);
+  view.setUint32(1, content.length);
+  plaintext.set(content, SPARE_HEADER_BYTES);
+
+  const sealed = await encryptBytes(await deriveSpareKey(dataKey), plaintext);
+  return { data: bytesToBase64(sealed), cache: nextCache };
+}
+
+/**
+ * Decrypt decoy vault data written by sealSpareArea
+ * @param {string} sealed - Base64 of the encrypted area
+ * @param {string|CryptoKey} dataKey - The decoy's data key
+ * @returns {Promise<{data: Object, cache: ItemCache}>} The decoy vault data and a cache of its records
+ * @throws {CorruptVaultError} If the area does not decrypt under the key
+ */
+export async function openSpareArea(sealed, dataKey) {
+  try {
+    const plaintext = await decryptBytes(await deriveSpareKey(dataKey), base64ToBytes(sealed));
+    const view = new DataView(plaintext.buffer, plaintext.byteOffset, plaintext.byteLength);
+    const content = plaintext.subarray(SPARE_HEADER_BYTES, SPARE_HEADER_BYTES + view.getUint32(1));
+    const json = view.getUint8(0) ? await decompressBytes(content, COMPRESSION_FORMAT) : content;
+    return await openDecoyRecords(JSON.parse(utf8Decode(json)), dataKey);
+  } catch (error) {
+    throw new CorruptVaultError(`Spare area failed to decrypt - ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt decoy vault data as item records under the decoy's data key
+ * @param {Object} data - The decoy vault data
+ * @param {string|CryptoKey} dataKey - The decoy's data key
+ * @param {ItemCache|null} cache - The decoy's records from the last save or load
+ * @returns {Promise<{records: Object, cache: ItemCache}>} The compression format, item index and
+ *   records, and the updated cache
+ */
+export async function sealDecoyRecords(data, dataKey, cache = null) {
+  const compression = supportsCompression() ? COMPRESSION_FORMAT : null;
+  const { index, items, cache: nextCache } = await encryptVaultItems(data, dataKey, cache, compression);
+  return { records: { compression, index, items }, cache: nextCache };
+}
+
+/**
+ * Decrypt decoy vault data written by sealDecoyRecords
+ * @param {Object} records - The compression format, item index and records
+ * @param {string|CryptoKey} dataKey - The decoy's data key
+ * @returns {Promise<{data: Object, cache: ItemCache}>} The decoy vault data and a cache of its records
+ */
+export async function openDecoyRecords(records, dataKey) {
+  return decryptVaultItems(records, dataKey);
+}
+
+/**
+ * Make filler for the spare area of a vault without a decoy
+ * It is zeros encrypted under a random key that is thrown away, so it has the size of a
+ * sealed decoy and cannot be told apart from one without the key
+ * @returns {Promise<string>} Base64 of the filler
+ */
+export async function fillSpareArea() {
+  const key = await importAesKey(randomBytes(AES_KEY_BITS / 8));
+  return bytesToBase64(await encryptBytes(key, new Uint8Array(SPARE_AREA_BYTES)));
+}
+
+// Export decoy vault module
+export default {
+  SPARE_AREA_BYTES,
+  DOCUMENTS_ONLY_MESSAGE,
+  createDecoyData,
+  assertDocumentsOnly,
+  sealSpareArea,
+  openSpareArea,
+  sealDecoyRecords,
+  openDecoyRecords,
+  fillSpareArea
+};
@@ -1,11 +1,9 @@
 // Import dependencies
 import { marked } from 'marked';
-import { 
-  saveToSecureStorage, 
-  loadFromSecureStorage, 
-  getEncryptionKey 
-} from './database.js';
+import { saveToSecureStorage, loadFromSecureStorage } from './database.js';
+import { getEncryptionKey } from './vault-session.js';
 import { showNotification, refreshFileList } from './ui.js';
+import { VAULT_LOCK_EVENT } from './auto-lock.js';
 import hljs from 'highlight.js';
 
 // Current editor state
@@ -171,21 +169,17 @@ export function initializeEditor(appState) {
     createNewButton.addEventListener('click', createNewDocument);
   }
   
-  // Listen for autosave events
-  window.addEventListener('vault:autosave', async () => {
-    console.log('Autosave triggered for editor');
-    if (isEditorDirty && currentFile) {
-      try {
-        const success = await saveCurrentFile(true);
-        if (success) {
-          console.log('Document autosaved successfully');
-        }
-      } catch (error) {
-        console.error('Error during autosave:', error);
-      }
+  // Listen for autosave events; a lock waits for the save before wiping the vault
+  window.addEventListener('vault:autosave', (event) => {
+    const saving = autosaveDocument();
+    if (event.detail && event.detail.pending) {
+      event.detail.pending.push(saving);
     }
   });
   
+  // Wipe the documents when the vault locks
+  window.addEventListener(VAULT_LOCK_EVENT, wipeEditor);
+  
   // Window unload event - warn if unsaved changes
   window.addEventListener('beforeunload', event => {
     if (isEditorDirty) {
@@ -198,6 +192,43 @@ export function initializeEditor(appState) {
   console.log('Editor initialized');
 }
 
+/**
+ * Save the open document if it has unsaved changes
+ * @returns {Promise<boolean>} True if there was nothing to save or the save succeeded
+ */
+async function autosaveDocument() {
+  console.log('Autosave triggered for editor');
+  if (!isEditorDirty || !currentFile) return true;
+  
+  try {
+    const success = await saveCurrentFile(true);
+    if (success) {
+      console.log('Document autosaved successfully');
+    }
+    return Boolean(success);
+  } catch (error) {
+    console.error('Error during autosave:', error);
+    return false;
+  }
+}
+
+/**
+ * Forget the decrypted documents and clear the editor, preview and document list
+ */
+function wipeEditor() {
+  db = { docs: {} };
+  currentFile = null;
+  isEditorDirty = false;
+  
+  const editor = document.getElementById('markdown-editor');
+  const preview = document.getElementById('preview');
+  const fileList = document.getElementById('file-list');
+  if (editor) editor.value = '';
+  if (preview) preview.innerHTML = '';
+  if (fileList) fileList.innerHTML = '';
+  console.log('Editor wiped');
+}
+
 // Update the preview panel with rendered Markdown
 function updatePreview() {
   const editor = document.getElementById('markdown-editor');
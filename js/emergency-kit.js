@@ -0,0 +1,121 @@
+// Import the offline QR code generator
+import qrcode from 'qrcode-generator';
+
+// Recovery key shown in the open kit, kept only until the modal is closed
+let kitRecoveryKey = null;
+
+/**
+ * Render a recovery key as an SVG QR code
+ * @param {string} recoveryKey - The recovery key
+ * @returns {string} The SVG markup
+ */
+function renderQrSvg(recoveryKey) {
+  // Type 0 picks the smallest QR version that fits; level M tolerates 15% damage
+  const qr = qrcode(0, 'M');
+  qr.addData(recoveryKey);
+  qr.make();
+  return qr.createSvgTag({ cellSize: 5, margin: 4, scalable: true });
+}
+
+/**
+ * Build the printable emergency kit page
+ * @param {string} recoveryKey - The recovery key
+ * @returns {string} The full HTML document
+ */
+function buildKitPage(recoveryKey) {
+  const created = new Date().toLocaleDateString();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>SecureVault Emergency Kit</title>
+  <style>
+    body { font-family: sans-serif; max-width: 640px; margin: 40px auto; color: #222; }
+    .key { font-family: monospace; font-size: 22px; letter-spacing: 2px; padding: 12px; border: 2px dashed #888; text-align: center; }
+    .qr { width: 220px; margin: 24px auto; }
+    li { margin-bottom: 8px; }
+  </style>
+</head>
+<body>
+  <h1>SecureVault Emergency Kit</h1>
+  <p>Created ${created}</p>
+  <p>This recovery key opens your vault if you forget your password. Anyone holding it and your vault file can read your data.</p>
+  <p class="key">${recoveryKey}</p>
+  <div class="qr">${renderQrSvg(recoveryKey)}</div>
+  <ol>
+    <li>Print this page or write the key down, and store it somewhere safe and offline.</li>
+    <li>To recover, choose "Use recovery key" on the unlock screen, enter this key and select your vault file.</li>
+    <li>You will be asked to set a new password before the vault opens.</li>
+  </ol>
+</body>
+</html>`;
+}
+
+/**
+ * Open the printable kit in a new window and start printing
+ */
+function printEmergencyKit() {
+  if (!kitRecoveryKey) return;
+
+  const kitWindow = window.open('', '_blank');
+  if (!kitWindow) {
+    console.error('Could not open the emergency kit window (blocked pop-up?)');
+    return;
+  }
+
+  kitWindow.document.write(buildKitPage(kitRecoveryKey));
+  kitWindow.document.close();
+  kitWindow.focus();
+  kitWindow.print();
+}
+
+/**
+ * Forget the recovery key and clear the kit modal
+ */
+function clearEmergencyKit() {
+  kitRecoveryKey = null;
+  document.getElementById('emergency-kit-key').textContent = '';
+  document.getElementById('emergency-kit-qr').innerHTML = '';
+}
+
+/**
+ * Show the emergency kit for a newly generated recovery key
+ * @param {string} recoveryKey - The recovery key
+ */
+export function showEmergencyKit(recoveryKey) {
+  const kitModal = document.getElementById('emergency-kit-modal');
+  if (!kitModal) {
+    console.warn('Emergency kit modal not found');
+    return;
+  }
+
+  kitRecoveryKey = recoveryKey;
+  document.getElementById('emergency-kit-key').textContent = recoveryKey;
+  document.getElementById('emergency-kit-qr').innerHTML = renderQrSvg(recoveryKey);
+  kitModal.classList.add('active');
+}
+
+/**
+ * Initialize the emergency kit modal buttons
+ */
+export function initializeEmergencyKit() {
+  const printBtn = document.getElementById('print-kit-btn');
+  const doneBtn = document.getElementById('kit-done-btn');
+
+  if (!printBtn || !doneBtn) {
+    console.warn('Emergency kit buttons not found');
+    return;
+  }
+
+  printBtn.addEventListener('click', printEmergencyKit);
+  doneBtn.addEventListener('click', () => {
+    clearEmergencyKit();
+    document.getElementById('emergency-kit-modal').classList.remove('active');
+  });
+}
+
+// Export emergency kit module
+export default {
+  showEmergencyKit,
+  initializeEmergencyKit
+};
@@ -0,0 +1,108 @@
+// Import WebCrypto helpers
+import {
+  AES_KEY_BITS,
+  randomBytes,
+  bytesToHex,
+  hkdfSha256,
+  importHkdfKey,
+  importAesKey,
+  encryptBytes,
+  decryptBytes,
+  bytesToBase64,
+  base64ToBytes
+} from './crypto.js';
+
+// Algorithm used to wrap the data key under the password key
+export const KEY_WRAP_ALGORITHM = 'aes-256-gcm';
+
+// HKDF context for the value that tells two data keys apart without revealing them
+const KEY_CHECK_INFO = 'SecureVault data key check';
+
+/**
+ * Generate a random vault data key
+ * The data key encrypts the vault content; password-derived keys only wrap it
+ * @returns {string} The Base64 encoded 256-bit data key
+ */
+export function generateDataKey() {
+  return bytesToBase64(randomBytes(AES_KEY_BITS / 8));
+}
+
+/**
+ * Wrap a data key under a password-derived key
+ * @param {string} wrappingKey - The Base64 password-derived key
+ * @param {string} dataKey - The Base64 data key
+ * @returns {Promise<Object>} The key wrap record stored in the vault header
+ */
+export async function wrapDataKey(wrappingKey, dataKey) {
+  const key = await importAesKey(base64ToBytes(wrappingKey));
+  const wrapped = await encryptBytes(key, base64ToBytes(dataKey));
+  return {
+    algorithm: KEY_WRAP_ALGORITHM,
+    wrappedKey: bytesToBase64(wrapped)
+  };
+}
+
+/**
+ * Unwrap a data key with a password-derived key
+ * AES-GCM authentication fails for a wrong password, so no separate check is needed
+ * @param {string} wrappingKey - The Base64 password-derived key
+ * @param {Object} keyWrap - The key wrap record from the vault header
+ * @returns {Promise<string|null>} The Base64 data key, or null if the key is wrong
+ */
+export async function unwrapDataKey(wrappingKey, keyWrap) {
+  if (!wrappingKey || !keyWrap || keyWrap.algorithm !== KEY_WRAP_ALGORITHM) {
+    return null;
+  }
+
+  try {
+    const key = await importAesKey(base64ToBytes(wrappingKey));
+    const dataKey = await decryptBytes(key, base64ToBytes(keyWrap.wrappedKey));
+    return bytesToBase64(dataKey);
+  } catch (error) {
+    console.warn("Could not unwrap data key - wrong password or damaged header");
+    return null;
+  }
+}
+
+/**
+ * Import a data key for use while the vault is open
+ * The open vault holds its data key only as a non-extractable CryptoKey, from which
+ * the item keys are derived; the Base64 form is dropped once a slot has been opened
+ * @param {string} dataKey - The Base64 data key
+ * @returns {Promise<CryptoKey>} The non-extractable HKDF data key
+ */
+export function importDataKey(dataKey) {
+  return importHkdfKey(base64ToBytes(dataKey));
+}
+
+/**
+ * Derive a check value of a data key, to compare keys without reading them back
+ * @param {string|CryptoKey} dataKey - The Base64 data key, or one imported by importDataKey
+ * @returns {Promise<string>} The hex check value
+ */
+async function getDataKeyCheck(dataKey) {
+  const input = typeof dataKey === 'string' ? base64ToBytes(dataKey) : dataKey;
+  return bytesToHex(await hkdfSha256(input, new Uint8Array(0), KEY_CHECK_INFO));
+}
+
+/**
+ * Check whether two data keys are the same key
+ * @param {string|CryptoKey} a - A Base64 or imported data key
+ * @param {string|CryptoKey} b - Another Base64 or imported data key
+ * @returns {Promise<boolean>} True if both are the same key
+ */
+export async function isSameDataKey(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return await getDataKeyCheck(a) === await getDataKeyCheck(b);
+}
+
+// Export envelope module
+export default {
+  KEY_WRAP_ALGORITHM,
+  generateDataKey,
+  importDataKey,
+  isSameDataKey,
+  wrapDataKey,
+  unwrapDataKey
+};
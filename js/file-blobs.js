@@ -0,0 +1,119 @@
+// Import dependencies
+import { acceptsUploads } from './vault-decoy.js';
+import { writeFileBlob, readFileBlob, removeFileBlob } from './vault-storage.js';
+import { DOCUMENTS_ONLY_MESSAGE } from './decoy-vault.js';
+import { CHUNK_SIZE, STREAM_CIPHER, generateFileKey, encryptStream, decryptStream } from './stream-crypto.js';
+import { randomBytes, bytesToHex } from './crypto.js';
+import { supportsFileSystemAccess } from './file-handle.js';
+import { COMPRESSION_FORMAT, supportsCompression, shouldCompress, compressStream, decompressStream } from './compression.js';
+
+// Largest stored file decrypted for a preview (see createFileObjectUrl); larger ones are saved instead
+export const PREVIEW_SIZE_LIMIT = 200 * 1024 * 1024;
+
+/**
+ * Encrypt an uploaded file into a content blob on this device
+ * The file is read through File.stream() and never held in memory whole
+ * Content that is not already compressed media or an archive is compressed before encryption
+ * @param {File} file - The uploaded file
+ * @returns {Promise<Object>} The blob record to keep in the file's vault entry
+ * @throws {Error} If the open vault holds documents only
+ */
+export async function encryptUpload(file) {
+  if (!acceptsUploads()) {
+    throw new Error(DOCUMENTS_ONLY_MESSAGE);
+  }
+
+  const compress = supportsCompression() && shouldCompress(file.type);
+  const blob = {
+    id: bytesToHex(randomBytes(16)),
+    key: generateFileKey(),
+    cipher: STREAM_CIPHER,
+    chunkSize: CHUNK_SIZE,
+    compression: compress ? COMPRESSION_FORMAT : null
+  };
+
+  const plaintext = compress ? compressStream(file.stream(), blob.compression) : file.stream();
+  await writeFileBlob(blob.id, encryptStream(plaintext, blob.key));
+  console.log(`Encrypted ${file.name} into content blob ${blob.id}${compress ? ' (compressed)' : ''}`);
+  return blob;
+}
+
+/**
+ * Open a stored file's content as a decrypting stream
+ * @param {Object} file - The file entry from the vault
+ * @returns {Promise<ReadableStream<Uint8Array>>} The plaintext stream
+ */
+export async function openFileContent(file) {
+  const encrypted = await readFileBlob(file.blob.id);
+  if (!encrypted) {
+    throw new Error('The encrypted content of this file is missing from this device');
+  }
+  const decrypted = decryptStream(encrypted.stream(), file.blob.key);
+  return file.blob.compression ? decompressStream(decrypted, file.blob.compression) : decrypted;
+}
+
+/**
+ * Decrypt a stored file into an object URL for previewing
+ * Chunks are decrypted one at a time into a single Blob of the file's type. The browser may
+ * keep a large Blob on disk but can also hold all of it in memory, so previews stop at
+ * PREVIEW_SIZE_LIMIT. Revoke the URL with URL.revokeObjectURL when it is no longer shown
+ * @param {Object} file - The file entry from the vault
+ * @returns {Promise<string>} The object URL
+ */
+export async function createFileObjectUrl(file) {
+  const decrypted = new Response(await openFileContent(file), { headers: { 'Content-Type': file.contentType } });
+  return URL.createObjectURL(await decrypted.blob());
+}
+
+/**
+ * Decrypt a stored file to a location the user picks
+ * Streams straight to disk where the File System Access API is available, otherwise downloads
+ * @param {Object} file - The file entry from the vault
+ * @returns {Promise<boolean>} True if the file was saved, false if the user cancelled
+ */
+export async function saveFileContent(file) {
+  if (supportsFileSystemAccess()) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: file.name });
+    } catch (error) {
+      if (error.name === 'AbortError') return false;
+      throw error;
+    }
+
+    // pipeTo closes the writable when the last chunk is written and aborts it on error
+    await (await openFileContent(file)).pipeTo(await handle.createWritable());
+    return true;
+  }
+
+  const url = await createFileObjectUrl(file);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = file.name;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  // Give the browser time to start reading a large download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  return true;
+}
+
+/**
+ * Delete a file's content blob from this device
+ * @param {Object} file - The file entry from the vault
+ */
+export async function deleteFileContent(file) {
+  await removeFileBlob(file.blob.id);
+}
+
+// Export file blobs module
+export default {
+  PREVIEW_SIZE_LIMIT,
+  encryptUpload,
+  openFileContent,
+  createFileObjectUrl,
+  saveFileContent,
+  deleteFileContent
+};
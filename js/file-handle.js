@@ -0,0 +1,159 @@
+// Import handle persistence
+import { saveFileHandle, loadFileHandle, clearFileHandle } from './storage-indexeddb.js';
+
+// File type offered by the open and save pickers
+// Binary containers and legacy JSON vaults share the .vault extension
+const VAULT_FILE_TYPES = [{
+  description: 'SecureVault file',
+  accept: { 'application/octet-stream': ['.vault'], 'application/json': ['.vault'] }
+}];
+
+/**
+ * Check whether the browser supports the File System Access API
+ * @returns {boolean} True if vault files can be opened and written in place
+ */
+export function supportsFileSystemAccess() {
+  return typeof window !== 'undefined' &&
+    typeof window.showOpenFilePicker === 'function' &&
+    typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Get the default name for a saved vault file
+ * @returns {string} The file name, e.g. secure-vault-2024-01-31.vault
+ */
+export function defaultVaultFileName() {
+  return `secure-vault-${new Date().toISOString().split('T')[0]}.vault`;
+}
+
+/**
+ * Tell the user where a changed vault file went
+ * @param {FileSystemFileHandle|null} handle - The handle saves are written back through, if any
+ * @returns {string} A sentence for a notification
+ */
+export function describeVaultFileSave(handle) {
+  return handle
+    ? `Saved to ${handle.name}.`
+    : 'Replace your old vault file with the downloaded one.';
+}
+
+/**
+ * Let the user open a vault file and keep its handle
+ * @returns {Promise<{file: File, handle: FileSystemFileHandle}|null>} The file and handle, or null if cancelled
+ */
+export async function pickVaultFile() {
+  try {
+    const [handle] = await window.showOpenFilePicker({ types: VAULT_FILE_TYPES, multiple: false });
+    return { file: await handle.getFile(), handle };
+  } catch (error) {
+    // AbortError means the user closed the picker
+    if (error.name !== 'AbortError') console.error('Error opening vault file:', error);
+    return null;
+  }
+}
+
+/**
+ * Let the user choose where to save a vault file
+ * @returns {Promise<FileSystemFileHandle|null>} The new file handle, or null if cancelled
+ */
+export async function pickSaveLocation() {
+  try {
+    return await window.showSaveFilePicker({ suggestedName: defaultVaultFileName(), types: VAULT_FILE_TYPES });
+  } catch (error) {
+    if (error.name !== 'AbortError') console.error('Error choosing save location:', error);
+    return null;
+  }
+}
+
+/**
+ * Check or request write permission on a handle
+ * Requesting needs a user gesture, so autosaves only check
+ * @param {FileSystemFileHandle} handle - The file handle
+ * @param {boolean} request - True to prompt the user if permission is not yet granted
+ * @returns {Promise<boolean>} True if the file can be written
+ */
+async function hasWritePermission(handle, request) {
+  const options = { mode: 'readwrite' };
+  if (!handle.queryPermission || await handle.queryPermission(options) === 'granted') {
+    return true;
+  }
+  return request && await handle.requestPermission(options) === 'granted';
+}
+
+/**
+ * Write vault file content back through a handle
+ * The file is only replaced when the writable stream closes, so a failed write keeps the old file
+ * @param {FileSystemFileHandle} handle - The file handle
+ * @param {Blob|string} content - The vault container or serialized vault file
+ * @returns {Promise<boolean>} True if the file was written
+ */
+export async function writeVaultFileHandle(handle, content) {
+  try {
+    if (!await hasWritePermission(handle, false)) {
+      console.warn('No write permission for the vault file, skipping write-back');
+      return false;
+    }
+
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+    console.log(`Vault written back to ${handle.name}`);
+    return true;
+  } catch (error) {
+    console.error('Error writing vault file:', error);
+    return false;
+  }
+}
+
+/**
+ * Remember a vault file handle for the next unlock on this device
+ * @param {FileSystemFileHandle} handle - The file handle
+ */
+export async function rememberVaultFileHandle(handle) {
+  try {
+    await saveFileHandle(handle);
+  } catch (error) {
+    console.warn('Could not remember the vault file handle:', error);
+  }
+}
+
+/**
+ * Get the remembered vault file handle, asking again for write permission
+ * Call from a user gesture such as the unlock button
+ * @returns {Promise<FileSystemFileHandle|null>} The handle, or null if none is remembered or permission was refused
+ */
+export async function recallVaultFileHandle() {
+  if (!supportsFileSystemAccess()) return null;
+
+  try {
+    const handle = await loadFileHandle();
+    return handle && await hasWritePermission(handle, true) ? handle : null;
+  } catch (error) {
+    console.warn('Could not restore the vault file handle:', error);
+    return null;
+  }
+}
+
+/**
+ * Forget the remembered vault file handle
+ */
+export async function forgetVaultFileHandle() {
+  try {
+    await clearFileHandle();
+  } catch (error) {
+    console.warn('Could not forget the vault file handle:', error);
+  }
+}
+
+// Export file handle module
+export default {
+  supportsFileSystemAccess,
+  defaultVaultFileName,
+  describeVaultFileSave,
+  pickVaultFile,
+  pickSaveLocation,
+  writeVaultFileHandle,
+  rememberVaultFileHandle,
+  recallVaultFileHandle,
+  forgetVaultFileHandle
+};
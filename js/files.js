@@ -1,10 +1,11 @@
 // Import dependencies
 import { showNotification } from './ui.js';
-import { 
-  saveToSecureStorage,
-  loadFromSecureStorage,
-  getEncryptionKey
-} from './database.js';
+import { saveToSecureStorage, loadFromSecureStorage } from './database.js';
+import { acceptsUploads } from './vault-decoy.js';
+import { getEncryptionKey } from './vault-session.js';
+import { DOCUMENTS_ONLY_MESSAGE } from './decoy-vault.js';
+import { VAULT_LOCK_EVENT } from './auto-lock.js';
+import { PREVIEW_SIZE_LIMIT, encryptUpload, createFileObjectUrl, saveFileContent, deleteFileContent } from './file-blobs.js';
 
 // Current state
 let db = { files: {} };
@@ -87,28 +88,56 @@ export function initializeFileManager(appState) {
     });
   }
   
-  // Listen for autosave events
-  window.addEventListener('vault:autosave', async () => {
-    console.log('Autosave triggered for file manager');
-    if (pendingChanges) {
-      try {
-        const saveResult = await saveToSecureStorage(db);
-        
-        if (saveResult) {
-          console.log('Files autosaved successfully');
-          pendingChanges = false;
-        } else {
-          console.error('Failed to autosave files');
-        }
-      } catch (error) {
-        console.error('Error during file autosave:', error);
-      }
+  // Listen for autosave events; a lock waits for the save before wiping the vault
+  window.addEventListener('vault:autosave', (event) => {
+    const saving = autosaveFiles();
+    if (event.detail && event.detail.pending) {
+      event.detail.pending.push(saving);
     }
   });
   
+  // Wipe the files when the vault locks
+  window.addEventListener(VAULT_LOCK_EVENT, wipeFiles);
+  
   console.log('File manager initialized');
 }
 
+/**
+ * Save pending file changes
+ * @returns {Promise<boolean>} True if there was nothing to save or the save succeeded
+ */
+async function autosaveFiles() {
+  console.log('Autosave triggered for file manager');
+  if (!pendingChanges) return true;
+  
+  try {
+    const saveResult = await saveToSecureStorage(db);
+    
+    if (saveResult) {
+      console.log('Files autosaved successfully');
+      pendingChanges = false;
+      return true;
+    }
+    console.error('Failed to autosave files');
+    return false;
+  } catch (error) {
+    console.error('Error during file autosave:', error);
+    return false;
+  }
+}
+
+/**
+ * Forget the decrypted file list and clear it from the page
+ */
+function wipeFiles() {
+  db = { files: {} };
+  pendingChanges = false;
+  
+  const container = document.getElementById('files-container');
+  if (container) container.innerHTML = '';
+  console.log('Files wiped');
+}
+
 // Upload files
 async function uploadFiles(fileList) {
   // Check for encryption key
@@ -117,6 +146,10 @@ async function uploadFiles(fileList) {
     showNotification('Cannot upload files - you must be logged in', 'error');
     return false;
   }
+  if (!acceptsUploads()) {
+    showNotification(DOCUMENTS_ONLY_MESSAGE, 'error');
+    return false;
+  }
   
   const promises = [];
   
@@ -157,47 +190,33 @@ async function uploadFiles(fileList) {
 
 // Process a single file
 async function processFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
+  try {
+    console.log(`Processing file: ${file.name}, size: ${formatFileSize(file.size)}, type: ${file.type}`);
     
-    reader.onload = async (e) => {
-      try {
-        // Get the content as a data URL
-        const content = e.target.result;
-        
-        // Create a file object
-        const fileObj = {
-          id: generateId(),
-          name: file.name,
-          type: 'file',
-          size: file.size,
-          contentType: file.type,
-          content: content,  // This will be base64 encoded
-          created: new Date().toISOString(),
-          modified: new Date().toISOString()
-        };
-        
-        console.log(`Processing file: ${file.name}, size: ${formatFileSize(file.size)}, type: ${file.type}`);
-        
-        // Add to database
-        db.files[fileObj.id] = fileObj;
-        pendingChanges = true;
-        
-        resolve(true);
-      } catch (error) {
-        console.error('Failed to process file:', error);
-        reject(error);
-      }
-    };
+    // Stream the file through chunked encryption into binary storage
+    const blob = await encryptUpload(file);
     
-    reader.onerror = (error) => {
-      console.error('Error reading file:', error);
-      reject(error);
+    // Create a file object; the content stays in the encrypted blob
+    const fileObj = {
+      id: generateId(),
+      name: file.name,
+      type: 'file',
+      size: file.size,
+      contentType: file.type,
+      blob: blob,
+      created: new Date().toISOString(),
+      modified: new Date().toISOString()
     };
     
-    // Read the file as a data URL (base64 encoded)
-    reader.readAsDataURL(file);
-  });
+    // Add to database
+    db.files[fileObj.id] = fileObj;
+    pendingChanges = true;
+    
+    return true;
+  } catch (error) {
+    console.error('Failed to process file:', error);
+    return false;
+  }
 }
 
 // Render the files list
@@ -351,7 +370,21 @@ function formatFileType(contentType) {
 }
 
 // Download file
-function downloadFile(file) {
+async function downloadFile(file) {
+  // Files uploaded as encrypted blobs are decrypted chunk by chunk
+  if (file.blob) {
+    try {
+      if (await saveFileContent(file)) {
+        showNotification(`Downloading ${file.name}`, 'info');
+      }
+    } catch (error) {
+      console.error('Failed to download file:', error);
+      showNotification('Failed to download file: ' + error.message, 'error');
+    }
+    return;
+  }
+  
+  // Older files keep their content as a data URL
   // Create a temporary anchor element
   const a = document.createElement('a');
   a.href = file.content;
@@ -394,6 +427,11 @@ async function deleteFile(file) {
       throw new Error('Failed to save changes to secure storage');
     }
     
+    // Only drop the encrypted content once the vault no longer refers to it
+    if (file.blob) {
+      await deleteFileContent(file);
+    }
+    
     // Update file list
     renderFilesList(db.files);
     
@@ -409,44 +447,78 @@ async function deleteFile(file) {
   }
 }
 
+// Check whether a file type can be shown in the preview modal
+function isPreviewable(contentType) {
+  return contentType.startsWith('image/') || contentType.startsWith('video/') ||
+    contentType.startsWith('audio/') || contentType.includes('pdf');
+}
+
+// Check whether a stored file is small enough to decrypt whole for the preview
+function fitsPreview(file) {
+  return !file.blob || file.size <= PREVIEW_SIZE_LIMIT;
+}
+
 // Preview file
-function previewFile(file) {
-  // Create a modal for file preview
-  const modal = document.createElement('div');
-  modal.className = 'modal active';
-  
-  let previewContent = '';
+async function previewFile(file) {
+  const previewable = isPreviewable(file.contentType) && fitsPreview(file);
+  
+  // Decrypt encrypted blobs into an object URL; older files have a data URL
+  let source = file.content;
+  if (file.blob && previewable) {
+    try {
+      source = await createFileObjectUrl(file);
+    } catch (error) {
+      console.error('Failed to decrypt file for preview:', error);
+      showNotification('Failed to open file: ' + error.message, 'error');
+      return;
+    }
+  }
   
-  // Generate preview based on file type
+  const message = fitsPreview(file) ? 'Preview not available for this file type.' : 'This file is too large to preview.';
+  const previewContent = previewable ? buildPreviewContent(file, source) : buildDownloadPrompt(message);
+  showPreviewModal(file, previewContent, file.blob && previewable ? source : null);
+}
+
+// Build the preview markup for an image, video, audio or PDF file
+function buildPreviewContent(file, source) {
   if (file.contentType.startsWith('image/')) {
-    previewContent = `<img src="${file.content}" alt="${file.name}" style="max-width: 100%; max-height: 80vh;">`;
-  } else if (file.contentType.startsWith('video/')) {
-    previewContent = `
+    return `<img src="${source}" alt="${file.name}" style="max-width: 100%; max-height: 80vh;">`;
+  }
+  if (file.contentType.startsWith('video/')) {
+    return `
       <video controls style="max-width: 100%; max-height: 80vh;">
-        <source src="${file.content}" type="${file.contentType}">
+        <source src="${source}" type="${file.contentType}">
         Your browser does not support the video tag.
       </video>
     `;
-  } else if (file.contentType.startsWith('audio/')) {
-    previewContent = `
+  }
+  if (file.contentType.startsWith('audio/')) {
+    return `
       <audio controls style="width: 100%;">
-        <source src="${file.content}" type="${file.contentType}">
+        <source src="${source}" type="${file.contentType}">
         Your browser does not support the audio tag.
       </audio>
     `;
-  } else if (file.contentType.includes('pdf')) {
-    previewContent = `
-      <iframe src="${file.content}" style="width: 100%; height: 80vh; border: none;"></iframe>
+  }
+  return `
+      <iframe src="${source}" style="width: 100%; height: 80vh; border: none;"></iframe>
     `;
-  } else {
-    previewContent = `
+}
+
+// Build the markup offering a download for a file that is not previewed
+function buildDownloadPrompt(message) {
+  return `
       <div style="text-align: center; padding: 2rem;">
-        <p>Preview not available for this file type.</p>
+        <p>${message}</p>
         <button id="preview-download-btn" class="btn primary">Download File</button>
       </div>
     `;
-  }
-  
+}
+
+// Show the preview modal, releasing the decrypted object URL when it closes
+function showPreviewModal(file, previewContent, objectUrl) {
+  const modal = document.createElement('div');
+  modal.className = 'modal active';
   modal.innerHTML = `
     <div class="modal-content" style="max-width: 90%; width: auto;">
       <div class="modal-header">
@@ -462,20 +534,26 @@ function previewFile(file) {
   // Add to body
   document.body.appendChild(modal);
   
+  // Remove the modal and release the decrypted content
+  const closePreview = () => {
+    document.body.removeChild(modal);
+    if (objectUrl) {
+      URL.revokeObjectURL(objectUrl);
+    }
+  };
+  
   // Close button click
   const closeButton = modal.querySelector('.close-modal');
-  closeButton.addEventListener('click', () => {
-    document.body.removeChild(modal);
-  });
+  closeButton.addEventListener('click', closePreview);
   
   // Click outside to close
   modal.addEventListener('click', (event) => {
     if (event.target === modal) {
-      document.body.removeChild(modal);
+      closePreview();
     }
   });
   
-  // Download button click (for non-previewable files)
+  // Download button click (for files that are not previewed)
   const downloadBtn = modal.querySelector('#preview-download-btn');
   if (downloadBtn) {
     downloadBtn.addEventListener('click', () => {
@@ -0,0 +1,107 @@
+// Import dependencies
+import { rekeyVault } from './key-commit.js';
+import { getVaultFileHandle } from './vault-file.js';
+import { getKdfParams } from './vault-session.js';
+import { listKdfs, calibrateKdf, kdfCost, describeKdf } from './kdf.js';
+import { getLegacyKdfParams } from './vault-format.js';
+import { describeVaultFileSave } from './file-handle.js';
+import { showNotification } from './ui.js';
+
+/**
+ * Initialize the key derivation section of the settings modal
+ */
+export function initializeKdfSettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const algorithmSelect = document.getElementById('kdf-algorithm');
+  const applyBtn = document.getElementById('kdf-apply-btn');
+
+  if (!algorithmSelect || !applyBtn) {
+    console.warn('Key derivation settings not found');
+    return;
+  }
+
+  // Populate the algorithm list once
+  if (algorithmSelect.options.length === 0) {
+    listKdfs().forEach(({ name, label }) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      algorithmSelect.appendChild(option);
+    });
+  }
+
+  // Refresh the current parameters whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', renderCurrentKdf);
+  }
+  renderCurrentKdf();
+
+  applyBtn.addEventListener('click', handleApplyKdf);
+}
+
+/**
+ * Show the KDF parameters of the open vault
+ */
+function renderCurrentKdf() {
+  const current = getKdfParams() || getLegacyKdfParams();
+  const currentText = document.getElementById('kdf-current');
+  const algorithmSelect = document.getElementById('kdf-algorithm');
+
+  if (currentText) {
+    currentText.textContent = `Current: ${describeKdf(current)}`;
+  }
+  if (algorithmSelect) {
+    algorithmSelect.value = current.name;
+  }
+}
+
+/**
+ * Calibrate new KDF parameters and re-key the vault with them
+ */
+async function handleApplyKdf() {
+  const applyBtn = document.getElementById('kdf-apply-btn');
+  const passwordInput = document.getElementById('kdf-password');
+  const name = document.getElementById('kdf-algorithm').value;
+  const targetMs = Number(document.getElementById('kdf-target').value);
+  const password = passwordInput.value.trim();
+
+  if (!password) {
+    showNotification('Enter your current password to change key derivation', 'error');
+    return;
+  }
+
+  applyBtn.disabled = true;
+  applyBtn.textContent = 'Calibrating...';
+
+  try {
+    // Pick parameters for this device, and only ever raise the cost of the same KDF
+    const current = getKdfParams() || getLegacyKdfParams();
+    const params = await calibrateKdf(name, targetMs);
+    if (params.name === current.name && kdfCost(params) <= kdfCost(current)) {
+      showNotification('The vault already uses this cost or higher. Pick a longer unlock time.', 'warning');
+      return;
+    }
+
+    applyBtn.textContent = 'Re-encrypting...';
+    const newKey = await rekeyVault(password, params);
+    if (!newKey) {
+      showNotification('Could not change key derivation. Check your password.', 'error');
+      return;
+    }
+
+    passwordInput.value = '';
+    renderCurrentKdf();
+    showNotification(`Vault re-encrypted. ${describeVaultFileSave(getVaultFileHandle())}`, 'success', 6000);
+  } catch (error) {
+    console.error('Error changing key derivation:', error);
+    showNotification('Error changing key derivation: ' + error.message, 'error');
+  } finally {
+    applyBtn.disabled = false;
+    applyBtn.textContent = 'Raise Cost';
+  }
+}
+
+// Export KDF settings module
+export default {
+  initializeKdfSettings
+};
@@ -0,0 +1,215 @@
+// Import memory-hard KDF implementations (WebAssembly, runs offline)
+import { argon2id, scrypt } from 'hash-wasm';
+import { pbkdf2Sha256, randomBytes, AES_KEY_BITS } from './crypto.js';
+
+// Supported key derivation functions
+export const KDF_PBKDF2 = 'pbkdf2-sha256';
+export const KDF_ARGON2ID = 'argon2id';
+export const KDF_SCRYPT = 'scrypt';
+
+// KDF used for new vaults and default unlock time target
+export const DEFAULT_KDF_NAME = KDF_ARGON2ID;
+export const DEFAULT_TARGET_MS = 1000;
+
+/**
+ * KDF registry
+ * Each entry knows how to derive key bytes, which cheap parameters to time during
+ * calibration, and how to scale those parameters to reach a target unlock time.
+ * Its limits bound the parameters a vault file may ask for, well above what calibration
+ * picks, so a damaged or hostile header cannot make unlocking run for hours or exhaust memory
+ */
+const KDF_ALGORITHMS = {
+  [KDF_PBKDF2]: {
+    label: 'PBKDF2-SHA256',
+    probe: { iterations: 100000 },
+    derive: (password, salt, params) =>
+      pbkdf2Sha256(password, salt, params.iterations, params.keySize || AES_KEY_BITS),
+    // Linear in iterations, never below the OWASP 2023 minimum
+    scale: (probe, factor) => ({
+      iterations: Math.max(600000, Math.round(probe.iterations * factor))
+    }),
+    describe: params => `${params.iterations.toLocaleString()} iterations`,
+    limits: { iterations: [1, 10000000] }
+  },
+  [KDF_ARGON2ID]: {
+    label: 'Argon2id',
+    probe: { memorySize: 65536, iterations: 1, parallelism: 1 },
+    derive: (password, salt, params) => argon2id({
+      password,
+      salt,
+      memorySize: params.memorySize,
+      iterations: params.iterations,
+      parallelism: params.parallelism,
+      hashLength: (params.keySize || AES_KEY_BITS) / 8,
+      outputType: 'binary'
+    }),
+    scale: scaleArgon2id,
+    describe: params => `${Math.round(params.memorySize / 1024)} MiB, ${params.iterations} passes`,
+    // Memory in KiB, at most 1 GiB
+    limits: { memorySize: [8, 1048576], iterations: [1, 64], parallelism: [1, 16] }
+  },
+  [KDF_SCRYPT]: {
+    label: 'scrypt',
+    probe: { costFactor: 16384, blockSize: 8, parallelism: 1 },
+    derive: (password, salt, params) => scrypt({
+      password,
+      salt,
+      costFactor: params.costFactor,
+      blockSize: params.blockSize,
+      parallelism: params.parallelism,
+      hashLength: (params.keySize || AES_KEY_BITS) / 8,
+      outputType: 'binary'
+    }),
+    scale: scaleScrypt,
+    describe: params => `N=2^${Math.log2(params.costFactor)}, r=${params.blockSize}, p=${params.parallelism}`,
+    // N up to the 2^20 that calibration stops at, which with r=8 is 1 GiB
+    limits: { costFactor: [2, 2 ** 20], blockSize: [1, 8], parallelism: [1, 16] }
+  }
+};
+
+/**
+ * Scale Argon2id probe parameters
+ * Adds passes on fast devices and trims memory (down to the OWASP floor) on slow ones
+ * @param {Object} probe - The timed probe parameters
+ * @param {number} factor - Target time divided by probe time
+ * @returns {Object} The scaled parameters
+ */
+function scaleArgon2id(probe, factor) {
+  if (factor >= 2) {
+    return { ...probe, iterations: Math.min(20, Math.round(factor)) };
+  }
+  // Two passes at reduced memory, never below 19 MiB
+  const memorySize = Math.max(19456, Math.round(probe.memorySize * factor / 2));
+  return { ...probe, memorySize, iterations: 2 };
+}
+
+/**
+ * Scale scrypt probe parameters
+ * Cost must be a power of two; keep it between 2^15 and 2^20
+ * @param {Object} probe - The timed probe parameters
+ * @param {number} factor - Target time divided by probe time
+ * @returns {Object} The scaled parameters
+ */
+function scaleScrypt(probe, factor) {
+  const exponent = Math.round(Math.log2(probe.costFactor * factor));
+  return { ...probe, costFactor: 2 ** Math.min(20, Math.max(15, exponent)) };
+}
+
+/**
+ * Get a KDF registry entry
+ * @param {string} name - The KDF name
+ * @returns {Object} The registry entry
+ */
+function getKdfAlgorithm(name) {
+  const algorithm = KDF_ALGORITHMS[name];
+  if (!algorithm) {
+    throw new Error(`Unsupported key derivation function: ${name}`);
+  }
+  return algorithm;
+}
+
+/**
+ * Check whether a KDF is supported
+ * @param {string} name - The KDF name
+ * @returns {boolean} True if supported
+ */
+export function isSupportedKdf(name) {
+  return Boolean(KDF_ALGORITHMS[name]);
+}
+
+/**
+ * Check that the cost parameters of a supported KDF are whole numbers within its limits
+ * scrypt's cost factor must also be a power of two
+ * @param {Object} params - The KDF parameters
+ * @returns {boolean} True if every cost parameter is within its limits
+ */
+export function isWithinKdfLimits(params) {
+  const { limits } = getKdfAlgorithm(params.name);
+  const withinLimits = Object.entries(limits).every(([param, [min, max]]) =>
+    Number.isInteger(params[param]) && params[param] >= min && params[param] <= max);
+  if (!withinLimits) return false;
+  return params.name !== KDF_SCRYPT || Number.isInteger(Math.log2(params.costFactor));
+}
+
+/**
+ * List the supported KDFs for the settings UI
+ * @returns {Array<{name: string, label: string}>} The supported KDFs
+ */
+export function listKdfs() {
+  return Object.entries(KDF_ALGORITHMS).map(([name, algorithm]) => ({ name, label: algorithm.label }));
+}
+
+/**
+ * Derive key bytes from a password
+ * @param {string} password - The normalized password
+ * @param {Uint8Array} salt - The salt
+ * @param {Object} params - KDF parameters including the KDF name
+ * @returns {Promise<Uint8Array>} The derived key bytes
+ */
+export async function deriveKeyBytes(password, salt, params) {
+  const algorithm = getKdfAlgorithm(params.name);
+  return algorithm.derive(password, salt, params);
+}
+
+/**
+ * Pick KDF cost parameters that take roughly targetMs to derive on this device
+ * @param {string} name - The KDF to calibrate
+ * @param {number} targetMs - The target unlock time in milliseconds
+ * @returns {Promise<Object>} The calibrated parameters (without salt)
+ */
+export async function calibrateKdf(name = DEFAULT_KDF_NAME, targetMs = DEFAULT_TARGET_MS) {
+  const algorithm = getKdfAlgorithm(name);
+  const probe = { name, ...algorithm.probe, keySize: AES_KEY_BITS };
+
+  // Warm up first so WebAssembly compilation is not counted, then time the probe
+  await algorithm.derive('calibration', randomBytes(16), probe);
+  const start = performance.now();
+  await algorithm.derive('calibration', randomBytes(16), probe);
+  const elapsed = Math.max(1, performance.now() - start);
+
+  const params = { name, ...algorithm.scale(algorithm.probe, targetMs / elapsed), keySize: AES_KEY_BITS };
+  console.log(`KDF calibrated: ${name} probe took ${Math.round(elapsed)}ms, using ${describeKdf(params)}`);
+  return params;
+}
+
+/**
+ * Estimate the relative cost of KDF parameters, for comparing two settings of the same KDF
+ * @param {Object} params - The KDF parameters
+ * @returns {number} A cost figure proportional to derivation work
+ */
+export function kdfCost(params) {
+  switch (params.name) {
+    case KDF_ARGON2ID:
+      return params.memorySize * params.iterations;
+    case KDF_SCRYPT:
+      return params.costFactor * params.blockSize * params.parallelism;
+    default:
+      return params.iterations;
+  }
+}
+
+/**
+ * Describe KDF parameters for display
+ * @param {Object} params - The KDF parameters
+ * @returns {string} A human-readable description
+ */
+export function describeKdf(params) {
+  const algorithm = getKdfAlgorithm(params.name);
+  return `${algorithm.label} (${algorithm.describe(params)})`;
+}
+
+// Export KDF module
+export default {
+  KDF_PBKDF2,
+  KDF_ARGON2ID,
+  KDF_SCRYPT,
+  DEFAULT_KDF_NAME,
+  DEFAULT_TARGET_MS,
+  isSupportedKdf,
+  isWithinKdfLimits,
+  listKdfs,
+  deriveKeyBytes,
+  calibrateKdf,
+  kdfCost,
+  describeKdf
+};
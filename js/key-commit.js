@@ -0,0 +1,177 @@
+// Import dependencies
+import { DEFAULT_KDF, createKdfParams, parseVaultFile } from './vault-format.js';
+import { importDataKey, isSameDataKey } from './envelope.js';
+import { reprotectKeySlot } from './key-slots.js';
+import { rekeySnapshots } from './snapshot-store.js';
+import {
+  setEncryptionKey,
+  getEncryptionKey,
+  setKeySlots,
+  getKeySlots,
+  getActiveSlotId,
+  getKeyfileHash,
+  getActiveKeySlot,
+  getKdfParams,
+  storeSession
+} from './vault-session.js';
+import { unwrapWithPassword, deriveKeyFromPassword } from './vault-slots.js';
+import { getStorageAdapter, persistVault } from './vault-storage.js';
+import { serializeVault } from './vault-serialize.js';
+import { packVaultFile, writeBackVaultFile, downloadVaultFile } from './vault-file.js';
+import { getVaultData, setVaultData } from './database.js';
+import { isDecoyOpen } from './vault-decoy.js';
+import { unlockVaultFile, decryptUnlockedPayload } from './vault-open.js';
+
+/*
+ * Key changes
+ *
+ * A change to the open vault's key slots or data key is written to a new vault file,
+ * which must open with the password before anything is replaced. Only then is it
+ * stored, the snapshots on this device are moved to the new keys, and the user gets
+ * the matching file.
+ */
+
+/**
+ * Confirm a password opens the active key slot and yields the open data key
+ * @param {string} password - The password to check
+ * @returns {Promise<Object|null>} The active slot match, or null if the password is wrong
+ */
+export async function confirmActiveSlot(password) {
+  const activeSlot = getActiveKeySlot();
+  if (!getEncryptionKey() || !getVaultData() || !activeSlot) {
+    console.error("No vault is open");
+    return null;
+  }
+  
+  const match = await unwrapWithPassword(password, [activeSlot]);
+  if (!match || !await isSameDataKey(match.dataKey, getEncryptionKey())) {
+    console.error("Password does not match the open vault");
+    return null;
+  }
+  return match;
+}
+
+/**
+ * Check that serialized vault JSON opens with a password and yields the expected data key
+ * @param {string} jsonData - The vault file JSON
+ * @param {string} password - The password that should open it, through a key slot or the spare slot
+ * @param {CryptoKey} expectedKey - The data key the file should be encrypted with
+ * @returns {Promise<boolean>} True if the vault opens and decrypts
+ */
+async function verifyVaultJson(jsonData, password, expectedKey = getEncryptionKey()) {
+  try {
+    const vaultFileObj = parseVaultFile(jsonData);
+    const unlocked = await unlockVaultFile(vaultFileObj, password, getKeyfileHash());
+    if (!unlocked || !await isSameDataKey(unlocked.dataKey, expectedKey)) return false;
+    
+    await decryptUnlockedPayload(vaultFileObj, unlocked);
+    return true;
+  } catch (error) {
+    console.error("Error verifying vault file:", error);
+    return false;
+  }
+}
+
+/**
+ * Verify a new vault file, then make its slots, data and key the open vault's
+ * and hand the user the matching file
+ * @param {Object} update - The new slots, vault data, the Base64 data key if it
+ *   rotates (the open key is kept otherwise), and the password that must open the file
+ * @returns {Promise<boolean>} True if the update was committed
+ */
+export async function commitKeyChange({ slots, data = getVaultData(), dataKey = null, password }) {
+  const key = dataKey ? await importDataKey(dataKey) : getEncryptionKey();
+  const jsonData = await serializeVault(data, slots, key);
+  if (!await verifyVaultJson(jsonData, password, key)) {
+    console.error("Updated vault failed verification, keeping the previous keys");
+    return false;
+  }
+  
+  await persistVault(jsonData);
+  
+  // Snapshots on this device must not stay readable with replaced passwords or keys.
+  // The decoy's slot is not in their key slots, which belong to the real vault and stay as they are
+  try {
+    if (!isDecoyOpen()) {
+      await rekeySnapshots(await getStorageAdapter(), {
+        oldKey: getEncryptionKey(),
+        newKey: key,
+        keySlots: slots,
+        serialize: snapshotData => serializeVault(snapshotData, slots, key)
+      });
+    }
+  } catch (error) {
+    console.error("Error moving vault snapshots to the new keys:", error);
+  }
+  
+  setVaultData(data);
+  setKeySlots(slots, getActiveSlotId());
+  if (dataKey) await setEncryptionKey(dataKey);
+  storeSession();
+  
+  // The opened file is updated in place; otherwise the user gets a new copy
+  const container = await packVaultFile(jsonData, data);
+  if (!await writeBackVaultFile(container)) {
+    await downloadVaultFile(container);
+  }
+  return true;
+}
+
+/**
+ * Protect the active key slot with a new password key
+ * The new vault file is verified by re-reading it before the old slot is discarded,
+ * then downloaded so the exported file and the in-memory state agree
+ * @param {string} currentPassword - The current vault password
+ * @param {string} newPassword - The password for the slot
+ * @param {Object} newKdf - The KDF name and cost parameters for the slot
+ * @returns {Promise<string|null>} The new password-derived key, or null on failure
+ */
+async function rewrapVault(currentPassword, newPassword, newKdf) {
+  const match = await confirmActiveSlot(currentPassword);
+  if (!match) return null;
+  
+  // Re-encrypt the slot's private key under the new password key, with a fresh salt;
+  // a slot set up with a keyfile keeps requiring it
+  const { keyfile, ...newCost } = newKdf;
+  const newParams = createKdfParams(match.slot.kdf.keyfile ? { ...newCost, keyfile: true } : newCost);
+  const newPasswordKey = await deriveKeyFromPassword(newPassword, newParams.salt, newParams, getKeyfileHash());
+  if (!newPasswordKey) return null;
+  const newSlot = await reprotectKeySlot(match.slot, match.passwordKey, newPasswordKey, newParams);
+  if (!newSlot) return null;
+  
+  const slots = getKeySlots().map(slot => slot.id === newSlot.id ? newSlot : slot);
+  if (!await commitKeyChange({ slots, password: newPassword })) return null;
+  
+  console.log("Vault key slot re-wrapped");
+  return newPasswordKey;
+}
+
+/**
+ * Re-key the open vault with new key derivation parameters
+ * @param {string} password - The vault password
+ * @param {Object} newKdf - The new KDF name and cost parameters (e.g. from calibrateKdf)
+ * @returns {Promise<string|null>} The new password-derived key, or null if re-keying failed
+ */
+export async function rekeyVault(password, newKdf) {
+  return rewrapVault(password, password, newKdf);
+}
+
+/**
+ * Change the vault password by re-wrapping the data key
+ * Keeps the current KDF and cost, with a fresh salt
+ * @param {string} currentPassword - The current vault password
+ * @param {string} newPassword - The new vault password
+ * @returns {Promise<string|null>} The new password-derived key, or null on failure
+ */
+export async function changeVaultPassword(currentPassword, newPassword) {
+  const { salt, ...currentCost } = getKdfParams() || {};
+  return rewrapVault(currentPassword, newPassword, currentCost.name ? currentCost : DEFAULT_KDF);
+}
+
+// Export key commit module
+export default {
+  confirmActiveSlot,
+  commitKeyChange,
+  rekeyVault,
+  changeVaultPassword
+};
@@ -0,0 +1,204 @@
+// Import WebCrypto helpers
+import {
+  AES_KEY_BITS,
+  randomBytes,
+  hkdfSha256,
+  importAesKey,
+  encryptBytes,
+  decryptBytes,
+  bytesToBase64,
+  base64ToBytes,
+  bytesToHex
+} from './crypto.js';
+
+/**
+ * Key slots
+ *
+ * Every slot holds an ECDH P-256 key pair. The private key is encrypted under the
+ * slot's passphrase key; the vault data key is wrapped to the slot's public key
+ * through an ephemeral ECDH exchange. Unlocking needs the passphrase, but
+ * re-wrapping a new data key for every slot only needs their public keys, so a
+ * revoked slot can be dropped and the data key rotated without the other passphrases.
+ */
+
+// ECDH curve and HKDF context for slot wraps
+const SLOT_CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+const SLOT_WRAP_INFO = 'SecureVault key slot data key wrap';
+
+/**
+ * Generate a key slot id
+ * @returns {string} The slot id
+ */
+function generateSlotId() {
+  return 'slot_' + bytesToHex(randomBytes(8));
+}
+
+/**
+ * Derive the AES key that wraps the data key for one slot
+ * @param {CryptoKey} privateKey - Our ECDH private key
+ * @param {CryptoKey} publicKey - The other side's ECDH public key
+ * @param {Uint8Array} ephemeralPublic - Raw ephemeral public key, used as HKDF salt
+ * @returns {Promise<CryptoKey>} The AES-GCM wrapping key
+ */
+async function deriveSlotWrapKey(privateKey, publicKey, ephemeralPublic) {
+  const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  return importAesKey(await hkdfSha256(new Uint8Array(shared), ephemeralPublic, SLOT_WRAP_INFO));
+}
+
+/**
+ * Import a raw P-256 public key
+ * @param {string} publicKey - Base64 raw public key
+ * @returns {Promise<CryptoKey>} The ECDH public key
+ */
+function importSlotPublicKey(publicKey) {
+  return crypto.subtle.importKey('raw', base64ToBytes(publicKey), SLOT_CURVE, false, []);
+}
+
+/**
+ * Wrap a data key to a slot's public key
+ * @param {Object} slot - The key slot (only its public key is used)
+ * @param {string} dataKey - The Base64 data key
+ * @returns {Promise<Object>} A copy of the slot carrying the new wrap
+ */
+export async function wrapDataKeyForSlot(slot, dataKey) {
+  const ephemeral = await crypto.subtle.generateKey(SLOT_CURVE, true, ['deriveBits']);
+  const ephemeralPublic = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  const slotPublic = await importSlotPublicKey(slot.publicKey);
+
+  const wrapKey = await deriveSlotWrapKey(ephemeral.privateKey, slotPublic, ephemeralPublic);
+  const wrapped = await encryptBytes(wrapKey, base64ToBytes(dataKey));
+
+  return {
+    ...slot,
+    ephemeralKey: bytesToBase64(ephemeralPublic),
+    wrappedKey: bytesToBase64(wrapped)
+  };
+}
+
+/**
+ * Create a key slot whose private key is encrypted under the given AES key
+ * @param {CryptoKey} privateKeyKey - The AES-GCM key protecting the slot's private key
+ * @param {Object} kdf - The key derivation parameters recorded for the slot
+ * @param {string} dataKey - The Base64 key to wrap to the slot
+ * @returns {Promise<Object>} The new key slot
+ */
+async function createSlot(privateKeyKey, kdf, dataKey) {
+  const keyPair = await crypto.subtle.generateKey(SLOT_CURVE, true, ['deriveBits']);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+  const privateKey = new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey));
+  const encryptedPrivateKey = await encryptBytes(privateKeyKey, privateKey);
+
+  const slot = {
+    id: generateSlotId(),
+    kdf: { ...kdf },
+    publicKey: bytesToBase64(publicKey),
+    privateKey: bytesToBase64(encryptedPrivateKey)
+  };
+  return wrapDataKeyForSlot(slot, dataKey);
+}
+
+/**
+ * Create a key slot for a passphrase
+ * @param {string} passphraseKey - The Base64 key derived from the slot's passphrase
+ * @param {Object} kdf - The key derivation parameters of the passphrase key
+ * @param {string} dataKey - The Base64 vault data key
+ * @returns {Promise<Object>} The new key slot
+ */
+export async function createKeySlot(passphraseKey, kdf, dataKey) {
+  // Only the passphrase key can recover the private key
+  return createSlot(await importAesKey(base64ToBytes(passphraseKey)), kdf, dataKey);
+}
+
+/**
+ * Create a key slot that no passphrase opens
+ * Its fields have the same form and sizes as a real slot's: the private key is encrypted
+ * under a random key that is thrown away, and a random key is wrapped to it
+ * @param {Object} kdf - The key derivation parameters to record, with their own salt
+ * @returns {Promise<Object>} The filler slot
+ */
+export async function createFillerKeySlot(kdf) {
+  return createSlot(await importAesKey(randomBytes(AES_KEY_BITS / 8)), kdf, bytesToBase64(randomBytes(AES_KEY_BITS / 8)));
+}
+
+/**
+ * Decrypt a slot's private key with its passphrase key
+ * @param {string} passphraseKey - The Base64 passphrase key
+ * @param {Object} slot - The key slot
+ * @returns {Promise<Uint8Array>} The PKCS#8 private key; throws if the passphrase is wrong
+ */
+async function decryptSlotPrivateKey(passphraseKey, slot) {
+  const key = await importAesKey(base64ToBytes(passphraseKey));
+  return decryptBytes(key, base64ToBytes(slot.privateKey));
+}
+
+/**
+ * Open a key slot and recover the data key
+ * @param {string} passphraseKey - The Base64 key derived from a passphrase
+ * @param {Object} slot - The key slot
+ * @returns {Promise<string|null>} The Base64 data key, or null if the passphrase does not match
+ */
+export async function openKeySlot(passphraseKey, slot) {
+  try {
+    const privateBytes = await decryptSlotPrivateKey(passphraseKey, slot);
+    const privateKey = await crypto.subtle.importKey('pkcs8', privateBytes, SLOT_CURVE, false, ['deriveBits']);
+    const ephemeralPublic = base64ToBytes(slot.ephemeralKey);
+    const ephemeralKey = await crypto.subtle.importKey('raw', ephemeralPublic, SLOT_CURVE, false, []);
+
+    const wrapKey = await deriveSlotWrapKey(privateKey, ephemeralKey, ephemeralPublic);
+    return bytesToBase64(await decryptBytes(wrapKey, base64ToBytes(slot.wrappedKey)));
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong passphrase
+    return null;
+  }
+}
+
+/**
+ * Protect a slot's private key under a different passphrase key
+ * The slot's public key and data key wrap stay the same
+ * @param {Object} slot - The key slot
+ * @param {string} currentKey - The Base64 current passphrase key
+ * @param {string} newKey - The Base64 new passphrase key
+ * @param {Object} newKdf - The key derivation parameters of the new passphrase key
+ * @returns {Promise<Object|null>} The updated slot, or null if the current key is wrong
+ */
+export async function reprotectKeySlot(slot, currentKey, newKey, newKdf) {
+  try {
+    const privateBytes = await decryptSlotPrivateKey(currentKey, slot);
+    const encrypted = await encryptBytes(await importAesKey(base64ToBytes(newKey)), privateBytes);
+    return { ...slot, kdf: { ...newKdf }, privateKey: bytesToBase64(encrypted) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a digest of a slot's public key
+ * The vault's encrypted data records it for each slot, since the slots themselves sit in the
+ * unencrypted file header where whoever stores the file could add one
+ * @param {Object} slot - The key slot
+ * @returns {Promise<string>} The hex SHA-256 of the raw public key
+ */
+export async function getSlotKeyDigest(slot) {
+  return bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', base64ToBytes(slot.publicKey))));
+}
+
+/**
+ * Check that a header value looks like a complete key slot
+ * @param {Object} slot - The candidate slot
+ * @returns {boolean} True if all slot fields are present
+ */
+export function isValidKeySlot(slot) {
+  return Boolean(slot && slot.id && slot.kdf && slot.kdf.salt &&
+    slot.publicKey && slot.privateKey && slot.ephemeralKey && slot.wrappedKey);
+}
+
+// Export key slots module
+export default {
+  wrapDataKeyForSlot,
+  createKeySlot,
+  createFillerKeySlot,
+  openKeySlot,
+  reprotectKeySlot,
+  getSlotKeyDigest,
+  isValidKeySlot
+};
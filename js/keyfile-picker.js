@@ -0,0 +1,99 @@
+// Import keyfile helpers
+import { hashKeyfile, generateKeyfile, downloadKeyfile } from './keyfile.js';
+
+// Keyfile pickers by id; each has <id>-keyfile-btn, -input, -name and -clear elements
+const PICKER_IDS = ['auth', 'import', 'merge'];
+
+// Selected keyfile hashes by picker id
+const selectedKeyfiles = {};
+
+/**
+ * Get the hash of the keyfile selected in a picker
+ * @param {string} pickerId - The picker id ('auth', 'import' or 'merge')
+ * @returns {string|null} The hex keyfile hash, or null if none is selected
+ */
+export function getSelectedKeyfile(pickerId) {
+  return selectedKeyfiles[pickerId] || null;
+}
+
+/**
+ * Select a keyfile in a picker
+ * @param {string} pickerId - The picker id
+ * @param {string|null} hash - The hex keyfile hash, or null to clear
+ * @param {string} name - The file name to show
+ */
+function selectKeyfile(pickerId, hash, name = '') {
+  selectedKeyfiles[pickerId] = hash;
+
+  const nameLabel = document.getElementById(`${pickerId}-keyfile-name`);
+  const clearBtn = document.getElementById(`${pickerId}-keyfile-clear`);
+  if (nameLabel) nameLabel.textContent = hash ? name : 'No keyfile';
+  if (clearBtn) clearBtn.style.display = hash ? 'inline-block' : 'none';
+}
+
+/**
+ * Wire up one keyfile picker
+ * @param {string} pickerId - The picker id
+ */
+function initializePicker(pickerId) {
+  const selectBtn = document.getElementById(`${pickerId}-keyfile-btn`);
+  const fileInput = document.getElementById(`${pickerId}-keyfile-input`);
+  const clearBtn = document.getElementById(`${pickerId}-keyfile-clear`);
+
+  if (!selectBtn || !fileInput) {
+    console.warn(`Keyfile picker "${pickerId}" not found`);
+    return;
+  }
+
+  selectBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    fileInput.value = '';
+    fileInput.click();
+  });
+
+  // Hash the keyfile as soon as it is picked; its contents are not kept
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    selectKeyfile(pickerId, await hashKeyfile(file), file.name);
+  });
+
+  if (clearBtn) {
+    clearBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      selectKeyfile(pickerId, null);
+    });
+  }
+
+  selectKeyfile(pickerId, null);
+}
+
+/**
+ * Generate a random keyfile, download it and select it for the new vault
+ */
+async function handleGenerateKeyfile() {
+  const keyfile = generateKeyfile();
+  downloadKeyfile(keyfile);
+  selectKeyfile('auth', await hashKeyfile(keyfile), 'Generated keyfile (downloaded)');
+}
+
+/**
+ * Initialize the keyfile pickers and the generate keyfile button
+ */
+export function initializeKeyfilePickers() {
+  PICKER_IDS.forEach(initializePicker);
+
+  const generateBtn = document.getElementById('generate-keyfile-btn');
+  if (generateBtn) {
+    generateBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      handleGenerateKeyfile();
+    });
+  }
+}
+
+// Export keyfile picker module
+export default {
+  getSelectedKeyfile,
+  initializeKeyfilePickers
+};
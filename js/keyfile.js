@@ -0,0 +1,69 @@
+// Import WebCrypto helpers
+import { randomBytes, hkdfSha256, bytesToHex, hexToBytes } from './crypto.js';
+
+// Size of generated keyfiles; any local file can serve as a keyfile
+const KEYFILE_BYTES = 64;
+
+// HKDF context binding the keyfile mix to its purpose
+const KEYFILE_MIX_INFO = 'SecureVault password and keyfile';
+
+/**
+ * Hash a keyfile's contents
+ * Only the hash is kept, so the keyfile itself never leaves the file picker
+ * @param {File|Blob} file - The keyfile
+ * @returns {Promise<string>} The hex SHA-256 hash of the file
+ */
+export async function hashKeyfile(file) {
+  const contents = await file.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', contents);
+  return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * Mix a keyfile hash into password-derived key bytes
+ * Both factors are needed to reproduce the result, and a missing keyfile cannot be
+ * brute-forced separately because the expensive KDF runs on the password first
+ * @param {Uint8Array} keyBytes - The key bytes derived from the password
+ * @param {string} keyfileHash - The hex keyfile hash
+ * @param {Uint8Array} salt - The salt of the key derivation
+ * @returns {Promise<Uint8Array>} The combined key bytes
+ */
+export async function mixKeyfile(keyBytes, keyfileHash, salt) {
+  const keyfileBytes = hexToBytes(keyfileHash);
+  const combined = new Uint8Array(keyBytes.length + keyfileBytes.length);
+  combined.set(keyBytes, 0);
+  combined.set(keyfileBytes, keyBytes.length);
+  return hkdfSha256(combined, salt, KEYFILE_MIX_INFO, keyBytes.length * 8);
+}
+
+/**
+ * Generate a random keyfile
+ * @returns {Blob} The keyfile contents
+ */
+export function generateKeyfile() {
+  return new Blob([randomBytes(KEYFILE_BYTES)], { type: 'application/octet-stream' });
+}
+
+/**
+ * Download a keyfile so the user can keep it next to (but not with) the vault file
+ * @param {Blob} keyfile - The keyfile contents
+ */
+export function downloadKeyfile(keyfile) {
+  const url = URL.createObjectURL(keyfile);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `secure-vault-${new Date().toISOString().split('T')[0]}.keyfile`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  console.log("Keyfile downloaded");
+}
+
+// Export keyfile module
+export default {
+  hashKeyfile,
+  mixKeyfile,
+  generateKeyfile,
+  downloadKeyfile
+};
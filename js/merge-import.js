@@ -0,0 +1,244 @@
+// Import dependencies
+import { vaultFileRequiresKeyfile } from './vault-file.js';
+import { MERGE_CHOICES, mergeChoiceKey, planImportedMerge, prepareVaultMerge, applyVaultMerge } from './vault-merge.js';
+import { describeVaultError, VaultError } from './vault-errors.js';
+import { getSelectedKeyfile } from './keyfile-picker.js';
+
+// The compared vault file and its merge plan, kept between the compare and merge steps
+let pendingMerge = null;
+
+// Set once a merge is saved; the views hold the vault as it was, so closing reloads the app
+let mergeSaved = false;
+
+// Labels of the conflict choices
+const CHOICE_LABELS = [
+  [MERGE_CHOICES.MINE, 'Keep mine'],
+  [MERGE_CHOICES.THEIRS, 'Keep theirs'],
+  [MERGE_CHOICES.BOTH, 'Keep both']
+];
+
+/**
+ * Show a message in the merge modal
+ * @param {string} message - The message to display
+ * @param {string} type - The message type (error, success, info)
+ */
+function showMergeMessage(message, type) {
+  const messageContainer = document.getElementById('merge-message');
+  if (!messageContainer) return;
+
+  messageContainer.textContent = message;
+  messageContainer.className = `message ${type}-message`;
+}
+
+/**
+ * Show one step of the merge modal and hide the others
+ * @param {string} step - The step name: open, review or done
+ */
+function showMergeStep(step) {
+  ['open', 'review', 'done'].forEach(name => {
+    document.getElementById(`merge-${name}-step`).style.display = name === step ? 'block' : 'none';
+  });
+}
+
+/**
+ * Initialize the merge import modal
+ */
+export function initializeMergeImport() {
+  const openBtn = document.getElementById('merge-import-btn');
+  const mergeModal = document.getElementById('merge-modal');
+  const compareBtn = document.getElementById('merge-compare-btn');
+  const applyBtn = document.getElementById('merge-apply-btn');
+  const doneBtn = document.getElementById('merge-done-btn');
+
+  if (!openBtn || !mergeModal || !compareBtn || !applyBtn || !doneBtn) {
+    console.warn('Merge import elements not found');
+    return;
+  }
+
+  openBtn.addEventListener('click', () => {
+    resetMergeModal();
+    document.getElementById('settings-modal').classList.remove('active');
+    mergeModal.classList.add('active');
+  });
+
+  compareBtn.addEventListener('click', () => handleCompare(compareBtn));
+  applyBtn.addEventListener('click', () => handleApply(applyBtn));
+  doneBtn.addEventListener('click', () => {
+    if (mergeSaved) {
+      window.location.reload();
+    } else {
+      mergeModal.classList.remove('active');
+    }
+  });
+
+  // However the modal is closed after a merge, reload so no view saves its stale copy over the merge
+  mergeModal.addEventListener('click', (event) => {
+    if (mergeSaved && (event.target === mergeModal || event.target.closest('.close-modal'))) {
+      window.location.reload();
+    }
+  });
+}
+
+/**
+ * Clear the merge modal for a new import
+ */
+function resetMergeModal() {
+  pendingMerge = null;
+  document.getElementById('merge-file-input').value = '';
+  document.getElementById('merge-password').value = '';
+  showMergeMessage('', 'info');
+  showMergeStep('open');
+}
+
+/**
+ * Open the merge modal at its review step for a vault file that is already decrypted
+ * Used when the import preview chooses to merge
+ * @param {Object} imported - The opened file from readVaultFileData
+ */
+export async function showMergeReview(imported) {
+  resetMergeModal();
+  document.getElementById('merge-modal').classList.add('active');
+
+  try {
+    pendingMerge = { plan: await planImportedMerge(imported), imported };
+    renderMergePlan(pendingMerge.plan);
+    showMergeStep('review');
+  } catch (error) {
+    console.error('Error comparing vault file for merge:', error);
+    showMergeMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Decrypt the chosen vault file and show how it differs from the open vault
+ * @param {HTMLButtonElement} compareBtn - The compare button
+ */
+async function handleCompare(compareBtn) {
+  const file = document.getElementById('merge-file-input').files[0];
+  const password = document.getElementById('merge-password').value;
+
+  if (!file) {
+    showMergeMessage('Please select a vault file', 'error');
+    return;
+  }
+
+  if (!password) {
+    showMergeMessage('Please enter the password of that vault', 'error');
+    return;
+  }
+
+  compareBtn.disabled = true;
+  showMergeMessage('Reading vault file...', 'info');
+
+  try {
+    // Ask for the keyfile if the vault header says one is required
+    const keyfile = getSelectedKeyfile('merge');
+    if (!keyfile && await vaultFileRequiresKeyfile(file)) {
+      showMergeMessage('This vault requires its keyfile. Select the keyfile and try again.', 'error');
+      return;
+    }
+
+    pendingMerge = await prepareVaultMerge(file, password, keyfile);
+    renderMergePlan(pendingMerge.plan);
+    showMergeMessage('', 'info');
+    showMergeStep('review');
+  } catch (error) {
+    console.error('Error reading vault file for merge:', error);
+    showMergeMessage(error instanceof VaultError ? describeVaultError(error) : error.message, 'error');
+  } finally {
+    compareBtn.disabled = false;
+  }
+}
+
+/**
+ * Describe one side of a conflict
+ * @param {string} side - Mine or theirs
+ * @param {Object} item - That side's version of the item
+ * @returns {string} The item's name and when it was last changed
+ */
+function describeVersion(side, item) {
+  const modified = item.modified ? new Date(item.modified).toLocaleString() : 'unknown';
+  return `${side}: "${item.name || item.id}", changed ${modified}`;
+}
+
+/**
+ * Create the row of one conflict, with a choice of which version to keep
+ * The newer version is preselected
+ * @param {Object} conflict - The conflict from the merge plan
+ * @returns {HTMLLIElement} The row
+ */
+function createConflictRow(conflict) {
+  const item = document.createElement('li');
+
+  const info = document.createElement('span');
+  info.textContent = `${describeVersion('Mine', conflict.mine)} / ${describeVersion('Theirs', conflict.theirs)} (${conflict.section})`;
+  item.appendChild(info);
+
+  const select = document.createElement('select');
+  select.dataset.choice = mergeChoiceKey(conflict.section, conflict.id);
+  CHOICE_LABELS.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === conflict.newer;
+    select.appendChild(option);
+  });
+  item.appendChild(select);
+
+  return item;
+}
+
+/**
+ * Show what a merge would add and list the conflicts
+ * @param {Object} plan - The merge plan
+ */
+function renderMergePlan(plan) {
+  const conflictList = document.getElementById('merge-conflict-list');
+  document.getElementById('merge-plan-summary').textContent =
+    `${plan.added.length} new items will be added and ${plan.unchanged} are already in this vault. ` +
+    (plan.conflicts.length > 0
+      ? `${plan.conflicts.length} items differ between the vaults; choose which version to keep.`
+      : 'No items conflict.');
+
+  conflictList.innerHTML = '';
+  plan.conflicts.forEach(conflict => conflictList.appendChild(createConflictRow(conflict)));
+}
+
+/**
+ * Merge the compared vault file with the chosen conflict resolutions
+ * @param {HTMLButtonElement} applyBtn - The merge button
+ */
+async function handleApply(applyBtn) {
+  if (!pendingMerge) return;
+
+  const choices = {};
+  document.querySelectorAll('#merge-conflict-list select[data-choice]').forEach(select => {
+    choices[select.dataset.choice] = select.value;
+  });
+
+  applyBtn.disabled = true;
+  showMergeMessage('Merging...', 'info');
+
+  try {
+    const summary = await applyVaultMerge(pendingMerge.imported, pendingMerge.plan, choices);
+    pendingMerge = null;
+    mergeSaved = summary.added + summary.updated + summary.keptBoth > 0;
+
+    document.getElementById('merge-summary').textContent =
+      `Added ${summary.added}, updated ${summary.updated}, kept both versions of ${summary.keptBoth}, ` +
+      `skipped ${summary.skipped}.` + (mergeSaved ? ' The vault as it was before is kept as a snapshot.' : '');
+    showMergeMessage('', 'info');
+    showMergeStep('done');
+  } catch (error) {
+    console.error('Error merging vault file:', error);
+    showMergeMessage('Error merging vault file: ' + error.message, 'error');
+  } finally {
+    applyBtn.disabled = false;
+  }
+}
+
+// Export merge import module
+export default {
+  initializeMergeImport,
+  showMergeReview
+};
@@ -0,0 +1,86 @@
+// Import dependencies
+import { changePassword } from './auth.js';
+import { getVaultFileHandle } from './vault-file.js';
+import { describeVaultFileSave } from './file-handle.js';
+import { showNotification } from './ui.js';
+
+/**
+ * Initialize the change password modal
+ */
+export function initializePasswordSettings() {
+  const saveBtn = document.getElementById('save-password-btn');
+  if (!saveBtn) {
+    console.warn('Change password form not found');
+    return;
+  }
+
+  saveBtn.addEventListener('click', handleChangePassword);
+}
+
+/**
+ * Show a message inside the change password modal
+ * @param {string} message - The message text
+ * @param {string} type - The message type (error, success, info)
+ */
+function showPasswordMessage(message, type) {
+  const messageContainer = document.getElementById('password-message');
+  if (!messageContainer) return;
+
+  messageContainer.textContent = message;
+  messageContainer.className = `message ${type}-message`;
+}
+
+/**
+ * Validate the form and re-wrap the vault key under the new password
+ */
+async function handleChangePassword() {
+  const saveBtn = document.getElementById('save-password-btn');
+  const currentInput = document.getElementById('current-password');
+  const newInput = document.getElementById('new-password');
+  const confirmInput = document.getElementById('confirm-new-password');
+
+  const currentPassword = currentInput.value.trim();
+  const newPassword = newInput.value.trim();
+
+  // Validate
+  if (!currentPassword || !newPassword) {
+    showPasswordMessage('Please fill in all password fields', 'error');
+    return;
+  }
+  if (newPassword !== confirmInput.value.trim()) {
+    showPasswordMessage('New passwords do not match', 'error');
+    return;
+  }
+  if (newPassword.length < 8) {
+    showPasswordMessage('Password must be at least 8 characters', 'error');
+    return;
+  }
+
+  saveBtn.disabled = true;
+  saveBtn.textContent = 'Re-encrypting...';
+
+  try {
+    const changed = await changePassword(currentPassword, newPassword);
+    if (!changed) {
+      showPasswordMessage('Current password is incorrect or the vault could not be verified', 'error');
+      return;
+    }
+
+    // Clear the form and close the modal
+    [currentInput, newInput, confirmInput].forEach(input => { input.value = ''; });
+    showPasswordMessage('', 'info');
+    document.getElementById('password-modal').classList.remove('active');
+    showNotification(`Password changed. ${describeVaultFileSave(getVaultFileHandle())}`, 'success', 6000);
+  } catch (error) {
+    console.error('Error changing password:', error);
+    showPasswordMessage('Error changing password: ' + error.message, 'error');
+  } finally {
+    saveBtn.disabled = false;
+    saveBtn.textContent = 'Save New Password';
+  }
+}
+
+// Export password settings module
+export default {
+  initializePasswordSettings
+};
@@ -0,0 +1,346 @@
+// Import dependencies
+import { userExists, login, signup } from './auth.js';
+import { loadStoredVaultFile, setVaultNamespace } from './vault-storage.js';
+import { vaultFileRequiresKeyfile } from './vault-file.js';
+import { getActiveVault } from './vault-registry.js';
+import { initializeVaultPicker } from './vault-picker.js';
+import {
+  UNLOCK_SOURCES,
+  getUnlockDelay,
+  describeDelay,
+  describeFailedUnlock,
+  recordFailedUnlock
+} from './unlock-throttle.js';
+import { getSelectedKeyfile, initializeKeyfilePickers } from './keyfile-picker.js';
+import { supportsFileSystemAccess, pickVaultFile, recallVaultFileHandle } from './file-handle.js';
+import { showNotification } from './ui.js';
+import { WrongPasswordError, describeVaultError } from './vault-errors.js';
+
+// Hidden file input for vault selection
+let vaultFileInput = null;
+
+// Whether the selected vault exists, so the auth screen unlocks it rather than creating it
+let hasUser = false;
+
+// Ticks the unlock button's countdown while wrong passwords make the selected vault wait
+let unlockWaitTimer = null;
+
+/**
+ * Initialize the password form of the auth screen: unlock the selected vault, or create it
+ */
+export function initializePasswordUnlock() {
+  // Create hidden file input for vault selection
+  vaultFileInput = document.createElement('input');
+  vaultFileInput.type = 'file';
+  vaultFileInput.id = 'vault-file-input';
+  vaultFileInput.accept = '.vault';
+  vaultFileInput.style.display = 'none';
+  document.body.appendChild(vaultFileInput);
+
+  // Get authentication elements
+  const passwordForm = document.getElementById('password-form');
+  const unlockBtn = document.getElementById('unlock-btn');
+
+  // Use the storage of the selected vault; a restored session reopens its own vault instead
+  setVaultNamespace(getActiveVault().namespace);
+
+  // Keyfile controls on the auth screen and in the import modal
+  initializeKeyfilePickers();
+
+  // Start from the auth record, then check storage for a vault without one
+  hasUser = userExists();
+  document.getElementById('new-user-fields').style.display = hasUser ? 'none' : 'block';
+  unlockBtn.textContent = hasUser ? 'Unlock Vault' : 'Create Vault';
+  applyAuthMode();
+
+  // Vault picker: switching vaults offers to unlock or create the selected one
+  initializeVaultPicker({ onSelect: handleVaultSelected, showMessage: showAuthMessage });
+
+  if (unlockBtn) {
+    unlockBtn.addEventListener('click', handleUnlockClick);
+  }
+
+  // Password form submission - just prevent default since we use the button click handler
+  if (passwordForm) {
+    passwordForm.addEventListener('submit', (e) => e.preventDefault());
+  }
+}
+
+/**
+ * Switch between the auth screen and the main screen
+ * @param {boolean} unlocked - True to show the main screen
+ */
+export function showMainScreen(unlocked) {
+  document.getElementById('auth-screen').classList.toggle('active', !unlocked);
+  document.getElementById('main-screen').classList.toggle('active', unlocked);
+}
+
+/**
+ * Show a message on the auth screen for a few seconds
+ * @param {string} message - The message text
+ * @param {string} type - The message type (error, success, info)
+ */
+export function showAuthMessage(message, type) {
+  const messageContainer = document.getElementById('auth-message');
+  if (!messageContainer) {
+    console.error('Auth message container not found');
+    return;
+  }
+
+  messageContainer.textContent = message;
+  messageContainer.className = 'message';
+  messageContainer.classList.add(`${type}-message`);
+
+  // Clear the message after 3 seconds
+  setTimeout(() => {
+    messageContainer.textContent = '';
+    messageContainer.className = 'message';
+  }, 3000);
+}
+
+/**
+ * Keep the unlock button disabled, counting down, until the selected vault's wait is over
+ */
+function holdUnlockButton() {
+  const unlockBtn = document.getElementById('unlock-btn');
+  clearInterval(unlockWaitTimer);
+  unlockWaitTimer = null;
+
+  const tick = () => {
+    const wait = hasUser ? getUnlockDelay() : 0;
+    if (wait > 0) {
+      unlockBtn.disabled = true;
+      unlockBtn.textContent = `Try again in ${describeDelay(wait)}`;
+      return true;
+    }
+
+    clearInterval(unlockWaitTimer);
+    unlockWaitTimer = null;
+    unlockBtn.disabled = false;
+    unlockBtn.textContent = hasUser ? 'Unlock Vault' : 'Create Vault';
+    return false;
+  };
+  if (tick()) {
+    unlockWaitTimer = setInterval(tick, 1000);
+  }
+}
+
+/**
+ * Show/hide appropriate fields based on whether the selected vault exists; a vault stored
+ * before it had an auth record still counts
+ */
+export async function applyAuthMode() {
+  hasUser = userExists() || Boolean(await loadStoredVaultFile());
+  document.getElementById('new-user-fields').style.display = hasUser ? 'none' : 'block';
+  holdUnlockButton();
+}
+
+/**
+ * Offer to unlock or create the vault just selected in the vault picker
+ */
+function handleVaultSelected() {
+  document.getElementById('password').value = '';
+  document.getElementById('confirm-password').value = '';
+  applyAuthMode();
+}
+
+/**
+ * Unlock the selected vault, or create it if it does not exist yet
+ * @param {Event} e - The click event
+ */
+async function handleUnlockClick(e) {
+  e.preventDefault();
+
+  // Get values
+  const password = document.getElementById('password').value.trim();
+
+  // If existing user, handle login
+  if (hasUser) {
+    await unlockVault(password);
+  } else {
+    await createVault(password);
+  }
+}
+
+/**
+ * Unlock the vault stored on this device with a password, or ask for a vault file if there is none
+ * @param {string} password - The entered password
+ */
+async function unlockVault(password) {
+  const unlockBtn = document.getElementById('unlock-btn');
+
+  // Validate
+  if (!password) {
+    showAuthMessage('Please enter your password', 'error');
+    return;
+  }
+
+  // Wrong passwords earlier make the next attempt wait
+  const wait = getUnlockDelay();
+  if (wait > 0) {
+    showAuthMessage(`Too many wrong passwords. Try again in ${describeDelay(wait)}.`, 'error');
+    holdUnlockButton();
+    return;
+  }
+
+  // Disable button during authentication
+  unlockBtn.disabled = true;
+  unlockBtn.textContent = 'Unlocking...';
+
+  try {
+    vaultFileInput.onchange = (e) => unlockWithFile(password, e.target.files[0]);
+
+    // Unlock the vault stored on this device, or ask for a vault file if there is none
+    const storedVault = await loadStoredVaultFile();
+    if (storedVault) {
+      // Reconnect to the file it was opened from, so saves keep writing back to it
+      await unlockWithFile(password, storedVault, await recallVaultFileHandle());
+    } else if (supportsFileSystemAccess()) {
+      // Open through a handle so saves can be written back to the same file
+      const picked = await pickVaultFile();
+      await unlockWithFile(password, picked && picked.file, picked && picked.handle);
+    } else {
+      vaultFileInput.click();
+    }
+  } catch (error) {
+    console.error('Login error:', error);
+    showAuthMessage('Login failed: ' + error.message, 'error');
+
+    // Reset button
+    unlockBtn.disabled = false;
+    unlockBtn.textContent = 'Unlock Vault';
+  }
+}
+
+/**
+ * Unlock a vault file with the entered password (and keyfile)
+ * @param {string} password - The entered password
+ * @param {File|null} file - The vault file
+ * @param {FileSystemFileHandle|null} fileHandle - The handle the file was opened through, if any
+ */
+async function unlockWithFile(password, file, fileHandle = null) {
+  if (!file) {
+    showAuthMessage('No vault file selected', 'error');
+    const unlockBtn = document.getElementById('unlock-btn');
+    unlockBtn.disabled = false;
+    unlockBtn.textContent = 'Unlock Vault';
+    return;
+  }
+
+  // A vault that requires a keyfile is still tried without one, since a duress
+  // password opens its decoy alone; a wrong password then asks for the keyfile
+  const keyfile = getSelectedKeyfile('auth');
+  const keyfileMissing = !keyfile && await vaultFileRequiresKeyfile(file);
+
+  // Set the vault file and attempt login
+  try {
+    await login(password, file, keyfile, fileHandle);
+    showMainScreen(true);
+
+    // Clear password
+    document.getElementById('password').value = '';
+
+    // Show welcome message
+    showAuthMessage(`Login successful`, 'success');
+  } catch (error) {
+    // Say whether the password was wrong or the file cannot be read
+    console.error('Login failed:', error);
+    if (!await reportFailedUnlock(error, keyfileMissing)) return;
+  }
+
+  // Reset button, or count down the wait after a wrong password
+  holdUnlockButton();
+}
+
+/**
+ * Tell the user why a vault file did not unlock, counting a wrong password
+ * @param {Error} error - The error the unlock failed with
+ * @param {boolean} keyfileMissing - Whether the vault requires a keyfile and none was selected
+ * @returns {Promise<boolean>} False if the wrong password erased the vault from this device
+ */
+async function reportFailedUnlock(error, keyfileMissing) {
+  if (!(error instanceof WrongPasswordError)) {
+    showAuthMessage(describeVaultError(error), 'error');
+    return true;
+  }
+
+  // Count the wrong password; enough of them in a row may erase the vault
+  const failure = await recordFailedUnlock(UNLOCK_SOURCES.UNLOCK);
+  if (failure.erased) {
+    showAuthMessage(describeFailedUnlock(failure), 'error');
+    showNotification(describeFailedUnlock(failure), 'error');
+    await applyAuthMode();
+    return false;
+  }
+
+  const reason = keyfileMissing
+    ? 'This vault requires its keyfile. Select the keyfile and try again.'
+    : describeVaultError(error);
+  showAuthMessage(`${reason} ${describeFailedUnlock(failure)}`.trim(), 'error');
+  return true;
+}
+
+/**
+ * Check a password chosen for a new vault
+ * @param {string} password - The entered password
+ * @param {string} confirmPassword - The password entered again
+ * @returns {string|null} Why the password cannot be used, or null if it can
+ */
+function checkNewPassword(password, confirmPassword) {
+  if (!password) return 'Please enter a password';
+  if (password !== confirmPassword) return 'Passwords do not match';
+  if (password.length < 8) return 'Password must be at least 8 characters';
+  return null;
+}
+
+/**
+ * Create a new vault with the entered password
+ * @param {string} password - The entered password
+ */
+async function createVault(password) {
+  const unlockBtn = document.getElementById('unlock-btn');
+  const confirmPasswordInput = document.getElementById('confirm-password');
+
+  // Validate
+  const problem = checkNewPassword(password, confirmPasswordInput.value.trim());
+  if (problem) {
+    showAuthMessage(problem, 'error');
+    return;
+  }
+
+  // Disable button during signup
+  unlockBtn.disabled = true;
+  unlockBtn.textContent = 'Creating Vault...';
+
+  try {
+    // Create a new vault, requiring the keyfile if one was selected or generated
+    const success = await signup(password, getSelectedKeyfile('auth'));
+
+    if (success) {
+      showMainScreen(true);
+
+      // Clear passwords
+      document.getElementById('password').value = '';
+      confirmPasswordInput.value = '';
+
+      // Show welcome message
+      showAuthMessage('New vault created successfully! Your vault file has been downloaded.', 'success');
+      showNotification('Remember to keep your vault file safe!', 'info');
+    }
+  } catch (error) {
+    console.error('Signup error:', error);
+    showAuthMessage('Vault creation failed: ' + error.message, 'error');
+  }
+
+  // Reset button
+  unlockBtn.disabled = false;
+  unlockBtn.textContent = 'Create Vault';
+}
+
+// Export password unlock module
+export default {
+  initializePasswordUnlock,
+  showMainScreen,
+  showAuthMessage,
+  applyAuthMode
+};
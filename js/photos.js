@@ -1,10 +1,10 @@
 // Import dependencies
 import { showNotification } from './ui.js';
-import { 
-  saveToSecureStorage, 
-  loadFromSecureStorage, 
-  getEncryptionKey 
-} from './database.js';
+import { saveToSecureStorage, loadFromSecureStorage } from './database.js';
+import { acceptsUploads } from './vault-decoy.js';
+import { getEncryptionKey } from './vault-session.js';
+import { DOCUMENTS_ONLY_MESSAGE } from './decoy-vault.js';
+import { VAULT_LOCK_EVENT } from './auto-lock.js';
 
 // Current state
 let db = { photos: {} };
@@ -96,28 +96,56 @@ export function initializePhotoManager(appState) {
     });
   }
   
-  // Listen for autosave events
-  window.addEventListener('vault:autosave', async () => {
-    console.log('Autosave triggered for photo manager');
-    if (pendingChanges) {
-      try {
-        const saveResult = await saveToSecureStorage(db);
-        
-        if (saveResult) {
-          console.log('Photos autosaved successfully');
-          pendingChanges = false;
-        } else {
-          console.error('Failed to autosave photos');
-        }
-      } catch (error) {
-        console.error('Error during photo autosave:', error);
-      }
+  // Listen for autosave events; a lock waits for the save before wiping the vault
+  window.addEventListener('vault:autosave', (event) => {
+    const saving = autosavePhotos();
+    if (event.detail && event.detail.pending) {
+      event.detail.pending.push(saving);
     }
   });
   
+  // Wipe the photos when the vault locks
+  window.addEventListener(VAULT_LOCK_EVENT, wipePhotos);
+  
   console.log('Photo manager initialized');
 }
 
+/**
+ * Save pending photo changes
+ * @returns {Promise<boolean>} True if there was nothing to save or the save succeeded
+ */
+async function autosavePhotos() {
+  console.log('Autosave triggered for photo manager');
+  if (!pendingChanges) return true;
+  
+  try {
+    const saveResult = await saveToSecureStorage(db);
+    
+    if (saveResult) {
+      console.log('Photos autosaved successfully');
+      pendingChanges = false;
+      return true;
+    }
+    console.error('Failed to autosave photos');
+    return false;
+  } catch (error) {
+    console.error('Error during photo autosave:', error);
+    return false;
+  }
+}
+
+/**
+ * Forget the decrypted photo list and clear it from the page
+ */
+function wipePhotos() {
+  db = { photos: {} };
+  pendingChanges = false;
+  
+  const container = document.getElementById('photos-container');
+  if (container) container.innerHTML = '';
+  console.log('Photos wiped');
+}
+
 // Upload photos
 async function uploadPhotos(fileList) {
   // Check for encryption key
@@ -126,6 +154,10 @@ async function uploadPhotos(fileList) {
     showNotification('Cannot upload photos - you must be logged in', 'error');
     return false;
   }
+  if (!acceptsUploads()) {
+    showNotification(DOCUMENTS_ONLY_MESSAGE, 'error');
+    return false;
+  }
   
   const promises = [];
   
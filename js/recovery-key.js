@@ -0,0 +1,91 @@
+// Import byte helpers
+import { randomBytes } from './crypto.js';
+import { KDF_PBKDF2 } from './kdf.js';
+
+// Crockford Base32 alphabet: no I, L, O or U, so keys survive being read aloud or retyped
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// 160 random bits, written as 8 groups of 4 characters
+const RECOVERY_KEY_BYTES = 20;
+const RECOVERY_GROUP_SIZE = 4;
+const RECOVERY_KEY_LENGTH = RECOVERY_KEY_BYTES * 8 / 5;
+
+// Label stored (encrypted) for the recovery key slot
+export const RECOVERY_SLOT_LABEL = 'Recovery key';
+
+// A 160-bit random key cannot be guessed, so its slot only needs a moderate KDF cost;
+// a memory-hard cost would just slow down every unlock that tries this slot
+export const RECOVERY_KDF = {
+  name: KDF_PBKDF2,
+  iterations: 600000,
+  keySize: 256
+};
+
+/**
+ * Encode bytes as Crockford Base32
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The Base32 string
+ */
+function toBase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  bytes.forEach(byte => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += RECOVERY_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+
+  if (bits > 0) {
+    output += RECOVERY_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Split a recovery key into dash-separated groups
+ * @param {string} key - The ungrouped key characters
+ * @returns {string} The grouped key
+ */
+function groupKey(key) {
+  return key.match(new RegExp(`.{1,${RECOVERY_GROUP_SIZE}}`, 'g')).join('-');
+}
+
+/**
+ * Generate a new recovery key
+ * @returns {string} The recovery key, e.g. "7K3M-Q9TZ-..."
+ */
+export function generateRecoveryKey() {
+  return groupKey(toBase32(randomBytes(RECOVERY_KEY_BYTES)));
+}
+
+/**
+ * Normalize a typed recovery key to its canonical form
+ * Ignores case, spaces and dashes, and reads the look-alikes O as 0 and I/L as 1
+ * @param {string} input - The recovery key as entered
+ * @returns {string|null} The canonical recovery key, or null if it is not well-formed
+ */
+export function normalizeRecoveryKey(input) {
+  const key = String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  if (key.length !== RECOVERY_KEY_LENGTH || [...key].some(char => !RECOVERY_ALPHABET.includes(char))) {
+    return null;
+  }
+  return groupKey(key);
+}
+
+// Export recovery key module
+export default {
+  RECOVERY_SLOT_LABEL,
+  RECOVERY_KDF,
+  generateRecoveryKey,
+  normalizeRecoveryKey
+};
@@ -0,0 +1,160 @@
+// Import dependencies
+import { recoverVault } from './auth.js';
+import { getVaultFileHandle } from './vault-file.js';
+import { loadStoredVaultFile } from './vault-storage.js';
+import { normalizeRecoveryKey } from './recovery-key.js';
+import {
+  supportsFileSystemAccess,
+  describeVaultFileSave,
+  pickVaultFile,
+  recallVaultFileHandle
+} from './file-handle.js';
+import { initializeEmergencyKit } from './emergency-kit.js';
+import { showNotification } from './ui.js';
+import { WrongPasswordError, describeVaultError } from './vault-errors.js';
+
+/**
+ * Initialize the "Use recovery key" path on the auth screen
+ */
+export function initializeRecoveryUnlock() {
+  const useRecoveryLink = document.getElementById('use-recovery-link');
+  const cancelBtn = document.getElementById('cancel-recovery-btn');
+  const recoverBtn = document.getElementById('recover-btn');
+  const fileInput = document.getElementById('recovery-file-input');
+
+  // The emergency kit modal is shown from the auth flow when a vault is created
+  initializeEmergencyKit();
+
+  if (!useRecoveryLink || !recoverBtn || !fileInput) {
+    console.warn('Recovery key form not found');
+    return;
+  }
+
+  useRecoveryLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    showRecoveryForm(true);
+  });
+  cancelBtn.addEventListener('click', () => showRecoveryForm(false));
+  recoverBtn.addEventListener('click', handleRecoverClick);
+  fileInput.addEventListener('change', (e) => recoverFile(e.target.files[0]));
+}
+
+/**
+ * Switch the auth screen between the password form and the recovery form
+ * @param {boolean} show - True to show the recovery form
+ */
+function showRecoveryForm(show) {
+  document.getElementById('password-form').style.display = show ? 'none' : 'block';
+  document.getElementById('recovery-form').style.display = show ? 'block' : 'none';
+  document.getElementById('use-recovery-link').style.display = show ? 'none' : 'inline';
+  showRecoveryMessage('', 'info');
+}
+
+/**
+ * Show a message in the recovery form
+ * @param {string} message - The message text
+ * @param {string} type - The message type (error, success, info)
+ */
+function showRecoveryMessage(message, type) {
+  const messageContainer = document.getElementById('recovery-message');
+  if (!messageContainer) return;
+
+  messageContainer.textContent = message;
+  messageContainer.className = `message ${type}-message`;
+}
+
+/**
+ * Validate the recovery form, then recover the stored vault or ask for a vault file
+ */
+async function handleRecoverClick() {
+  const recoveryKey = document.getElementById('recovery-key-input').value;
+  const newPassword = document.getElementById('recovery-new-password').value.trim();
+  const confirmPassword = document.getElementById('recovery-confirm-password').value.trim();
+
+  // Validate
+  if (!normalizeRecoveryKey(recoveryKey)) {
+    showRecoveryMessage('That does not look like a recovery key. Check it against your emergency kit.', 'error');
+    return;
+  }
+  if (!newPassword) {
+    showRecoveryMessage('Please choose a new password', 'error');
+    return;
+  }
+  if (newPassword !== confirmPassword) {
+    showRecoveryMessage('Passwords do not match', 'error');
+    return;
+  }
+  if (newPassword.length < 8) {
+    showRecoveryMessage('Password must be at least 8 characters', 'error');
+    return;
+  }
+
+  // Use the vault stored on this device if there is one
+  const storedVault = await loadStoredVaultFile();
+  if (storedVault) {
+    await recoverFile(storedVault, await recallVaultFileHandle());
+    return;
+  }
+
+  // Open through a handle where possible, so the new password is written back to the file
+  if (supportsFileSystemAccess()) {
+    const picked = await pickVaultFile();
+    await recoverFile(picked && picked.file, picked && picked.handle);
+    return;
+  }
+
+  // Prompt for the vault file; recovery continues in recoverFile
+  const fileInput = document.getElementById('recovery-file-input');
+  fileInput.value = '';
+  fileInput.click();
+}
+
+/**
+ * Recover a vault file and open it with the new password set
+ * @param {File} file - The vault file
+ * @param {FileSystemFileHandle|null} fileHandle - The handle the file was opened through, if any
+ */
+async function recoverFile(file, fileHandle = null) {
+  if (!file) {
+    showRecoveryMessage('No vault file selected', 'error');
+    return;
+  }
+
+  const recoverBtn = document.getElementById('recover-btn');
+  const keyInput = document.getElementById('recovery-key-input');
+  const passwordInputs = ['recovery-new-password', 'recovery-confirm-password'].map(id => document.getElementById(id));
+
+  recoverBtn.disabled = true;
+  recoverBtn.textContent = 'Recovering...';
+  showRecoveryMessage('Opening vault and setting your new password...', 'info');
+
+  try {
+    const recovered = await recoverVault(keyInput.value, passwordInputs[0].value.trim(), file, fileHandle);
+    if (!recovered) {
+      showRecoveryMessage('Recovery failed. Check the recovery key and the new password and try again.', 'error');
+      return;
+    }
+
+    // Clear the form and switch to the main screen
+    [keyInput, ...passwordInputs].forEach(input => { input.value = ''; });
+    showRecoveryForm(false);
+    document.getElementById('auth-screen').classList.remove('active');
+    document.getElementById('main-screen').classList.add('active');
+    showNotification(`New password set. ${describeVaultFileSave(getVaultFileHandle())}`, 'success', 6000);
+  } catch (error) {
+    // A vault error says why the file did not open; a wrong "password" here is the recovery key
+    console.error('Recovery error:', error);
+    const message = error instanceof WrongPasswordError
+      ? 'The recovery key does not open this vault file'
+      : describeVaultError(error);
+    showRecoveryMessage(message, 'error');
+  } finally {
+    recoverBtn.disabled = false;
+    recoverBtn.textContent = 'Recover Vault';
+  }
+}
+
+// Export recovery unlock module
+export default {
+  initializeRecoveryUnlock
+};
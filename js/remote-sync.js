@@ -0,0 +1,246 @@
+// Import dependencies
+import { loadFromSecureStorage, saveToSecureStorage } from './database.js';
+import { getEncryptionKey } from './vault-session.js';
+import { createWebDavProvider } from './webdav.js';
+import { syncWithProvider } from './vault-sync.js';
+import { SyncKeyChangedError, describeSyncError } from './sync-errors.js';
+import { vaultPreferenceKey } from './vault-registry.js';
+
+/*
+ * Remote vault sync
+ *
+ * Keeps the open vault in sync with a copy on a WebDAV server, on demand and on a
+ * schedule. The server address and credentials are kept inside the encrypted vault,
+ * so they are only readable while it is unlocked. How often to sync and what the last
+ * sync ended with are kept on this device, for each vault.
+ */
+
+// Sync state of each vault on this device: the interval, and the remote ETag and local save time the last sync ended with
+const STATE_KEY = 'mdvault_sync';
+export const DEFAULT_SYNC_INTERVAL_MINUTES = 15;
+const INTERVAL_LIMITS = [0, 24 * 60];
+
+// Window event announcing every change of the sync status
+export const SYNC_STATUS_EVENT = 'vault:sync-status';
+
+// The states a sync can be in
+export const SYNC_STATUS = {
+  OFF: 'off',
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  ERROR: 'error'
+};
+
+// How long modules get to autosave before a sync reads the vault
+const AUTOSAVE_WAIT_MS = 800;
+
+// The current status, and the sync in progress if any
+let currentStatus = { status: SYNC_STATUS.OFF, message: 'Sync is not set up', syncedAt: null, changedItems: false, needsPassword: false };
+let runningSync = null;
+let scheduleTimer = null;
+
+/**
+ * Read the sync state of the vault in use
+ * @returns {{intervalMinutes: number, etag: string|null, updatedAt: string|null, syncedAt: string|null}} The state
+ */
+export function getSyncState() {
+  const defaults = { intervalMinutes: DEFAULT_SYNC_INTERVAL_MINUTES, etag: null, updatedAt: null, syncedAt: null };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(vaultPreferenceKey(STATE_KEY)) || 'null') };
+  } catch (error) {
+    console.warn('Ignoring unreadable sync state:', error);
+    return defaults;
+  }
+}
+
+/**
+ * Update the sync state of the vault in use
+ * @param {Object} changes - The fields to change
+ * @returns {Object} The state as stored
+ */
+function updateSyncState(changes) {
+  const next = { ...getSyncState(), ...changes };
+  localStorage.setItem(vaultPreferenceKey(STATE_KEY), JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Get the sync server settings of the open vault
+ * @returns {Promise<{url: string, username: string, password: string}|null>} The settings, or null if sync is not set up
+ */
+export async function getSyncConfig() {
+  const data = getEncryptionKey() ? await loadFromSecureStorage() : null;
+  return (data && data.sync && data.sync.url) ? data.sync : null;
+}
+
+/**
+ * Store the sync settings: the server ones in the vault, the interval on this device
+ * An empty URL turns sync off. A new server starts without a known remote version
+ * @param {Object} settings - The new settings
+ * @param {string} settings.url - URL of the vault file on the WebDAV share
+ * @param {string} settings.username - WebDAV username
+ * @param {string} settings.password - WebDAV password
+ * @param {number} settings.intervalMinutes - Minutes between scheduled syncs, 0 for manual sync only
+ * @returns {Promise<boolean>} True if the settings were saved
+ */
+export async function saveSyncSettings({ url, username, password, intervalMinutes }) {
+  const trimmedUrl = (url || '').trim();
+  const config = trimmedUrl ? { url: trimmedUrl, username: (username || '').trim(), password: password || '' } : null;
+  if (config) {
+    // Fails early on addresses the provider cannot use
+    createWebDavProvider(config);
+  }
+
+  const previous = await getSyncConfig();
+  if (!await saveToSecureStorage({ sync: config })) {
+    return false;
+  }
+
+  const [min, max] = INTERVAL_LIMITS;
+  const minutes = Math.round(Number(intervalMinutes));
+  updateSyncState({
+    intervalMinutes: Number.isFinite(minutes) ? Math.min(max, Math.max(min, minutes)) : DEFAULT_SYNC_INTERVAL_MINUTES,
+    ...(!previous || !config || previous.url !== config.url ? { etag: null, updatedAt: null, syncedAt: null } : {})
+  });
+
+  console.log(config ? `Vault sync set up with ${config.url}` : 'Vault sync turned off');
+  await startSyncSchedule();
+  return true;
+}
+
+/**
+ * Get the current sync status
+ * @returns {{status: string, message: string, syncedAt: string|null, changedItems: boolean, needsPassword: boolean}} A SYNC_STATUS
+ *   value, a description, the last sync time, whether that sync changed items of the open vault, and whether the
+ *   next sync needs the vault password
+ */
+export function getSyncStatus() {
+  return currentStatus;
+}
+
+/**
+ * Change the sync status and announce it
+ * @param {string} status - A SYNC_STATUS value
+ * @param {string} message - A description for the user
+ * @param {boolean} changedItems - Whether the sync changed items of the open vault, so views must reload
+ * @param {boolean} needsPassword - Whether the next sync needs the vault password
+ */
+function setSyncStatus(status, message, changedItems = false, needsPassword = false) {
+  currentStatus = { status, message, syncedAt: getSyncState().syncedAt, changedItems, needsPassword };
+  window.dispatchEvent(new CustomEvent(SYNC_STATUS_EVENT, { detail: currentStatus }));
+}
+
+/**
+ * Describe what a sync did
+ * @param {Object} result - The result of syncWithProvider
+ * @returns {string} The description
+ */
+function describeSyncResult({ report, uploaded }) {
+  const parts = [];
+  if (report && report.added + report.updated + report.deleted > 0) {
+    parts.push(`${report.added} added, ${report.updated} updated, ${report.deleted} deleted`);
+  }
+  if (report && report.conflicts.length > 0) {
+    parts.push(`${report.conflicts.length} conflict copies`);
+  }
+  if (uploaded) {
+    parts.push('uploaded');
+  }
+  return parts.length > 0 ? `Synced: ${parts.join(', ')}` : 'Up to date';
+}
+
+/**
+ * Sync the open vault with the server now
+ * Modules autosave first, so the sync includes their latest changes. A sync already
+ * running is joined rather than started twice
+ * @param {string|null} password - The vault password, needed once the vault key was changed on another device
+ * @returns {Promise<Object|null>} The result of syncWithProvider, or null if sync is off or failed
+ */
+export function syncNow(password = null) {
+  if (!runningSync) {
+    runningSync = runSync(password).finally(() => {
+      runningSync = null;
+    });
+  }
+  return runningSync;
+}
+
+/**
+ * Run one sync and record its outcome
+ * @param {string|null} password - The vault password, if the user gave it
+ * @returns {Promise<Object|null>} The result of syncWithProvider, or null if sync is off or failed
+ */
+async function runSync(password) {
+  const config = await getSyncConfig();
+  if (!config) {
+    setSyncStatus(SYNC_STATUS.OFF, 'Sync is not set up');
+    return null;
+  }
+
+  setSyncStatus(SYNC_STATUS.SYNCING, 'Syncing...');
+  window.dispatchEvent(new CustomEvent('vault:autosave'));
+  await new Promise(resolve => setTimeout(resolve, AUTOSAVE_WAIT_MS));
+
+  try {
+    const result = await syncWithProvider(createWebDavProvider(config), getSyncState(), password);
+    updateSyncState({ etag: result.etag, updatedAt: result.updatedAt, syncedAt: new Date().toISOString() });
+    const { report } = result;
+    setSyncStatus(SYNC_STATUS.SYNCED, describeSyncResult(result), Boolean(report && report.added + report.updated + report.deleted > 0));
+    return result;
+  } catch (error) {
+    console.error('Vault sync failed:', error);
+    setSyncStatus(SYNC_STATUS.ERROR, describeSyncError(error), false, error instanceof SyncKeyChangedError);
+    return null;
+  }
+}
+
+/**
+ * Schedule syncs at the configured interval, replacing any earlier schedule
+ * Scheduled syncs only run while the vault is unlocked and the page is visible
+ */
+export async function startSyncSchedule() {
+  stopSyncSchedule();
+
+  const config = await getSyncConfig();
+  const { intervalMinutes } = getSyncState();
+  if (!config) {
+    setSyncStatus(SYNC_STATUS.OFF, 'Sync is not set up');
+    return;
+  }
+  if (currentStatus.status === SYNC_STATUS.OFF) {
+    setSyncStatus(SYNC_STATUS.IDLE, intervalMinutes > 0 ? `Syncs every ${intervalMinutes} minutes` : 'Syncs on demand');
+  }
+  if (intervalMinutes <= 0) return;
+
+  scheduleTimer = setInterval(() => {
+    if (getEncryptionKey() && document.visibilityState === 'visible') {
+      console.log('Running scheduled vault sync...');
+      syncNow();
+    }
+  }, intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Stop scheduled syncs
+ */
+export function stopSyncSchedule() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+}
+
+// Export remote sync module
+export default {
+  SYNC_STATUS,
+  SYNC_STATUS_EVENT,
+  DEFAULT_SYNC_INTERVAL_MINUTES,
+  getSyncState,
+  getSyncConfig,
+  saveSyncSettings,
+  getSyncStatus,
+  syncNow,
+  startSyncSchedule,
+  stopSyncSchedule
+};
@@ -0,0 +1,153 @@
+// Import Dexie for IndexedDB access
+import Dexie from 'dexie';
+
+// Import WebCrypto helpers
+import {
+  AES_KEY_BITS,
+  GCM_IV_BYTES,
+  GCM_TAG_BITS,
+  randomBytes,
+  encryptBytes,
+  bytesToBase64,
+  base64ToBytes,
+  bytesToHex
+} from './crypto.js';
+
+/**
+ * Session keys
+ *
+ * A reload of an unlocked tab reopens the vault without the password. The data key
+ * is never kept for that in readable form: it is sealed under a wrapping key made
+ * for the tab's session. The wrapping key is a non-extractable AES-GCM CryptoKey
+ * stored in IndexedDB, allowed only to encrypt and to unwrap keys, so the sealed
+ * data key can only come back as another non-extractable CryptoKey.
+ */
+
+// Database holding the wrapping key of each tab session
+const DB_NAME = 'SecureVaultSession';
+
+// sessionStorage entry with the id of this tab's wrapping key
+const SESSION_ID_KEY = 'sessionKeyId';
+
+// Lazily opened database
+let db = null;
+
+/**
+ * Open the session key database
+ * @returns {Dexie} The database
+ */
+function getDb() {
+  if (!db) {
+    db = new Dexie(DB_NAME);
+    db.version(1).stores({
+      // Wrapping keys keyed by session id; key is a non-extractable CryptoKey
+      keys: 'id'
+    });
+  }
+  return db;
+}
+
+/**
+ * Get this tab session's wrapping key
+ * @param {boolean} create - Create the key if the session has none yet
+ * @returns {Promise<CryptoKey|null>} The wrapping key, or null if there is none
+ */
+async function getWrappingKey(create) {
+  const sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  if (sessionId) {
+    const record = await getDb().keys.get(sessionId);
+    if (record) return record.key;
+  }
+  if (!create) return null;
+
+  const id = bytesToHex(randomBytes(16));
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: AES_KEY_BITS }, false, ['encrypt', 'unwrapKey']);
+  await getDb().keys.put({ id, key, createdAt: new Date().toISOString() });
+  sessionStorage.setItem(SESSION_ID_KEY, id);
+  return key;
+}
+
+/**
+ * Seal a data key, or another secret the session keeps, under this tab session's wrapping key
+ * @param {string} dataKey - The Base64 data key or secret
+ * @returns {Promise<string>} Base64 of IV and ciphertext, safe to keep in sessionStorage
+ */
+export async function sealSessionKey(dataKey) {
+  const wrappingKey = await getWrappingKey(true);
+  return bytesToBase64(await encryptBytes(wrappingKey, base64ToBytes(dataKey)));
+}
+
+/**
+ * Unwrap a value sealed by sealSessionKey into a CryptoKey
+ * @param {string} sealed - The sealed value
+ * @param {Object|string} algorithm - The algorithm of the key to make
+ * @param {boolean} extractable - Whether the key's bytes can be exported
+ * @param {Array<string>} usages - The key's usages
+ * @returns {Promise<CryptoKey|null>} The key, or null if this session has no wrapping key
+ */
+async function unwrapSealed(sealed, algorithm, extractable, usages) {
+  const wrappingKey = await getWrappingKey(false);
+  if (!wrappingKey) return null;
+
+  const payload = base64ToBytes(sealed);
+  return crypto.subtle.unwrapKey(
+    'raw',
+    payload.subarray(GCM_IV_BYTES),
+    wrappingKey,
+    { name: 'AES-GCM', iv: payload.subarray(0, GCM_IV_BYTES), tagLength: GCM_TAG_BITS },
+    algorithm,
+    extractable,
+    usages
+  );
+}
+
+/**
+ * Unseal a data key sealed by sealSessionKey
+ * The key goes straight into a non-extractable HKDF CryptoKey; its bytes never reach script
+ * @param {string} sealed - The sealed data key
+ * @returns {Promise<CryptoKey|null>} The data key, or null if this session cannot unseal it
+ */
+export async function openSessionKey(sealed) {
+  try {
+    return await unwrapSealed(sealed, 'HKDF', false, ['deriveBits']);
+  } catch (error) {
+    console.error("Error unsealing the session key:", error);
+    return null;
+  }
+}
+
+/**
+ * Unseal a secret sealed by sealSessionKey that the vault needs as bytes, such as the keyfile hash
+ * The wrapping key cannot decrypt, so the secret comes back through an extractable HMAC key
+ * @param {string} sealed - The sealed secret
+ * @returns {Promise<Uint8Array|null>} The secret, or null if this session cannot unseal it
+ */
+export async function openSessionSecret(sealed) {
+  try {
+    const key = await unwrapSealed(sealed, { name: 'HMAC', hash: 'SHA-256' }, true, ['sign']);
+    return key && new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  } catch (error) {
+    console.error("Error unsealing a session secret:", error);
+    return null;
+  }
+}
+
+/**
+ * Delete this tab session's wrapping key, so keys sealed under it cannot be unsealed
+ * @returns {Promise<void>}
+ */
+export async function forgetSessionKey() {
+  const sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  sessionStorage.removeItem(SESSION_ID_KEY);
+  if (sessionId) {
+    await getDb().keys.delete(sessionId);
+  }
+}
+
+// Export session keys module
+export default {
+  sealSessionKey,
+  openSessionKey,
+  openSessionSecret,
+  forgetSessionKey
+};
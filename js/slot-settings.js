@@ -0,0 +1,172 @@
+// Import dependencies
+import { getVaultFileHandle } from './vault-file.js';
+import { addKeySlot, revokeKeySlot, listKeySlots } from './vault-slots.js';
+import { describeKdf } from './kdf.js';
+import { describeVaultFileSave } from './file-handle.js';
+import { showNotification } from './ui.js';
+
+/**
+ * Initialize the key slots section of the settings modal
+ */
+export function initializeSlotSettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const addBtn = document.getElementById('add-slot-btn');
+  const slotList = document.getElementById('key-slot-list');
+
+  if (!addBtn || !slotList) {
+    console.warn('Key slot settings not found');
+    return;
+  }
+
+  // Refresh the list whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', renderKeySlots);
+  }
+  renderKeySlots();
+
+  addBtn.addEventListener('click', handleAddSlot);
+
+  // One listener handles the revoke buttons of every slot
+  slotList.addEventListener('click', (event) => {
+    const revokeBtn = event.target.closest('[data-revoke-slot]');
+    if (revokeBtn) {
+      handleRevokeSlot(revokeBtn.dataset.revokeSlot, revokeBtn);
+    }
+  });
+}
+
+/**
+ * Render the open vault's key slots
+ */
+function renderKeySlots() {
+  const slotList = document.getElementById('key-slot-list');
+  if (!slotList) return;
+
+  slotList.innerHTML = '';
+  listKeySlots().forEach((slot, index) => {
+    const item = document.createElement('li');
+
+    // Label, or a placeholder for slots created before labels existed
+    const info = document.createElement('span');
+    const label = slot.label || `Slot ${index + 1}`;
+    const created = slot.createdAt ? `, added ${new Date(slot.createdAt).toLocaleDateString()}` : '';
+    const keyfile = slot.kdf.keyfile ? ' + keyfile' : '';
+    info.textContent = `${label}${slot.active ? ' (unlocked with this)' : ''} - ${describeKdf(slot.kdf)}${keyfile}${created}`;
+    item.appendChild(info);
+
+    // The slot in use cannot be revoked from this session
+    if (!slot.active) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.className = 'btn danger';
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.dataset.revokeSlot = slot.id;
+      item.appendChild(revokeBtn);
+    }
+
+    slotList.appendChild(item);
+  });
+}
+
+/**
+ * Get the current password from the key slots form
+ * @returns {string|null} The password, or null if it is missing
+ */
+function getCurrentPassword() {
+  const password = document.getElementById('slot-password').value.trim();
+  if (!password) {
+    showNotification('Enter your current password to change key slots', 'error');
+    return null;
+  }
+  return password;
+}
+
+/**
+ * Validate the form and add a key slot for the new passphrase
+ */
+async function handleAddSlot() {
+  const addBtn = document.getElementById('add-slot-btn');
+  const labelInput = document.getElementById('slot-label');
+  const passphraseInput = document.getElementById('slot-passphrase');
+  const confirmInput = document.getElementById('slot-confirm-passphrase');
+
+  const label = labelInput.value.trim();
+  const passphrase = passphraseInput.value.trim();
+
+  // Validate
+  if (!label || !passphrase) {
+    showNotification('Enter a label and a passphrase for the new slot', 'error');
+    return;
+  }
+  if (passphrase !== confirmInput.value.trim()) {
+    showNotification('Passphrases do not match', 'error');
+    return;
+  }
+  if (passphrase.length < 8) {
+    showNotification('Passphrase must be at least 8 characters', 'error');
+    return;
+  }
+  const password = getCurrentPassword();
+  if (!password) return;
+
+  addBtn.disabled = true;
+  addBtn.textContent = 'Adding...';
+
+  try {
+    const slotId = await addKeySlot(password, passphrase, label);
+    if (!slotId) {
+      showNotification('Could not add the key slot. Check your current password.', 'error');
+      return;
+    }
+
+    // Clear the form and show the new slot
+    [labelInput, passphraseInput, confirmInput].forEach(input => { input.value = ''; });
+    document.getElementById('slot-password').value = '';
+    renderKeySlots();
+    showNotification(`Key slot added. ${describeVaultFileSave(getVaultFileHandle())}`, 'success', 6000);
+  } catch (error) {
+    console.error('Error adding key slot:', error);
+    showNotification('Error adding key slot: ' + error.message, 'error');
+  } finally {
+    addBtn.disabled = false;
+    addBtn.textContent = 'Add Slot';
+  }
+}
+
+/**
+ * Revoke a key slot after confirmation
+ * @param {string} slotId - The slot to revoke
+ * @param {HTMLButtonElement} revokeBtn - The button that was clicked
+ */
+async function handleRevokeSlot(slotId, revokeBtn) {
+  const password = getCurrentPassword();
+  if (!password) return;
+
+  if (!confirm('Revoke this key slot? Its passphrase will not open vault files saved from now on.')) {
+    return;
+  }
+
+  revokeBtn.disabled = true;
+  revokeBtn.textContent = 'Revoking...';
+
+  try {
+    const revoked = await revokeKeySlot(password, slotId);
+    if (!revoked) {
+      showNotification('Could not revoke the key slot. Check your current password.', 'error');
+      return;
+    }
+
+    document.getElementById('slot-password').value = '';
+    showNotification(`Key slot revoked and vault key rotated. ${describeVaultFileSave(getVaultFileHandle())}`, 'success', 6000);
+  } catch (error) {
+    console.error('Error revoking key slot:', error);
+    showNotification('Error revoking key slot: ' + error.message, 'error');
+  } finally {
+    // The revoked slot's row is removed; re-render restores the others
+    renderKeySlots();
+  }
+}
+
+// Export slot settings module
+export default {
+  initializeSlotSettings
+};
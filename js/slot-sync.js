@@ -0,0 +1,131 @@
+/*
+ * Key slot sync
+ *
+ * Copies of a vault on different devices gain and lose key slots on their own. Before a
+ * sync uploads, the slots of both copies are merged by id, so a slot added on one device
+ * is not dropped by another device's upload. Only slots whose public key the encrypted vault
+ * data records are taken from the other copy. Revoking a slot rotates the data key and is
+ * recorded in the vault data, so a revoked slot is never merged back in. Copies under
+ * different data keys settle on the key of the copy that knows of every revocation.
+ */
+
+// Import dependencies
+import { getSlotKeyDigest } from './key-slots.js';
+
+// Which data key two copies of a vault settle on
+export const KEY_SOURCES = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  NEW: 'new'
+};
+
+/**
+ * Merge two records of revoked key slots
+ * @param {Object<string, string>} a - Revoked slot ids, each with when it was revoked
+ * @param {Object<string, string>} b - The other copy's revoked slot ids
+ * @returns {Object<string, string>} Both, with the earlier time for a slot revoked in both
+ */
+export function mergeRevokedSlots(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([id, revokedAt]) => {
+    merged[id] = merged[id] && merged[id] < revokedAt ? merged[id] : revokedAt;
+  });
+  return merged;
+}
+
+/**
+ * Keep the other copy's key slots that its encrypted vault data vouches for
+ * Slots sit in the file header, which is not authenticated: whoever stores the file could add
+ * a slot with their own public key and receive every data key wrapped to it from then on
+ * @param {Array<Object>} slots - The other copy's key slots
+ * @param {Object} labels - The other copy's key slot labels, by slot id
+ * @returns {Promise<Array<Object>>} The slots whose public key digest the labels record
+ */
+export async function filterVouchedSlots(slots, labels = {}) {
+  const vouched = await Promise.all(slots.map(async slot =>
+    Boolean(labels[slot.id]) && labels[slot.id].keyDigest === await getSlotKeyDigest(slot)));
+  return slots.filter((slot, index) => vouched[index]);
+}
+
+/**
+ * Record each key slot's public key digest in its label, so other copies accept the slot
+ * @param {Object} labels - The key slot labels, by slot id
+ * @param {Array<Object>} slots - The key slots to vouch for
+ * @returns {Promise<Object>} A copy of the labels with a digest for every slot
+ */
+export async function vouchForSlots(labels = {}, slots) {
+  const vouched = { ...labels };
+  for (const slot of slots) {
+    vouched[slot.id] = { ...vouched[slot.id], keyDigest: await getSlotKeyDigest(slot) };
+  }
+  return vouched;
+}
+
+/**
+ * Merge two copies' key slots by id, leaving out revoked slots
+ * A slot both copies have is taken from this device's copy
+ * @param {Array<Object>} local - This device's key slots
+ * @param {Array<Object>} remote - The other copy's key slots
+ * @param {Object<string, string>} revoked - The slots revoked in either copy
+ * @returns {Array<Object>} The merged key slots
+ */
+export function mergeKeySlotLists(local, remote, revoked = {}) {
+  const known = new Set(local.map(slot => slot.id));
+  return [...local, ...remote.filter(slot => !known.has(slot.id))]
+    .filter(slot => !revoked[slot.id]);
+}
+
+/**
+ * Merge two copies' key slot labels, keeping those of the merged slots
+ * @param {Object} local - This device's labels, by slot id
+ * @param {Object} remote - The other copy's labels
+ * @param {Array<Object>} slots - The merged key slots
+ * @returns {Object} The merged labels
+ */
+export function mergeSlotLabels(local = {}, remote = {}, slots) {
+  const labels = {};
+  slots.forEach(({ id }) => {
+    const label = local[id] || remote[id];
+    if (label) labels[id] = label;
+  });
+  return labels;
+}
+
+/**
+ * Choose the data key two copies under different keys settle on
+ * A copy that knows of every slot the other revoked has a key no revoked slot opens, and
+ * the remote copy wins a tie so devices do not take turns re-keying the server's copy.
+ * If each copy revoked a slot the other did not, the slot may open either key, so neither is kept
+ * @param {Object<string, string>} localRevoked - Slots revoked in this device's copy
+ * @param {Object<string, string>} remoteRevoked - Slots revoked in the other copy
+ * @returns {string} A KEY_SOURCES value
+ */
+export function chooseDataKey(localRevoked = {}, remoteRevoked = {}) {
+  const knowsAll = (a, b) => Object.keys(b).every(id => a[id]);
+  if (knowsAll(remoteRevoked, localRevoked)) return KEY_SOURCES.REMOTE;
+  if (knowsAll(localRevoked, remoteRevoked)) return KEY_SOURCES.LOCAL;
+  return KEY_SOURCES.NEW;
+}
+
+/**
+ * Check whether two lists of key slots have the same slot ids
+ * @param {Array<Object>} a - One list of key slots
+ * @param {Array<Object>} b - The other list
+ * @returns {boolean} True if the ids match, in any order
+ */
+export function sameSlotIds(a, b) {
+  const ids = slots => slots.map(slot => slot.id).sort().join(',');
+  return ids(a) === ids(b);
+}
+
+// Export key slot sync module
+export default {
+  KEY_SOURCES,
+  mergeRevokedSlots,
+  filterVouchedSlots,
+  vouchForSlots,
+  mergeKeySlotLists,
+  mergeSlotLabels,
+  chooseDataKey,
+  sameSlotIds
+};
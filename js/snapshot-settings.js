@@ -0,0 +1,264 @@
+// Import dependencies
+import { takeVaultSnapshot } from './vault-storage.js';
+import { getSnapshotSettings } from './snapshot-store.js';
+import {
+  listVaultSnapshots,
+  readSnapshotData,
+  restoreVaultSnapshot,
+  restoreSnapshotItems,
+  updateSnapshotSettings
+} from './snapshots.js';
+import { ITEM_SECTIONS } from './vault-items.js';
+import { showNotification } from './ui.js';
+
+/**
+ * Initialize the snapshots section of the settings modal
+ */
+export function initializeSnapshotSettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const snapshotList = document.getElementById('snapshot-list');
+  const saveBtn = document.getElementById('snapshot-settings-btn');
+  const takeBtn = document.getElementById('snapshot-now-btn');
+
+  if (!snapshotList || !saveBtn || !takeBtn) {
+    console.warn('Snapshot settings not found');
+    return;
+  }
+
+  // Refresh the list whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', () => {
+      renderSnapshotSettings();
+      renderSnapshots();
+    });
+  }
+  renderSnapshotSettings();
+
+  saveBtn.addEventListener('click', handleSaveSettings);
+  takeBtn.addEventListener('click', handleTakeSnapshot);
+
+  // One listener handles the buttons of every snapshot
+  snapshotList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-snapshot]');
+    if (!button) return;
+
+    const { snapshot, action } = button.dataset;
+    if (action === 'restore-all') handleRestoreAll(snapshot, button);
+    if (action === 'choose') handleChooseItems(snapshot, button);
+    if (action === 'restore-items') handleRestoreItems(snapshot, button);
+  });
+}
+
+/**
+ * Show the stored retention settings
+ */
+function renderSnapshotSettings() {
+  const { maxCount, maxAgeDays } = getSnapshotSettings();
+  document.getElementById('snapshot-max-count').value = maxCount;
+  document.getElementById('snapshot-max-age').value = maxAgeDays;
+}
+
+/**
+ * Describe the item counts of a snapshot
+ * @param {Object|null} counts - Item counts by section
+ * @returns {string} The description
+ */
+function describeCounts(counts) {
+  if (!counts) return 'encrypted with another vault key';
+  return `${counts.docs} docs, ${counts.files} files, ${counts.photos} photos`;
+}
+
+/**
+ * Create a button for a snapshot action
+ * @param {string} label - The button text
+ * @param {string} snapshotId - The snapshot id
+ * @param {string} action - The action name
+ * @returns {HTMLButtonElement} The button
+ */
+function createSnapshotButton(label, snapshotId, action) {
+  const button = document.createElement('button');
+  button.className = 'btn secondary';
+  button.textContent = label;
+  button.dataset.snapshot = snapshotId;
+  button.dataset.action = action;
+  return button;
+}
+
+/**
+ * Render the snapshots on this device, newest first
+ */
+async function renderSnapshots() {
+  const snapshotList = document.getElementById('snapshot-list');
+  if (!snapshotList) return;
+
+  snapshotList.innerHTML = '';
+  try {
+    const snapshots = await listVaultSnapshots();
+    if (snapshots.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No snapshots yet. One is kept when a save replaces the vault.';
+      snapshotList.appendChild(empty);
+      return;
+    }
+
+    snapshots.forEach(snapshot => {
+      const item = document.createElement('li');
+      item.dataset.snapshotRow = snapshot.id;
+
+      const info = document.createElement('span');
+      info.textContent = `${new Date(snapshot.createdAt).toLocaleString()} - ${describeCounts(snapshot.counts)}`;
+      item.appendChild(info);
+
+      // Snapshots under another key cannot be decrypted, so they cannot be restored
+      if (snapshot.counts) {
+        const actions = document.createElement('span');
+        actions.className = 'snapshot-actions';
+        actions.appendChild(createSnapshotButton('Restore All', snapshot.id, 'restore-all'));
+        actions.appendChild(createSnapshotButton('Choose Items', snapshot.id, 'choose'));
+        item.appendChild(actions);
+      }
+
+      snapshotList.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    showNotification('Error listing snapshots: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Store the retention settings from the form
+ */
+async function handleSaveSettings() {
+  try {
+    const settings = await updateSnapshotSettings({
+      maxCount: document.getElementById('snapshot-max-count').value,
+      maxAgeDays: document.getElementById('snapshot-max-age').value
+    });
+    showNotification(`Keeping up to ${settings.maxCount} snapshots for ${settings.maxAgeDays} days`, 'success');
+  } catch (error) {
+    console.error('Error saving snapshot settings:', error);
+    showNotification('Error saving snapshot settings: ' + error.message, 'error');
+  } finally {
+    renderSnapshotSettings();
+    renderSnapshots();
+  }
+}
+
+/**
+ * Keep the vault as it is now as a snapshot
+ */
+async function handleTakeSnapshot() {
+  await takeVaultSnapshot();
+  showNotification('Snapshot taken', 'success');
+  renderSnapshots();
+}
+
+/**
+ * Reload the app after a restore, so every view shows the restored vault
+ * @param {string} message - The notification to show first
+ */
+function reloadAfterRestore(message) {
+  showNotification(`${message} Reloading...`, 'success');
+  setTimeout(() => window.location.reload(), 1500);
+}
+
+/**
+ * Restore the whole vault from a snapshot after confirmation
+ * @param {string} snapshotId - The snapshot id
+ * @param {HTMLButtonElement} button - The button that was clicked
+ */
+async function handleRestoreAll(snapshotId, button) {
+  if (!confirm('Replace the whole vault with this snapshot? The vault as it is now is kept as a snapshot.')) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    if (!await restoreVaultSnapshot(snapshotId)) {
+      showNotification('Could not restore the vault from this snapshot', 'error');
+      return;
+    }
+    reloadAfterRestore('Vault restored from snapshot.');
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+    showNotification('Error restoring snapshot: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Show the items of a snapshot with a checkbox each
+ * @param {string} snapshotId - The snapshot id
+ * @param {HTMLButtonElement} button - The button that was clicked
+ */
+async function handleChooseItems(snapshotId, button) {
+  const row = button.closest('li');
+  const existing = row.querySelector('.snapshot-items');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const data = await readSnapshotData(snapshotId);
+    const picker = document.createElement('div');
+    picker.className = 'snapshot-items';
+
+    ITEM_SECTIONS.forEach(section => {
+      Object.entries(data[section]).forEach(([itemId, item]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.section = section;
+        checkbox.dataset.item = itemId;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${item.name || itemId} (${section})`));
+        picker.appendChild(label);
+      });
+    });
+
+    picker.appendChild(createSnapshotButton('Restore Selected', snapshotId, 'restore-items'));
+    row.appendChild(picker);
+  } catch (error) {
+    console.error('Error reading snapshot:', error);
+    showNotification('Error reading snapshot: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Restore the checked items of a snapshot
+ * @param {string} snapshotId - The snapshot id
+ * @param {HTMLButtonElement} button - The button that was clicked
+ */
+async function handleRestoreItems(snapshotId, button) {
+  const checked = [...button.closest('.snapshot-items').querySelectorAll('input[type="checkbox"]:checked')];
+  if (checked.length === 0) {
+    showNotification('Select the items to restore', 'error');
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const selection = checked.map(checkbox => ({ section: checkbox.dataset.section, id: checkbox.dataset.item }));
+    if (!await restoreSnapshotItems(snapshotId, selection)) {
+      showNotification('Could not restore the selected items', 'error');
+      return;
+    }
+    reloadAfterRestore(`${selection.length} items restored from snapshot.`);
+  } catch (error) {
+    console.error('Error restoring snapshot items:', error);
+    showNotification('Error restoring snapshot items: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Export snapshot settings module
+export default {
+  initializeSnapshotSettings
+};
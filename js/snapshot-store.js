@@ -0,0 +1,192 @@
+// Import dependencies
+import { randomBytes, bytesToHex } from './crypto.js';
+import { parseVaultFile } from './vault-format.js';
+import { decryptVaultItems } from './vault-items.js';
+
+/*
+ * Vault snapshots
+ *
+ * Before a save replaces the vault stored on this device, the stored vault file is
+ * kept as a snapshot, at most once per SNAPSHOT_INTERVAL_MS so autosaves do not
+ * crowd out older states. Snapshots are the encrypted vault files themselves and
+ * are never decrypted to be stored. Each records the content blobs its files use,
+ * so a deleted file's content stays on this device until no snapshot needs it.
+ */
+
+// Minimum time between automatic snapshots
+export const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+
+// Retention settings, kept per device like the other preferences
+const SETTINGS_KEY = 'mdvault_snapshots';
+export const DEFAULT_SNAPSHOT_SETTINGS = { maxCount: 10, maxAgeDays: 30 };
+const SETTING_LIMITS = { maxCount: [1, 100], maxAgeDays: [1, 365] };
+
+// Milliseconds per day, for the age limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the snapshot retention settings
+ * @returns {{maxCount: number, maxAgeDays: number}} How many snapshots to keep, and for how long
+ */
+export function getSnapshotSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    return { ...DEFAULT_SNAPSHOT_SETTINGS, ...stored };
+  } catch (error) {
+    console.warn('Ignoring unreadable snapshot settings:', error);
+    return { ...DEFAULT_SNAPSHOT_SETTINGS };
+  }
+}
+
+/**
+ * Store the snapshot retention settings, clamped to their limits
+ * @param {Object} settings - The new settings
+ * @param {number} settings.maxCount - How many snapshots to keep
+ * @param {number} settings.maxAgeDays - How many days to keep a snapshot
+ * @returns {{maxCount: number, maxAgeDays: number}} The settings as stored
+ */
+export function setSnapshotSettings(settings) {
+  const next = { ...getSnapshotSettings() };
+  Object.entries(SETTING_LIMITS).forEach(([name, [min, max]]) => {
+    const value = Math.round(Number(settings[name]));
+    if (Number.isFinite(value)) {
+      next[name] = Math.min(max, Math.max(min, value));
+    }
+  });
+
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Sort snapshot metadata newest first
+ * @param {Array<Object>} snapshots - The snapshot metadata
+ * @returns {Array<Object>} A sorted copy
+ */
+export function sortSnapshots(snapshots) {
+  return [...snapshots].sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * Keep the vault stored on a backend as a snapshot
+ * @param {StorageAdapter} adapter - The storage backend
+ * @param {Array<string>} blobIds - The content blobs the stored vault uses
+ * @param {boolean} force - Take the snapshot even if the last one is recent
+ * @returns {Promise<Object|null>} The new snapshot's metadata, or null if none was taken
+ */
+export async function recordSnapshot(adapter, blobIds, force = false) {
+  const [latest] = sortSnapshots(await adapter.listSnapshots());
+  if (!force && latest && Date.now() - Date.parse(latest.createdAt) < SNAPSHOT_INTERVAL_MS) {
+    return null;
+  }
+
+  const content = await adapter.read();
+  if (!content) return null;
+
+  const snapshot = {
+    id: `${Date.now()}-${bytesToHex(randomBytes(4))}`,
+    createdAt: new Date().toISOString(),
+    blobIds
+  };
+  await adapter.writeSnapshot(snapshot, content);
+  console.log(`Vault snapshot ${snapshot.id} taken`);
+  return snapshot;
+}
+
+/**
+ * Delete snapshots beyond the retention settings, and content blobs only they used
+ * @param {StorageAdapter} adapter - The storage backend
+ * @param {Array<string>} liveBlobIds - Content blobs the open vault uses, which are always kept
+ * @param {Object} settings - The retention settings
+ * @returns {Promise<number>} How many snapshots were deleted
+ */
+export async function pruneSnapshots(adapter, liveBlobIds, settings = getSnapshotSettings()) {
+  const oldestKept = Date.now() - settings.maxAgeDays * DAY_MS;
+  const sorted = sortSnapshots(await adapter.listSnapshots());
+  const kept = sorted.filter((snapshot, index) => index < settings.maxCount && Date.parse(snapshot.createdAt) >= oldestKept);
+  const expired = sorted.filter(snapshot => !kept.includes(snapshot));
+
+  for (const snapshot of expired) {
+    await adapter.removeSnapshot(snapshot.id);
+  }
+
+  // Content blobs that only expired snapshots referred to are no longer needed
+  const needed = new Set([...liveBlobIds, ...kept.flatMap(snapshot => snapshot.blobIds || [])]);
+  const unused = new Set(expired.flatMap(snapshot => snapshot.blobIds || []).filter(id => !needed.has(id)));
+  for (const id of unused) {
+    await adapter.removeBlob(id);
+  }
+
+  if (expired.length > 0) {
+    console.log(`Pruned ${expired.length} vault snapshots and ${unused.size} file contents`);
+  }
+  return expired.length;
+}
+
+/**
+ * Check whether any snapshot uses a content blob
+ * @param {StorageAdapter} adapter - The storage backend
+ * @param {string} blobId - The blob id
+ * @returns {Promise<boolean>} True if a snapshot still needs the blob
+ */
+export async function isBlobInSnapshots(adapter, blobId) {
+  return (await adapter.listSnapshots()).some(snapshot => (snapshot.blobIds || []).includes(blobId));
+}
+
+/**
+ * Read and parse a snapshot's vault file
+ * @param {StorageAdapter} adapter - The storage backend
+ * @param {string} id - The snapshot id
+ * @returns {Promise<Object>} The parsed vault file object
+ */
+export async function readSnapshotFile(adapter, id) {
+  const content = await adapter.readSnapshot(id);
+  if (!content) {
+    throw new Error(`Snapshot ${id} is missing from this device`);
+  }
+  return parseVaultFile(content);
+}
+
+/**
+ * Move every snapshot to new vault keys
+ * Snapshots keep the key slots of the vault they were taken from. After a password
+ * change their slots are replaced; after the data key rotates they are re-encrypted,
+ * so a revoked passphrase does not open them. A snapshot that cannot be moved is deleted
+ * @param {StorageAdapter} adapter - The storage backend
+ * @param {Object} keys - The old and new keys
+ * @param {CryptoKey} keys.oldKey - The data key the snapshots are encrypted under
+ * @param {CryptoKey} keys.newKey - The new data key
+ * @param {Array<Object>} keys.keySlots - The new key slots
+ * @param {function(Object): Promise<string>} keys.serialize - Encrypts vault data as a vault file under the new keys
+ */
+export async function rekeySnapshots(adapter, { oldKey, newKey, keySlots, serialize }) {
+  for (const snapshot of await adapter.listSnapshots()) {
+    try {
+      const vaultFileObj = await readSnapshotFile(adapter, snapshot.id);
+      let content;
+      if (oldKey === newKey) {
+        content = JSON.stringify({ ...vaultFileObj, keySlots: keySlots.map(slot => ({ ...slot })) });
+      } else {
+        content = await serialize((await decryptVaultItems(vaultFileObj, oldKey)).data);
+      }
+      await adapter.writeSnapshot(snapshot, content);
+    } catch (error) {
+      console.error(`Deleting snapshot ${snapshot.id}, it could not be moved to the new keys:`, error);
+      await adapter.removeSnapshot(snapshot.id);
+    }
+  }
+}
+
+// Export snapshot store module
+export default {
+  SNAPSHOT_INTERVAL_MS,
+  DEFAULT_SNAPSHOT_SETTINGS,
+  getSnapshotSettings,
+  setSnapshotSettings,
+  sortSnapshots,
+  recordSnapshot,
+  pruneSnapshots,
+  isBlobInSnapshots,
+  readSnapshotFile,
+  rekeySnapshots
+};
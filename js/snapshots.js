@@ -0,0 +1,106 @@
+// Import dependencies
+import { saveToSecureStorage, replaceVaultData } from './database.js';
+import { getStorageAdapter, takeVaultSnapshot, pruneVaultSnapshots } from './vault-storage.js';
+import { getEncryptionKey } from './vault-session.js';
+import { isDecoyOpen } from './vault-decoy.js';
+import { sortSnapshots, readSnapshotFile, setSnapshotSettings } from './snapshot-store.js';
+import { ITEM_SECTIONS, readVaultIndex, decryptVaultItems } from './vault-items.js';
+import { migrateVaultData } from './vault-schema.js';
+
+/**
+ * List the snapshots on this device with their item counts, newest first
+ * Only the item index of each snapshot is decrypted. With the decoy open, snapshots that do not
+ * open with its key are left out, since they can only be of the vault it hides
+ * @returns {Promise<Array<Object>>} Each snapshot's id, creation time and item counts by section;
+ *   counts are null for snapshots that do not open with the open vault's key
+ */
+export async function listVaultSnapshots() {
+  const adapter = await getStorageAdapter();
+  const summaries = [];
+
+  for (const snapshot of sortSnapshots(await adapter.listSnapshots())) {
+    let counts = null;
+    try {
+      const { sections } = await readVaultIndex(await readSnapshotFile(adapter, snapshot.id), getEncryptionKey());
+      counts = Object.fromEntries(ITEM_SECTIONS.map(section => [section, Object.keys(sections[section] || {}).length]));
+    } catch (error) {
+      if (isDecoyOpen()) continue;
+      console.warn(`Snapshot ${snapshot.id} does not open with the open vault's key:`, error);
+    }
+    summaries.push({ id: snapshot.id, createdAt: snapshot.createdAt, counts });
+  }
+
+  return summaries;
+}
+
+/**
+ * Decrypt the contents of a snapshot, upgraded to the current schema
+ * @param {string} id - The snapshot id
+ * @returns {Promise<Object>} The vault data the snapshot holds
+ */
+export async function readSnapshotData(id) {
+  const vaultFileObj = await readSnapshotFile(await getStorageAdapter(), id);
+  const { data } = await decryptVaultItems(vaultFileObj, getEncryptionKey());
+  return migrateVaultData(data);
+}
+
+/**
+ * Restore the whole vault from a snapshot
+ * The vault as it is now is kept as a snapshot first
+ * @param {string} id - The snapshot id
+ * @returns {Promise<boolean>} True if the vault was restored
+ */
+export async function restoreVaultSnapshot(id) {
+  const data = await readSnapshotData(id);
+  const restored = await replaceVaultData(data);
+  console.log(restored ? `Vault restored from snapshot ${id}` : `Vault could not be restored from snapshot ${id}`);
+  return restored;
+}
+
+/**
+ * Restore chosen items from a snapshot
+ * Restored items replace their current versions, and deleted ones come back; other items are left alone
+ * @param {string} id - The snapshot id
+ * @param {Array<{section: string, id: string}>} selection - The items to restore
+ * @returns {Promise<boolean>} True if the items were restored
+ */
+export async function restoreSnapshotItems(id, selection) {
+  const data = await readSnapshotData(id);
+  const restored = {};
+
+  selection.forEach(({ section, id: itemId }) => {
+    const item = ITEM_SECTIONS.includes(section) && data[section][itemId];
+    if (item) {
+      restored[section] = { ...restored[section], [itemId]: item };
+    }
+  });
+
+  if (Object.keys(restored).length === 0) {
+    console.warn(`None of the selected items are in snapshot ${id}`);
+    return false;
+  }
+
+  // Keep the current versions of the items before they are replaced
+  await takeVaultSnapshot();
+  return saveToSecureStorage(restored);
+}
+
+/**
+ * Change how many snapshots are kept and for how long, deleting any now beyond the limits
+ * @param {Object} settings - The new retention settings
+ * @returns {Promise<{maxCount: number, maxAgeDays: number}>} The settings as stored
+ */
+export async function updateSnapshotSettings(settings) {
+  const stored = setSnapshotSettings(settings);
+  await pruneVaultSnapshots();
+  return stored;
+}
+
+// Export snapshots module
+export default {
+  listVaultSnapshots,
+  readSnapshotData,
+  restoreVaultSnapshot,
+  restoreSnapshotItems,
+  updateSnapshotSettings
+};
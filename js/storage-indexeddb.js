@@ -0,0 +1,234 @@
+// Import Dexie for IndexedDB access
+import Dexie from 'dexie';
+
+// Database and records holding the encrypted vault and the handle of its file
+// Each named vault has a database of its own
+const DB_NAME = 'SecureVault';
+const VAULT_RECORD_ID = 'current';
+const HANDLE_RECORD_ID = 'vault-file';
+
+// Lazily opened database, and the namespace of the vault it belongs to
+let db = null;
+let namespace = '';
+
+/**
+ * Get the name of a vault's database
+ * The first vault keeps the original database; each further vault has its own
+ * @param {string} name - The vault's namespace
+ * @returns {string} The database name
+ */
+function getDbName(name) {
+  return name ? `${DB_NAME}-${name}` : DB_NAME;
+}
+
+/**
+ * Open the database of the vault in use
+ * @returns {Dexie} The database
+ */
+function getDb() {
+  if (!db) {
+    db = new Dexie(getDbName(namespace));
+    db.version(1).stores({
+      // Encrypted vault files keyed by id; content is the serialized vault file
+      vaults: 'id'
+    });
+    db.version(2).stores({
+      // File System Access handles, so saves can keep writing to the opened file
+      handles: 'id'
+    });
+    db.version(3).stores({
+      // Encrypted file contents keyed by blob id
+      blobs: 'id'
+    });
+    db.version(4).stores({
+      // Snapshot metadata, and the snapshot vault files kept apart so listing stays cheap
+      snapshots: 'id',
+      snapshotContents: 'id'
+    });
+  }
+  return db;
+}
+
+/**
+ * Use the storage of another vault, closing the database of the previous one
+ * @param {string} name - The vault's namespace, empty for the first vault
+ */
+function useNamespace(name) {
+  if ((name || '') === namespace) return;
+  if (db) {
+    db.close();
+    db = null;
+  }
+  namespace = name || '';
+}
+
+/**
+ * Delete everything stored for a vault: its vault file, file contents, snapshots and file handle
+ * @param {string} name - The vault's namespace, empty for the first vault
+ */
+async function removeNamespace(name) {
+  if ((name || '') === namespace && db) {
+    db.close();
+    db = null;
+  }
+  await Dexie.delete(getDbName(name));
+}
+
+/**
+ * Check whether IndexedDB can be used
+ * @returns {Promise<boolean>} True if IndexedDB is available
+ */
+async function isAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Read the stored encrypted vault
+ * @returns {Promise<string|null>} The serialized vault file, or null if none is stored
+ */
+async function read() {
+  const record = await getDb().vaults.get(VAULT_RECORD_ID);
+  return record ? record.content : null;
+}
+
+/**
+ * Store the encrypted vault, replacing the previous one
+ * @param {string} content - The serialized vault file
+ */
+async function write(content) {
+  await getDb().vaults.put({ id: VAULT_RECORD_ID, content, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Delete the stored vault
+ */
+async function remove() {
+  await getDb().vaults.delete(VAULT_RECORD_ID);
+}
+
+/**
+ * Store an encrypted blob from a stream, replacing any blob with the same id
+ * @param {string} id - The blob id
+ * @param {ReadableStream<Uint8Array>} stream - The encrypted bytes
+ */
+async function writeBlob(id, stream) {
+  // IndexedDB stores Blob values; the browser keeps large ones on disk
+  const blob = await new Response(stream).blob();
+  await getDb().blobs.put({ id, blob });
+}
+
+/**
+ * Read an encrypted blob
+ * @param {string} id - The blob id
+ * @returns {Promise<Blob|null>} The blob, or null if it is not stored
+ */
+async function readBlob(id) {
+  const record = await getDb().blobs.get(id);
+  return record ? record.blob : null;
+}
+
+/**
+ * Delete an encrypted blob
+ * @param {string} id - The blob id
+ */
+async function removeBlob(id) {
+  await getDb().blobs.delete(id);
+}
+
+/**
+ * List the ids of the stored encrypted blobs
+ * @returns {Promise<Array<string>>} The blob ids
+ */
+async function listBlobs() {
+  return getDb().blobs.toCollection().primaryKeys();
+}
+
+/**
+ * List the stored snapshots
+ * @returns {Promise<Array<Object>>} The snapshot metadata, without contents
+ */
+async function listSnapshots() {
+  return getDb().snapshots.toArray();
+}
+
+/**
+ * Store a snapshot, replacing any snapshot with the same id
+ * @param {Object} snapshot - The snapshot metadata, with its id
+ * @param {string} content - The serialized vault file
+ */
+async function writeSnapshot(snapshot, content) {
+  const database = getDb();
+  await database.transaction('rw', database.snapshots, database.snapshotContents, async () => {
+    await database.snapshotContents.put({ id: snapshot.id, content });
+    await database.snapshots.put(snapshot);
+  });
+}
+
+/**
+ * Read the content of a snapshot
+ * @param {string} id - The snapshot id
+ * @returns {Promise<string|null>} The serialized vault file, or null if it is not stored
+ */
+async function readSnapshot(id) {
+  const record = await getDb().snapshotContents.get(id);
+  return record ? record.content : null;
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} id - The snapshot id
+ */
+async function removeSnapshot(id) {
+  const database = getDb();
+  await database.transaction('rw', database.snapshots, database.snapshotContents, async () => {
+    await database.snapshots.delete(id);
+    await database.snapshotContents.delete(id);
+  });
+}
+
+/**
+ * Remember the file handle the vault was opened from
+ * Handles can be stored in IndexedDB but not in localStorage
+ * @param {FileSystemFileHandle} handle - The vault file handle
+ */
+export async function saveFileHandle(handle) {
+  await getDb().handles.put({ id: HANDLE_RECORD_ID, handle });
+}
+
+/**
+ * Get the remembered vault file handle
+ * @returns {Promise<FileSystemFileHandle|null>} The handle, or null if none is remembered
+ */
+export async function loadFileHandle() {
+  const record = await getDb().handles.get(HANDLE_RECORD_ID);
+  return record ? record.handle : null;
+}
+
+/**
+ * Forget the remembered vault file handle
+ */
+export async function clearFileHandle() {
+  await getDb().handles.delete(HANDLE_RECORD_ID);
+}
+
+// IndexedDB storage backend
+export const indexedDbStorage = {
+  name: 'indexeddb',
+  isAvailable,
+  useNamespace,
+  removeNamespace,
+  read,
+  write,
+  remove,
+  writeBlob,
+  readBlob,
+  removeBlob,
+  listBlobs,
+  listSnapshots,
+  writeSnapshot,
+  readSnapshot,
+  removeSnapshot
+};
+
+// Export IndexedDB storage module
+export default indexedDbStorage;
@@ -0,0 +1,281 @@
+// File holding the encrypted vault in the Origin Private File System
+const VAULT_FILE_NAME = 'secure-vault.vault';
+
+// Directory holding encrypted file contents, one file per blob id
+const BLOB_DIR_NAME = 'blobs';
+
+// Directory holding vault snapshots: a manifest of their metadata and one vault file each
+const SNAPSHOT_DIR_NAME = 'snapshots';
+const SNAPSHOT_MANIFEST_NAME = 'manifest.json';
+
+// Directory holding one directory per named vault; the first vault keeps the top level
+const NAMESPACE_DIR_NAME = 'vaults';
+
+// The namespace of the vault in use, empty for the top level
+let namespace = '';
+
+/**
+ * Get the directory of the vault in use
+ * @returns {Promise<FileSystemDirectoryHandle>} The vault's root directory
+ */
+async function getRoot() {
+  const root = await navigator.storage.getDirectory();
+  if (!namespace) return root;
+  const vaults = await root.getDirectoryHandle(NAMESPACE_DIR_NAME, { create: true });
+  return vaults.getDirectoryHandle(namespace, { create: true });
+}
+
+/**
+ * Use the storage of another vault
+ * @param {string} name - The vault's namespace, empty for the top level
+ */
+function useNamespace(name) {
+  namespace = name || '';
+}
+
+/**
+ * Remove an entry from a directory, ignoring one that does not exist
+ * @param {FileSystemDirectoryHandle} dir - The directory
+ * @param {string} name - The entry name
+ */
+async function removeIfPresent(dir, name) {
+  try {
+    await dir.removeEntry(name, { recursive: true });
+  } catch (error) {
+    if (error.name !== 'NotFoundError') throw error;
+  }
+}
+
+/**
+ * Delete everything stored for a vault: its vault file, file contents and snapshots
+ * @param {string} name - The vault's namespace, empty for the top level
+ */
+async function removeNamespace(name) {
+  const root = await navigator.storage.getDirectory();
+  if (!name) {
+    await removeIfPresent(root, VAULT_FILE_NAME);
+    await removeIfPresent(root, BLOB_DIR_NAME);
+    await removeIfPresent(root, SNAPSHOT_DIR_NAME);
+    return;
+  }
+
+  try {
+    await removeIfPresent(await root.getDirectoryHandle(NAMESPACE_DIR_NAME), name);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') throw error;
+  }
+}
+
+/**
+ * Check whether OPFS can be used from this page
+ * Writing from the main thread needs createWritable, which not every browser offers
+ * @returns {Promise<boolean>} True if OPFS is available
+ */
+async function isAvailable() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.getDirectory) {
+    return false;
+  }
+
+  try {
+    const handle = await (await getRoot()).getFileHandle(VAULT_FILE_NAME, { create: true });
+    return typeof handle.createWritable === 'function';
+  } catch (error) {
+    console.warn('OPFS is not usable:', error);
+    return false;
+  }
+}
+
+/**
+ * Read a text file from a directory
+ * @param {FileSystemDirectoryHandle} dir - The directory
+ * @param {string} name - The file name
+ * @returns {Promise<string|null>} The content, or null if the file does not exist or is empty
+ */
+async function readTextFile(dir, name) {
+  try {
+    const handle = await dir.getFileHandle(name);
+    const content = await (await handle.getFile()).text();
+    return content || null;
+  } catch (error) {
+    if (error.name === 'NotFoundError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a text file to a directory, replacing it
+ * The writable stream only replaces the file when it is closed, so a failed write
+ * leaves the previous content in place
+ * @param {FileSystemDirectoryHandle} dir - The directory
+ * @param {string} name - The file name
+ * @param {string} content - The content
+ */
+async function writeTextFile(dir, name, content) {
+  const handle = await dir.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(content);
+    await writable.close();
+  } catch (error) {
+    await writable.abort();
+    throw error;
+  }
+}
+
+/**
+ * Read the stored encrypted vault
+ * @returns {Promise<string|null>} The serialized vault file, or null if none is stored
+ */
+async function read() {
+  return readTextFile(await getRoot(), VAULT_FILE_NAME);
+}
+
+/**
+ * Store the encrypted vault, replacing the previous one
+ * @param {string} content - The serialized vault file
+ */
+async function write(content) {
+  await writeTextFile(await getRoot(), VAULT_FILE_NAME, content);
+}
+
+/**
+ * Delete the stored vault
+ */
+async function remove() {
+  await removeIfPresent(await getRoot(), VAULT_FILE_NAME);
+}
+
+/**
+ * Get the directory holding encrypted blobs
+ * @returns {Promise<FileSystemDirectoryHandle>} The blob directory
+ */
+async function getBlobDir() {
+  return (await getRoot()).getDirectoryHandle(BLOB_DIR_NAME, { create: true });
+}
+
+/**
+ * Store an encrypted blob from a stream, replacing any blob with the same id
+ * The stream is written straight to disk without being held in memory
+ * @param {string} id - The blob id
+ * @param {ReadableStream<Uint8Array>} stream - The encrypted bytes
+ */
+async function writeBlob(id, stream) {
+  const handle = await (await getBlobDir()).getFileHandle(id, { create: true });
+  // pipeTo closes the writable when the stream ends and aborts it on error
+  await stream.pipeTo(await handle.createWritable());
+}
+
+/**
+ * Read an encrypted blob
+ * @param {string} id - The blob id
+ * @returns {Promise<Blob|null>} The disk-backed blob, or null if it is not stored
+ */
+async function readBlob(id) {
+  try {
+    const handle = await (await getBlobDir()).getFileHandle(id);
+    return await handle.getFile();
+  } catch (error) {
+    if (error.name === 'NotFoundError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Delete an encrypted blob
+ * @param {string} id - The blob id
+ */
+async function removeBlob(id) {
+  try {
+    await (await getBlobDir()).removeEntry(id);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') throw error;
+  }
+}
+
+/**
+ * List the ids of the stored encrypted blobs
+ * @returns {Promise<Array<string>>} The blob ids
+ */
+async function listBlobs() {
+  const ids = [];
+  for await (const name of (await getBlobDir()).keys()) {
+    ids.push(name);
+  }
+  return ids;
+}
+
+/**
+ * Get the directory holding vault snapshots
+ * @returns {Promise<FileSystemDirectoryHandle>} The snapshot directory
+ */
+async function getSnapshotDir() {
+  return (await getRoot()).getDirectoryHandle(SNAPSHOT_DIR_NAME, { create: true });
+}
+
+/**
+ * List the stored snapshots
+ * @returns {Promise<Array<Object>>} The snapshot metadata, without contents
+ */
+async function listSnapshots() {
+  const manifest = await readTextFile(await getSnapshotDir(), SNAPSHOT_MANIFEST_NAME);
+  return manifest ? JSON.parse(manifest) : [];
+}
+
+/**
+ * Store a snapshot, replacing any snapshot with the same id
+ * The content is written before the manifest names it, so a listed snapshot always has a file
+ * @param {Object} snapshot - The snapshot metadata, with its id
+ * @param {string} content - The serialized vault file
+ */
+async function writeSnapshot(snapshot, content) {
+  const dir = await getSnapshotDir();
+  await writeTextFile(dir, `${snapshot.id}.vault`, content);
+  const others = (await listSnapshots()).filter(entry => entry.id !== snapshot.id);
+  await writeTextFile(dir, SNAPSHOT_MANIFEST_NAME, JSON.stringify([...others, snapshot]));
+}
+
+/**
+ * Read the content of a snapshot
+ * @param {string} id - The snapshot id
+ * @returns {Promise<string|null>} The serialized vault file, or null if it is not stored
+ */
+async function readSnapshot(id) {
+  return readTextFile(await getSnapshotDir(), `${id}.vault`);
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} id - The snapshot id
+ */
+async function removeSnapshot(id) {
+  const dir = await getSnapshotDir();
+  const remaining = (await listSnapshots()).filter(entry => entry.id !== id);
+  await writeTextFile(dir, SNAPSHOT_MANIFEST_NAME, JSON.stringify(remaining));
+  try {
+    await dir.removeEntry(`${id}.vault`);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') throw error;
+  }
+}
+
+// Origin Private File System storage backend
+export const opfsStorage = {
+  name: 'opfs',
+  isAvailable,
+  useNamespace,
+  removeNamespace,
+  read,
+  write,
+  remove,
+  writeBlob,
+  readBlob,
+  removeBlob,
+  listBlobs,
+  listSnapshots,
+  writeSnapshot,
+  readSnapshot,
+  removeSnapshot
+};
+
+// Export OPFS storage module
+export default opfsStorage;
@@ -0,0 +1,146 @@
+// Import WebCrypto helpers
+import { AES_KEY_BITS, GCM_IV_BYTES, GCM_TAG_BITS, randomBytes, bytesToBase64, base64ToBytes, importAesKey } from './crypto.js';
+
+// Plaintext bytes per encrypted chunk; each chunk adds a GCM tag
+export const CHUNK_SIZE = 1024 * 1024;
+export const CHUNK_TAG_BYTES = GCM_TAG_BITS / 8;
+
+// Algorithm recorded with each encrypted file
+export const STREAM_CIPHER = 'aes-256-gcm-chunked';
+
+/**
+ * Generate a random key for one file's content
+ * Each file has its own key, kept in the file's encrypted vault record
+ * @returns {string} The Base64 encoded 256-bit file key
+ */
+export function generateFileKey() {
+  return bytesToBase64(randomBytes(AES_KEY_BITS / 8));
+}
+
+/**
+ * Build the nonce of a chunk from its position
+ * File keys are never reused, so a counter nonce cannot repeat under one key
+ * @param {number} index - The chunk index
+ * @returns {Uint8Array} The 96-bit nonce
+ */
+function chunkNonce(index) {
+  const nonce = new Uint8Array(GCM_IV_BYTES);
+  new DataView(nonce.buffer).setUint32(GCM_IV_BYTES - 4, index);
+  return nonce;
+}
+
+/**
+ * Build the associated data of a chunk
+ * Marking the last chunk means a stream cut at a chunk boundary fails to decrypt
+ * @param {boolean} last - Whether this is the final chunk
+ * @returns {Uint8Array} The associated data
+ */
+function chunkAad(last) {
+  return new Uint8Array([last ? 1 : 0]);
+}
+
+/**
+ * Take bytes from the front of a list of buffered pieces
+ * @param {Array<Uint8Array>} pieces - The buffered pieces, consumed in place
+ * @param {number} length - Number of bytes to take
+ * @returns {Uint8Array} The bytes taken
+ */
+function takeBytes(pieces, length) {
+  const result = new Uint8Array(length);
+  let offset = 0;
+  while (offset < length) {
+    const piece = pieces[0];
+    const count = Math.min(piece.length, length - offset);
+    result.set(piece.subarray(0, count), offset);
+    offset += count;
+    if (count === piece.length) {
+      pieces.shift();
+    } else {
+      pieces[0] = piece.subarray(count);
+    }
+  }
+  return result;
+}
+
+/**
+ * Create a transform that regroups a byte stream into fixed-size chunks and processes each one
+ * A chunk is only released once more data follows it, so the final chunk is known when the stream ends
+ * @param {number} chunkSize - Bytes per chunk (the final chunk may be shorter or empty)
+ * @param {function(Uint8Array, number, boolean): Promise<Uint8Array>} processChunk - Called with the chunk, its index and whether it is the last
+ * @returns {TransformStream} The transform stream
+ */
+function chunkedTransform(chunkSize, processChunk) {
+  const pieces = [];
+  let buffered = 0;
+  let index = 0;
+
+  return new TransformStream({
+    async transform(piece, controller) {
+      const bytes = piece instanceof Uint8Array ? piece : new Uint8Array(piece);
+      pieces.push(bytes);
+      buffered += bytes.length;
+
+      while (buffered > chunkSize) {
+        buffered -= chunkSize;
+        controller.enqueue(await processChunk(takeBytes(pieces, chunkSize), index++, false));
+      }
+    },
+    async flush(controller) {
+      controller.enqueue(await processChunk(takeBytes(pieces, buffered), index++, true));
+    }
+  });
+}
+
+/**
+ * Encrypt a byte stream in authenticated chunks
+ * Output is the concatenated chunks, each ciphertext followed by its tag
+ * @param {ReadableStream<Uint8Array>} stream - The plaintext stream, e.g. File.stream()
+ * @param {string} fileKey - The Base64 file key
+ * @returns {ReadableStream<Uint8Array>} The encrypted stream
+ */
+export function encryptStream(stream, fileKey) {
+  const keyPromise = importAesKey(base64ToBytes(fileKey));
+
+  return stream.pipeThrough(chunkedTransform(CHUNK_SIZE, async (chunk, index, last) => {
+    const encrypted = await globalThis.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkNonce(index), additionalData: chunkAad(last), tagLength: GCM_TAG_BITS },
+      await keyPromise,
+      chunk
+    );
+    return new Uint8Array(encrypted);
+  }));
+}
+
+/**
+ * Decrypt a stream written by encryptStream, one chunk at a time
+ * The stream errors if a chunk was altered, reordered or the file was truncated
+ * @param {ReadableStream<Uint8Array>} stream - The encrypted stream
+ * @param {string} fileKey - The Base64 file key
+ * @returns {ReadableStream<Uint8Array>} The plaintext stream
+ */
+export function decryptStream(stream, fileKey) {
+  const keyPromise = importAesKey(base64ToBytes(fileKey));
+
+  return stream.pipeThrough(chunkedTransform(CHUNK_SIZE + CHUNK_TAG_BYTES, async (chunk, index, last) => {
+    try {
+      const decrypted = await globalThis.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: chunkNonce(index), additionalData: chunkAad(last), tagLength: GCM_TAG_BITS },
+        await keyPromise,
+        chunk
+      );
+      return new Uint8Array(decrypted);
+    } catch (error) {
+      throw new Error(`Encrypted file chunk ${index} failed authentication`);
+    }
+  }));
+}
+
+// Export stream crypto module
+export default {
+  CHUNK_SIZE,
+  CHUNK_TAG_BYTES,
+  STREAM_CIPHER,
+  generateFileKey,
+  encryptStream,
+  decryptStream
+};
@@ -0,0 +1,254 @@
+// Import a fast non-cryptographic hash for conflict copy ids
+import { xxhash64 } from 'hash-wasm';
+
+// Import dependencies
+import { hasVaultItems } from './vault-format.js';
+import { ITEM_SECTIONS, decryptVaultItems } from './vault-items.js';
+import { migrateVaultData } from './vault-schema.js';
+import { VECTOR_ORDER, compareVectors, mergeVectors, itemContents } from './version-vectors.js';
+import { UnsupportedVersionError } from './vault-errors.js';
+
+/*
+ * Vault sync engine
+ *
+ * Merges two states of the same vault, such as this device's and one exported on
+ * another device. The engine does no I/O: a transport (an exported file, a WebDAV
+ * server, anything else) hands it the two states and stores the result.
+ *
+ * Each item's version vector stands in for the common ancestor of a three-way merge:
+ * if one side's vector descends from the other's, only that side changed the item
+ * since they last matched and its version is taken. If neither descends from the
+ * other, both changed it: identical contents are merged, otherwise the newer version
+ * keeps the item and the other is kept beside it as a conflict copy. An edit on one
+ * side wins over a deletion on the other. The result does not depend on which state
+ * is local, so two devices merging each other's states end up with the same vault.
+ */
+
+// Added to the name of the version kept as a conflict copy
+const CONFLICT_SUFFIX = ' (conflict copy)';
+
+/**
+ * One side's state of an item
+ * @typedef {Object} ItemState
+ * @property {Object|null} item - The item, if it exists on this side
+ * @property {Object|null} tombstone - Its tombstone, if it was deleted on this side
+ * @property {Object<string, number>} versions - The version vector of the item or tombstone
+ */
+
+/**
+ * Get one side's state of an item
+ * @param {Object} data - The vault data
+ * @param {string} section - The vault section
+ * @param {string} id - The item id
+ * @returns {ItemState} The item's state
+ */
+function getItemState(data, section, id) {
+  const item = (data[section] && data[section][id]) || null;
+  const tombstone = (!item && data.tombstones && data.tombstones[section] && data.tombstones[section][id]) || null;
+  return { item, tombstone, versions: (item || tombstone || {}).versions || {} };
+}
+
+/**
+ * Order two conflicting versions of an item, the same way whichever side each is on
+ * The later modification wins; equal times fall back to comparing contents
+ * @param {Object} a - One version
+ * @param {Object} b - The other version
+ * @returns {Array<Object>} The winning version, then the one kept as a conflict copy
+ */
+function rankConflict(a, b) {
+  const byTime = (Date.parse(a.modified) || 0) - (Date.parse(b.modified) || 0);
+  if (byTime !== 0) return byTime > 0 ? [a, b] : [b, a];
+  return itemContents(a) > itemContents(b) ? [a, b] : [b, a];
+}
+
+/**
+ * Name a conflict copy, keeping a file extension at the end
+ * @param {string} name - The item name
+ * @returns {string} The copy's name
+ */
+function conflictName(name = 'Untitled') {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? `${name.slice(0, dot)}${CONFLICT_SUFFIX}${name.slice(dot)}` : `${name}${CONFLICT_SUFFIX}`;
+}
+
+/**
+ * Merge two states of an item whose vectors do not order them
+ * @param {string} id - The item id
+ * @param {ItemState} a - One side's state
+ * @param {ItemState} b - The other side's state
+ * @returns {Promise<{item: Object|null, tombstone: Object|null, copy: Object|null}>} The merged state, and a conflict copy if one is needed
+ */
+async function mergeConcurrent(id, a, b) {
+  const versions = mergeVectors(a.versions, b.versions);
+
+  // Both deleted it
+  if (!a.item && !b.item) {
+    const deletedAt = [a.tombstone.deletedAt, b.tombstone.deletedAt].sort().pop();
+    return { item: null, tombstone: { versions, deletedAt }, copy: null };
+  }
+
+  // An edit on one side wins over a deletion on the other
+  if (!a.item || !b.item) {
+    return { item: { ...(a.item || b.item), versions }, tombstone: null, copy: null };
+  }
+
+  if (itemContents(a.item) === itemContents(b.item)) {
+    return { item: { ...a.item, versions }, tombstone: null, copy: null };
+  }
+
+  // The id of the copy comes from its contents, so both devices make the same copy
+  const [winner, loser] = rankConflict(a.item, b.item);
+  const copyId = `${id}_conflict_${(await xxhash64(itemContents(loser))).slice(0, 8)}`;
+  return {
+    item: { ...winner, versions },
+    tombstone: null,
+    copy: { ...loser, id: copyId, name: conflictName(loser.name) }
+  };
+}
+
+/**
+ * Merge two states of an item
+ * @param {string} id - The item id
+ * @param {ItemState} a - One side's state
+ * @param {ItemState} b - The other side's state
+ * @returns {Promise<{item: Object|null, tombstone: Object|null, copy: Object|null}>} The merged state, and a conflict copy if one is needed
+ */
+async function mergeItemStates(id, a, b) {
+  const take = ({ item, tombstone }) => ({ item, tombstone, copy: null });
+
+  // A side that never had the item has nothing to add
+  if (!a.item && !a.tombstone) return take(b);
+  if (!b.item && !b.tombstone) return take(a);
+
+  const order = compareVectors(a.versions, b.versions);
+  if (order === VECTOR_ORDER.AFTER) return take(a);
+  if (order === VECTOR_ORDER.BEFORE) return take(b);
+
+  // Equal vectors with the same contents are the same version; items never
+  // stamped have equal empty vectors but may still differ
+  const sameVersion = order === VECTOR_ORDER.EQUAL &&
+    (!a.item || !b.item ? !a.item && !b.item : itemContents(a.item) === itemContents(b.item));
+  return sameVersion ? take(a) : mergeConcurrent(id, a, b);
+}
+
+/**
+ * Get the sorted ids of a section's items and tombstones on both sides
+ * @param {Object} local - This device's vault data
+ * @param {Object} remote - The other vault data
+ * @param {string} section - The vault section
+ * @returns {Array<string>} The item ids
+ */
+function collectIds(local, remote, section) {
+  const ids = new Set();
+  [local, remote].forEach(data => {
+    Object.keys(data[section] || {}).forEach(id => ids.add(id));
+    Object.keys((data.tombstones && data.tombstones[section]) || {}).forEach(id => ids.add(id));
+  });
+  return [...ids].sort();
+}
+
+/**
+ * Sync report
+ * @typedef {Object} SyncReport
+ * @property {number} added - Items new to this device, conflict copies included
+ * @property {number} updated - Items whose version on this device was replaced
+ * @property {number} deleted - Items deleted on the other side
+ * @property {Array<{section: string, id: string, name: string}>} conflicts - Conflict copies made
+ * @property {Array<string>} remoteBlobIds - File contents the merged vault uses that only the other side has
+ */
+
+/**
+ * Merge two decrypted states of a vault
+ * Everything outside the item sections and tombstones stays this device's
+ * @param {Object} local - This device's vault data
+ * @param {Object} remote - The other vault data
+ * @returns {Promise<{data: Object, report: SyncReport}>} The merged vault data and what changed for this device
+ */
+export async function mergeVaultStates(local, remote) {
+  const data = { ...local, tombstones: {} };
+  const conflicts = [];
+
+  for (const section of ITEM_SECTIONS) {
+    data[section] = {};
+    data.tombstones[section] = {};
+    for (const id of collectIds(local, remote, section)) {
+      const merged = await mergeItemStates(id, getItemState(local, section, id), getItemState(remote, section, id));
+      if (merged.item) data[section][id] = merged.item;
+      if (merged.tombstone) data.tombstones[section][id] = merged.tombstone;
+      // A copy the same conflict made in an earlier sync is merged like any other item
+      if (merged.copy) {
+        data[section][merged.copy.id] = data[section][merged.copy.id] || merged.copy;
+        conflicts.push({ section, id: merged.copy.id, name: merged.copy.name });
+      }
+    }
+  }
+
+  const report = { ...describeChanges(local, data), conflicts, remoteBlobIds: findRemoteBlobIds(local, data) };
+  console.log(`Synced vault states: ${report.added} added, ${report.updated} updated, ${report.deleted} deleted, ${conflicts.length} conflicts`);
+  return { data, report };
+}
+
+/**
+ * Count how the merged vault differs from this device's
+ * @param {Object} local - This device's vault data
+ * @param {Object} merged - The merged vault data
+ * @returns {{added: number, updated: number, deleted: number}} The counts
+ */
+function describeChanges(local, merged) {
+  const counts = { added: 0, updated: 0, deleted: 0 };
+  ITEM_SECTIONS.forEach(section => {
+    const before = local[section] || {};
+    const after = merged[section];
+    Object.entries(after).forEach(([id, item]) => {
+      if (!before[id]) counts.added++;
+      else if (JSON.stringify(before[id]) !== JSON.stringify(item)) counts.updated++;
+    });
+    counts.deleted += Object.keys(before).filter(id => !after[id]).length;
+  });
+  return counts;
+}
+
+/**
+ * Find the file contents the merged vault uses that this device does not have
+ * @param {Object} local - This device's vault data
+ * @param {Object} merged - The merged vault data
+ * @returns {Array<string>} The blob ids
+ */
+function findRemoteBlobIds(local, merged) {
+  const blobIds = data => Object.values(data.files || {}).filter(file => file.blob).map(file => file.blob.id);
+  const localIds = new Set(blobIds(local));
+  return [...new Set(blobIds(merged))].filter(id => !localIds.has(id));
+}
+
+/**
+ * Decrypt an encrypted vault state and upgrade it to the current schema
+ * @param {Object} state - The encrypted state
+ * @param {Object} state.vaultFileObj - The parsed vault file
+ * @param {CryptoKey} state.dataKey - The data key it is encrypted under
+ * @returns {Promise<Object>} The vault data
+ * @throws {UnsupportedVersionError} If the file predates per-item records
+ */
+export async function openVaultState({ vaultFileObj, dataKey }) {
+  if (!hasVaultItems(vaultFileObj)) {
+    throw new UnsupportedVersionError('Only vault files with per-item records can be synced; open and save the file first');
+  }
+  const { data } = await decryptVaultItems(vaultFileObj, dataKey);
+  return migrateVaultData(data);
+}
+
+/**
+ * Merge two encrypted states of a vault
+ * @param {Object} local - This device's encrypted state, as for openVaultState
+ * @param {Object} remote - The other encrypted state, as for openVaultState
+ * @returns {Promise<{data: Object, report: SyncReport}>} The merged vault data and what changed for this device
+ */
+export async function syncVaultStates(local, remote) {
+  return mergeVaultStates(await openVaultState(local), await openVaultState(remote));
+}
+
+// Export sync engine module
+export default {
+  mergeVaultStates,
+  openVaultState,
+  syncVaultStates
+};
@@ -0,0 +1,62 @@
+// Errors raised while syncing the vault with a remote server
+// Each type maps to its own message in the sync status
+
+/**
+ * Base type of every sync error
+ * @param {string} message - Details for the console
+ */
+export class SyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The server rejected the sync credentials
+ */
+export class SyncAuthError extends SyncError {}
+
+/**
+ * The remote vault changed since it was read, so the upload was refused
+ */
+export class SyncConflictError extends SyncError {}
+
+/**
+ * The remote vault is not this vault, or cannot be opened with its key
+ */
+export class SyncMismatchError extends SyncError {}
+
+/**
+ * The remote vault does not open with this vault's key, as after a key rotation on another
+ * device; the vault password may open it
+ */
+export class SyncKeyChangedError extends SyncMismatchError {}
+
+// Messages shown to the user for each error type
+const USER_MESSAGES = [
+  [SyncAuthError, 'The sync server rejected the username or password.'],
+  [SyncConflictError, 'The vault on the sync server kept changing during the sync. Try again.'],
+  [SyncKeyChangedError, 'The vault on the sync server does not open with this device\'s vault key. If its key was changed on another device, enter your vault password under Sync in Settings and sync again.'],
+  [SyncMismatchError, 'The vault on the sync server is a different vault or uses another vault key.']
+];
+
+/**
+ * Describe a sync failure for the user
+ * @param {Error} error - The error that was thrown
+ * @returns {string} A message saying why the sync failed
+ */
+export function describeSyncError(error) {
+  const match = USER_MESSAGES.find(([type]) => error instanceof type);
+  return match ? match[1] : `Sync failed: ${error.message}`;
+}
+
+// Export sync errors module
+export default {
+  SyncError,
+  SyncAuthError,
+  SyncConflictError,
+  SyncMismatchError,
+  SyncKeyChangedError,
+  describeSyncError
+};
@@ -0,0 +1,166 @@
+// Import dependencies
+import {
+  SYNC_STATUS,
+  SYNC_STATUS_EVENT,
+  getSyncConfig,
+  getSyncState,
+  getSyncStatus,
+  saveSyncSettings,
+  syncNow,
+  startSyncSchedule,
+  stopSyncSchedule
+} from './remote-sync.js';
+import { AUTH_EVENTS } from './auth.js';
+import { describeSyncError } from './sync-errors.js';
+import { showNotification } from './ui.js';
+
+// Header icons for each sync status
+const STATUS_ICONS = {
+  [SYNC_STATUS.OFF]: '☁️',
+  [SYNC_STATUS.IDLE]: '☁️',
+  [SYNC_STATUS.SYNCING]: '🔄',
+  [SYNC_STATUS.SYNCED]: '✅',
+  [SYNC_STATUS.ERROR]: '⚠️'
+};
+
+/**
+ * Initialize the sync section of the settings modal and the sync status in the header
+ */
+export function initializeSyncSettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const saveBtn = document.getElementById('sync-settings-btn');
+  const syncBtn = document.getElementById('sync-now-btn');
+  const statusBtn = document.getElementById('sync-status-btn');
+
+  if (!saveBtn || !syncBtn || !statusBtn) {
+    console.warn('Sync settings not found');
+    return;
+  }
+
+  // Show the stored settings whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', renderSyncSettings);
+  }
+
+  saveBtn.addEventListener('click', handleSaveSettings);
+  syncBtn.addEventListener('click', handleSyncNow);
+  statusBtn.addEventListener('click', handleSyncNow);
+  window.addEventListener(SYNC_STATUS_EVENT, (event) => handleStatusChange(event.detail));
+  window.addEventListener(AUTH_EVENTS.LOGOUT, stopSyncSchedule);
+
+  renderSyncStatus(getSyncStatus());
+  startSyncSchedule();
+}
+
+/**
+ * Show the stored settings and the current status
+ */
+async function renderSyncSettings() {
+  const config = await getSyncConfig();
+  document.getElementById('sync-url').value = config ? config.url : '';
+  document.getElementById('sync-username').value = config ? config.username : '';
+  document.getElementById('sync-password').value = config ? config.password : '';
+  document.getElementById('sync-interval').value = getSyncState().intervalMinutes;
+  renderSyncStatus(getSyncStatus());
+}
+
+/**
+ * Show a sync status in the header and the settings modal
+ * @param {Object} status - The status from getSyncStatus
+ */
+function renderSyncStatus({ status, message, syncedAt, needsPassword }) {
+  const statusBtn = document.getElementById('sync-status-btn');
+  const settingsStatus = document.getElementById('sync-settings-status');
+  const lastSync = syncedAt ? ` (last sync ${new Date(syncedAt).toLocaleString()})` : '';
+
+  if (statusBtn) {
+    // The header only shows sync once it is set up
+    statusBtn.classList.toggle('hidden', status === SYNC_STATUS.OFF);
+    statusBtn.dataset.status = status;
+    statusBtn.title = `${message}${lastSync}. Click to sync now.`;
+    statusBtn.querySelector('.icon').textContent = STATUS_ICONS[status];
+  }
+  if (settingsStatus) {
+    settingsStatus.textContent = `${message}${lastSync}`;
+  }
+
+  // The vault password is only asked for once the vault key was changed on another device
+  const passwordGroup = document.getElementById('sync-vault-password-group');
+  if (passwordGroup) {
+    passwordGroup.style.display = needsPassword ? '' : 'none';
+  }
+}
+
+/**
+ * Show a new sync status, reloading the views if the sync changed the vault's items
+ * @param {Object} status - The status from the sync status event
+ */
+function handleStatusChange(status) {
+  renderSyncStatus(status);
+
+  if (status.status === SYNC_STATUS.ERROR) {
+    showNotification(status.message, 'error');
+  }
+
+  // The views hold the vault as it was, so reload them before they save over the sync
+  if (status.changedItems) {
+    showNotification(`${status.message}. Reloading...`, 'success');
+    setTimeout(() => window.location.reload(), 1500);
+  }
+}
+
+/**
+ * Store the sync settings from the form
+ */
+async function handleSaveSettings() {
+  const saveBtn = document.getElementById('sync-settings-btn');
+  saveBtn.disabled = true;
+  try {
+    const saved = await saveSyncSettings({
+      url: document.getElementById('sync-url').value,
+      username: document.getElementById('sync-username').value,
+      password: document.getElementById('sync-password').value,
+      intervalMinutes: document.getElementById('sync-interval').value
+    });
+    if (!saved) {
+      showNotification('Sync settings could not be saved', 'error');
+      return;
+    }
+    showNotification(document.getElementById('sync-url').value.trim() ? 'Sync settings saved' : 'Sync turned off', 'success');
+  } catch (error) {
+    console.error('Error saving sync settings:', error);
+    showNotification(describeSyncError(error), 'error');
+  } finally {
+    saveBtn.disabled = false;
+    renderSyncSettings();
+  }
+}
+
+/**
+ * Sync with the server now
+ */
+async function handleSyncNow() {
+  if (!await getSyncConfig()) {
+    showNotification('Set up sync in Settings first', 'info');
+    return;
+  }
+
+  const syncBtn = document.getElementById('sync-now-btn');
+  const passwordInput = document.getElementById('sync-vault-password');
+  const password = passwordInput ? passwordInput.value : '';
+  syncBtn.disabled = true;
+  try {
+    const result = await syncNow(password || null);
+    if (passwordInput) passwordInput.value = '';
+    if (result && !getSyncStatus().changedItems) {
+      showNotification(getSyncStatus().message, 'success');
+    }
+  } finally {
+    syncBtn.disabled = false;
+  }
+}
+
+// Export sync settings module
+export default {
+  initializeSyncSettings
+};
@@ -1,6 +1,16 @@
 // Import modules
 import { exportDatabase } from './database.js';
+import { saveVaultAs, getVaultFileHandle } from './vault-file.js';
 import { logoutUser, checkAuthentication } from './auth.js';
+import { initializeKdfSettings } from './kdf-settings.js';
+import { initializePasswordSettings } from './password-settings.js';
+import { initializeSlotSettings } from './slot-settings.js';
+import { initializeSnapshotSettings } from './snapshot-settings.js';
+import { initializeMergeImport } from './merge-import.js';
+import { initializeSyncSettings } from './sync-settings.js';
+import { initializeAutoLockSettings } from './auto-lock-settings.js';
+import { initializeThrottleSettings } from './unlock-throttle-settings.js';
+import { initializeDecoySettings } from './decoy-settings.js';
 
 /**
  * Initialize the UI
@@ -54,8 +64,7 @@ function initializeSettings() {
   const settingsBtn = document.getElementById('settings-btn');
   const settingsModal = document.getElementById('settings-modal');
   const exportDbBtn = document.getElementById('export-db-btn');
-  const importDbBtn = document.getElementById('import-db-btn');
-  const importFileInput = document.getElementById('import-file-input');
+  const saveAsBtn = document.getElementById('save-as-btn');
   const changePasswordBtn = document.getElementById('change-password-btn');
   const logoutBtn = document.getElementById('logout-btn');
   const themeToggle = document.getElementById('theme-toggle');
@@ -101,38 +110,26 @@ function initializeSettings() {
     });
   }
   
-  // Handle import database button click
-  if (importDbBtn && importFileInput) {
-    importDbBtn.addEventListener('click', () => {
-      // Clear any previous imports
-      if (importFileInput) {
-        importFileInput.value = ''; // Reset the file input
-      }
-      importFileInput.click();
-    });
-    
-    importFileInput.addEventListener('change', (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        console.log(`File selected for import: ${file.name}, type: ${file.type}, size: ${file.size} bytes`);
+  // Handle save as button click
+  if (saveAsBtn) {
+    saveAsBtn.addEventListener('click', async () => {
+      try {
+        if (!checkAuthentication()) {
+          showNotification('You must be logged in to save', 'error');
+          return;
+        }
+        
+        // Let every component save its latest data first, as for export
+        window.dispatchEvent(new CustomEvent('vault:autosave'));
+        await new Promise(resolve => setTimeout(resolve, 1000));
         
-        // Show import confirmation modal
-        const importModal = document.getElementById('import-modal');
-        if (importModal) {
-          // Clear any previous password entry
-          const passwordInput = document.getElementById('import-password');
-          if (passwordInput) {
-            passwordInput.value = '';
-          }
-          
-          // Display the file name
-          const fileNameDisplay = document.getElementById('import-file-name');
-          if (fileNameDisplay) {
-            fileNameDisplay.textContent = `Selected file: ${file.name}`;
-          }
-          
-          importModal.classList.add('active');
+        if (await saveVaultAs()) {
+          const handle = getVaultFileHandle();
+          showNotification(handle ? `Vault saved to ${handle.name}` : 'Vault file downloaded', 'success');
         }
+      } catch (error) {
+        console.error('Error saving vault:', error);
+        showNotification('Error saving vault: ' + error.message, 'error');
       }
     });
   }
@@ -164,6 +161,17 @@ function initializeSettings() {
       document.body.classList.add('dark-theme');
     }
   }
+  
+  // Password, key derivation, snapshot, merge import, sync, auto-lock, failed unlock and duress password settings
+  initializePasswordSettings();
+  initializeKdfSettings();
+  initializeSlotSettings();
+  initializeSnapshotSettings();
+  initializeMergeImport();
+  initializeSyncSettings();
+  initializeAutoLockSettings();
+  initializeThrottleSettings();
+  initializeDecoySettings();
 }
 
 /**
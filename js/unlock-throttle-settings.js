@@ -0,0 +1,92 @@
+// Import dependencies
+import { getThrottleSettings, setThrottleSettings } from './unlock-throttle.js';
+import { showNotification } from './ui.js';
+
+/**
+ * Initialize the failed-unlock section of the settings modal
+ */
+export function initializeThrottleSettings() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const saveBtn = document.getElementById('throttle-settings-btn');
+  const eraseInput = document.getElementById('throttle-erase-after');
+
+  if (!saveBtn || !eraseInput) {
+    console.warn('Unlock throttle settings not found');
+    return;
+  }
+
+  // Show the stored settings whenever the settings modal opens
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', renderThrottleSettings);
+  }
+  renderThrottleSettings();
+
+  saveBtn.addEventListener('click', handleSaveSettings);
+  eraseInput.addEventListener('input', () => renderEraseWarning(Number(eraseInput.value)));
+}
+
+/**
+ * Show the stored throttle settings
+ */
+function renderThrottleSettings() {
+  const { eraseAfter } = getThrottleSettings();
+  document.getElementById('throttle-erase-after').value = eraseAfter;
+  renderEraseWarning(eraseAfter);
+}
+
+/**
+ * Spell out what erasing does while it is turned on
+ * @param {number} eraseAfter - Failed attempts in a row before erasing, 0 for never
+ */
+function renderEraseWarning(eraseAfter) {
+  const warning = document.getElementById('throttle-erase-warning');
+  const on = eraseAfter > 0;
+  warning.textContent = on
+    ? `After ${eraseAfter} wrong passwords in a row, this vault, its files and its snapshots are permanently deleted from this device. ` +
+      'Anyone can trigger this by guessing, so keep an exported copy of the vault somewhere else.'
+    : '';
+  warning.style.display = on ? 'block' : 'none';
+}
+
+/**
+ * Store the throttle settings from the form
+ */
+function handleSaveSettings() {
+  const { eraseAfter } = setThrottleSettings({
+    eraseAfter: document.getElementById('throttle-erase-after').value
+  });
+  renderThrottleSettings();
+
+  showNotification(eraseAfter > 0
+    ? `The vault is erased from this device after ${eraseAfter} failed unlock attempts in a row`
+    : 'Failed unlock attempts only add a wait', eraseAfter > 0 ? 'warning' : 'success');
+}
+
+/**
+ * Show the failed attempts since the previous unlock
+ * @param {Array<{at: string, source: string}>} attempts - The logged attempts from recordSuccessfulUnlock
+ */
+export function showFailedUnlocks(attempts) {
+  const modal = document.getElementById('failed-unlocks-modal');
+  if (!modal || attempts.length === 0) return;
+
+  document.getElementById('failed-unlocks-summary').textContent =
+    `${attempts.length} wrong password${attempts.length === 1 ? ' was' : 's were'} entered for this vault since it was last unlocked. ` +
+    'If these were not you, someone may be trying to guess your password.';
+
+  const list = document.getElementById('failed-unlocks-list');
+  list.innerHTML = '';
+  attempts.slice().reverse().forEach(({ at, source }) => {
+    const item = document.createElement('li');
+    item.textContent = `${new Date(at).toLocaleString()} (${source})`;
+    list.appendChild(item);
+  });
+
+  modal.classList.add('active');
+}
+
+// Export unlock throttle settings module
+export default {
+  initializeThrottleSettings,
+  showFailedUnlocks
+};
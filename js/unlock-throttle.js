@@ -0,0 +1,212 @@
+// Import dependencies
+import { eraseStoredVault } from './vault-storage.js';
+import { getEncryptionKey } from './vault-session.js';
+import { setVaultAuth, vaultPreferenceKey } from './vault-registry.js';
+
+/*
+ * Unlock throttling
+ *
+ * Wrong passwords entered on the unlock screen or in the import modal are counted per
+ * vault in localStorage, so the count survives reloads. After a few free attempts each
+ * further failure doubles the wait before the next attempt. Optionally the vault is
+ * erased from this device once a set number of attempts has failed in a row. Every
+ * failure is logged with its time and shown after the next successful unlock.
+ */
+
+// Throttle settings and failure record of each vault on this device
+const SETTINGS_KEY = 'mdvault_unlock_throttle';
+const STATE_KEY = 'mdvault_unlock_failures';
+export const DEFAULT_THROTTLE_SETTINGS = { eraseAfter: 0 };
+const ERASE_LIMITS = [0, 100];
+
+// Failures allowed without a wait, then the first wait, doubling per failure up to the longest
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+
+// How many failed attempts the log keeps
+const LOG_LIMIT = 50;
+
+// Where a password was tried, as shown in the log
+export const UNLOCK_SOURCES = {
+  UNLOCK: 'unlock screen',
+  IMPORT: 'import'
+};
+
+/**
+ * Read the throttle settings of the vault in use
+ * @returns {{eraseAfter: number}} Failed attempts in a row before the vault is erased from this device, 0 for never
+ */
+export function getThrottleSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(vaultPreferenceKey(SETTINGS_KEY)) || 'null');
+    return { ...DEFAULT_THROTTLE_SETTINGS, ...stored };
+  } catch (error) {
+    console.warn('Ignoring unreadable unlock throttle settings:', error);
+    return { ...DEFAULT_THROTTLE_SETTINGS };
+  }
+}
+
+/**
+ * Store the throttle settings of the vault in use, with the attempt count clamped to its limits
+ * @param {Object} settings - The new settings
+ * @param {number} settings.eraseAfter - Failed attempts in a row before erasing, 0 for never
+ * @returns {{eraseAfter: number}} The settings as stored
+ */
+export function setThrottleSettings({ eraseAfter }) {
+  const [min, max] = ERASE_LIMITS;
+  const attempts = Math.round(Number(eraseAfter));
+  const next = {
+    eraseAfter: Number.isFinite(attempts) ? Math.min(max, Math.max(min, attempts)) : DEFAULT_THROTTLE_SETTINGS.eraseAfter
+  };
+
+  localStorage.setItem(vaultPreferenceKey(SETTINGS_KEY), JSON.stringify(next));
+  console.log('Unlock throttle settings saved:', next);
+  return next;
+}
+
+/**
+ * Read the failure record of the vault in use
+ * A failure recorded later than now (the clock was set back) is moved to now and stored
+ * that way, so the wait counts down from there instead of staying at its longest
+ * @returns {{failures: number, lastFailureAt: number, log: Array<{at: string, source: string}>}} Failures in a row,
+ *   when the last one happened, and the failed attempts since the last successful unlock
+ */
+function readState() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(vaultPreferenceKey(STATE_KEY)) || 'null');
+    const state = { failures: 0, lastFailureAt: 0, log: [], ...stored };
+    const now = Date.now();
+    if (state.lastFailureAt > now) {
+      state.lastFailureAt = now;
+      localStorage.setItem(vaultPreferenceKey(STATE_KEY), JSON.stringify(state));
+    }
+    return state;
+  } catch (error) {
+    console.warn('Ignoring unreadable unlock failure record:', error);
+    return { failures: 0, lastFailureAt: 0, log: [] };
+  }
+}
+
+/**
+ * Get the wait that follows a number of failures in a row
+ * @param {number} failures - Failed attempts in a row
+ * @returns {number} The wait in milliseconds
+ */
+export function getDelayAfter(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS));
+}
+
+/**
+ * Get how long the vault in use must wait before the next password attempt
+ * @returns {number} The remaining wait in milliseconds, 0 if a password can be tried now
+ */
+export function getUnlockDelay() {
+  const { failures, lastFailureAt } = readState();
+  return Math.max(0, getDelayAfter(failures) - (Date.now() - lastFailureAt));
+}
+
+/**
+ * Get how many more failed attempts erase the vault in use from this device
+ * @returns {number|null} The attempts left, or null if erasing is off
+ */
+export function getAttemptsBeforeErase() {
+  const { eraseAfter } = getThrottleSettings();
+  if (!eraseAfter) return null;
+  return Math.max(0, eraseAfter - readState().failures);
+}
+
+/**
+ * Describe a wait for the user
+ * @param {number} ms - The wait in milliseconds
+ * @returns {string} The wait, rounded up to seconds or minutes
+ */
+export function describeDelay(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describe the outcome of a wrong password for the user
+ * @param {{delayMs: number, erased: boolean}} failure - The result of recordFailedUnlock
+ * @returns {string} The wait before the next attempt and how many attempts are left before erasing, if any
+ */
+export function describeFailedUnlock({ delayMs, erased }) {
+  if (erased) {
+    return 'Too many wrong passwords: the vault was erased from this device.';
+  }
+
+  const parts = [];
+  if (delayMs > 0) {
+    parts.push(`Wait ${describeDelay(delayMs)} before trying again.`);
+  }
+  const left = getAttemptsBeforeErase();
+  if (left !== null) {
+    parts.push(`${left} more wrong password${left === 1 ? '' : 's'} will erase this vault from this device.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Record a wrong password for the vault in use
+ * If erasing is on and the vault is locked, reaching the set number of failures in a row
+ * erases the vault from this device; an open vault is never erased
+ * @param {string} source - Where the password was tried, one of UNLOCK_SOURCES
+ * @returns {Promise<{failures: number, delayMs: number, erased: boolean}>} Failures in a row,
+ *   the wait before the next attempt, and whether the vault was erased
+ */
+export async function recordFailedUnlock(source) {
+  const state = readState();
+  const failures = state.failures + 1;
+  const now = Date.now();
+  const log = [...state.log, { at: new Date(now).toISOString(), source }].slice(-LOG_LIMIT);
+
+  localStorage.setItem(vaultPreferenceKey(STATE_KEY), JSON.stringify({ failures, lastFailureAt: now, log }));
+  console.warn(`Failed unlock attempt ${failures} from the ${source}`);
+
+  const { eraseAfter } = getThrottleSettings();
+  if (eraseAfter > 0 && failures >= eraseAfter && !getEncryptionKey()) {
+    await eraseVault();
+    return { failures, delayMs: 0, erased: true };
+  }
+  return { failures, delayMs: getDelayAfter(failures), erased: false };
+}
+
+/**
+ * Record a successful unlock of the vault in use, ending the wait
+ * @returns {Array<{at: string, source: string}>} The failed attempts since the previous successful unlock
+ */
+export function recordSuccessfulUnlock() {
+  const { log } = readState();
+  localStorage.removeItem(vaultPreferenceKey(STATE_KEY));
+  return log;
+}
+
+/**
+ * Erase the vault in use from this device, with its auth record and failure record
+ * Exported vault files and copies on other devices are not affected
+ */
+async function eraseVault() {
+  console.warn('Too many failed unlock attempts, erasing the vault from this device');
+  await eraseStoredVault();
+  setVaultAuth(null);
+  localStorage.removeItem(vaultPreferenceKey(STATE_KEY));
+}
+
+// Export unlock throttle module
+export default {
+  DEFAULT_THROTTLE_SETTINGS,
+  UNLOCK_SOURCES,
+  getThrottleSettings,
+  setThrottleSettings,
+  getDelayAfter,
+  getUnlockDelay,
+  getAttemptsBeforeErase,
+  describeDelay,
+  describeFailedUnlock,
+  recordFailedUnlock,
+  recordSuccessfulUnlock
+};
@@ -0,0 +1,202 @@
+// Import byte helpers
+import { utf8Encode, utf8Decode, base64ToBytes } from './crypto.js';
+import { CorruptVaultError, UnsupportedVersionError } from './vault-errors.js';
+
+/*
+ * Binary vault container
+ *
+ * Exported .vault files hold their encrypted sections as raw bytes instead of
+ * base64 inside JSON. All integers are big-endian.
+ *
+ *   magic              8 bytes   "SECVAULT"
+ *   container version  u16
+ *   metadata length    u32
+ *   metadata           UTF-8 JSON: the vault file header (type, version, keySlots, cipher, ...)
+ *   sections, each:
+ *     section type     u8        0 ends the container
+ *     name length      u16
+ *     name             UTF-8     record or blob id (empty for the index)
+ *     data length      u64
+ *     data             bytes     already encrypted
+ */
+
+// Container identification
+export const VAULT_CONTAINER_MAGIC = 'SECVAULT';
+export const VAULT_CONTAINER_VERSION = 1;
+export const VAULT_CONTAINER_TYPE = 'application/octet-stream';
+
+// Section types
+const SECTION_END = 0;
+const SECTION_INDEX = 1;
+const SECTION_ITEM = 2;
+const SECTION_BLOB = 3;
+
+// Fixed header sizes
+const MAGIC_BYTES = 8;
+const FILE_HEADER_BYTES = MAGIC_BYTES + 2 + 4;
+const SECTION_HEADER_BYTES = 1 + 2;
+const SECTION_LENGTH_BYTES = 8;
+
+/**
+ * Check whether a file starts with the container magic
+ * @param {Blob} file - The vault file
+ * @returns {Promise<boolean>} True if the file is a binary container
+ */
+export async function isVaultContainer(file) {
+  if (!file || typeof file.slice !== 'function' || file.size < FILE_HEADER_BYTES) {
+    return false;
+  }
+  const magic = new Uint8Array(await file.slice(0, MAGIC_BYTES).arrayBuffer());
+  return utf8Decode(magic) === VAULT_CONTAINER_MAGIC;
+}
+
+/**
+ * Encode the header of one section
+ * @param {number} type - The section type
+ * @param {string} name - The section name
+ * @param {number} length - The data length in bytes
+ * @returns {Uint8Array} The section header
+ */
+function encodeSectionHeader(type, name, length) {
+  const nameBytes = utf8Encode(name);
+  const header = new Uint8Array(SECTION_HEADER_BYTES + nameBytes.length + SECTION_LENGTH_BYTES);
+  const view = new DataView(header.buffer);
+  view.setUint8(0, type);
+  view.setUint16(1, nameBytes.length);
+  header.set(nameBytes, SECTION_HEADER_BYTES);
+  view.setBigUint64(SECTION_HEADER_BYTES + nameBytes.length, BigInt(length));
+  return header;
+}
+
+/**
+ * Encode a vault file as a binary container
+ * Blob sections are referenced rather than copied, so stored file contents stay on disk
+ * @param {Object} vaultFileObj - The vault file object with a base64 index and item records
+ * @param {Object<string, Blob>} blobs - Encrypted content blobs by id
+ * @returns {Blob} The container
+ */
+export function encodeVaultContainer(vaultFileObj, blobs = {}) {
+  // Everything except the encrypted sections becomes the metadata; base64 blobs of older JSON files are dropped
+  const { index, items, blobs: jsonBlobs, ...metadata } = vaultFileObj;
+  if (typeof index !== 'string' || !items) {
+    throw new Error("Only vaults with an item index can be written as a container");
+  }
+
+  // File header and metadata
+  const metadataBytes = utf8Encode(JSON.stringify(metadata));
+  const fileHeader = new Uint8Array(FILE_HEADER_BYTES);
+  fileHeader.set(utf8Encode(VAULT_CONTAINER_MAGIC), 0);
+  new DataView(fileHeader.buffer).setUint16(MAGIC_BYTES, VAULT_CONTAINER_VERSION);
+  new DataView(fileHeader.buffer).setUint32(MAGIC_BYTES + 2, metadataBytes.length);
+  const parts = [fileHeader, metadataBytes];
+
+  // Encrypted sections
+  const addSection = (type, name, data) => {
+    parts.push(encodeSectionHeader(type, name, data.size !== undefined ? data.size : data.length), data);
+  };
+  addSection(SECTION_INDEX, '', base64ToBytes(index));
+  Object.entries(items).forEach(([recordId, ciphertext]) => addSection(SECTION_ITEM, recordId, base64ToBytes(ciphertext)));
+  Object.entries(blobs).forEach(([blobId, blob]) => addSection(SECTION_BLOB, blobId, blob));
+
+  parts.push(new Uint8Array([SECTION_END]));
+  return new Blob(parts, { type: VAULT_CONTAINER_TYPE });
+}
+
+/**
+ * Read a byte range of a file
+ * @param {Blob} file - The file
+ * @param {number} start - The first byte
+ * @param {number} length - Number of bytes
+ * @returns {Promise<DataView>} The bytes
+ */
+async function readRange(file, start, length) {
+  if (start + length > file.size) {
+    throw new CorruptVaultError("Invalid vault file format - truncated container");
+  }
+  return new DataView(await file.slice(start, start + length).arrayBuffer());
+}
+
+/**
+ * Read the header of the section at an offset
+ * @param {Blob} file - The container file
+ * @param {number} offset - The section offset
+ * @returns {Promise<Object>} The section type, name, data offset and data length
+ */
+async function readSectionHeader(file, offset) {
+  // The end marker is the type byte alone
+  const type = (await readRange(file, offset, 1)).getUint8(0);
+  if (type === SECTION_END) {
+    return { type };
+  }
+
+  const nameLength = (await readRange(file, offset, SECTION_HEADER_BYTES)).getUint16(1);
+  const rest = await readRange(file, offset + SECTION_HEADER_BYTES, nameLength + SECTION_LENGTH_BYTES);
+  const name = utf8Decode(new Uint8Array(rest.buffer, 0, nameLength));
+  const length = Number(rest.getBigUint64(nameLength));
+  const dataOffset = offset + SECTION_HEADER_BYTES + nameLength + SECTION_LENGTH_BYTES;
+  return { type, name, dataOffset, length };
+}
+
+/**
+ * Decode a binary container into a vault file object
+ * Index and item records are read into memory; blob sections stay as slices of the file
+ * @param {Blob} file - The container file
+ * @returns {Promise<Object>} The vault file object, with byte records and Blob blobs
+ */
+export async function decodeVaultContainer(file) {
+  const header = await readRange(file, 0, FILE_HEADER_BYTES);
+  const containerVersion = header.getUint16(MAGIC_BYTES);
+  if (containerVersion > VAULT_CONTAINER_VERSION) {
+    throw new UnsupportedVersionError(`Unsupported vault container version: ${containerVersion}`);
+  }
+
+  const metadataLength = header.getUint32(MAGIC_BYTES + 2);
+  const metadataView = await readRange(file, FILE_HEADER_BYTES, metadataLength);
+  let vaultFileObj;
+  try {
+    vaultFileObj = JSON.parse(utf8Decode(new Uint8Array(metadataView.buffer)));
+  } catch (parseError) {
+    throw new CorruptVaultError("Invalid vault file format - unreadable container metadata");
+  }
+  vaultFileObj.items = {};
+  vaultFileObj.blobs = {};
+
+  let offset = FILE_HEADER_BYTES + metadataLength;
+  for (;;) {
+    const section = await readSectionHeader(file, offset);
+    if (section.type === SECTION_END) break;
+
+    const end = section.dataOffset + section.length;
+    if (end > file.size) {
+      throw new CorruptVaultError("Invalid vault file format - truncated container");
+    }
+
+    if (section.type === SECTION_BLOB) {
+      vaultFileObj.blobs[section.name] = file.slice(section.dataOffset, end);
+    } else if (section.type === SECTION_INDEX || section.type === SECTION_ITEM) {
+      const data = new Uint8Array(await file.slice(section.dataOffset, end).arrayBuffer());
+      if (section.type === SECTION_INDEX) {
+        vaultFileObj.index = data;
+      } else {
+        vaultFileObj.items[section.name] = data;
+      }
+    } else {
+      // Sections from newer writers that this version does not need
+      console.warn(`Skipping unknown vault container section type ${section.type}`);
+    }
+    offset = end;
+  }
+
+  console.log(`Decoded vault container: ${Object.keys(vaultFileObj.items).length} items, ${Object.keys(vaultFileObj.blobs).length} blobs`);
+  return vaultFileObj;
+}
+
+// Export vault container module
+export default {
+  VAULT_CONTAINER_MAGIC,
+  VAULT_CONTAINER_VERSION,
+  VAULT_CONTAINER_TYPE,
+  isVaultContainer,
+  encodeVaultContainer,
+  decodeVaultContainer
+};
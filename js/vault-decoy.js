@@ -0,0 +1,328 @@
+// Import dependencies
+import { AES_KEY_BITS, encryptBytes, decryptBytes, bytesToBase64, base64ToBytes } from './crypto.js';
+import { getVaultSpareArea } from './vault-format.js';
+import { listItemChanges } from './vault-items.js';
+import { stampItemVersions } from './version-vectors.js';
+import { VAULT_SCHEMA_VERSION, migrateVaultData } from './vault-schema.js';
+import { generateDataKey, importDataKey } from './envelope.js';
+import {
+  createDecoyData,
+  sealSpareArea,
+  openSpareArea,
+  sealDecoyRecords,
+  openDecoyRecords,
+  assertDocumentsOnly
+} from './decoy-vault.js';
+import { getEncryptionKey } from './vault-session.js';
+import { unwrapWithPassword, createPassphraseSlot } from './vault-slots.js';
+import { confirmActiveSlot } from './key-commit.js';
+import { getItemCache } from './vault-serialize.js';
+import { getVaultData, persistCurrentVault } from './database.js';
+
+/*
+ * Duress password
+ *
+ * The real vault's file keeps a decoy vault in its spare area, opened by the duress
+ * password (see decoy-vault.js for how the area is sealed). This module holds the open
+ * vault's side of it: the decoy's key and contents with the real vault open, or the
+ * real vault's part of the file, written back unchanged, with the decoy open.
+ */
+
+// The spare area of the vault file (see decoy-vault.js). With the real vault open: the slot
+// kept in the area, and the decoy's data key, contents and item records if it has one.
+// With the decoy open: the real vault's header and records, written back unchanged on save,
+// and the key, contents and records of a decoy kept inside the open decoy if it was given one
+let spareSlot = null;
+let decoyKey = null;
+let sealedDecoyKey = null;
+let decoyData = null;
+let decoyCache = null;
+let hiddenVault = null;
+
+// Key made for this page that keeps the decoy's Base64 data key sealed between saves
+let memoryKey = null;
+
+/**
+ * Check whether the open vault is the decoy, opened with the duress password
+ * @returns {boolean} True if the decoy is open
+ */
+export function isDecoyOpen() {
+  return Boolean(hiddenVault);
+}
+
+/**
+ * Get the real vault's part of the file while the decoy is open
+ * @returns {Object|null} The vault file without its spare area, or null with the real vault open
+ */
+export function getHiddenVault() {
+  return hiddenVault;
+}
+
+/**
+ * Get the key slot kept in the spare area of the real vault's file
+ * @returns {Object|null} The decoy's or the filler's slot, or null until a save makes one
+ */
+export function getSpareSlot() {
+  return spareSlot;
+}
+
+/**
+ * Set the key slot kept in the spare area
+ * @param {Object} slot - The decoy's or the filler's slot
+ */
+export function setSpareSlot(slot) {
+  spareSlot = slot;
+}
+
+/**
+ * Get the data key of the open vault's decoy
+ * @returns {CryptoKey|null} The decoy's non-extractable data key, or null if there is no decoy
+ */
+export function getDecoyKey() {
+  return decoyKey;
+}
+
+/**
+ * Get the decoy's data key in Base64, to write it into the encrypted vault data or a key slot
+ * @returns {Promise<string|null>} The Base64 decoy data key, or null if there is no decoy
+ */
+export async function exportDecoyKey() {
+  return sealedDecoyKey && bytesToBase64(await decryptBytes(memoryKey, sealedDecoyKey));
+}
+
+/**
+ * Make a Base64 data key the decoy's key
+ * It is held as a non-extractable CryptoKey; the Base64 form that saves write into the
+ * encrypted vault data stays sealed under a key made for this page until then
+ * @param {string} key - The Base64 decoy data key
+ */
+async function holdDecoyKey(key) {
+  if (!memoryKey) {
+    memoryKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: AES_KEY_BITS }, false, ['encrypt', 'decrypt']);
+  }
+  decoyKey = await importDataKey(key);
+  sealedDecoyKey = await encryptBytes(memoryKey, base64ToBytes(key));
+}
+
+/**
+ * Get the encrypted item records of the open vault's decoy
+ * @returns {Object|null} The decoy's item records from the last save or load
+ */
+export function getDecoyCache() {
+  return decoyCache;
+}
+
+/**
+ * Keep the encrypted item records of the decoy for the next save
+ * @param {Object|null} cache - The decoy's item records
+ */
+export function setDecoyCache(cache) {
+  decoyCache = cache;
+}
+
+/**
+ * Forget the spare area of the open vault, with its decoy
+ */
+export function closeDecoy() {
+  spareSlot = null;
+  decoyKey = null;
+  sealedDecoyKey = null;
+  decoyData = null;
+  decoyCache = null;
+  hiddenVault = null;
+}
+
+/**
+ * Take over the spare area of the vault file being opened, so saves write it back
+ * With the real vault open the decoy is decrypted with the key its data records; one that
+ * no longer opens is replaced by filler on the next save. With the decoy open the real
+ * vault's part of the file is kept instead, and the decoy kept inside the open one is decrypted
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @param {Object|null} decoy - The decoy record from the opened vault's data
+ * @param {boolean} isDecoy - Whether the file was opened with the duress password
+ */
+export async function adoptSpareArea(vaultFileObj, decoy, isDecoy) {
+  const spare = getVaultSpareArea(vaultFileObj);
+  spareSlot = spare && !isDecoy ? spare.slot : null;
+  hiddenVault = isDecoy ? readHiddenVault(vaultFileObj) : null;
+  decoyKey = null;
+  sealedDecoyKey = null;
+  decoyData = null;
+  decoyCache = null;
+  if (!decoy) return;
+  
+  try {
+    if (!isDecoy && !spare) {
+      throw new Error("the vault file has no spare area");
+    }
+    const opened = isDecoy
+      ? await openDecoyRecords(decoy.records, decoy.key)
+      : await openSpareArea(spare.data, decoy.key);
+    await holdDecoyKey(decoy.key);
+    decoyData = migrateVaultData(opened.data);
+    decoyCache = opened.cache;
+  } catch (error) {
+    console.error("The decoy vault could not be read, and is replaced on the next save:", error);
+    spareSlot = null;
+  }
+}
+
+/**
+ * Get the real vault's part of a file opened with the duress password, as saves write it
+ * Binary containers hold the records as bytes; the stored vault file has them in Base64
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {Object} The vault file without its spare area and file contents
+ */
+function readHiddenVault({ spare, blobs, index, items, ...header }) {
+  const encode = record => typeof record === 'string' ? record : bytesToBase64(record);
+  return {
+    ...header,
+    index: encode(index),
+    items: Object.fromEntries(Object.entries(items).map(([recordId, record]) => [recordId, encode(record)]))
+  };
+}
+
+/**
+ * Check whether the open vault has a decoy vault that a duress password opens
+ * @returns {boolean} True if a decoy is set up
+ */
+export function hasDecoyVault() {
+  return Boolean(decoyKey);
+}
+
+/**
+ * Set the duress password, creating an empty decoy vault if there is none yet
+ * The decoy's slot takes the active slot's KDF and cost, so trying it costs as much as the others.
+ * With the decoy open this works the same way, for a decoy kept inside the open one whose
+ * password opens nothing (see decoy-vault.js)
+ * @param {string} currentPassword - The password the vault was unlocked with
+ * @param {string} duressPassword - The password that is to open the decoy
+ * @returns {Promise<boolean>} True if the duress password was set
+ */
+export async function setDuressPassword(currentPassword, duressPassword) {
+  const match = await confirmActiveSlot(currentPassword);
+  if (!match) return false;
+  
+  // Key slots are tried first, so a password that opens one would never reach the decoy
+  if (await unwrapWithPassword(duressPassword)) {
+    console.error("The duress password opens the real vault");
+    return false;
+  }
+  
+  const { salt, keyfile, ...cost } = match.slot.kdf;
+  const key = await exportDecoyKey() || generateDataKey();
+  const created = await createPassphraseSlot(duressPassword, cost, key);
+  if (!created) return false;
+  
+  const previous = { spareSlot, decoyKey, sealedDecoyKey, decoyData, decoyCache };
+  spareSlot = created.slot;
+  await holdDecoyKey(key);
+  decoyData = decoyData || createDecoyData();
+  if (!await persistCurrentVault()) {
+    ({ spareSlot, decoyKey, sealedDecoyKey, decoyData, decoyCache } = previous);
+    return false;
+  }
+  
+  console.log("Duress password set");
+  return true;
+}
+
+/**
+ * Delete the decoy vault; the spare area holds filler under a new slot from the next save on
+ * Snapshots taken earlier keep the decoy until they are pruned
+ * @param {string} currentPassword - The password the vault was unlocked with
+ * @returns {Promise<boolean>} True if the decoy was deleted
+ */
+export async function removeDecoyVault(currentPassword) {
+  if (!decoyKey || !await confirmActiveSlot(currentPassword)) return false;
+  
+  const previous = { spareSlot, decoyKey, sealedDecoyKey, decoyData, decoyCache };
+  spareSlot = null;
+  decoyKey = null;
+  sealedDecoyKey = null;
+  decoyData = null;
+  decoyCache = null;
+  if (!await persistCurrentVault()) {
+    ({ spareSlot, decoyKey, sealedDecoyKey, decoyData, decoyCache } = previous);
+    return false;
+  }
+  
+  console.log("Decoy vault deleted");
+  return true;
+}
+
+/**
+ * Check whether files and photos can be added to the open vault
+ * The open decoy holds documents only (see decoy-vault.js)
+ * @returns {boolean} True if uploads are accepted
+ */
+export function acceptsUploads() {
+  return !hiddenVault;
+}
+
+/**
+ * Get the contents of the open vault's decoy
+ * @returns {Object|null} The decoy vault data, or null if there is no decoy
+ */
+export function getDecoyData() {
+  return decoyData;
+}
+
+/**
+ * Replace the contents of the open vault's decoy and save the vault
+ * Changed items are counted in their version vectors as in any save
+ * @param {Object} data - The new decoy vault data
+ * @returns {Promise<boolean>} True if the decoy was saved
+ * @throws {Error} If there is no decoy, files or photos were added, or its contents do not fit in the spare area
+ */
+export async function updateDecoyData(data) {
+  if (!decoyKey) {
+    throw new Error("No decoy vault is set up");
+  }
+  
+  assertDocumentsOnly(data, decoyData);
+  
+  const updated = {
+    ...data,
+    meta: { ...data.meta, version: VAULT_SCHEMA_VERSION, updatedAt: new Date().toISOString() }
+  };
+  const nextData = stampItemVersions(updated, await listItemChanges(updated, decoyCache));
+  
+  // Fails before anything is stored if the decoy outgrows the spare area; with the decoy open,
+  // the decoy inside it shares the open decoy's area
+  if (hiddenVault) {
+    const nested = await sealDecoyRecords(nextData, decoyKey, decoyCache);
+    const decoy = { key: await exportDecoyKey(), records: nested.records };
+    await sealSpareArea({ ...getVaultData(), decoy }, getEncryptionKey(), getItemCache());
+  } else {
+    await sealSpareArea(nextData, decoyKey, decoyCache);
+  }
+  
+  const previousData = decoyData;
+  decoyData = nextData;
+  if (!await persistCurrentVault()) {
+    decoyData = previousData;
+    return false;
+  }
+  return true;
+}
+
+// Export vault decoy module
+export default {
+  isDecoyOpen,
+  getHiddenVault,
+  getSpareSlot,
+  setSpareSlot,
+  getDecoyKey,
+  exportDecoyKey,
+  getDecoyCache,
+  setDecoyCache,
+  closeDecoy,
+  adoptSpareArea,
+  hasDecoyVault,
+  setDuressPassword,
+  removeDecoyVault,
+  acceptsUploads,
+  getDecoyData,
+  updateDecoyData
+};
@@ -0,0 +1,61 @@
+// Errors raised while reading, unlocking and decrypting vault files
+// Each type maps to its own message in the unlock and import screens
+
+/**
+ * Base type of every vault error
+ * @param {string} message - Details for the console
+ */
+export class VaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The password, recovery key or keyfile does not open the vault
+ */
+export class WrongPasswordError extends VaultError {}
+
+/**
+ * The file is not a SecureVault file at all
+ */
+export class NotAVaultError extends VaultError {}
+
+/**
+ * The file is a vault but is truncated, tampered with or incomplete
+ */
+export class CorruptVaultError extends VaultError {}
+
+/**
+ * The file was written by a newer version, or uses a format this version cannot read
+ */
+export class UnsupportedVersionError extends VaultError {}
+
+// Messages shown to the user for each error type
+const USER_MESSAGES = [
+  [WrongPasswordError, 'Incorrect password or keyfile for this vault. Please try again.'],
+  [NotAVaultError, 'This file is not a SecureVault vault file.'],
+  [CorruptVaultError, 'This vault file is damaged or incomplete and cannot be opened.'],
+  [UnsupportedVersionError, 'This vault file was created by a newer version of SecureVault. Update the app to open it.']
+];
+
+/**
+ * Describe an unlock or import failure for the user
+ * @param {Error} error - The error that was thrown
+ * @returns {string} A message saying why the vault did not open
+ */
+export function describeVaultError(error) {
+  const match = USER_MESSAGES.find(([type]) => error instanceof type);
+  return match ? match[1] : `The vault could not be opened: ${error.message}`;
+}
+
+// Export vault errors module
+export default {
+  VaultError,
+  WrongPasswordError,
+  NotAVaultError,
+  CorruptVaultError,
+  UnsupportedVersionError,
+  describeVaultError
+};
@@ -0,0 +1,294 @@
+// Import dependencies
+import { base64ToBytes } from './crypto.js';
+import {
+  parseVaultFile,
+  getVaultKdfParams,
+  getVaultKeySlots,
+  getVaultSpareArea,
+  isLegacyKdf,
+  vaultRequiresKeyfile
+} from './vault-format.js';
+import { VAULT_CONTAINER_TYPE, isVaultContainer, encodeVaultContainer, decodeVaultContainer } from './vault-container.js';
+import {
+  supportsFileSystemAccess,
+  defaultVaultFileName,
+  pickSaveLocation,
+  writeVaultFileHandle,
+  rememberVaultFileHandle
+} from './file-handle.js';
+import { getEncryptionKey } from './vault-session.js';
+import { getStorageAdapter, readFileBlob, writeFileBlob, getLiveBlobIds } from './vault-storage.js';
+import { getVaultData } from './database.js';
+import { serializeVault } from './vault-serialize.js';
+
+/*
+ * Vault files
+ *
+ * A vault leaves this device as a file: downloaded, saved where the user picks, or
+ * written back to the file it was opened from. Such a file is a binary container that
+ * carries the vault's file contents; files from before the container are JSON.
+ */
+
+// The vault file selected on the unlock screen
+let vaultFile = null;
+
+// Handle of the file the vault was opened from, so saves can write back to it in place.
+// Only set where the browser supports the File System Access API
+let vaultFileHandle = null;
+
+/**
+ * Set the current vault file
+ * @param {File} file - The vault file
+ * @param {FileSystemFileHandle|null} handle - The handle it was opened through, if any
+ */
+export function setVaultFile(file, handle = null) {
+  vaultFile = file;
+  vaultFileHandle = handle;
+}
+
+/**
+ * Get the current vault file
+ * @returns {File} The vault file
+ */
+export function getVaultFile() {
+  return vaultFile;
+}
+
+/**
+ * Get the handle of the file the vault is written back to
+ * @returns {FileSystemFileHandle|null} The handle, or null if saves are not written back
+ */
+export function getVaultFileHandle() {
+  return vaultFileHandle;
+}
+
+/**
+ * Forget the vault file and the handle it was opened through
+ */
+export function closeVaultFile() {
+  vaultFile = null;
+  vaultFileHandle = null;
+}
+
+/**
+ * Read the vault file
+ * Binary containers are decoded into a vault file object; legacy JSON files are read as text.
+ * parseVaultFile accepts either
+ * @param {File} file - The file to read
+ * @returns {Promise<string|Object>} The JSON content, or the decoded container
+ */
+export async function readVaultFile(file) {
+  if (!file) {
+    console.error("Error reading vault file: No file provided");
+    throw new Error("No file provided");
+  }
+  
+  console.log(`Reading vault file: ${file.name}, type: ${file.type}, size: ${file.size} bytes`);
+  
+  if (await isVaultContainer(file)) {
+    return decodeVaultContainer(file);
+  }
+  return readVaultFileText(file);
+}
+
+/**
+ * Read a legacy JSON vault file as text
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} The file content
+ */
+function readVaultFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    
+    reader.onload = (event) => {
+      const content = event.target.result;
+      console.log(`File read complete, content length: ${content.length}`);
+      resolve(content);
+    };
+    
+    reader.onerror = (error) => {
+      console.error("Error reading vault file:", error);
+      reject(error);
+    };
+    
+    // Read as text - this is the standard approach for JSON files
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Check whether a vault file needs a keyfile to unlock, so the UI can ask for one
+ * @param {File} file - The vault file
+ * @returns {Promise<boolean>} True if any of its key slots requires a keyfile
+ */
+export async function vaultFileRequiresKeyfile(file) {
+  try {
+    return vaultRequiresKeyfile(parseVaultFile(await readVaultFile(file)));
+  } catch (error) {
+    console.error("Error reading vault header:", error);
+    return false;
+  }
+}
+
+/**
+ * Check whether a vault file is a copy of the vault stored on this device
+ * Copies share key slots (or, for files without slots, the password salt); the decoy's
+ * spare slot counts too. Files of the oldest format all share one salt and never match
+ * @param {File} file - The vault file
+ * @returns {Promise<boolean>} True if the file and the stored vault have a key in common
+ */
+export async function isStoredVaultFile(file) {
+  const keyIds = vaultFileObj => {
+    const spare = getVaultSpareArea(vaultFileObj);
+    const slots = [...getVaultKeySlots(vaultFileObj), ...(spare ? [spare.slot] : [])];
+    if (slots.length > 0) return slots.map(slot => slot.id);
+    const kdf = getVaultKdfParams(vaultFileObj);
+    return kdf && !isLegacyKdf(kdf) ? [kdf.salt] : [];
+  };
+
+  try {
+    const stored = await (await getStorageAdapter()).read();
+    if (!stored) return false;
+    const storedIds = keyIds(parseVaultFile(stored));
+    return keyIds(parseVaultFile(await readVaultFile(file))).some(id => storedIds.includes(id));
+  } catch (error) {
+    console.error("Error comparing the vault file with the stored vault:", error);
+    return false;
+  }
+}
+
+/**
+ * Pack a vault file that leaves this device as a binary container
+ * Device storage keeps content blobs beside the vault, but a downloaded or
+ * written-back file must carry them. Blobs are referenced, not read into memory
+ * @param {string} jsonData - The vault file JSON
+ * @param {Object} data - The vault data the file holds
+ * @returns {Promise<Blob>} The binary vault container
+ */
+export async function packVaultFile(jsonData, data = getVaultData()) {
+  const blobs = {};
+  for (const id of await getLiveBlobIds(data)) {
+    const blob = await readFileBlob(id);
+    if (!blob) {
+      console.warn(`File content ${id} is missing from this device and is left out of the vault file`);
+      continue;
+    }
+    blobs[id] = blob;
+  }
+  
+  return encodeVaultContainer(JSON.parse(jsonData), blobs);
+}
+
+/**
+ * Pack the open vault as the binary container a sync provider uploads
+ * Only encrypted records and content blobs go into it, as in a downloaded vault file
+ * @returns {Promise<Blob>} The vault container
+ * @throws {Error} If no vault is open
+ */
+export async function packOpenVault() {
+  const vaultData = getVaultData();
+  if (!getEncryptionKey() || !vaultData) {
+    throw new Error("No vault is open");
+  }
+  return packVaultFile(await serializeVault(vaultData));
+}
+
+/**
+ * Store the encrypted file contents carried by an imported vault file
+ * Containers hold them as slices of the file; JSON files written before the container as base64
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @param {Array<string>|null} ids - The blob ids to store, or null for all of them
+ */
+export async function storeVaultBlobs(vaultFileObj, ids = null) {
+  for (const [id, blob] of Object.entries(vaultFileObj.blobs || {})) {
+    if (ids && !ids.includes(id)) continue;
+    const encrypted = typeof blob === 'string' ? new Blob([base64ToBytes(blob)]) : blob;
+    await writeFileBlob(id, encrypted.stream());
+  }
+}
+
+/**
+ * Write the packed vault file back to the file it was opened from
+ * @param {Blob} container - The binary vault container
+ * @returns {Promise<boolean>} True if the file was written
+ */
+export async function writeBackVaultFile(container) {
+  return vaultFileHandle ? writeVaultFileHandle(vaultFileHandle, container) : false;
+}
+
+/**
+ * Save the open vault to a file the user picks, and write later saves back to it
+ * Falls back to a download where the File System Access API is not available
+ * @returns {Promise<boolean>} True if the vault was saved
+ */
+export async function saveVaultAs() {
+  const vaultData = getVaultData();
+  if (!getEncryptionKey() || !vaultData) {
+    console.error("No vault is open");
+    return false;
+  }
+  
+  const container = await packVaultFile(await serializeVault(vaultData));
+  if (!supportsFileSystemAccess()) {
+    return downloadVaultFile(container);
+  }
+  
+  const handle = await pickSaveLocation();
+  if (!handle || !await writeVaultFileHandle(handle, container)) {
+    return false;
+  }
+  
+  // Later saves go to the new file
+  vaultFileHandle = handle;
+  await rememberVaultFileHandle(handle);
+  console.log(`Vault saved as ${handle.name}`);
+  return true;
+}
+
+/**
+ * Download the vault file
+ * @param {Blob|string} content - The binary vault container, or legacy vault file JSON
+ * @returns {Promise<boolean>} True if download was successful
+ */
+export async function downloadVaultFile(content) {
+  return new Promise((resolve) => {
+    try {
+      // Create a blob from the container or the JSON data
+      const type = typeof content === 'string' ? 'application/json' : VAULT_CONTAINER_TYPE;
+      const blob = new Blob([content], { type });
+      const url = URL.createObjectURL(blob);
+      
+      // Create a download link
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = defaultVaultFileName();
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      
+      console.log("Vault file downloaded");
+      resolve(true);
+    } catch (error) {
+      console.error("Error downloading vault file:", error);
+      resolve(false);
+    }
+  });
+}
+
+// Export vault file module
+export default {
+  setVaultFile,
+  getVaultFile,
+  getVaultFileHandle,
+  closeVaultFile,
+  readVaultFile,
+  vaultFileRequiresKeyfile,
+  isStoredVaultFile,
+  packVaultFile,
+  packOpenVault,
+  storeVaultBlobs,
+  writeBackVaultFile,
+  saveVaultAs,
+  downloadVaultFile
+};
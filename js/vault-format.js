@@ -0,0 +1,311 @@
+// Import byte helpers for salt generation and encoding
+import { randomBytes, bytesToHex, utf8Encode, AES_KEY_BITS, GCM_IV_BYTES, GCM_TAG_BITS } from './crypto.js';
+import { KDF_PBKDF2, isSupportedKdf, isWithinKdfLimits } from './kdf.js';
+import { isValidKeySlot } from './key-slots.js';
+import { isReadableCompression } from './compression.js';
+import { NotAVaultError, CorruptVaultError, UnsupportedVersionError } from './vault-errors.js';
+
+// Vault file identification
+export const VAULT_FILE_TYPE = 'secure-vault';
+export const VAULT_FORMAT_VERSION = 5;
+
+// Salt that every version 1 vault was encrypted with
+export const LEGACY_SALT = 'SecureVaultSalt';
+
+// Key derivation parameters of vaults created before KDF calibration
+// New vaults use calibrated parameters from kdf.js
+export const DEFAULT_KDF = {
+  name: KDF_PBKDF2,
+  iterations: 10000,
+  keySize: 256
+};
+
+// Cipher used for the vault payload: AES-256-GCM with a random IV per encryption
+export const DEFAULT_CIPHER = {
+  name: 'aes-256-gcm',
+  keySize: AES_KEY_BITS,
+  ivLength: GCM_IV_BYTES * 8,
+  tagLength: GCM_TAG_BITS
+};
+
+// Cipher written by earlier versions, readable only for migration
+// CryptoJS passphrase mode runs EVP_BytesToKey (MD5) on the derived key string
+export const LEGACY_CIPHER = {
+  name: 'aes-256-cbc',
+  padding: 'pkcs7',
+  keyMode: 'passphrase'
+};
+
+// Cipher names this version can decrypt
+const SUPPORTED_CIPHERS = [DEFAULT_CIPHER.name, LEGACY_CIPHER.name];
+
+/**
+ * Create key derivation parameters with a fresh random salt
+ * @param {Object} params - The KDF name and cost parameters (e.g. from calibrateKdf)
+ * @returns {Object} The key derivation parameters
+ */
+export function createKdfParams(params = DEFAULT_KDF) {
+  return {
+    ...params,
+    // 128-bit random salt, hex encoded
+    salt: bytesToHex(randomBytes(16))
+  };
+}
+
+/**
+ * Get the key derivation parameters that version 1 vaults used
+ * @returns {Object} The legacy key derivation parameters
+ */
+export function getLegacyKdfParams() {
+  return {
+    ...DEFAULT_KDF,
+    // Hex encoding of the fixed legacy salt, so all salts are handled the same way
+    salt: bytesToHex(utf8Encode(LEGACY_SALT))
+  };
+}
+
+/**
+ * Check whether key derivation parameters are the legacy shared-salt ones
+ * @param {Object} kdfParams - The key derivation parameters
+ * @returns {boolean} True if the parameters use the legacy salt
+ */
+export function isLegacyKdf(kdfParams) {
+  return !kdfParams || kdfParams.salt === getLegacyKdfParams().salt;
+}
+
+/**
+ * Check that a key derivation header has a salt, a KDF this version supports and costs within its limits
+ * @param {Object} kdf - The key derivation header
+ */
+function validateKdfHeader(kdf) {
+  if (!kdf || !kdf.salt) {
+    throw new CorruptVaultError("Invalid vault file format - missing key derivation header");
+  }
+  if (!isSupportedKdf(kdf.name)) {
+    throw new UnsupportedVersionError(`Unsupported key derivation function: ${kdf.name}`);
+  }
+  if (!isWithinKdfLimits(kdf)) {
+    throw new CorruptVaultError(`Invalid vault file format - key derivation costs out of range for ${kdf.name}`);
+  }
+}
+
+/**
+ * Check that a vault file carries complete headers for the keys that unlock it
+ * @param {Object} vaultFileObj - The vault file object
+ * @param {number} version - The vault file format version
+ * @throws {CorruptVaultError} If a key header is missing or incomplete
+ * @throws {UnsupportedVersionError} If a key header names an unknown key derivation function
+ */
+function validateKeyHeaders(vaultFileObj, version) {
+  // Version 2 files describe a single password key
+  if (version === 2) {
+    validateKdfHeader(vaultFileObj.kdf);
+  }
+
+  // A wrapped data key, when present, must be complete
+  if (vaultFileObj.keyWrap && !vaultFileObj.keyWrap.wrappedKey) {
+    throw new CorruptVaultError("Invalid vault file format - incomplete key wrap header");
+  }
+
+  // Version 3 files hold one or more key slots instead
+  if (version >= 3) {
+    if (!Array.isArray(vaultFileObj.keySlots) || vaultFileObj.keySlots.length === 0) {
+      throw new CorruptVaultError("Invalid vault file format - missing key slots");
+    }
+    vaultFileObj.keySlots.forEach(slot => {
+      if (!isValidKeySlot(slot)) {
+        throw new CorruptVaultError("Invalid vault file format - incomplete key slot");
+      }
+      validateKdfHeader(slot.kdf);
+    });
+  }
+
+  // The spare area, when present, holds a slot like any other and its encrypted contents
+  if (vaultFileObj.spare) {
+    const { slot, data } = vaultFileObj.spare;
+    if (!isValidKeySlot(slot) || typeof data !== 'string') {
+      throw new CorruptVaultError("Invalid vault file format - incomplete spare area");
+    }
+    validateKdfHeader(slot.kdf);
+  }
+}
+
+/**
+ * Parse and validate the contents of a .vault file
+ * @param {string|Object} content - The raw JSON file content, or a decoded binary container
+ * @returns {Object} The parsed vault file object
+ */
+export function parseVaultFile(content) {
+  let vaultFileObj = content;
+  if (typeof content === 'string') {
+    try {
+      vaultFileObj = JSON.parse(content);
+    } catch (parseError) {
+      throw new NotAVaultError("Invalid vault file format - not valid JSON");
+    }
+  }
+
+  // Validate the common fields
+  if (!vaultFileObj || vaultFileObj.type !== VAULT_FILE_TYPE) {
+    throw new NotAVaultError("Invalid vault file format - missing required fields");
+  }
+
+  const version = vaultFileObj.version || 1;
+  if (version > VAULT_FORMAT_VERSION) {
+    throw new UnsupportedVersionError(`Unsupported vault file version: ${version}`);
+  }
+
+  // Version 4 files encrypt each item separately; earlier files have one encrypted payload
+  if (version >= 4 ? !hasVaultItems(vaultFileObj) : !vaultFileObj.data) {
+    throw new CorruptVaultError("Invalid vault file format - missing encrypted data");
+  }
+
+  // Version 5 files may compress records before encryption and name the format in the header
+  if (vaultFileObj.compression && !isReadableCompression(vaultFileObj.compression)) {
+    throw new UnsupportedVersionError(`Unsupported vault compression: ${vaultFileObj.compression}`);
+  }
+
+  validateKeyHeaders(vaultFileObj, version);
+
+  // Refuse ciphers this version does not know how to decrypt
+  const cipher = getVaultCipher(vaultFileObj);
+  if (!SUPPORTED_CIPHERS.includes(cipher.name)) {
+    throw new UnsupportedVersionError(`Unsupported vault cipher: ${cipher.name}`);
+  }
+
+  return vaultFileObj;
+}
+
+/**
+ * Get the key derivation parameters of a single-password vault file
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {Object|null} The key derivation parameters, or null for key slot files
+ */
+export function getVaultKdfParams(vaultFileObj) {
+  // Version 1 files have no header and always used the shared legacy salt
+  if (!vaultFileObj.version || vaultFileObj.version < 2) {
+    return getLegacyKdfParams();
+  }
+
+  // Key slot files record parameters per slot
+  if (!vaultFileObj.kdf) {
+    return null;
+  }
+
+  // Only PBKDF2 headers may omit fields (files written before calibration)
+  if (vaultFileObj.kdf.name === KDF_PBKDF2) {
+    return { ...DEFAULT_KDF, ...vaultFileObj.kdf };
+  }
+  return { ...vaultFileObj.kdf };
+}
+
+/**
+ * Get the cipher parameters recorded in a vault file
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {Object} The cipher parameters
+ */
+export function getVaultCipher(vaultFileObj) {
+  // Files without a cipher header were written by the CryptoJS CBC code
+  return vaultFileObj.cipher ? { ...vaultFileObj.cipher } : { ...LEGACY_CIPHER };
+}
+
+/**
+ * Get the wrapped data key recorded in a vault file
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {Object|null} The key wrap record, or null if the payload is encrypted
+ *   directly with the password key (vaults written before envelope encryption)
+ */
+export function getVaultKeyWrap(vaultFileObj) {
+  return vaultFileObj.keyWrap ? { ...vaultFileObj.keyWrap } : null;
+}
+
+/**
+ * Get the key slots recorded in a vault file
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {Array<Object>} The key slots, empty for files written before key slots
+ */
+export function getVaultKeySlots(vaultFileObj) {
+  return Array.isArray(vaultFileObj.keySlots) ? vaultFileObj.keySlots.map(slot => ({ ...slot })) : [];
+}
+
+/**
+ * Get the spare area recorded in a vault file
+ * Files written by this version always carry one: a key slot and a fixed-size encrypted
+ * area that hold a decoy vault, or filler of the same form when there is none
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {{slot: Object, data: string}|null} The spare area, or null for files written before it
+ */
+export function getVaultSpareArea(vaultFileObj) {
+  const spare = vaultFileObj.spare;
+  return spare ? { slot: { ...spare.slot }, data: spare.data } : null;
+}
+
+/**
+ * Check whether a vault file stores an encrypted item index and per-item records
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {boolean} True if the payload is split into items
+ */
+export function hasVaultItems(vaultFileObj) {
+  // The index is Base64 in JSON files and raw bytes in binary containers
+  const index = vaultFileObj.index;
+  return (typeof index === 'string' || index instanceof Uint8Array) &&
+    Boolean(vaultFileObj.items) && typeof vaultFileObj.items === 'object';
+}
+
+/**
+ * Check whether a vault file has key slots that need a keyfile as well as a password
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @returns {boolean} True if any key slot requires a keyfile
+ */
+export function vaultRequiresKeyfile(vaultFileObj) {
+  return getVaultKeySlots(vaultFileObj).some(slot => Boolean(slot.kdf.keyfile));
+}
+
+/**
+ * Build a version 5 vault file object
+ * @param {Object} payload - The encrypted vault data from vault-items.js
+ * @param {string} payload.index - The encrypted item index
+ * @param {Object} payload.items - The encrypted item records by id
+ * @param {string|null} [payload.compression] - The format records were compressed with, or null
+ * @param {Array<Object>} keySlots - The key slots that each wrap the data key
+ * @param {{slot: Object, data: string}} spare - The spare area, from decoy-vault.js
+ * @returns {Object} The vault file object
+ */
+export function buildVaultFile({ index, items, compression = null }, keySlots, spare) {
+  const vaultFileObj = {
+    type: VAULT_FILE_TYPE,
+    version: VAULT_FORMAT_VERSION,
+    timestamp: new Date().toISOString(),
+    keySlots: keySlots.map(slot => ({ ...slot })),
+    cipher: { ...DEFAULT_CIPHER }
+  };
+
+  // Only recorded when used, so an absent field means nothing is compressed
+  if (compression) {
+    vaultFileObj.compression = compression;
+  }
+
+  return { ...vaultFileObj, index, items, spare: { slot: { ...spare.slot }, data: spare.data } };
+}
+
+// Export vault format module
+export default {
+  VAULT_FILE_TYPE,
+  VAULT_FORMAT_VERSION,
+  LEGACY_SALT,
+  DEFAULT_KDF,
+  DEFAULT_CIPHER,
+  LEGACY_CIPHER,
+  createKdfParams,
+  getLegacyKdfParams,
+  isLegacyKdf,
+  parseVaultFile,
+  getVaultKdfParams,
+  getVaultCipher,
+  getVaultKeyWrap,
+  getVaultKeySlots,
+  getVaultSpareArea,
+  hasVaultItems,
+  vaultRequiresKeyfile,
+  buildVaultFile
+};
@@ -0,0 +1,397 @@
+// Import dependencies
+import { getLoadedVaultTimestamp } from './database.js';
+import { readVaultFileData, importOpenedVault } from './vault-open.js';
+import { vaultFileRequiresKeyfile, isStoredVaultFile } from './vault-file.js';
+import { ITEM_SECTIONS } from './vault-items.js';
+import { VAULT_SCHEMA_VERSION } from './vault-schema.js';
+import { describeVaultError, WrongPasswordError } from './vault-errors.js';
+import { getSelectedKeyfile } from './keyfile-picker.js';
+import { showMergeReview } from './merge-import.js';
+import { syncWithOpenedVault } from './vault-sync.js';
+import {
+  UNLOCK_SOURCES,
+  getUnlockDelay,
+  describeDelay,
+  describeFailedUnlock,
+  recordFailedUnlock
+} from './unlock-throttle.js';
+
+/*
+ * Vault import
+ *
+ * A chosen vault file is decrypted first and previewed: when it was saved, its
+ * schema version and the items it holds. Only then does the user replace the vault
+ * on this device with it, merge it into the open vault choosing per conflict, sync
+ * it with the open vault by version vectors, or cancel.
+ */
+
+// The file chosen for import
+let selectedImportFile = null;
+
+// The decrypted file and the password that opened it, kept between the preview and the user's choice
+let openedImport = null;
+
+// How many item names the preview lists per section; the rest are counted
+const PREVIEW_NAME_LIMIT = 10;
+
+// Headings of the item sections in the preview
+const SECTION_LABELS = { docs: 'Documents', files: 'Files', photos: 'Photos' };
+
+/**
+ * Show a message in the import modal
+ * @param {string} message - The message to display
+ * @param {string} type - The message type (error, success, info)
+ */
+function showImportMessage(message, type) {
+  const messageContainer = document.getElementById('import-message');
+  if (!messageContainer) return;
+
+  messageContainer.textContent = message;
+  messageContainer.className = `message ${type}-message`;
+}
+
+/**
+ * Show one step of the import modal and hide the other
+ * @param {string} step - The step name: open or preview
+ */
+function showImportStep(step) {
+  ['open', 'preview'].forEach(name => {
+    document.getElementById(`import-${name}-step`).style.display = name === step ? 'block' : 'none';
+  });
+}
+
+/**
+ * Initialize the import modal
+ * @param {Object} hooks - How the import fits into the app
+ * @param {function(): boolean} hooks.isUnlocked - Whether a vault is open to merge into
+ * @param {function(): void} hooks.onImported - Shows the vault after an import from the unlock screen
+ */
+export function initializeVaultImport({ isUnlocked, onImported }) {
+  const importDbBtn = document.getElementById('import-db-btn');
+  const settingsImportBtn = document.getElementById('settings-import-btn');
+  const importFileInput = document.getElementById('import-file-input');
+  const importModal = document.getElementById('import-modal');
+  const confirmBtn = document.getElementById('import-confirm-btn');
+  const replaceBtn = document.getElementById('import-replace-btn');
+  const mergeBtn = document.getElementById('import-merge-btn');
+  const syncBtn = document.getElementById('import-sync-btn');
+
+  if (!importFileInput || !importModal || !confirmBtn || !replaceBtn || !mergeBtn || !syncBtn) {
+    console.warn('Import elements not found');
+    return;
+  }
+
+  // The unlock screen and the settings both pick the file through the same input
+  const pickFile = (e) => {
+    e.preventDefault();
+    importFileInput.value = '';
+    importFileInput.click();
+  };
+  if (importDbBtn) importDbBtn.addEventListener('click', pickFile);
+  if (settingsImportBtn) {
+    settingsImportBtn.addEventListener('click', (e) => {
+      document.getElementById('settings-modal').classList.remove('active');
+      pickFile(e);
+    });
+  }
+
+  importFileInput.addEventListener('change', (e) => {
+    if (e.target.files[0]) openImportModal(e.target.files[0]);
+  });
+
+  confirmBtn.addEventListener('click', () => handleOpenImport(confirmBtn, isUnlocked()));
+  replaceBtn.addEventListener('click', () => handleReplace(replaceBtn, isUnlocked(), onImported));
+  mergeBtn.addEventListener('click', handleMerge);
+  syncBtn.addEventListener('click', () => handleSync(syncBtn));
+
+  // Forget the decrypted file when the modal is closed without a choice
+  importModal.querySelectorAll('.close-modal').forEach(button => {
+    button.addEventListener('click', forgetImport);
+  });
+}
+
+/**
+ * Drop the chosen file and anything decrypted from it
+ */
+function forgetImport() {
+  selectedImportFile = null;
+  openedImport = null;
+}
+
+/**
+ * Open the import modal for a chosen file
+ * @param {File} file - The vault file
+ */
+function openImportModal(file) {
+  console.log(`File selected for import: ${file.name}, type: ${file.type}, size: ${file.size} bytes`);
+  selectedImportFile = file;
+  openedImport = null;
+
+  document.getElementById('import-password').value = '';
+  document.getElementById('import-file-name').textContent = `Selected file: ${file.name}`;
+  const hint = document.querySelector('#import-modal .import-password-hint');
+  if (hint) hint.remove();
+
+  showImportMessage('', 'info');
+  showImportStep('open');
+  document.getElementById('import-modal').classList.add('active');
+}
+
+/**
+ * Decrypt the chosen file and show its preview
+ * @param {HTMLButtonElement} confirmBtn - The open button
+ * @param {boolean} canMerge - Whether a vault is open to merge into
+ */
+async function handleOpenImport(confirmBtn, canMerge) {
+  const password = document.getElementById('import-password').value.trim();
+
+  if (!selectedImportFile) {
+    showImportMessage('Please select a vault file', 'error');
+    return;
+  }
+
+  if (!password) {
+    showImportMessage('Please enter the password of this vault', 'error');
+    return;
+  }
+
+  const fileName = selectedImportFile.name.toLowerCase();
+  if (!fileName.endsWith('.vault') && !fileName.endsWith('.json')) {
+    showImportMessage('Selected file must be a .vault file', 'error');
+    return;
+  }
+
+  // Wrong passwords for the vault on this device count with those on the unlock screen.
+  // Another vault's file can be tried anywhere, so its wrong passwords neither wait nor erase
+  const isStoredVault = await isStoredVaultFile(selectedImportFile);
+  const wait = isStoredVault ? getUnlockDelay() : 0;
+  if (wait > 0) {
+    showImportMessage(`Too many wrong passwords. Try again in ${describeDelay(wait)}.`, 'error');
+    return;
+  }
+
+  confirmBtn.disabled = true;
+  showImportMessage('Decrypting vault file...', 'info');
+
+  try {
+    // Ask for the keyfile if the vault header says one is required
+    const keyfile = getSelectedKeyfile('import');
+    if (!keyfile && await vaultFileRequiresKeyfile(selectedImportFile)) {
+      showImportMessage('This vault requires its keyfile. Select the keyfile and try again.', 'error');
+      return;
+    }
+
+    // Nothing is imported yet; a VaultError says why the file did not open
+    const opened = await readVaultFileData(selectedImportFile, password, keyfile);
+    openedImport = { opened, password };
+    await renderImportPreview(opened, canMerge);
+    showImportMessage('', 'info');
+    showImportStep('preview');
+  } catch (error) {
+    console.error('Import error:', error);
+    await reportFailedImport(error, isStoredVault);
+  } finally {
+    confirmBtn.disabled = false;
+  }
+}
+
+/**
+ * Tell the user why the chosen file did not open
+ * Wrong passwords count against the vault on this device only
+ * @param {Error} error - The error the file did not open with
+ * @param {boolean} isStoredVault - Whether the file is a copy of the vault on this device
+ */
+async function reportFailedImport(error, isStoredVault) {
+  if (!(error instanceof WrongPasswordError)) {
+    showImportMessage(describeVaultError(error), 'error');
+    return;
+  }
+  if (!isStoredVault) {
+    showImportMessage(describeVaultError(error), 'error');
+    showPasswordHint();
+    return;
+  }
+
+  const failure = await recordFailedUnlock(UNLOCK_SOURCES.IMPORT);
+  if (failure.erased) {
+    // The auth screen still offers the erased vault, so start afresh
+    showImportMessage(`${describeFailedUnlock(failure)} Reloading...`, 'error');
+    setTimeout(() => window.location.reload(), 3000);
+    return;
+  }
+  showImportMessage(`${describeVaultError(error)} ${describeFailedUnlock(failure)}`.trim(), 'error');
+  showPasswordHint();
+}
+
+/**
+ * Clear the password and hint that the vault's own password is needed
+ * Only a wrong password is worth another attempt
+ */
+function showPasswordHint() {
+  const passwordInput = document.getElementById('import-password');
+  passwordInput.value = '';
+  passwordInput.focus();
+
+  const formGroup = passwordInput.parentNode;
+  if (formGroup.querySelector('.import-password-hint')) return;
+
+  const passHint = document.createElement('p');
+  passHint.textContent = 'Hint: Use the password you set for the vault in this file.';
+  passHint.className = 'import-password-hint';
+  formGroup.appendChild(passHint);
+}
+
+/**
+ * Summarize a decrypted vault file for the preview
+ * @param {Object} opened - The opened file from readVaultFileData
+ * @returns {{timestamp: string|null, schemaVersion: number, sections: Array<Object>}} When the file was saved,
+ *   its schema version, and each section's label, item count and first item names
+ */
+export function describeImportPreview(opened) {
+  const { data, vaultFileObj, schemaVersion } = opened;
+  const sections = ITEM_SECTIONS.map(section => {
+    const names = Object.values(data[section] || {})
+      .map(item => item.name || item.id)
+      .sort((a, b) => String(a).localeCompare(String(b)));
+    return { section, label: SECTION_LABELS[section], count: names.length, names: names.slice(0, PREVIEW_NAME_LIMIT) };
+  });
+
+  return {
+    timestamp: (data.meta && data.meta.updatedAt) || vaultFileObj.timestamp || null,
+    schemaVersion,
+    sections
+  };
+}
+
+/**
+ * Create the list of one section's items for the preview
+ * @param {Object} section - The section summary from describeImportPreview
+ * @returns {HTMLDivElement} The section heading and item names
+ */
+function createPreviewSection({ label, count, names }) {
+  const container = document.createElement('div');
+  const heading = document.createElement('h4');
+  heading.textContent = `${label} (${count})`;
+  container.appendChild(heading);
+
+  const list = document.createElement('ul');
+  names.forEach(name => {
+    const item = document.createElement('li');
+    item.textContent = name;
+    list.appendChild(item);
+  });
+  if (count > names.length) {
+    const more = document.createElement('li');
+    more.textContent = `and ${count - names.length} more`;
+    list.appendChild(more);
+  }
+  container.appendChild(list);
+  return container;
+}
+
+/**
+ * Show the preview of a decrypted vault file
+ * @param {Object} opened - The opened file from readVaultFileData
+ * @param {boolean} canMerge - Whether a vault is open to merge into
+ */
+async function renderImportPreview(opened, canMerge) {
+  const preview = describeImportPreview(opened);
+  const savedAt = preview.timestamp ? new Date(preview.timestamp).toLocaleString() : 'unknown';
+  const upgrade = preview.schemaVersion < VAULT_SCHEMA_VERSION ? `, upgraded to ${VAULT_SCHEMA_VERSION} on import` : '';
+  document.getElementById('import-preview-summary').textContent =
+    `Saved ${savedAt}. Schema version ${preview.schemaVersion}${upgrade}.`;
+
+  const itemsContainer = document.getElementById('import-preview-items');
+  itemsContainer.innerHTML = '';
+  preview.sections.forEach(section => itemsContainer.appendChild(createPreviewSection(section)));
+
+  // Replacing a newer vault with an older file loses the changes in between
+  const warning = document.getElementById('import-preview-warning');
+  const loadedAt = await getLoadedVaultTimestamp();
+  const isOlder = Boolean(preview.timestamp && loadedAt) && Date.parse(preview.timestamp) < Date.parse(loadedAt);
+  warning.textContent = isOlder
+    ? `This file is older than the vault on this device (saved ${new Date(loadedAt).toLocaleString()}). Replacing it loses the newer changes.`
+    : '';
+  warning.style.display = isOlder ? 'block' : 'none';
+
+  // Merging and syncing need the vault on this device to be unlocked
+  document.getElementById('import-merge-btn').disabled = !canMerge;
+  document.getElementById('import-sync-btn').disabled = !canMerge;
+  document.getElementById('import-merge-note').style.display = canMerge ? 'none' : 'block';
+}
+
+/**
+ * Replace the vault on this device with the previewed file
+ * @param {HTMLButtonElement} replaceBtn - The replace button
+ * @param {boolean} wasUnlocked - Whether a vault was open, whose views must be reloaded
+ * @param {function(): void} onImported - Shows the vault after an import from the unlock screen
+ */
+async function handleReplace(replaceBtn, wasUnlocked, onImported) {
+  if (!openedImport) return;
+
+  replaceBtn.disabled = true;
+  showImportMessage('Importing...', 'info');
+
+  try {
+    await importOpenedVault(selectedImportFile, openedImport.opened, openedImport.password);
+    forgetImport();
+
+    // The open views hold the replaced vault, so reload them
+    if (wasUnlocked) {
+      showImportMessage('Vault imported. Reloading...', 'success');
+      setTimeout(() => window.location.reload(), 1500);
+      return;
+    }
+
+    document.getElementById('import-modal').classList.remove('active');
+    onImported();
+  } catch (error) {
+    console.error('Import error:', error);
+    showImportMessage(describeVaultError(error), 'error');
+  } finally {
+    replaceBtn.disabled = false;
+  }
+}
+
+/**
+ * Hand the previewed file to the merge review instead of replacing the vault
+ */
+function handleMerge() {
+  if (!openedImport) return;
+
+  const { opened } = openedImport;
+  forgetImport();
+  document.getElementById('import-modal').classList.remove('active');
+  showMergeReview(opened);
+}
+
+/**
+ * Sync the previewed file with the open vault, keeping both sides' changes
+ * @param {HTMLButtonElement} syncBtn - The sync button
+ */
+async function handleSync(syncBtn) {
+  if (!openedImport) return;
+
+  syncBtn.disabled = true;
+  showImportMessage('Syncing...', 'info');
+
+  try {
+    const report = await syncWithOpenedVault(openedImport.opened);
+    forgetImport();
+
+    // The open views hold the vault as it was, so reload them
+    const copies = report.conflicts.length > 0 ? `, ${report.conflicts.length} conflict copies kept` : '';
+    showImportMessage(`Synced: ${report.added} added, ${report.updated} updated, ${report.deleted} deleted${copies}. Reloading...`, 'success');
+    setTimeout(() => window.location.reload(), 3000);
+  } catch (error) {
+    console.error('Sync error:', error);
+    showImportMessage(describeVaultError(error), 'error');
+    syncBtn.disabled = false;
+  }
+}
+
+// Export vault import module
+export default {
+  initializeVaultImport,
+  describeImportPreview
+};
@@ -0,0 +1,277 @@
+// Import a fast non-cryptographic hash for change detection
+import { xxhash64 } from 'hash-wasm';
+
+// Import WebCrypto helpers
+import {
+  randomBytes,
+  bytesToHex,
+  hexToBytes,
+  utf8Encode,
+  utf8Decode,
+  bytesToBase64,
+  base64ToBytes,
+  hkdfSha256,
+  importAesKey,
+  encryptBytes,
+  decryptBytes
+} from './crypto.js';
+import { shouldCompress, compressBytes, decompressBytes } from './compression.js';
+
+// Vault sections whose entries are encrypted one record per item
+export const ITEM_SECTIONS = ['docs', 'files', 'photos'];
+
+// HKDF context strings for item and index keys
+const ITEM_KEY_INFO = 'SecureVault vault item key';
+const INDEX_KEY_INFO = 'SecureVault vault item index';
+
+// Random record ids are 128 bits, hex encoded; they also salt the record's key
+const RECORD_ID_BYTES = 16;
+
+/**
+ * Item cache
+ * Remembers each item's record and a digest of its plaintext, so a save only
+ * re-encrypts items whose content changed. Entries are only valid for the data key
+ * and compression format they were made with.
+ * @typedef {Object} ItemCache
+ * @property {string|CryptoKey} dataKey - The data key the records are encrypted under
+ * @property {string|null} compression - The compression format of compressed records
+ * @property {Map<string, {recordId: string, digest: string, ciphertext: string, compressed: boolean}>} entries - Records by "section/id"
+ */
+
+/**
+ * Derive an AES-GCM key from the vault data key
+ * @param {string|CryptoKey} dataKey - The Base64 data key, or the open vault's non-extractable data key
+ * @param {Uint8Array} salt - The HKDF salt
+ * @param {string} info - The HKDF context string
+ * @returns {Promise<CryptoKey>} The derived AES-GCM key
+ */
+async function deriveKey(dataKey, salt, info) {
+  const input = typeof dataKey === 'string' ? base64ToBytes(dataKey) : dataKey;
+  return importAesKey(await hkdfSha256(input, salt, info));
+}
+
+/**
+ * Derive the key for one item record
+ * The record id is the salt, so a record cannot be decrypted under another id
+ * @param {string|CryptoKey} dataKey - The data key
+ * @param {string} recordId - The hex record id
+ * @returns {Promise<CryptoKey>} The item key
+ */
+function deriveItemKey(dataKey, recordId) {
+  return deriveKey(dataKey, hexToBytes(recordId), ITEM_KEY_INFO);
+}
+
+/**
+ * Derive the key for the item index
+ * @param {string|CryptoKey} dataKey - The data key
+ * @returns {Promise<CryptoKey>} The index key
+ */
+function deriveIndexKey(dataKey) {
+  return deriveKey(dataKey, new Uint8Array(0), INDEX_KEY_INFO);
+}
+
+/**
+ * Encrypt JSON text under a key, compressing it first if a format is given
+ * @param {CryptoKey} key - The AES-GCM key
+ * @param {string} json - The JSON text
+ * @param {string|null} compression - The compression format, or null to store it uncompressed
+ * @returns {Promise<string>} Base64 of IV and ciphertext
+ */
+async function sealJson(key, json, compression = null) {
+  const plaintext = utf8Encode(json);
+  const bytes = compression ? await compressBytes(plaintext, compression) : plaintext;
+  return bytesToBase64(await encryptBytes(key, bytes));
+}
+
+/**
+ * Decrypt JSON text written by sealJson
+ * @param {CryptoKey} key - The AES-GCM key
+ * @param {string|Uint8Array} ciphertext - IV and ciphertext, Base64 in JSON files or raw from a binary container
+ * @param {string|null} compression - The compression format it was sealed with, or null
+ * @returns {Promise<string>} The JSON text
+ */
+async function openJson(key, ciphertext, compression = null) {
+  const bytes = typeof ciphertext === 'string' ? base64ToBytes(ciphertext) : ciphertext;
+  const plaintext = await decryptBytes(key, bytes);
+  return utf8Decode(compression ? await decompressBytes(plaintext, compression) : plaintext);
+}
+
+/**
+ * Get the cache key of an item
+ * @param {string} section - The vault section
+ * @param {string} id - The item id
+ * @returns {string} The cache key
+ */
+function itemCacheKey(section, id) {
+  return `${section}/${id}`;
+}
+
+/**
+ * Create an empty item cache for a data key
+ * @param {string|CryptoKey} dataKey - The data key
+ * @param {string|null} compression - The compression format of compressed records
+ * @returns {ItemCache} The empty cache
+ */
+export function createItemCache(dataKey, compression = null) {
+  return { dataKey, compression, entries: new Map() };
+}
+
+/**
+ * Encrypt one item, reusing its cached record if the content is unchanged
+ * A changed item gets a new record id, and with it a new key. Media and archives
+ * stored inline (older photos and files) are not compressed again
+ * @param {string|CryptoKey} dataKey - The data key
+ * @param {Object} item - The item to encrypt
+ * @param {Object|undefined} cached - The item's previous cache entry
+ * @param {string|null} compression - The compression format, or null to store items uncompressed
+ * @returns {Promise<Object>} The cache entry for the item
+ */
+async function sealItem(dataKey, item, cached, compression) {
+  const json = JSON.stringify(item);
+  const digest = await xxhash64(json);
+  if (cached && cached.digest === digest) {
+    return cached;
+  }
+
+  const recordId = bytesToHex(randomBytes(RECORD_ID_BYTES));
+  const compressed = Boolean(compression) && shouldCompress(item.contentType);
+  const ciphertext = await sealJson(await deriveItemKey(dataKey, recordId), json, compressed ? compression : null);
+  return { recordId, digest, ciphertext, compressed };
+}
+
+/**
+ * Encrypt vault data as an encrypted index and one encrypted record per item
+ * @param {Object} data - The vault data
+ * @param {string|CryptoKey} dataKey - The data key
+ * @param {ItemCache|null} cache - Records from the last save or load
+ * @param {string|null} compression - The compression format recorded in the vault header, or null
+ * @returns {Promise<{index: string, items: Object, cache: ItemCache}>} The encrypted index, the records by id and the updated cache
+ */
+export async function encryptVaultItems(data, dataKey, cache = null, compression = null) {
+  // Records made under another data key or compression format cannot be reused
+  const reusable = cache && cache.dataKey === dataKey && cache.compression === compression;
+  const previous = reusable ? cache.entries : new Map();
+  const nextCache = createItemCache(dataKey, compression);
+  const index = { sections: {}, rest: {} };
+  const items = {};
+  let sealedCount = 0;
+
+  // Everything outside the item sections (meta, labels, settings) lives in the index
+  Object.keys(data).forEach(key => {
+    if (!ITEM_SECTIONS.includes(key)) index.rest[key] = data[key];
+  });
+
+  for (const section of ITEM_SECTIONS) {
+    index.sections[section] = {};
+    for (const [id, item] of Object.entries(data[section] || {})) {
+      const cacheKey = itemCacheKey(section, id);
+      const cached = previous.get(cacheKey);
+      const entry = await sealItem(dataKey, item, cached, compression);
+      if (entry !== cached) sealedCount++;
+
+      index.sections[section][id] = { record: entry.recordId, compressed: entry.compressed };
+      items[entry.recordId] = entry.ciphertext;
+      nextCache.entries.set(cacheKey, entry);
+    }
+  }
+
+  console.log(`Encrypted ${sealedCount} changed items, reused ${nextCache.entries.size - sealedCount}`);
+  const encryptedIndex = await sealJson(await deriveIndexKey(dataKey), JSON.stringify(index), compression);
+  return { index: encryptedIndex, items, cache: nextCache };
+}
+
+/**
+ * Find the items that changed or were removed since the records in a cache were made
+ * Without a cache every item counts as changed. A removed item is no longer in memory,
+ * so its version vector is read back from its cached record
+ * @param {Object} data - The vault data about to be saved
+ * @param {ItemCache|null} cache - Records from the last save or load
+ * @returns {Promise<{changed: Array<{section: string, id: string}>, removed: Array<{section: string, id: string, versions: Object}>}>} The changed and removed items
+ */
+export async function listItemChanges(data, cache) {
+  const entries = cache ? cache.entries : new Map();
+  const changed = [];
+  const present = new Set();
+
+  for (const section of ITEM_SECTIONS) {
+    for (const [id, item] of Object.entries(data[section] || {})) {
+      const cacheKey = itemCacheKey(section, id);
+      present.add(cacheKey);
+      const cached = entries.get(cacheKey);
+      if (!cached || cached.digest !== await xxhash64(JSON.stringify(item))) {
+        changed.push({ section, id });
+      }
+    }
+  }
+
+  const removed = [];
+  for (const [cacheKey, entry] of entries) {
+    if (present.has(cacheKey)) continue;
+
+    // Cache keys are "section/id"; ids may contain slashes, sections do not
+    const separator = cacheKey.indexOf('/');
+    const json = await openJson(await deriveItemKey(cache.dataKey, entry.recordId), entry.ciphertext, entry.compressed ? cache.compression : null);
+    removed.push({ section: cacheKey.slice(0, separator), id: cacheKey.slice(separator + 1), versions: JSON.parse(json).versions || {} });
+  }
+
+  return { changed, removed };
+}
+
+/**
+ * Decrypt only the item index, without any item records
+ * Enough to count the items of a vault file
+ * @param {Object} payload - The encrypted index and the header's compression format
+ * @param {string|Uint8Array} payload.index - The encrypted index
+ * @param {string} [payload.compression] - The compression format from the vault header
+ * @param {string|CryptoKey} dataKey - The data key
+ * @returns {Promise<{sections: Object, rest: Object}>} Record entries by section and id, and the non-item data
+ */
+export async function readVaultIndex({ index, compression = null }, dataKey) {
+  return JSON.parse(await openJson(await deriveIndexKey(dataKey), index, compression));
+}
+
+/**
+ * Decrypt vault data written by encryptVaultItems
+ * Throws if the index or any record is missing, tampered with or under another key
+ * @param {Object} payload - The encrypted index and records
+ * @param {string|Uint8Array} payload.index - The encrypted index
+ * @param {Object} payload.items - The encrypted records by id (Base64 or raw bytes)
+ * @param {string} [payload.compression] - The compression format from the vault header
+ * @param {string|CryptoKey} dataKey - The data key
+ * @returns {Promise<{data: Object, cache: ItemCache}>} The vault data and a cache of its records
+ */
+export async function decryptVaultItems({ index, items, compression = null }, dataKey) {
+  const { sections, rest } = await readVaultIndex({ index, compression }, dataKey);
+  const data = { ...rest };
+  const cache = createItemCache(dataKey, compression);
+
+  for (const section of ITEM_SECTIONS) {
+    data[section] = {};
+    for (const [id, entry] of Object.entries(sections[section] || {})) {
+      // Indexes written before compression map items straight to record ids
+      const { record: recordId, compressed } = typeof entry === 'string' ? { record: entry, compressed: false } : entry;
+      const ciphertext = items[recordId];
+      if (!ciphertext) {
+        throw new Error(`Vault item record missing: ${recordId}`);
+      }
+
+      // Seed the cache so the first save only re-encrypts what changed since the load
+      const json = await openJson(await deriveItemKey(dataKey, recordId), ciphertext, compressed ? compression : null);
+      data[section][id] = JSON.parse(json);
+      const encoded = typeof ciphertext === 'string' ? ciphertext : bytesToBase64(ciphertext);
+      cache.entries.set(itemCacheKey(section, id), { recordId, digest: await xxhash64(json), ciphertext: encoded, compressed });
+    }
+  }
+
+  return { data, cache };
+}
+
+// Export vault items module
+export default {
+  ITEM_SECTIONS,
+  createItemCache,
+  encryptVaultItems,
+  listItemChanges,
+  readVaultIndex,
+  decryptVaultItems
+};
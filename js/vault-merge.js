@@ -0,0 +1,205 @@
+// Import dependencies
+import { loadFromSecureStorage, saveToSecureStorage } from './database.js';
+import { readVaultFileData } from './vault-open.js';
+import { storeVaultBlobs } from './vault-file.js';
+import { takeVaultSnapshot } from './vault-storage.js';
+import { ITEM_SECTIONS } from './vault-items.js';
+import { itemContents } from './version-vectors.js';
+
+/*
+ * Merge import
+ *
+ * Instead of replacing the open vault, an imported vault file can be merged into it.
+ * Items are matched by section and id: items only in the file are added, identical
+ * items are skipped, and items that differ are conflicts the user resolves one by
+ * one. Items only in the open vault are always kept, and everything outside the item
+ * sections (meta and settings) stays the open vault's.
+ */
+
+// How a conflict can be resolved
+export const MERGE_CHOICES = {
+  MINE: 'mine',
+  THEIRS: 'theirs',
+  BOTH: 'both'
+};
+
+// Id prefixes of new items, matching the ones each section's manager generates
+const ID_PREFIXES = { docs: 'file', files: 'file', photos: 'photo' };
+
+// Added to the name of an imported copy kept beside the open vault's item
+const COPY_SUFFIX = ' (imported)';
+
+/**
+ * Merge plan
+ * @typedef {Object} MergePlan
+ * @property {Array<{section: string, id: string, item: Object}>} added - Items only in the imported vault
+ * @property {Array<Object>} conflicts - Items that differ, with both versions and the newer side
+ * @property {number} unchanged - How many items have the same contents in both vaults
+ */
+
+/**
+ * Get the key of an item in a choices map
+ * @param {string} section - The vault section
+ * @param {string} id - The item id
+ * @returns {string} The choice key
+ */
+export function mergeChoiceKey(section, id) {
+  return `${section}/${id}`;
+}
+
+/**
+ * Compare the items of the open vault with those of an imported one
+ * @param {Object} mine - The open vault's data
+ * @param {Object} theirs - The imported vault's data
+ * @returns {MergePlan} What a merge would add, and the items that conflict
+ */
+export function planVaultMerge(mine, theirs) {
+  const plan = { added: [], conflicts: [], unchanged: 0 };
+
+  ITEM_SECTIONS.forEach(section => {
+    const mineItems = (mine && mine[section]) || {};
+    Object.entries((theirs && theirs[section]) || {}).forEach(([id, item]) => {
+      const current = mineItems[id];
+      if (!current) {
+        plan.added.push({ section, id, item });
+      } else if (itemContents(current) === itemContents(item)) {
+        plan.unchanged++;
+      } else {
+        // Without a common ancestor the newer side is only a suggestion
+        const newer = Date.parse(item.modified) > Date.parse(current.modified) ? MERGE_CHOICES.THEIRS : MERGE_CHOICES.MINE;
+        plan.conflicts.push({ section, id, mine: current, theirs: item, newer });
+      }
+    });
+  });
+
+  console.log(`Merge plan: ${plan.added.length} added, ${plan.conflicts.length} conflicts, ${plan.unchanged} unchanged`);
+  return plan;
+}
+
+/**
+ * Generate an id for an imported copy
+ * @param {string} section - The vault section
+ * @returns {string} The new item id
+ */
+function generateCopyId(section) {
+  return `${ID_PREFIXES[section]}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Name an imported copy, keeping a file extension at the end
+ * @param {string} name - The item name
+ * @returns {string} The copy's name
+ */
+function copyName(name = 'Untitled') {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? `${name.slice(0, dot)}${COPY_SUFFIX}${name.slice(dot)}` : `${name}${COPY_SUFFIX}`;
+}
+
+/**
+ * Work out the changes a merge makes from a plan and the user's choices
+ * @param {MergePlan} plan - The merge plan
+ * @param {Object<string, string>} choices - MERGE_CHOICES by mergeChoiceKey; unresolved conflicts keep the open vault's item
+ * @returns {{changes: Object, summary: Object}} The items to save by section, and counts of what was added, updated, kept as both and skipped
+ */
+export function resolveVaultMerge(plan, choices = {}) {
+  const changes = {};
+  const summary = { added: 0, updated: 0, keptBoth: 0, skipped: plan.unchanged };
+  const put = (section, id, item) => {
+    changes[section] = { ...changes[section], [id]: item };
+  };
+
+  plan.added.forEach(({ section, id, item }) => {
+    put(section, id, item);
+    summary.added++;
+  });
+
+  plan.conflicts.forEach(({ section, id, theirs }) => {
+    const choice = choices[mergeChoiceKey(section, id)] || MERGE_CHOICES.MINE;
+    if (choice === MERGE_CHOICES.THEIRS) {
+      put(section, id, theirs);
+      summary.updated++;
+    } else if (choice === MERGE_CHOICES.BOTH) {
+      const copyId = generateCopyId(section);
+      put(section, copyId, { ...theirs, id: copyId, name: copyName(theirs.name) });
+      summary.keptBoth++;
+    } else {
+      summary.skipped++;
+    }
+  });
+
+  return { changes, summary };
+}
+
+/**
+ * Get the content blob ids the merged items use
+ * @param {Object} changes - The items to save by section
+ * @returns {Array<string>} The blob ids
+ */
+function getChangedBlobIds(changes) {
+  return Object.values(changes.files || {})
+    .filter(file => file.blob)
+    .map(file => file.blob.id);
+}
+
+/**
+ * Compare an already decrypted vault file with the open vault
+ * @param {Object} imported - The opened file from readVaultFileData
+ * @returns {Promise<MergePlan>} The merge plan
+ * @throws {Error} If no vault is open
+ */
+export async function planImportedMerge(imported) {
+  const mine = await loadFromSecureStorage();
+  if (!mine) {
+    throw new Error('No vault is open to merge into');
+  }
+  return planVaultMerge(mine, imported.data);
+}
+
+/**
+ * Decrypt a vault file and compare it with the open vault, without changing either
+ * @param {File} file - The vault file to merge
+ * @param {string} password - The password that opens the file
+ * @param {string} keyfile - Hex hash of the keyfile, for vaults that require one
+ * @returns {Promise<{plan: MergePlan, imported: Object}>} The merge plan, and the decrypted file to pass to applyVaultMerge
+ * @throws {VaultError} Why the file did not open
+ */
+export async function prepareVaultMerge(file, password, keyfile = null) {
+  const imported = await readVaultFileData(file, password, keyfile);
+  return { plan: await planImportedMerge(imported), imported };
+}
+
+/**
+ * Merge the imported items into the open vault
+ * The open vault is kept as a snapshot first, so the merge can be undone
+ * @param {Object} imported - The decrypted file from prepareVaultMerge or readVaultFileData
+ * @param {MergePlan} plan - The merge plan
+ * @param {Object<string, string>} choices - MERGE_CHOICES by mergeChoiceKey
+ * @returns {Promise<Object>} Counts of what was added, updated, kept as both and skipped
+ * @throws {Error} If the merged vault could not be saved
+ */
+export async function applyVaultMerge(imported, plan, choices) {
+  const { changes, summary } = resolveVaultMerge(plan, choices);
+
+  if (Object.keys(changes).length > 0) {
+    // File contents come with the imported file and must be on this device before the vault refers to them
+    await storeVaultBlobs(imported.vaultFileObj, getChangedBlobIds(changes));
+    await takeVaultSnapshot();
+    if (!await saveToSecureStorage(changes)) {
+      throw new Error('The merged vault could not be saved');
+    }
+  }
+
+  console.log(`Merged vault file: ${summary.added} added, ${summary.updated} updated, ${summary.keptBoth} kept as both, ${summary.skipped} skipped`);
+  return summary;
+}
+
+// Export vault merge module
+export default {
+  MERGE_CHOICES,
+  mergeChoiceKey,
+  planVaultMerge,
+  resolveVaultMerge,
+  planImportedMerge,
+  prepareVaultMerge,
+  applyVaultMerge
+};
@@ -0,0 +1,238 @@
+// Import dependencies
+import {
+  createKdfParams,
+  isLegacyKdf,
+  parseVaultFile,
+  getVaultKdfParams,
+  getVaultKeyWrap,
+  getVaultKeySlots,
+  getVaultSpareArea
+} from './vault-format.js';
+import { WrongPasswordError, NotAVaultError, VaultError } from './vault-errors.js';
+import { getSchemaVersion, migrateVaultData } from './vault-schema.js';
+import { calibrateKdf } from './kdf.js';
+import { unwrapDataKey } from './envelope.js';
+import { createKeySlot } from './key-slots.js';
+import { setEncryptionKey, setKeySlots, setKeyfileHash, storeSession } from './vault-session.js';
+import { initializeVaultKey, unwrapWithPassword, deriveKeyFromPassword } from './vault-slots.js';
+import { setItemCache, decryptVaultContents } from './vault-serialize.js';
+import { setVaultFile, readVaultFile, storeVaultBlobs } from './vault-file.js';
+import { setVaultData, persistCurrentVault } from './database.js';
+import { adoptSpareArea } from './vault-decoy.js';
+
+/*
+ * Opening vault files
+ *
+ * A vault file is unlocked with a password through one of its key slots, or through
+ * the spare slot for the duress password, and its contents are decrypted and upgraded
+ * to the current schema. The result can be previewed or merged without touching the
+ * open vault, or imported to replace it.
+ */
+
+/**
+ * Recover the data key of a parsed vault file with a password
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @param {string} password - The vault password
+ * @param {string} keyfile - Hex keyfile hash for slots that require one
+ * @returns {Promise<Object|null>} The data key and the header it came from, marked decoy if the password
+ *   is the duress password, or null if the password is wrong
+ */
+export async function unlockVaultFile(vaultFileObj, password, keyfile) {
+  const fileSlots = getVaultKeySlots(vaultFileObj);
+  if (fileSlots.length > 0) {
+    const match = await unwrapWithPassword(password, fileSlots, keyfile);
+    if (match) {
+      return { dataKey: match.dataKey, slots: fileSlots, activeId: match.slot.id, keyfile };
+    }
+    
+    // The spare slot is tried last on every file that has one, so the duress password
+    // takes as long as a wrong one. It opens the decoy on its own, without a keyfile
+    const spare = getVaultSpareArea(vaultFileObj);
+    const decoyMatch = spare && await unwrapWithPassword(password, [spare.slot], null);
+    if (!decoyMatch) return null;
+    return { dataKey: decoyMatch.dataKey, slots: [spare.slot], activeId: spare.slot.id, keyfile: null, decoy: true };
+  }
+  
+  // Older files have one password key that wraps the data key or encrypts the payload directly
+  const kdf = getVaultKdfParams(vaultFileObj);
+  const passwordKey = await deriveKeyFromPassword(password, kdf.salt, kdf);
+  if (!passwordKey) return null;
+  
+  const keyWrap = getVaultKeyWrap(vaultFileObj);
+  const dataKey = keyWrap ? await unwrapDataKey(passwordKey, keyWrap) : passwordKey;
+  return dataKey && { dataKey, passwordKey, kdf, keyWrap };
+}
+
+/**
+ * Decrypt the payload of a vault file opened by unlockVaultFile, or its decoy for the duress password
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @param {Object} unlocked - The result of unlockVaultFile
+ * @returns {Promise<{data: Object, cache: Object|null, decoy: Object|null}>} The vault data, its item
+ *   records and its decoy record, as from decryptVaultContents
+ * @throws {WrongPasswordError|CorruptVaultError} If the payload does not decrypt
+ */
+export async function decryptUnlockedPayload(vaultFileObj, unlocked) {
+  try {
+    return await decryptVaultContents(vaultFileObj, unlocked.dataKey, Boolean(unlocked.decoy));
+  } catch (error) {
+    // A wrapped data key was already authenticated; the oldest files encrypt the
+    // payload with the password key itself, so there a failure means a wrong password
+    if (!unlocked.slots && !unlocked.keyWrap) {
+      throw new WrongPasswordError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make an unlocked vault file's keys the open vault's keys, upgrading older headers
+ * @param {Object} unlocked - The result of unlockVaultFile
+ * @param {string} password - The vault password
+ */
+async function adoptVaultKeys(unlocked, password) {
+  if (unlocked.slots) {
+    setKeySlots(unlocked.slots, unlocked.activeId);
+    await setKeyfileHash(unlocked.keyfile);
+  } else if (unlocked.keyWrap && !isLegacyKdf(unlocked.kdf)) {
+    // Envelope vaults keep their data key; the password becomes the first key slot
+    console.log("Single-password vault detected, moving its key into a key slot on next save");
+    const slot = await createKeySlot(unlocked.passwordKey, unlocked.kdf, unlocked.dataKey);
+    setKeySlots([slot], slot.id);
+    await setKeyfileHash(null);
+  } else {
+    // Upgrade older vaults to a per-vault salt and a random data key on next save
+    console.log("Older vault detected, upgrading to envelope encryption on next save");
+    const { salt, ...fileCost } = unlocked.kdf;
+    const upgradedParams = createKdfParams(isLegacyKdf(unlocked.kdf) ? await calibrateKdf() : fileCost);
+    await initializeVaultKey(password, upgradedParams);
+    return;
+  }
+  
+  await setEncryptionKey(unlocked.dataKey);
+  storeSession();
+}
+
+/**
+ * Import database with password
+ * @param {File} file The imported file
+ * @param {string} password The vault login password to decrypt the file
+ * @param {string} keyfile Hex hash of the keyfile, for vaults that require one
+ * @returns {Promise<boolean>} True once the vault is imported
+ * @throws {VaultError} Why the vault did not open: WrongPasswordError, NotAVaultError, CorruptVaultError or UnsupportedVersionError
+ */
+export async function importDatabaseWithPassword(file, password, keyfile = null) {
+  try {
+    console.log(`Attempting to import vault file: ${file && file.name}`);
+    return await importOpenedVault(file, await openVaultFile(file, password, keyfile), password);
+  } catch (error) {
+    console.error("Error importing vault file:", error);
+    throw error;
+  }
+}
+
+/**
+ * Make a vault file already decrypted by readVaultFileData the open vault, replacing the current one
+ * @param {File} file The vault file
+ * @param {Object} opened The opened file from readVaultFileData
+ * @param {string} password The password that opened the file
+ * @returns {Promise<boolean>} True once the vault is imported
+ */
+export async function importOpenedVault(file, opened, password) {
+  const { vaultFileObj, unlocked, data: decryptedData, cache, decoy } = opened;
+  
+  // Older vaults get a new data key below, which makes these records unusable anyway
+  setItemCache(cache);
+  
+  // Set the vault file and take over its keys, and the decoy or real vault in its spare area
+  setVaultFile(file);
+  await adoptVaultKeys(unlocked, password);
+  await adoptSpareArea(vaultFileObj, decoy, Boolean(unlocked.decoy));
+  
+  // Log stats about the imported data
+  const stats = {
+    docs: Object.keys(decryptedData.docs).length,
+    files: Object.keys(decryptedData.files).length,
+    photos: Object.keys(decryptedData.photos).length
+  };
+  
+  console.log(`Imported vault data statistics: ${stats.docs} docs, ${stats.files} files, ${stats.photos} photos`);
+  
+  // Store the decrypted data and file contents, and keep them on this device in the current format
+  setVaultData(decryptedData);
+  await storeVaultBlobs(vaultFileObj);
+  await persistCurrentVault();
+  
+  console.log("Vault file imported successfully");
+  return true;
+}
+
+/**
+ * Read, unlock and decrypt a vault file without opening it as the vault
+ * @param {File} file The vault file
+ * @param {string} password The password that opens the file
+ * @param {string} keyfile Hex hash of the keyfile, for vaults that require one
+ * @returns {Promise<Object>} The parsed file, its unlocked key, its data upgraded to the current schema,
+ *   the schema version it was saved with, its item cache and its decoy record
+ * @throws {VaultError} Why the file did not open
+ */
+async function openVaultFile(file, password, keyfile) {
+  if (!file) {
+    throw new VaultError("No vault file provided");
+  }
+
+  if (!password) {
+    throw new VaultError("No password provided");
+  }
+
+  // Read the file
+  const fileContent = await readVaultFile(file);
+  if (!fileContent) {
+    throw new NotAVaultError("The vault file is empty");
+  }
+  
+  // Parse and validate the file format
+  const vaultFileObj = parseVaultFile(fileContent);
+  
+  // Find the data key with the password (through a key slot on current files)
+  const unlocked = await unlockVaultFile(vaultFileObj, password, keyfile);
+  if (!unlocked) {
+    throw new WrongPasswordError("Failed to unwrap data key - invalid password or keyfile");
+  }
+  
+  // Decrypt the data and upgrade it, so a vault that is too new is refused before anything uses it
+  const decrypted = await decryptUnlockedPayload(vaultFileObj, unlocked);
+  const schemaVersion = getSchemaVersion(decrypted.data);
+  return {
+    vaultFileObj,
+    unlocked,
+    data: migrateVaultData(decrypted.data),
+    schemaVersion,
+    cache: decrypted.cache,
+    decoy: decrypted.decoy
+  };
+}
+
+/**
+ * Decrypt a vault file's contents, leaving the open vault and its keys as they are
+ * Used to preview a vault file before importing it, and to merge it into the open one
+ * @param {File} file The vault file
+ * @param {string} password The password that opens the file
+ * @param {string} keyfile Hex hash of the keyfile, for vaults that require one
+ * @returns {Promise<Object>} The opened file: its vault data, the parsed file (which carries its file contents)
+ *   and the schema version it was saved with; pass it to importOpenedVault to import it
+ * @throws {VaultError} Why the file did not open
+ */
+export async function readVaultFileData(file, password, keyfile = null) {
+  const opened = await openVaultFile(file, password, keyfile);
+  console.log(`Read vault file ${file.name} without opening it`);
+  return opened;
+}
+
+// Export vault open module
+export default {
+  unlockVaultFile,
+  decryptUnlockedPayload,
+  importDatabaseWithPassword,
+  importOpenedVault,
+  readVaultFileData
+};
@@ -0,0 +1,166 @@
+// Import dependencies
+import { getVaultNamespace, setVaultNamespace, deleteVaultStorage } from './vault-storage.js';
+import {
+  listVaults,
+  getActiveVault,
+  findVaultByNamespace,
+  selectVault,
+  createVault,
+  renameVault,
+  removeVault
+} from './vault-registry.js';
+
+// Called with the selected vault whenever the selection changes
+let onSelectVault = () => {};
+
+// Set once a vault was open in this page, whose views still hold its contents
+let vaultOpenedInPage = false;
+
+/**
+ * Initialize the vault picker on the auth screen
+ * @param {Object} options - Picker options
+ * @param {function(Object): void} options.onSelect - Called with the vault entry when another vault is selected,
+ *   so the auth screen can offer to unlock or create it
+ * @param {function(string, string): void} options.showMessage - Shows a message and its type on the auth screen
+ */
+export function initializeVaultPicker({ onSelect, showMessage }) {
+  const vaultSelect = document.getElementById('vault-select');
+  const newBtn = document.getElementById('vault-new-btn');
+  const renameBtn = document.getElementById('vault-rename-btn');
+  const deleteBtn = document.getElementById('vault-delete-btn');
+
+  if (!vaultSelect || !newBtn || !renameBtn || !deleteBtn) {
+    console.warn('Vault picker not found');
+    return;
+  }
+
+  onSelectVault = onSelect;
+  renderVaultPicker();
+
+  vaultSelect.addEventListener('change', () => handlePickerAction(() => selectVault(vaultSelect.value), showMessage));
+  newBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    const name = prompt('Name of the new vault, e.g. Work or Personal:');
+    if (name === null) return;
+    handlePickerAction(() => createVault(name), showMessage);
+  });
+  renameBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    const vault = getActiveVault();
+    const name = prompt('New name for this vault:', vault.name);
+    if (name === null) return;
+    handlePickerAction(() => renameVault(vault.id, name), showMessage);
+  });
+  deleteBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    handleDeleteVault(showMessage);
+  });
+}
+
+/**
+ * Show the vaults in the picker, with the selected one chosen
+ * A vault can only be deleted while another one remains
+ */
+function renderVaultPicker() {
+  const vaultSelect = document.getElementById('vault-select');
+  const deleteBtn = document.getElementById('vault-delete-btn');
+  const vaults = listVaults();
+  const active = getActiveVault();
+
+  vaultSelect.innerHTML = '';
+  vaults.forEach(vault => {
+    const option = document.createElement('option');
+    option.value = vault.id;
+    option.textContent = vault.name;
+    vaultSelect.appendChild(option);
+  });
+  vaultSelect.value = active.id;
+  deleteBtn.disabled = vaults.length < 2;
+}
+
+/**
+ * Change the registry, then switch to the vault that is selected afterwards
+ * @param {function(): void} action - The registry change
+ * @param {function(string, string): void} showMessage - Shows a message on the auth screen
+ */
+function handlePickerAction(action, showMessage) {
+  try {
+    action();
+  } catch (error) {
+    console.error('Vault picker error:', error);
+    showMessage(error.message, 'error');
+  }
+  useSelectedVault();
+}
+
+/**
+ * Use the storage of the selected vault and tell the auth screen
+ */
+function useSelectedVault() {
+  const vault = getActiveVault();
+
+  // Views opened for another vault would save their copy into this one; reload to start afresh
+  if (vaultOpenedInPage && vault.namespace !== getVaultNamespace()) {
+    window.location.reload();
+    return;
+  }
+
+  setVaultNamespace(vault.namespace);
+  renderVaultPicker();
+  onSelectVault(vault);
+}
+
+/**
+ * Delete the selected vault and everything stored for it on this device, after confirmation
+ * @param {function(string, string): void} showMessage - Shows a message on the auth screen
+ */
+async function handleDeleteVault(showMessage) {
+  const vault = getActiveVault();
+  if (!confirm(`Delete the vault "${vault.name}" from this device? Its documents, files, photos and snapshots stored here are removed. Vault files you exported are not affected.`)) {
+    return;
+  }
+
+  try {
+    // Switch to another vault first, so the deleted one's storage is not in use
+    const { removed, active } = removeVault(vault.id);
+    setVaultNamespace(active.namespace);
+    await deleteVaultStorage(removed.namespace);
+    showMessage(`Vault "${removed.name}" deleted`, 'success');
+  } catch (error) {
+    console.error('Error deleting vault:', error);
+    showMessage('Error deleting vault: ' + error.message, 'error');
+  }
+
+  // Views may still hold the deleted vault's contents
+  if (vaultOpenedInPage) {
+    window.location.reload();
+    return;
+  }
+  useSelectedVault();
+}
+
+/**
+ * Record the open vault as the selected one and show its name in the header
+ * A restored session may have opened another vault than the one last selected in another tab
+ */
+export function markOpenVault() {
+  vaultOpenedInPage = true;
+  const vault = findVaultByNamespace(getVaultNamespace());
+  if (vault && vault.id !== getActiveVault().id) {
+    selectVault(vault.id);
+  }
+
+  const nameLabel = document.getElementById('open-vault-name');
+  if (nameLabel) {
+    nameLabel.textContent = vault ? vault.name : '';
+  }
+  if (document.getElementById('vault-select')) {
+    renderVaultPicker();
+  }
+}
+
+// Export vault picker module
+export default {
+  initializeVaultPicker,
+  markOpenVault
+};
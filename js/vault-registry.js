@@ -0,0 +1,280 @@
+// Import dependencies
+import { randomBytes, bytesToHex } from './crypto.js';
+import { getVaultNamespace } from './vault-storage.js';
+
+/*
+ * Vault registry
+ *
+ * Lists the vaults kept on this device, such as "Work" and "Personal", and which
+ * one was used last. Each vault has its own storage namespace, so its vault file,
+ * file contents, snapshots and file handle are kept apart from the others, and its
+ * own auth record saying that it was created. The first vault on a device uses the
+ * empty namespace, where the single vault of earlier versions was stored, so an
+ * existing vault carries over without being moved.
+ */
+
+// Registry of the vaults on this device
+const REGISTRY_KEY = 'mdvault_vaults';
+
+// Auth record of the single vault of earlier versions
+const LEGACY_AUTH_KEY = 'auth';
+
+// The vault that holds an existing vault, or the first one to be created
+const DEFAULT_VAULT = { id: 'default', name: 'My Vault', namespace: '' };
+
+// Vault ids and namespaces are 64 bits, hex encoded
+const VAULT_ID_BYTES = 8;
+
+// Longest vault name
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * A vault on this device
+ * @typedef {Object} VaultEntry
+ * @property {string} id - The vault id
+ * @property {string} name - The name shown in the vault picker
+ * @property {string} namespace - The storage namespace of its vault file, contents and snapshots
+ * @property {Object|null} auth - Its auth record, saying when it was created, once created
+ * @property {string} createdAt - When it was added to this device
+ */
+
+/**
+ * Create the registry entry of the first vault, taking over the auth record of earlier versions
+ * @returns {VaultEntry} The entry
+ */
+function createDefaultEntry() {
+  let auth = null;
+  try {
+    auth = JSON.parse(localStorage.getItem(LEGACY_AUTH_KEY) || 'null');
+  } catch (error) {
+    console.warn('Ignoring unreadable auth record:', error);
+  }
+  return { ...DEFAULT_VAULT, auth, createdAt: (auth && auth.createdAt) || new Date().toISOString() };
+}
+
+/**
+ * Read the registry, creating it on first use
+ * A registry is never empty: without vaults it starts again with the first one
+ * @returns {{vaults: Array<VaultEntry>, activeId: string}} The vaults and the selected one
+ */
+function readRegistry() {
+  let registry = null;
+  try {
+    registry = JSON.parse(localStorage.getItem(REGISTRY_KEY) || 'null');
+  } catch (error) {
+    console.warn('Replacing unreadable vault registry:', error);
+  }
+
+  if (!registry || !Array.isArray(registry.vaults) || registry.vaults.length === 0) {
+    const entry = createDefaultEntry();
+    registry = { vaults: [entry], activeId: entry.id };
+    writeRegistry(registry);
+    localStorage.removeItem(LEGACY_AUTH_KEY);
+    console.log('Created vault registry');
+  }
+
+  // Earlier versions kept a hash of the password-derived key, which is a cheap offline password check
+  if (registry.vaults.some(vault => vault.auth && 'keyHash' in vault.auth)) {
+    registry = { ...registry, vaults: registry.vaults.map(vault => ({ ...vault, auth: withoutKeyHash(vault.auth) })) };
+    writeRegistry(registry);
+    console.log('Removed key hashes from the vault registry');
+  }
+  return registry;
+}
+
+/**
+ * Copy an auth record without the key hash of earlier versions
+ * @param {Object|null} auth - The auth record
+ * @returns {Object|null} The auth record without its key hash
+ */
+function withoutKeyHash(auth) {
+  if (!auth) return auth;
+  const { keyHash, ...rest } = auth;
+  return rest;
+}
+
+/**
+ * Store the registry
+ * @param {{vaults: Array<VaultEntry>, activeId: string}} registry - The vaults and the selected one
+ */
+function writeRegistry(registry) {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+}
+
+/**
+ * Check a vault name, which must be given and differ from the other vaults' names
+ * @param {string} name - The name as entered
+ * @param {Array<VaultEntry>} vaults - The vaults
+ * @param {string|null} exceptId - A vault whose own name does not count, when renaming
+ * @returns {string} The trimmed name
+ * @throws {Error} If the name is empty, too long or taken
+ */
+function checkVaultName(name, vaults, exceptId = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Enter a name for the vault');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Vault names can be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (vaults.some(vault => vault.id !== exceptId && vault.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A vault named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+/**
+ * List the vaults on this device
+ * @returns {Array<VaultEntry>} The vaults, in the order they were added
+ */
+export function listVaults() {
+  return readRegistry().vaults.map(vault => ({ ...vault }));
+}
+
+/**
+ * Get the selected vault
+ * @returns {VaultEntry} The vault
+ */
+export function getActiveVault() {
+  const { vaults, activeId } = readRegistry();
+  return { ...(vaults.find(vault => vault.id === activeId) || vaults[0]) };
+}
+
+/**
+ * Find the vault that uses a storage namespace
+ * @param {string} namespace - The storage namespace
+ * @returns {VaultEntry|null} The vault, or null if none uses it
+ */
+export function findVaultByNamespace(namespace) {
+  const vault = readRegistry().vaults.find(entry => entry.namespace === (namespace || ''));
+  return vault ? { ...vault } : null;
+}
+
+/**
+ * Select a vault
+ * @param {string} id - The vault id
+ * @returns {VaultEntry} The selected vault
+ * @throws {Error} If there is no such vault
+ */
+export function selectVault(id) {
+  const registry = readRegistry();
+  const vault = registry.vaults.find(entry => entry.id === id);
+  if (!vault) {
+    throw new Error('This vault no longer exists on this device');
+  }
+  writeRegistry({ ...registry, activeId: id });
+  console.log(`Selected vault ${vault.name}`);
+  return { ...vault };
+}
+
+/**
+ * Add a new, empty vault with storage of its own and select it
+ * @param {string} name - The vault name
+ * @returns {VaultEntry} The new vault
+ * @throws {Error} If the name is not usable
+ */
+export function createVault(name) {
+  const registry = readRegistry();
+  const id = bytesToHex(randomBytes(VAULT_ID_BYTES));
+  const vault = {
+    id,
+    name: checkVaultName(name, registry.vaults),
+    namespace: id,
+    auth: null,
+    createdAt: new Date().toISOString()
+  };
+  writeRegistry({ vaults: [...registry.vaults, vault], activeId: id });
+  console.log(`Added vault ${vault.name}`);
+  return { ...vault };
+}
+
+/**
+ * Rename a vault
+ * @param {string} id - The vault id
+ * @param {string} name - The new name
+ * @returns {VaultEntry} The renamed vault
+ * @throws {Error} If there is no such vault or the name is not usable
+ */
+export function renameVault(id, name) {
+  const registry = readRegistry();
+  const trimmed = checkVaultName(name, registry.vaults, id);
+  if (!registry.vaults.some(vault => vault.id === id)) {
+    throw new Error('This vault no longer exists on this device');
+  }
+  const vaults = registry.vaults.map(vault => (vault.id === id ? { ...vault, name: trimmed } : vault));
+  writeRegistry({ ...registry, vaults });
+  return { ...vaults.find(vault => vault.id === id) };
+}
+
+/**
+ * Remove a vault from the registry, with the preferences kept for it in localStorage
+ * Its stored vault, contents and snapshots are deleted separately with deleteVaultStorage
+ * @param {string} id - The vault id
+ * @returns {{removed: VaultEntry, active: VaultEntry}} The removed vault, and the vault selected now
+ * @throws {Error} If there is no such vault
+ */
+export function removeVault(id) {
+  const registry = readRegistry();
+  const removed = registry.vaults.find(vault => vault.id === id);
+  if (!removed) {
+    throw new Error('This vault no longer exists on this device');
+  }
+
+  // Preferences of a named vault carry its namespace as a suffix
+  if (removed.namespace) {
+    const suffix = `:${removed.namespace}`;
+    Object.keys(localStorage).filter(key => key.endsWith(suffix)).forEach(key => localStorage.removeItem(key));
+  }
+
+  const vaults = registry.vaults.filter(vault => vault.id !== id);
+  writeRegistry({ vaults, activeId: registry.activeId === id && vaults.length > 0 ? vaults[0].id : registry.activeId });
+  console.log(`Removed vault ${removed.name}`);
+  return { removed: { ...removed }, active: getActiveVault() };
+}
+
+/**
+ * Get the auth record of the vault whose storage is in use
+ * @returns {Object|null} The auth record, or null if the vault was not created on this device
+ */
+export function getVaultAuth() {
+  const vault = findVaultByNamespace(getVaultNamespace());
+  return vault ? vault.auth : null;
+}
+
+/**
+ * Store the auth record of the vault whose storage is in use
+ * @param {Object|null} auth - The auth record: when the vault was created, or null once the vault is erased
+ */
+export function setVaultAuth(auth) {
+  const registry = readRegistry();
+  const namespace = getVaultNamespace();
+  writeRegistry({
+    ...registry,
+    vaults: registry.vaults.map(vault => (vault.namespace === namespace ? { ...vault, auth } : vault))
+  });
+}
+
+/**
+ * Get the localStorage key of a preference kept per vault
+ * The first vault keeps the plain key, so its preferences from earlier versions still apply
+ * @param {string} key - The preference key
+ * @returns {string} The key for the vault whose storage is in use
+ */
+export function vaultPreferenceKey(key) {
+  const namespace = getVaultNamespace();
+  return namespace ? `${key}:${namespace}` : key;
+}
+
+// Export vault registry module
+export default {
+  listVaults,
+  getActiveVault,
+  findVaultByNamespace,
+  selectVault,
+  createVault,
+  renameVault,
+  removeVault,
+  getVaultAuth,
+  setVaultAuth,
+  vaultPreferenceKey
+};
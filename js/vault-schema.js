@@ -0,0 +1,136 @@
+// Import dependencies
+import { ITEM_SECTIONS } from './vault-items.js';
+import { UnsupportedVersionError } from './vault-errors.js';
+
+/*
+ * Vault content schema
+ *
+ * The decrypted vault data carries its schema version in meta.version. This is
+ * separate from the vault file format version in vault-format.js: the file format
+ * describes how the data is encrypted, the schema describes the data itself.
+ * Vaults saved before this registry existed have version 1.
+ */
+
+/**
+ * Schema migration
+ * @typedef {Object} SchemaMigration
+ * @property {number} version - The schema version this migration upgrades to, from the one before it
+ * @property {string} description - What the migration does, kept in the vault's migration history
+ * @property {function(Object): Array<string>} migrate - Upgrades the vault data in place and lists what it changed
+ */
+
+// Migrations in order; each upgrades from the previous version to its own
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add missing sections, item ids and timestamps',
+    migrate: addItemIdentity
+  },
+  {
+    version: 3,
+    description: 'Remove the copy of the auth record and its key hash',
+    migrate: removeAuthRecord
+  }
+];
+
+// The schema version this app writes
+export const VAULT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of decrypted vault data
+ * @param {Object} data - The vault data
+ * @returns {number} The schema version, 1 for vaults without one
+ */
+export function getSchemaVersion(data) {
+  const version = data && data.meta && data.meta.version;
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+/**
+ * Make sure every item section exists and every item has its id and timestamps
+ * Items of the oldest vaults may lack an id matching their key, or a created date
+ * @param {Object} data - Version 1 vault data
+ * @returns {Array<string>} What was changed
+ */
+function addItemIdentity(data) {
+  const changes = [];
+  const fallbackDate = (data.meta && data.meta.updatedAt) || new Date().toISOString();
+
+  ITEM_SECTIONS.forEach(section => {
+    if (!data[section] || typeof data[section] !== 'object') {
+      data[section] = {};
+      changes.push(`Added the ${section} section`);
+      return;
+    }
+
+    let updated = 0;
+    Object.entries(data[section]).forEach(([id, item]) => {
+      const before = JSON.stringify([item.id, item.created, item.modified]);
+      item.id = id;
+      item.created = item.created || item.modified || fallbackDate;
+      item.modified = item.modified || item.created;
+      if (JSON.stringify([item.id, item.created, item.modified]) !== before) updated++;
+    });
+
+    if (updated > 0) {
+      changes.push(`Set the id or timestamps of ${updated} ${section}`);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Remove the auth record earlier versions copied into the vault contents
+ * Key slots check the password, so the hash of the password-derived key it held is not needed
+ * @param {Object} data - Version 2 vault data
+ * @returns {Array<string>} What was changed
+ */
+function removeAuthRecord(data) {
+  if (!('auth' in data)) return [];
+  delete data.auth;
+  return ['Removed the auth record'];
+}
+
+/**
+ * Upgrade decrypted vault data to the current schema, one version at a time
+ * Each migration applied is recorded in meta.migrations
+ * @param {Object} data - The decrypted vault data, upgraded in place
+ * @returns {Object} The upgraded vault data
+ * @throws {UnsupportedVersionError} If the vault was saved by a newer version of the app
+ */
+export function migrateVaultData(data) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > VAULT_SCHEMA_VERSION) {
+    throw new UnsupportedVersionError(`Vault contents use schema version ${fromVersion}, this app supports up to ${VAULT_SCHEMA_VERSION}`);
+  }
+
+  MIGRATIONS.filter(migration => migration.version > fromVersion).forEach(migration => {
+    const previousVersion = getSchemaVersion(data);
+    const changes = migration.migrate(data);
+    console.log(`Migrated vault contents from schema ${previousVersion} to ${migration.version}: ${changes.length} changes`);
+
+    // Record the step after the migration ran, so a migration cannot overwrite the history
+    const history = (data.meta && data.meta.migrations) || [];
+    data.meta = {
+      ...data.meta,
+      version: migration.version,
+      migrations: [...history, {
+        from: previousVersion,
+        to: migration.version,
+        description: migration.description,
+        changes,
+        migratedAt: new Date().toISOString()
+      }]
+    };
+  });
+
+  return data;
+}
+
+// Export vault schema module
+export default {
+  VAULT_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateVaultData
+};
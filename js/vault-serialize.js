@@ -0,0 +1,313 @@
+// Import dependencies
+import {
+  importAesKey,
+  encryptBytes,
+  decryptBytes,
+  decryptLegacyCbc,
+  utf8Encode,
+  utf8Decode,
+  bytesToBase64,
+  base64ToBytes
+} from './crypto.js';
+import {
+  DEFAULT_CIPHER,
+  LEGACY_CIPHER,
+  createKdfParams,
+  getVaultCipher,
+  getVaultSpareArea,
+  hasVaultItems,
+  buildVaultFile
+} from './vault-format.js';
+import { encryptVaultItems, decryptVaultItems } from './vault-items.js';
+import { COMPRESSION_FORMAT, supportsCompression } from './compression.js';
+import { VaultError, CorruptVaultError } from './vault-errors.js';
+import { createFillerKeySlot } from './key-slots.js';
+import {
+  sealSpareArea,
+  openSpareArea,
+  sealDecoyRecords,
+  fillSpareArea,
+  assertDocumentsOnly
+} from './decoy-vault.js';
+import { getEncryptionKey, getKeySlots, getActiveSlotId } from './vault-session.js';
+import { getVaultData } from './database.js';
+import {
+  isDecoyOpen,
+  getHiddenVault,
+  getSpareSlot,
+  setSpareSlot,
+  getDecoyKey,
+  exportDecoyKey,
+  getDecoyData,
+  getDecoyCache,
+  setDecoyCache
+} from './vault-decoy.js';
+
+/*
+ * Vault serialization
+ *
+ * The open vault's data is encrypted under its data key and wrapped in a vault file
+ * with its key slots and spare area, and vault files are decrypted back into data.
+ * Encrypted item records are cached between saves, so a save only encrypts the items
+ * that changed.
+ */
+
+// Encrypted records of the open vault's items from the last save or load,
+// so a save only re-encrypts the items that changed
+let itemCache = null;
+
+/**
+ * Get the open vault's encrypted item records
+ * @returns {Object|null} The item records from the last save or load
+ */
+export function getItemCache() {
+  return itemCache;
+}
+
+/**
+ * Keep the encrypted item records of the open vault for the next save
+ * @param {Object|null} cache - The item records, or null to encrypt every item on the next save
+ */
+export function setItemCache(cache) {
+  itemCache = cache;
+}
+
+/**
+ * Encrypt data as one payload (AES-256-GCM), the format of vaults written before item records
+ * @param {Object} data - The data to encrypt
+ * @param {string} key - The Base64 key to encrypt with
+ * @returns {Promise<string|null>} Base64 of IV and ciphertext, or null if encryption failed
+ */
+export async function encryptData(data, key) {
+  if (!key) {
+    console.error("Encryption key not set");
+    return null;
+  }
+  
+  try {
+    console.log("Starting encryption process...");
+    
+    // Step 1: Convert data object to JSON bytes
+    const plaintext = utf8Encode(JSON.stringify(data));
+    
+    // Step 2: Encrypt with AES-GCM using the data key as a real 256-bit key
+    const aesKey = await importAesKey(base64ToBytes(key));
+    const encrypted = await encryptBytes(aesKey, plaintext);
+    
+    // Step 3: Convert to string format
+    const encryptedString = bytesToBase64(encrypted);
+    console.log(`Data encrypted successfully, result length: ${encryptedString.length} characters`);
+    
+    return encryptedString;
+  } catch (error) {
+    console.error("Error during encryption process:", error);
+    return null;
+  }
+}
+
+/**
+ * Decrypt data using the encryption key - exact inverse of encryptData
+ * Tampered or truncated AES-GCM ciphertext fails authentication and is rejected
+ * Only vault files being unlocked use it, so the key is the Base64 key just recovered from the file
+ * @param {string} encryptedData - The encrypted data string
+ * @param {Object} cipher - The cipher parameters from the vault header
+ * @param {string} key - The Base64 key to decrypt with
+ * @returns {Promise<Object>} The decrypted data object
+ * @throws {CorruptVaultError} If the data is missing, fails authentication or is not JSON
+ */
+export async function decryptData(encryptedData, cipher = DEFAULT_CIPHER, key = null) {
+  if (!key) {
+    throw new VaultError("Encryption key not set");
+  }
+  
+  if (!encryptedData) {
+    throw new CorruptVaultError("No encrypted data provided for decryption");
+  }
+  
+  try {
+    console.log("Starting decryption process...");
+    
+    // Step 1: Decrypt - vaults written by the old CBC code are read for migration only
+    let jsonData;
+    if (cipher.name === LEGACY_CIPHER.name) {
+      console.warn("Decrypting legacy AES-CBC vault, it will be re-encrypted with AES-GCM on save");
+      jsonData = decryptLegacyCbc(encryptedData, key);
+    } else {
+      const aesKey = await importAesKey(base64ToBytes(key));
+      jsonData = utf8Decode(await decryptBytes(aesKey, base64ToBytes(encryptedData)));
+    }
+    
+    if (!jsonData) {
+      throw new Error("invalid key or corrupted data");
+    }
+    
+    // Step 2: Parse JSON string back to object - inverse of JSON.stringify
+    const parsedData = JSON.parse(jsonData);
+    console.log("Data decrypted and parsed successfully");
+    
+    return parsedData;
+  } catch (error) {
+    // AES-GCM cannot tell a wrong key from altered data; the caller knows where the key came from
+    console.error("Error during decryption process:", error);
+    throw new CorruptVaultError(`Decryption failed - ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt vault data and build the vault file JSON
+ * Each item is its own record under a key derived from the data key; records of
+ * unchanged items are reused from the item cache
+ * @param {Object} data - The vault data to encrypt
+ * @param {Array<Object>} slots - The key slots that wrap the data key
+ * @param {CryptoKey} dataKey - The data key to encrypt with
+ * @returns {Promise<string>} The vault file JSON
+ */
+export async function serializeVault(data, slots = getKeySlots(), dataKey = getEncryptionKey()) {
+  if (!slots || slots.length === 0 || !dataKey) {
+    throw new Error("Vault key is not initialized");
+  }
+  
+  // The open decoy only replaces the spare area
+  if (isDecoyOpen()) {
+    return serializeDecoyVault(data, slots, dataKey);
+  }
+  
+  console.log("Encrypting changed items with vault data key");
+  const compression = supportsCompression() ? COMPRESSION_FORMAT : null;
+  const { index, items, cache } = await encryptVaultItems(await withDecoyKey(data), dataKey, itemCache, compression);
+  
+  // Keep the records for the next save, unless they were made for a data key not yet in use
+  if (dataKey === getEncryptionKey()) {
+    itemCache = cache;
+  }
+  
+  return JSON.stringify(buildVaultFile({ index, items, compression }, slots, await buildSpareArea(slots)));
+}
+
+/**
+ * Copy vault data with the decoy's data key recorded in it, or without one if there is no decoy
+ * The key is only added in Base64 for encryption; the open vault's data never holds it
+ * @param {Object} data - The vault data
+ * @returns {Promise<Object>} The vault data to encrypt
+ */
+async function withDecoyKey(data) {
+  const { decoy, ...rest } = data;
+  const decoyKey = await exportDecoyKey();
+  return decoyKey ? { ...rest, decoy: { key: decoyKey } } : rest;
+}
+
+/**
+ * Build the spare area for a save of the real vault
+ * The decoy is encrypted afresh, or new filler is made; the slot stays until the duress password changes
+ * @param {Array<Object>} slots - The key slots being saved
+ * @returns {Promise<{slot: Object, data: string}>} The spare area
+ */
+async function buildSpareArea(slots) {
+  if (!getSpareSlot()) {
+    // A filler slot costs as much to try as the password's slot, as a decoy slot would
+    const passwordSlot = slots.find(slot => slot.id === getActiveSlotId()) || slots[0];
+    const { salt, keyfile, ...cost } = passwordSlot.kdf;
+    setSpareSlot(await createFillerKeySlot(createKdfParams(cost)));
+  }
+  
+  const decoyKey = getDecoyKey();
+  if (!decoyKey) {
+    return { slot: getSpareSlot(), data: await fillSpareArea() };
+  }
+  
+  const sealed = await sealSpareArea(getDecoyData(), decoyKey, getDecoyCache());
+  setDecoyCache(sealed.cache);
+  return { slot: getSpareSlot(), data: sealed.data };
+}
+
+/**
+ * Build the vault file JSON while the decoy is open
+ * The decoy is sealed into the spare area under its one key slot; the real vault's header
+ * and records are written back as they were, with the new timestamp any save has.
+ * The decoy holds documents only, so files and photos it did not hold are refused
+ * @param {Object} data - The decoy vault data
+ * @param {Array<Object>} slots - The decoy's key slot
+ * @param {CryptoKey} dataKey - The decoy's data key
+ * @returns {Promise<string>} The vault file JSON
+ */
+async function serializeDecoyVault(data, slots, dataKey) {
+  if (slots.length !== 1) {
+    throw new Error("This vault cannot hold more than one key slot");
+  }
+  assertDocumentsOnly(data, getVaultData());
+  
+  const sealed = await sealSpareArea(await withNestedDecoy(data), dataKey, itemCache);
+  if (dataKey === getEncryptionKey()) {
+    itemCache = sealed.cache;
+  }
+  
+  const spare = { slot: { ...slots[0] }, data: sealed.data };
+  return JSON.stringify({ ...getHiddenVault(), timestamp: new Date().toISOString(), spare });
+}
+
+/**
+ * Copy the open decoy's data with the decoy kept inside it, or without one if it has none
+ * The inner decoy is encrypted as item records under its own key, kept beside them
+ * @param {Object} data - The open decoy's vault data
+ * @returns {Promise<Object>} The vault data to encrypt
+ */
+async function withNestedDecoy(data) {
+  const { decoy, ...rest } = data;
+  const decoyKey = getDecoyKey();
+  if (!decoyKey) return rest;
+  
+  const sealed = await sealDecoyRecords(getDecoyData(), decoyKey, getDecoyCache());
+  setDecoyCache(sealed.cache);
+  return { ...rest, decoy: { key: await exportDecoyKey(), records: sealed.records } };
+}
+
+/**
+ * Decrypt the payload of a parsed vault file
+ * Item vaults are decrypted record by record; older files have one encrypted payload
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @param {string|CryptoKey} dataKey - The data key; older single-payload files need the Base64 key
+ * @returns {Promise<{data: Object, cache: Object|null}>} The vault data and its item records
+ * @throws {CorruptVaultError} If the payload or any item record does not decrypt
+ */
+export async function decryptVaultPayload(vaultFileObj, dataKey = getEncryptionKey()) {
+  if (!hasVaultItems(vaultFileObj)) {
+    const data = await decryptData(vaultFileObj.data, getVaultCipher(vaultFileObj), dataKey);
+    return { data, cache: null };
+  }
+  
+  try {
+    return await decryptVaultItems(vaultFileObj, dataKey);
+  } catch (error) {
+    console.error("Error decrypting vault items:", error);
+    throw new CorruptVaultError(`Vault items failed to decrypt - ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt the contents of a vault file: the real vault's payload, or the decoy in its spare area
+ * The decoy recorded in the data (the real vault's decoy key, or the decoy kept inside the
+ * open decoy) is handed back apart from the data
+ * @param {Object} vaultFileObj - The parsed vault file object
+ * @param {string|CryptoKey} dataKey - The data key of the vault to decrypt
+ * @param {boolean} isDecoy - Whether the key is the decoy's, from the spare slot
+ * @returns {Promise<{data: Object, cache: Object|null, decoy: Object|null}>} The vault data,
+ *   its item records and its decoy record, if it has a decoy
+ * @throws {CorruptVaultError} If the contents do not decrypt
+ */
+export async function decryptVaultContents(vaultFileObj, dataKey, isDecoy) {
+  const { data: { decoy, ...data }, cache } = isDecoy
+    ? await openSpareArea(getVaultSpareArea(vaultFileObj).data, dataKey)
+    : await decryptVaultPayload(vaultFileObj, dataKey);
+  return { data, cache, decoy: decoy || null };
+}
+
+// Export vault serialize module
+export default {
+  getItemCache,
+  setItemCache,
+  encryptData,
+  decryptData,
+  serializeVault,
+  decryptVaultPayload,
+  decryptVaultContents
+};
@@ -0,0 +1,254 @@
+// Import dependencies
+import { bytesToBase64, bytesToHex, hexToBytes } from './crypto.js';
+import { importDataKey } from './envelope.js';
+import { sealSessionKey, openSessionKey, openSessionSecret, forgetSessionKey } from './session-keys.js';
+import { getVaultNamespace, setVaultNamespace } from './vault-storage.js';
+
+/*
+ * Vault session
+ *
+ * The open vault's data key, its key slots and the slot it was unlocked with are
+ * held here, in memory only. The data key and keyfile hash can also be sealed for this
+ * tab's session, so a reload reopens the vault without asking for the password again.
+ */
+
+// The open vault's encryption key: its random data key, not the password-derived key,
+// held as a non-extractable CryptoKey
+let encryptionKey = null;
+
+// The data key sealed under this tab session's wrapping key, so a reload can reopen the vault
+let sealedSessionKey = null;
+
+// Key slots from the vault header, each wrapping the data key for one passphrase,
+// and the slot the vault was unlocked with
+let keySlots = [];
+let activeSlotId = null;
+
+// Hash of the keyfile the vault was unlocked with, needed again for slots that require it,
+// and a copy sealed like the data key so a reload does not ask for the keyfile
+let keyfileHash = null;
+let sealedKeyfileHash = null;
+
+// sessionStorage entries of the sealed data key and the vault header
+const SESSION_KEY = 'sessionSealedKey';
+const SESSION_HEADER_KEY = 'sessionHeader';
+
+// Entry where earlier versions kept the data key in readable Base64
+const LEGACY_SESSION_KEY = 'sessionKey';
+
+/**
+ * Set the encryption key
+ * The key is kept only as a non-extractable CryptoKey, and sealed for this tab's session
+ * @param {string|null} key - The Base64 data key to set, or null to clear it
+ * @returns {Promise<boolean>} True if the key was set
+ */
+export async function setEncryptionKey(key) {
+  if (key === null) {
+    encryptionKey = null;
+    sealedSessionKey = null;
+    console.log("Encryption key cleared");
+    return true;
+  }
+  
+  if (!key) {
+    console.error("Cannot set encryption key: Key is empty or invalid");
+    return false;
+  }
+  
+  try {
+    // Store the key in memory
+    encryptionKey = await importDataKey(key);
+    console.log("Encryption key set successfully");
+  } catch (error) {
+    console.error("Error setting encryption key:", error);
+    return false;
+  }
+  
+  // Without a sealed key the vault stays open, but a reload asks for the password again
+  try {
+    sealedSessionKey = await sealSessionKey(key);
+  } catch (error) {
+    console.warn("Could not seal the data key for this session:", error);
+    sealedSessionKey = null;
+  }
+  return true;
+}
+
+/**
+ * Get the encryption key
+ * @returns {CryptoKey|null} The open vault's non-extractable data key
+ */
+export function getEncryptionKey() {
+  return encryptionKey;
+}
+
+/**
+ * Set the key slots of the open vault
+ * @param {Array<Object>} slots - The key slots from the vault header
+ * @param {string} activeId - The id of the slot the vault was unlocked with
+ */
+export function setKeySlots(slots, activeId = null) {
+  keySlots = (slots || []).map(slot => ({ ...slot }));
+  activeSlotId = activeId;
+}
+
+/**
+ * Get the key slots of the open vault
+ * @returns {Array<Object>} The key slots
+ */
+export function getKeySlots() {
+  return keySlots.map(slot => ({ ...slot }));
+}
+
+/**
+ * Mark the slot the vault was unlocked with
+ * @param {string} slotId - The slot id
+ */
+export function setActiveKeySlot(slotId) {
+  activeSlotId = slotId;
+}
+
+/**
+ * Get the id of the slot the vault was unlocked with
+ * @returns {string|null} The active slot id
+ */
+export function getActiveSlotId() {
+  return activeSlotId;
+}
+
+/**
+ * Set the keyfile hash used with the open vault's password, and seal it for this tab's session
+ * @param {string|null} hash - The hex keyfile hash, or null for none
+ * @returns {Promise<void>}
+ */
+export async function setKeyfileHash(hash) {
+  keyfileHash = hash || null;
+  sealedKeyfileHash = null;
+  if (!keyfileHash) return;
+  
+  // Without a sealed hash, a reload opens the vault but key changes ask for the keyfile again
+  try {
+    sealedKeyfileHash = await sealSessionKey(bytesToBase64(hexToBytes(keyfileHash)));
+  } catch (error) {
+    console.warn("Could not seal the keyfile hash for this session:", error);
+  }
+}
+
+/**
+ * Get the keyfile hash used with the open vault's password
+ * @returns {string|null} The hex keyfile hash, or null for none
+ */
+export function getKeyfileHash() {
+  return keyfileHash;
+}
+
+/**
+ * Get the slot the vault was unlocked with
+ * @returns {Object|null} The active key slot
+ */
+export function getActiveKeySlot() {
+  return keySlots.find(slot => slot.id === activeSlotId) || null;
+}
+
+/**
+ * Get the key derivation parameters of the passphrase the vault was unlocked with
+ * @returns {Object|null} The key derivation parameters
+ */
+export function getKdfParams() {
+  const slot = getActiveKeySlot();
+  return slot ? { ...slot.kdf } : null;
+}
+
+/**
+ * Forget the open vault's data key, key slots and keyfile hash
+ * The session stored for this tab is left to clearSession
+ */
+export function clearVaultKeys() {
+  encryptionKey = null;
+  sealedSessionKey = null;
+  keySlots = [];
+  activeSlotId = null;
+  keyfileHash = null;
+  sealedKeyfileHash = null;
+}
+
+/**
+ * Remember the open vault's sealed data key and header for this browser session
+ * The namespace is kept too, so a reload reopens this tab's vault even if another tab selected a different one
+ */
+export function storeSession() {
+  if (!sealedSessionKey) {
+    clearSession();
+    return;
+  }
+  
+  sessionStorage.setItem(SESSION_KEY, sealedSessionKey);
+  sessionStorage.setItem(SESSION_HEADER_KEY, JSON.stringify({ keySlots, activeSlotId, sealedKeyfileHash, namespace: getVaultNamespace() }));
+}
+
+/**
+ * Check whether this tab has a session that restoreSession can reopen
+ * @returns {boolean} True if a sealed data key is stored for the session
+ */
+export function hasSession() {
+  return sessionStorage.getItem(SESSION_KEY) !== null;
+}
+
+/**
+ * Restore the data key and header saved by storeSession
+ * The data key is unsealed into a non-extractable CryptoKey. A readable keyfile hash left
+ * by an earlier version is not used
+ * @returns {Promise<boolean>} True if a session was restored
+ */
+export async function restoreSession() {
+  // A readable key left by an earlier version is dropped unused; the password unlocks again
+  sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  
+  const sealed = sessionStorage.getItem(SESSION_KEY);
+  if (!sealed) return false;
+  
+  const key = await openSessionKey(sealed);
+  if (!key) {
+    clearSession();
+    return false;
+  }
+  
+  const header = JSON.parse(sessionStorage.getItem(SESSION_HEADER_KEY) || '{}');
+  setVaultNamespace(header.namespace || '');
+  encryptionKey = key;
+  sealedSessionKey = sealed;
+  setKeySlots(header.keySlots, header.activeSlotId);
+  const hash = header.sealedKeyfileHash && await openSessionSecret(header.sealedKeyfileHash);
+  keyfileHash = hash ? bytesToHex(hash) : null;
+  sealedKeyfileHash = hash ? header.sealedKeyfileHash : null;
+  return true;
+}
+
+/**
+ * Forget the session saved by storeSession, and the wrapping key its data key was sealed under
+ */
+export function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+  sessionStorage.removeItem(SESSION_HEADER_KEY);
+  sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  forgetSessionKey().catch(error => console.error("Error deleting the session wrapping key:", error));
+}
+
+// Export vault session module
+export default {
+  setEncryptionKey,
+  getEncryptionKey,
+  setKeySlots,
+  getKeySlots,
+  setActiveKeySlot,
+  getActiveSlotId,
+  setKeyfileHash,
+  getKeyfileHash,
+  getActiveKeySlot,
+  getKdfParams,
+  clearVaultKeys,
+  storeSession,
+  hasSession,
+  restoreSession,
+  clearSession
+};
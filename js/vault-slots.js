@@ -0,0 +1,356 @@
+// Import dependencies
+import { bytesToBase64, hexToBytes } from './crypto.js';
+import { DEFAULT_KDF, createKdfParams, getLegacyKdfParams, getVaultKeySlots } from './vault-format.js';
+import { deriveKeyBytes, calibrateKdf } from './kdf.js';
+import { generateDataKey } from './envelope.js';
+import { createKeySlot, openKeySlot, wrapDataKeyForSlot, getSlotKeyDigest } from './key-slots.js';
+import {
+  KEY_SOURCES,
+  mergeRevokedSlots,
+  filterVouchedSlots,
+  vouchForSlots,
+  mergeKeySlotLists,
+  mergeSlotLabels,
+  chooseDataKey,
+  sameSlotIds
+} from './slot-sync.js';
+import { RECOVERY_KDF, RECOVERY_SLOT_LABEL } from './recovery-key.js';
+import { mixKeyfile } from './keyfile.js';
+import {
+  setEncryptionKey,
+  setKeySlots,
+  getKeySlots,
+  setActiveKeySlot,
+  getActiveSlotId,
+  setKeyfileHash,
+  getKeyfileHash,
+  storeSession
+} from './vault-session.js';
+import { getVaultData, setVaultData, persistCurrentVault } from './database.js';
+import { isDecoyOpen } from './vault-decoy.js';
+import { confirmActiveSlot, commitKeyChange } from './key-commit.js';
+
+/*
+ * Vault key slots
+ *
+ * Every passphrase that unlocks a vault has its own key slot in the vault header,
+ * which wraps the vault's data key under a key derived from that passphrase. Slots
+ * are added, revoked and merged with other copies of the vault here; each change is
+ * verified and stored as a key change of the open vault.
+ */
+
+/**
+ * Create the keys of a new vault: a random data key and a first key slot for the password
+ * @param {string} password - The vault password
+ * @param {Object} params - Key derivation parameters including a fresh salt
+ * @param {string} keyfile - Hex keyfile hash, required when params.keyfile is set
+ * @returns {Promise<string|null>} The password-derived key, or null on failure
+ */
+export async function initializeVaultKey(password, params, keyfile = null) {
+  const passwordKey = await deriveKeyFromPassword(password, params.salt, params, keyfile);
+  if (!passwordKey) return null;
+  
+  await setKeyfileHash(keyfile);
+  const dataKey = generateDataKey();
+  const slot = await createKeySlot(passwordKey, params, dataKey);
+  setKeySlots([slot], slot.id);
+  await setEncryptionKey(dataKey);
+  storeSession();
+  return passwordKey;
+}
+
+/**
+ * Find the key slot a password opens
+ * Each slot has its own salt, so the password is derived once per slot until one opens;
+ * slots that require a keyfile are skipped when none is given
+ * @param {string} password - The password to try
+ * @param {Array<Object>} slots - The slots to try (defaults to the open vault's slots)
+ * @param {string} keyfile - Hex keyfile hash (defaults to the one the vault was unlocked with)
+ * @returns {Promise<Object|null>} The matching slot with its passwordKey and dataKey, or null
+ */
+export async function unwrapWithPassword(password, slots = getKeySlots(), keyfile = getKeyfileHash()) {
+  for (const slot of slots) {
+    if (slot.kdf.keyfile && !keyfile) continue;
+    const passwordKey = await deriveKeyFromPassword(password, slot.kdf.salt, slot.kdf, keyfile);
+    const dataKey = passwordKey ? await openKeySlot(passwordKey, slot) : null;
+    if (dataKey) {
+      return { slot, passwordKey, dataKey };
+    }
+  }
+  return null;
+}
+
+/**
+ * Derive an encryption key from a password
+ * @param {string} password - The password to derive the key from
+ * @param {string} salt - Hex encoded salt for key derivation (defaults to the legacy salt)
+ * @param {Object} params - Key derivation parameters (KDF name and its cost parameters)
+ * @param {string} keyfile - Hex keyfile hash, mixed in when params.keyfile is set
+ * @returns {Promise<string>} The derived key, Base64 encoded
+ */
+export async function deriveKeyFromPassword(password, salt = getLegacyKdfParams().salt, params = DEFAULT_KDF, keyfile = null) {
+  if (!password) {
+    console.error("Cannot derive key from empty password");
+    return null;
+  }
+  
+  if (params.keyfile && !keyfile) {
+    console.error("Cannot derive key: this key requires a keyfile");
+    return null;
+  }
+  
+  try {
+    // Standardize inputs for consistent key derivation
+    const normalizedPassword = String(password).trim();
+    const normalizedSalt = hexToBytes(salt);
+    
+    // Run the vault's KDF (PBKDF2, Argon2id or scrypt) with its recorded parameters
+    let keyBytes = await deriveKeyBytes(normalizedPassword, normalizedSalt, { ...DEFAULT_KDF, ...params });
+    
+    // Keys set up with a keyfile also need the keyfile's hash
+    if (params.keyfile) {
+      keyBytes = await mixKeyfile(keyBytes, keyfile, normalizedSalt);
+    }
+    
+    // Return Base64 encoded string for consistent key format
+    return bytesToBase64(keyBytes);
+  } catch (error) {
+    console.error("Error deriving key from password:", error);
+    return null;
+  }
+}
+
+/**
+ * Create a key slot for a passphrase that wraps the open data key
+ * The open key cannot be read back, so the caller passes the Base64 key from a slot it just opened
+ * @param {string} passphrase - The passphrase for the slot
+ * @param {Object} cost - The KDF name and cost parameters (a fresh salt is added)
+ * @param {string} dataKey - The Base64 data key
+ * @returns {Promise<Object|null>} The new slot and its passphrase key, or null on failure
+ */
+export async function createPassphraseSlot(passphrase, cost, dataKey) {
+  const params = createKdfParams(cost);
+  const passphraseKey = await deriveKeyFromPassword(passphrase, params.salt, params);
+  if (!passphraseKey) return null;
+  
+  const slot = await createKeySlot(passphraseKey, params, dataKey);
+  return { slot, passphraseKey };
+}
+
+/**
+ * Copy vault data with a label recorded for a key slot
+ * Labels stay inside the encrypted payload so the header does not reveal them, and carry
+ * the slot's public key digest so other copies of the vault accept the slot
+ * @param {Object} data - The vault data
+ * @param {Object} slot - The key slot
+ * @param {Object} info - The label and any flags for the slot
+ * @returns {Promise<Object>} The updated copy of the vault data
+ */
+async function withSlotLabel(data, slot, info) {
+  const copy = JSON.parse(JSON.stringify(data));
+  const label = { ...info, keyDigest: await getSlotKeyDigest(slot), createdAt: new Date().toISOString() };
+  copy.keySlotLabels = { ...copy.keySlotLabels, [slot.id]: label };
+  return copy;
+}
+
+/**
+ * Add a key slot so another passphrase can unlock the vault
+ * The new slot uses the same KDF and cost as the active slot
+ * @param {string} currentPassword - The password the vault was unlocked with
+ * @param {string} passphrase - The passphrase for the new slot
+ * @param {string} label - A label for the slot, kept in the encrypted vault data
+ * @returns {Promise<string|null>} The new slot id, or null on failure
+ */
+export async function addKeySlot(currentPassword, passphrase, label) {
+  const match = await confirmActiveSlot(currentPassword);
+  if (!match) return null;
+  
+  // The keyfile belongs to the password it was set up with, so new slots do not require it
+  const { salt, keyfile, ...activeCost } = match.slot.kdf;
+  const created = await createPassphraseSlot(passphrase, activeCost, match.dataKey);
+  if (!created) return null;
+  
+  const data = await withSlotLabel(getVaultData(), created.slot, { label });
+  if (!await commitKeyChange({ slots: [...getKeySlots(), created.slot], data, password: passphrase })) return null;
+  
+  console.log("Key slot added:", created.slot.id);
+  return created.slot.id;
+}
+
+/**
+ * Add a recovery key slot to a newly created vault
+ * The vault is stored with the new slot but not downloaded
+ * @param {string} password - The password the vault was created with
+ * @param {string} recoveryKey - The canonical recovery key
+ * @returns {Promise<string|null>} The recovery slot id, or null on failure
+ */
+export async function addRecoveryKeySlot(password, recoveryKey) {
+  const match = await confirmActiveSlot(password);
+  if (!match) {
+    console.error("Cannot add recovery key: the vault did not open with its password");
+    return null;
+  }
+  
+  const created = await createPassphraseSlot(recoveryKey, RECOVERY_KDF, match.dataKey);
+  if (!created) return null;
+  
+  setVaultData(await withSlotLabel(getVaultData(), created.slot, { label: RECOVERY_SLOT_LABEL, recovery: true }));
+  setKeySlots([...getKeySlots(), created.slot], getActiveSlotId());
+  storeSession();
+  await persistCurrentVault();
+  
+  console.log("Recovery key slot added");
+  return created.slot.id;
+}
+
+/**
+ * Set a new password on a vault that was unlocked with its recovery key
+ * The new password gets its own calibrated key slot and becomes the active slot;
+ * the other slots, including the recovery key, keep working
+ * @param {string} recoveryKey - The canonical recovery key the vault was unlocked with
+ * @param {string} newPassword - The new vault password
+ * @returns {Promise<string|null>} The new password-derived key, or null on failure
+ */
+export async function resetPasswordWithRecoveryKey(recoveryKey, newPassword) {
+  const match = await confirmActiveSlot(recoveryKey);
+  if (!match) return null;
+  
+  const created = await createPassphraseSlot(newPassword, await calibrateKdf(), match.dataKey);
+  if (!created) return null;
+  
+  const data = await withSlotLabel(getVaultData(), created.slot, { label: 'Password (reset with recovery key)' });
+  if (!await commitKeyChange({ slots: [...getKeySlots(), created.slot], data, password: newPassword })) return null;
+  
+  setActiveKeySlot(created.slot.id);
+  storeSession();
+  console.log("Password reset with recovery key");
+  return created.passphraseKey;
+}
+
+/**
+ * Revoke a key slot and rotate the data key
+ * The new data key is wrapped to the remaining slots' public keys, so their
+ * passphrases keep working while the revoked one cannot open future saves
+ * @param {string} currentPassword - The password the vault was unlocked with
+ * @param {string} slotId - The slot to revoke (not the active slot)
+ * @returns {Promise<boolean>} True if the slot was revoked
+ */
+export async function revokeKeySlot(currentPassword, slotId) {
+  if (slotId === getActiveSlotId() || !getKeySlots().some(slot => slot.id === slotId)) {
+    console.error("Cannot revoke the active slot or an unknown slot");
+    return false;
+  }
+  if (!await confirmActiveSlot(currentPassword)) return false;
+  
+  const dataKey = generateDataKey();
+  const remaining = getKeySlots().filter(slot => slot.id !== slotId);
+  const slots = await Promise.all(remaining.map(slot => wrapDataKeyForSlot(slot, dataKey)));
+  
+  // The revocation is kept so syncs do not merge the slot back in from other copies (see slot-sync.js)
+  const data = JSON.parse(JSON.stringify(getVaultData()));
+  if (data.keySlotLabels) delete data.keySlotLabels[slotId];
+  data.revokedKeySlots = { ...data.revokedKeySlots, [slotId]: new Date().toISOString() };
+  
+  if (!await commitKeyChange({ slots, data, dataKey, password: currentPassword })) return false;
+  console.log("Key slot revoked and data key rotated:", slotId);
+  return true;
+}
+
+/**
+ * List the open vault's key slots for display
+ * @returns {Array<Object>} The slots with id, label, createdAt, kdf, and whether each is active or the recovery key
+ */
+export function listKeySlots() {
+  const vaultData = getVaultData();
+  const labels = (vaultData && vaultData.keySlotLabels) || {};
+  return getKeySlots().map(slot => ({
+    id: slot.id,
+    label: labels[slot.id] ? labels[slot.id].label : '',
+    createdAt: labels[slot.id] ? labels[slot.id].createdAt : null,
+    recovery: Boolean(labels[slot.id] && labels[slot.id].recovery),
+    kdf: { ...slot.kdf },
+    active: slot.id === getActiveSlotId()
+  }));
+}
+
+/**
+ * Open another copy of the open vault that is under a different data key, with the vault password
+ * The slot the password opens must be one the open vault has, so another vault with the same
+ * password is not taken for a copy of this one
+ * @param {Object} vaultFileObj - The other copy's parsed vault file
+ * @param {string} password - The vault password
+ * @returns {Promise<string|null>} The copy's Base64 data key, or null if it does not open
+ */
+export async function unlockVaultCopy(vaultFileObj, password) {
+  const match = await unwrapWithPassword(password, getVaultKeySlots(vaultFileObj));
+  if (!match || !getKeySlots().some(slot => slot.id === match.slot.id)) {
+    console.error("The password opens no key slot the copy shares with the open vault");
+    return null;
+  }
+  return match.dataKey;
+}
+
+/**
+ * Bring the open vault's key slots in line with another copy of the vault, before a sync
+ * Slots either copy has are kept unless either revoked them; the other copy's slots only if
+ * its encrypted data vouches for them (see filterVouchedSlots). A copy under another data key
+ * needs the vault password: both copies settle on the key chosen by chooseDataKey, and every
+ * kept slot is wrapped to it, so the change is committed like any key change
+ * @param {Object} remote - The other copy
+ * @param {Object} remote.vaultFileObj - Its parsed vault file
+ * @param {Object} remote.data - Its vault data
+ * @param {string|null} remote.dataKey - Its Base64 data key, or null if it is the open vault's
+ * @param {string|null} password - The vault password, needed if remote.dataKey is set
+ * @returns {Promise<boolean>} True if the open vault's key slots, their labels or data key changed
+ * @throws {Error} If the data key must change and the password does not open the vault
+ */
+export async function reconcileKeySlots({ vaultFileObj, data: remoteData, dataKey: remoteKey }, password = null) {
+  if (isDecoyOpen()) return false;
+  
+  const vaultData = getVaultData();
+  const localRevoked = vaultData.revokedKeySlots || {};
+  const revoked = mergeRevokedSlots(localRevoked, remoteData.revokedKeySlots);
+  const remoteSlots = await filterVouchedSlots(getVaultKeySlots(vaultFileObj), remoteData.keySlotLabels);
+  const slots = mergeKeySlotLists(getKeySlots(), remoteSlots, revoked);
+  const labels = mergeSlotLabels(vaultData.keySlotLabels, remoteData.keySlotLabels, slots);
+  const data = { ...vaultData, keySlotLabels: await vouchForSlots(labels, slots), revokedKeySlots: revoked };
+  
+  if (!remoteKey) {
+    const sameLabels = JSON.stringify(data.keySlotLabels) === JSON.stringify(vaultData.keySlotLabels || {});
+    if (sameLabels && sameSlotIds(slots, getKeySlots()) && Object.keys(revoked).length === Object.keys(localRevoked).length) return false;
+    setVaultData(data);
+    setKeySlots(slots, getActiveSlotId());
+    storeSession();
+    console.log("Key slots merged from another copy of the vault");
+    return persistCurrentVault();
+  }
+  
+  const match = await confirmActiveSlot(password);
+  if (!match) {
+    throw new Error("The vault password is needed to move to the other copy's data key");
+  }
+  const source = chooseDataKey(localRevoked, remoteData.revokedKeySlots);
+  const dataKey = { [KEY_SOURCES.LOCAL]: match.dataKey, [KEY_SOURCES.REMOTE]: remoteKey }[source] || generateDataKey();
+  const wrapped = await Promise.all(slots.map(slot => wrapDataKeyForSlot(slot, dataKey)));
+  if (!await commitKeyChange({ slots: wrapped, data, dataKey, password })) {
+    throw new Error("The vault could not be moved to the synced data key");
+  }
+  
+  console.log(`Key slots merged, now under the ${source} data key`);
+  return true;
+}
+
+// Export vault slots module
+export default {
+  initializeVaultKey,
+  unwrapWithPassword,
+  deriveKeyFromPassword,
+  createPassphraseSlot,
+  addKeySlot,
+  addRecoveryKeySlot,
+  resetPasswordWithRecoveryKey,
+  revokeKeySlot,
+  listKeySlots,
+  unlockVaultCopy,
+  reconcileKeySlots
+};
@@ -0,0 +1,303 @@
+// Import dependencies
+import { recordSnapshot, pruneSnapshots, isBlobInSnapshots } from './snapshot-store.js';
+import { opfsStorage } from './storage-opfs.js';
+import { indexedDbStorage } from './storage-indexeddb.js';
+import { getEncryptionKey, clearSession } from './vault-session.js';
+import { getVaultData, closeOpenVault } from './database.js';
+import { getDecoyData, isDecoyOpen } from './vault-decoy.js';
+
+/*
+ * Vault storage
+ *
+ * The encrypted vault file, its file content blobs and its snapshots are kept on this
+ * device by the first storage backend the browser supports. Each vault on the device
+ * has its own namespace in every backend.
+ */
+
+// Storage namespace of the selected vault; the first vault on a device uses the empty one
+let vaultNamespace = '';
+
+/**
+ * Storage adapter interface
+ * A backend keeps the encrypted vault file durably, so the vault survives reloads
+ * without a manual export. Only ciphertext is ever handed to a backend.
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - The backend name
+ * @property {function(): Promise<boolean>} isAvailable - Whether the backend works in this browser
+ * @property {function(string): void} useNamespace - Use the storage of another vault
+ * @property {function(string): Promise<void>} removeNamespace - Delete everything stored for a vault
+ * @property {function(): Promise<string|null>} read - Read the stored vault file
+ * @property {function(string): Promise<void>} write - Replace the stored vault file
+ * @property {function(): Promise<void>} remove - Delete the stored vault file
+ * @property {function(string, ReadableStream): Promise<void>} writeBlob - Store an encrypted file content blob
+ * @property {function(string): Promise<Blob|null>} readBlob - Read an encrypted file content blob
+ * @property {function(string): Promise<void>} removeBlob - Delete an encrypted file content blob
+ * @property {function(): Promise<Array<string>>} listBlobs - List the ids of the stored file content blobs
+ * @property {function(): Promise<Array<Object>>} listSnapshots - List snapshot metadata
+ * @property {function(Object, string): Promise<void>} writeSnapshot - Store a snapshot's metadata and vault file
+ * @property {function(string): Promise<string|null>} readSnapshot - Read a snapshot's vault file
+ * @property {function(string): Promise<void>} removeSnapshot - Delete a snapshot
+ */
+
+// Storage backends in order of preference
+const STORAGE_BACKENDS = [opfsStorage, indexedDbStorage];
+
+// The storage backend in use, picked on first access
+let storageAdapter = null;
+
+/**
+ * Get the storage namespace of the selected vault
+ * @returns {string} The namespace, empty for the first vault on this device
+ */
+export function getVaultNamespace() {
+  return vaultNamespace;
+}
+
+/**
+ * Select the vault whose storage later reads and saves use
+ * Selecting another vault closes the open one, whose keys and contents belong to the previous storage
+ * @param {string} namespace - The vault's storage namespace
+ */
+export function setVaultNamespace(namespace) {
+  const next = namespace || '';
+  if (next !== vaultNamespace) {
+    closeOpenVault();
+  }
+  
+  vaultNamespace = next;
+  new Set([...STORAGE_BACKENDS, storageAdapter]).forEach(backend => {
+    if (backend && backend.useNamespace) backend.useNamespace(next);
+  });
+  console.log(`Using storage of vault ${next || '(default)'}`);
+}
+
+/**
+ * Delete everything stored on this device for a vault that is not open
+ * @param {string} namespace - The vault's storage namespace
+ * @throws {Error} If the vault is the selected one
+ */
+export async function deleteVaultStorage(namespace) {
+  if ((namespace || '') === vaultNamespace) {
+    throw new Error("Select another vault before deleting this one");
+  }
+  
+  for (const backend of new Set([...STORAGE_BACKENDS, storageAdapter])) {
+    if (backend && backend.removeNamespace && await backend.isAvailable()) {
+      await backend.removeNamespace(namespace || '');
+      console.log(`Deleted vault storage ${namespace || '(default)'} from ${backend.name} backend`);
+    }
+  }
+}
+
+/**
+ * Erase the selected vault from this device while it is locked: its vault file, file contents,
+ * snapshots and file handle. Exported files and copies elsewhere are not affected
+ * @throws {Error} If the vault is open
+ */
+export async function eraseStoredVault() {
+  if (getEncryptionKey()) {
+    throw new Error("Lock the vault before erasing it");
+  }
+
+  closeOpenVault();
+  clearSession();
+  for (const backend of new Set([...STORAGE_BACKENDS, storageAdapter])) {
+    if (backend && backend.removeNamespace && await backend.isAvailable()) {
+      await backend.removeNamespace(vaultNamespace);
+      console.log(`Erased vault storage ${vaultNamespace || '(default)'} from ${backend.name} backend`);
+    }
+  }
+}
+
+/**
+ * Use a specific storage backend instead of the automatic choice
+ * @param {StorageAdapter} adapter - The storage backend
+ */
+export function setStorageAdapter(adapter) {
+  storageAdapter = adapter;
+}
+
+/**
+ * Get the storage backend, picking the first available one on first use
+ * @returns {Promise<StorageAdapter>} The storage backend
+ */
+export async function getStorageAdapter() {
+  if (storageAdapter) return storageAdapter;
+  
+  for (const backend of STORAGE_BACKENDS) {
+    if (await backend.isAvailable()) {
+      storageAdapter = backend;
+      break;
+    }
+  }
+  if (!storageAdapter) {
+    throw new Error("No persistent storage backend is available");
+  }
+  
+  console.log(`Using ${storageAdapter.name} storage backend`);
+  requestPersistentStorage();
+  return storageAdapter;
+}
+
+/**
+ * Ask the browser not to evict the stored vault under storage pressure
+ * @returns {Promise<boolean>} True if storage is persistent
+ */
+async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) {
+    console.warn("Persistent storage is not supported by this browser");
+    return false;
+  }
+  
+  try {
+    const persisted = await navigator.storage.persisted() || await navigator.storage.persist();
+    console.log(persisted ? "Storage is persistent" : "Persistent storage was not granted, the browser may evict the vault");
+    return persisted;
+  } catch (error) {
+    console.warn("Could not request persistent storage:", error);
+    return false;
+  }
+}
+
+/**
+ * Write the serialized vault file to the storage backend
+ * @param {string} jsonData - The vault file JSON
+ */
+export async function persistVault(jsonData) {
+  const adapter = await getStorageAdapter();
+  await adapter.write(jsonData);
+  console.log(`Vault stored with ${adapter.name} backend`);
+}
+
+/**
+ * Store an encrypted file content blob on this device
+ * @param {string} id - The blob id
+ * @param {ReadableStream<Uint8Array>} stream - The encrypted bytes
+ */
+export async function writeFileBlob(id, stream) {
+  const adapter = await getStorageAdapter();
+  await adapter.writeBlob(id, stream);
+  console.log(`File content ${id} stored with ${adapter.name} backend`);
+}
+
+/**
+ * Read an encrypted file content blob stored on this device
+ * @param {string} id - The blob id
+ * @returns {Promise<Blob|null>} The encrypted blob, or null if it is not stored
+ */
+export async function readFileBlob(id) {
+  return (await getStorageAdapter()).readBlob(id);
+}
+
+/**
+ * Delete an encrypted file content blob from this device
+ * Content a snapshot still uses is kept, and removed when the last such snapshot is pruned.
+ * Content another file of the open vault shares (a merged copy) is kept as well
+ * @param {string} id - The blob id
+ */
+export async function removeFileBlob(id) {
+  if ((await getLiveBlobIds(getVaultData())).includes(id)) {
+    console.log(`File content ${id} is still used by the vault`);
+    return;
+  }
+  const adapter = await getStorageAdapter();
+  if (await isBlobInSnapshots(adapter, id)) {
+    console.log(`File content ${id} is kept for vault snapshots`);
+    return;
+  }
+  await adapter.removeBlob(id);
+}
+
+/**
+ * Get the ids of the content blobs vault data refers to
+ * @param {Object} data - The vault data
+ * @returns {Array<string>} The blob ids
+ */
+function getVaultBlobIds(data) {
+  return Object.values((data && data.files) || {})
+    .filter(file => file.blob)
+    .map(file => file.blob.id);
+}
+
+/**
+ * Get the ids of the content blobs the vault file needs besides those of the open vault's data
+ * The real vault's file also carries its decoy's. With the decoy open the real vault's blobs
+ * are unknown, so every blob stored for the vault is kept
+ * @param {Object|null} data - The vault data
+ * @returns {Promise<Array<string>>} The blob ids
+ */
+export async function getLiveBlobIds(data) {
+  if (isDecoyOpen()) {
+    return (await getStorageAdapter()).listBlobs();
+  }
+  return [...getVaultBlobIds(data), ...getVaultBlobIds(getDecoyData())];
+}
+
+/**
+ * Keep the vault stored on this device as a snapshot before it is replaced, and prune old snapshots
+ * Snapshot failures are logged and never stop a save. With the decoy open none are taken: the
+ * stored file is the real vault's, and a snapshot the decoy cannot open would give it away
+ * @param {Object|null} previousData - The vault data the stored vault holds
+ * @param {Object} nextData - The vault data about to be stored
+ * @param {boolean} force - Take a snapshot even if the last one is recent
+ */
+export async function snapshotStoredVault(previousData, nextData, force = false) {
+  if (isDecoyOpen()) return;
+  
+  try {
+    const adapter = await getStorageAdapter();
+    await recordSnapshot(adapter, await getLiveBlobIds(previousData), force);
+    await pruneSnapshots(adapter, [...await getLiveBlobIds(previousData), ...await getLiveBlobIds(nextData)]);
+  } catch (error) {
+    console.error("Error keeping a vault snapshot:", error);
+  }
+}
+
+/**
+ * Keep the open vault as a snapshot now, regardless of when the last one was taken
+ */
+export async function takeVaultSnapshot() {
+  const vaultData = getVaultData();
+  await snapshotStoredVault(vaultData, vaultData, true);
+}
+
+/**
+ * Delete snapshots beyond the retention settings, keeping the content the open vault uses
+ * @returns {Promise<number>} How many snapshots were deleted
+ */
+export async function pruneVaultSnapshots() {
+  return pruneSnapshots(await getStorageAdapter(), await getLiveBlobIds(getVaultData()));
+}
+
+/**
+ * Get the vault stored on this device as a file, so it can be unlocked like a selected one
+ * @returns {Promise<File|null>} The stored vault file, or null if none is stored
+ */
+export async function loadStoredVaultFile() {
+  try {
+    const content = await (await getStorageAdapter()).read();
+    return content ? new File([content], 'secure-vault.vault', { type: 'application/json' }) : null;
+  } catch (error) {
+    console.error("Error reading stored vault:", error);
+    return null;
+  }
+}
+
+// Export vault storage module
+export default {
+  getVaultNamespace,
+  setVaultNamespace,
+  deleteVaultStorage,
+  eraseStoredVault,
+  setStorageAdapter,
+  getStorageAdapter,
+  persistVault,
+  writeFileBlob,
+  readFileBlob,
+  removeFileBlob,
+  getLiveBlobIds,
+  snapshotStoredVault,
+  takeVaultSnapshot,
+  pruneVaultSnapshots,
+  loadStoredVaultFile
+};
@@ -0,0 +1,211 @@
+// Import dependencies
+import { loadFromSecureStorage, replaceVaultData, getLoadedVaultTimestamp } from './database.js';
+import { storeVaultBlobs, readVaultFile, packOpenVault } from './vault-file.js';
+import { unlockVaultCopy, reconcileKeySlots } from './vault-slots.js';
+import { getEncryptionKey, getKeySlots } from './vault-session.js';
+import { parseVaultFile, getVaultKeySlots } from './vault-format.js';
+import { importDataKey, isSameDataKey } from './envelope.js';
+import { sameSlotIds } from './slot-sync.js';
+import { ITEM_SECTIONS } from './vault-items.js';
+import { mergeVaultStates, openVaultState } from './sync-engine.js';
+import { UnsupportedVersionError } from './vault-errors.js';
+import { SyncError, SyncConflictError, SyncMismatchError, SyncKeyChangedError } from './sync-errors.js';
+
+// How often a sync pulls and merges again when another device uploads first
+const MAX_SYNC_ATTEMPTS = 3;
+
+// Name the downloaded vault is read under
+const REMOTE_FILE_NAME = 'remote.vault';
+
+/**
+ * Describe a vault's tombstones in a fixed order, for comparison
+ * @param {Object} data - The vault data
+ * @returns {string} The tombstones as JSON
+ */
+function describeTombstones(data) {
+  return JSON.stringify(ITEM_SECTIONS.map(section =>
+    Object.entries((data.tombstones && data.tombstones[section]) || {}).sort(([a], [b]) => a.localeCompare(b))));
+}
+
+/**
+ * Check whether a merge changed a vault's items or tombstones
+ * @param {Object} before - The vault data before the merge
+ * @param {{data: Object, report: Object}} merged - The merge result
+ * @returns {boolean} True if the merged vault differs
+ */
+function mergeChanged(before, { data, report }) {
+  return report.added + report.updated + report.deleted > 0 || describeTombstones(before) !== describeTombstones(data);
+}
+
+/**
+ * Save a merge into the open vault, if it changed anything
+ * The open vault is kept as a snapshot first. Items keep the version vectors the merge
+ * gave them, so the sync itself is not counted as a change of this device
+ * @param {Object} local - The open vault data the merge started from
+ * @param {{data: Object, report: Object}} merged - The merge result
+ * @param {Object} vaultFileObj - The other side's parsed vault file, which carries its file contents
+ * @throws {Error} If the merged vault could not be saved
+ */
+async function applyMerge(local, merged, vaultFileObj) {
+  if (!mergeChanged(local, merged)) {
+    console.log('Sync brought no changes to this device');
+    return;
+  }
+
+  // File contents only the other side has must be on this device before the vault refers to them
+  await storeVaultBlobs(vaultFileObj, merged.report.remoteBlobIds);
+  if (!await replaceVaultData(merged.data, { stampVersions: false })) {
+    throw new Error('The synced vault could not be saved');
+  }
+}
+
+/**
+ * Load the open vault for a sync
+ * @returns {Promise<Object>} The open vault data
+ * @throws {Error} If no vault is open
+ */
+async function loadOpenVault() {
+  const local = await loadFromSecureStorage();
+  if (!local) {
+    throw new Error('No vault is open to sync');
+  }
+  return local;
+}
+
+/**
+ * Sync the open vault with another state of it, decrypted from a vault file
+ * @param {Object} opened - The opened file from readVaultFileData
+ * @returns {Promise<Object>} The sync report: items added, updated and deleted, and the conflict copies made
+ * @throws {Error} If no vault is open or the merged vault could not be saved
+ */
+export async function syncWithOpenedVault(opened) {
+  const local = await loadOpenVault();
+  const merged = await mergeVaultStates(local, opened.data);
+  await applyMerge(local, merged, opened.vaultFileObj);
+  return merged.report;
+}
+
+/**
+ * Decrypt a downloaded vault container
+ * It normally opens with the open vault's key. Revoking a key slot on another device
+ * rotates the data key, and the remote vault then only opens through its own key slots,
+ * with the vault password
+ * @param {Blob} blob - The remote vault container
+ * @param {string|null} password - The vault password, if the user gave it for this sync
+ * @returns {Promise<{vaultFileObj: Object, data: Object, dataKey: string|null}>} The parsed file,
+ *   its vault data, and its Base64 data key if it is not the open vault's
+ * @throws {SyncKeyChangedError} If it does not open with the open vault's key and no password was given
+ * @throws {SyncMismatchError} If the password does not open it either
+ */
+async function openRemoteVault(blob, password) {
+  const vaultFileObj = parseVaultFile(await readVaultFile(new File([blob], REMOTE_FILE_NAME)));
+  try {
+    return { vaultFileObj, data: await openVaultState({ vaultFileObj, dataKey: getEncryptionKey() }), dataKey: null };
+  } catch (error) {
+    if (error instanceof UnsupportedVersionError) throw error;
+    if (!password) {
+      throw new SyncKeyChangedError(`Remote vault does not open with this vault's key: ${error.message}`);
+    }
+  }
+
+  const dataKey = await unlockVaultCopy(vaultFileObj, password);
+  if (!dataKey) {
+    throw new SyncMismatchError('Remote vault does not open with this vault\'s key or its password');
+  }
+  return { vaultFileObj, data: await openVaultState({ vaultFileObj, dataKey: await importDataKey(dataKey) }), dataKey };
+}
+
+/**
+ * Check whether the remote vault's key slots or data key differ from the open vault's
+ * @param {Object} remote - The remote vault from openRemoteVault
+ * @returns {Promise<boolean>} True if an upload would change them
+ */
+async function keysChanged(remote) {
+  if (!sameSlotIds(getKeySlots(), getVaultKeySlots(remote.vaultFileObj))) return true;
+  return Boolean(remote.dataKey) && !await isSameDataKey(remote.dataKey, getEncryptionKey());
+}
+
+/**
+ * Merge a downloaded vault into the open one
+ * Key slots are merged first, so an upload keeps the slots added on other devices
+ * @param {Blob} blob - The remote vault container
+ * @param {string|null} password - The vault password, if the user gave it for this sync
+ * @returns {Promise<{report: Object, needsUpload: boolean}>} The sync report, and whether the
+ *   remote vault lacks anything the merged vault has
+ */
+async function mergeRemoteVault(blob, password) {
+  const remote = await openRemoteVault(blob, password);
+  await reconcileKeySlots(remote, password);
+
+  const local = await loadOpenVault();
+  const merged = await mergeVaultStates(local, remote.data);
+  await applyMerge(local, merged, remote.vaultFileObj);
+
+  // Merging the result into the remote state shows what an upload would change there
+  const needsUpload = await keysChanged(remote) ||
+    mergeChanged(remote.data, await mergeVaultStates(remote.data, merged.data));
+  return { report: merged.report, needsUpload };
+}
+
+/**
+ * Result of a sync with a provider
+ * @typedef {Object} ProviderSyncResult
+ * @property {Object|null} report - The sync report, or null if nothing was downloaded
+ * @property {boolean} uploaded - Whether the vault was uploaded
+ * @property {string|null} etag - ETag of the remote vault now, if known
+ * @property {string|null} updatedAt - When the open vault was last saved, after the sync
+ */
+
+/**
+ * Sync the open vault with a remote copy through a sync provider
+ * The remote vault is downloaded and merged in, then the merged vault is uploaded on
+ * condition that the remote vault did not change meanwhile. If another device uploaded
+ * first, the sync downloads and merges again
+ * @param {Object} provider - The sync provider, such as a WebDAV provider
+ * @param {Object} lastSync - What the previous sync ended with
+ * @param {string|null} lastSync.etag - ETag of the remote vault
+ * @param {string|null} lastSync.updatedAt - When the open vault was last saved
+ * @param {string|null} password - The vault password, needed once the data key was rotated on another device
+ * @returns {Promise<ProviderSyncResult>} What the sync did
+ * @throws {SyncError} If the remote vault could not be read, opened or written
+ */
+export async function syncWithProvider(provider, lastSync = {}, password = null) {
+  const local = await loadOpenVault();
+  const localUpdatedAt = (local.meta && local.meta.updatedAt) || null;
+
+  // A vault unchanged since the last sync only needs the remote vault if that changed too
+  const localChanged = !lastSync.updatedAt || lastSync.updatedAt !== localUpdatedAt;
+
+  for (let attempt = 1; ; attempt++) {
+    const remote = await provider.pull(attempt === 1 && !localChanged ? lastSync.etag : null);
+    if (remote.status === 'unchanged') {
+      return { report: null, uploaded: false, etag: remote.etag, updatedAt: localUpdatedAt };
+    }
+
+    const { report, needsUpload } = remote.blob
+      ? await mergeRemoteVault(remote.blob, password)
+      : { report: null, needsUpload: true };
+    if (!needsUpload) {
+      return { report, uploaded: false, etag: remote.etag, updatedAt: await getLoadedVaultTimestamp() };
+    }
+
+    // Without an ETag the upload could not be made conditional, and might overwrite another device's
+    if (remote.blob && !remote.etag) {
+      throw new SyncError('The sync server does not send ETags, so the vault cannot be uploaded safely');
+    }
+
+    try {
+      const { etag } = await provider.push(await packOpenVault(), remote.etag);
+      return { report, uploaded: true, etag, updatedAt: await getLoadedVaultTimestamp() };
+    } catch (error) {
+      if (!(error instanceof SyncConflictError) || attempt >= MAX_SYNC_ATTEMPTS) throw error;
+      console.warn(`Remote vault changed during sync attempt ${attempt}, merging again`);
+    }
+  }
+}
+
+// Export vault sync module
+export default {
+  syncWithOpenedVault,
+  syncWithProvider
+};
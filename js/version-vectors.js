@@ -0,0 +1,163 @@
+// Import dependencies
+import { randomBytes, bytesToHex } from './crypto.js';
+
+/*
+ * Per-item version vectors
+ *
+ * Every doc, file and photo carries `versions`, a map from device id to that device's
+ * modification counter when it last changed the item. A device's counter only grows,
+ * so comparing two vectors tells whether one version descends from the other or both
+ * were changed independently since they last matched. Deleted items leave a tombstone
+ * with their vector in `data.tombstones`, so a deletion is not undone by a device that
+ * still has the item.
+ */
+
+// This device's id and modification counter, kept per browser like the other preferences
+const DEVICE_KEY = 'mdvault_device';
+
+// Device ids are 64 bits, hex encoded
+const DEVICE_ID_BYTES = 8;
+
+// How two version vectors relate
+export const VECTOR_ORDER = {
+  EQUAL: 'equal',
+  BEFORE: 'before',
+  AFTER: 'after',
+  CONCURRENT: 'concurrent'
+};
+
+/**
+ * Read this device's id and counter, creating them on first use
+ * @returns {{id: string, counter: number}} The device state
+ */
+function readDevice() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEVICE_KEY) || 'null');
+    if (stored && stored.id && Number.isInteger(stored.counter)) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn('Replacing unreadable device id:', error);
+  }
+
+  const device = { id: bytesToHex(randomBytes(DEVICE_ID_BYTES)), counter: 0 };
+  localStorage.setItem(DEVICE_KEY, JSON.stringify(device));
+  console.log(`This device is ${device.id} in version vectors`);
+  return device;
+}
+
+/**
+ * Get the id this device records in version vectors
+ * @returns {string} The hex device id
+ */
+export function getDeviceId() {
+  return readDevice().id;
+}
+
+/**
+ * Advance this device's modification counter
+ * @returns {{id: string, counter: number}} The device id and its new counter
+ */
+function nextDeviceVersion() {
+  const device = readDevice();
+  const next = { id: device.id, counter: device.counter + 1 };
+  localStorage.setItem(DEVICE_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Compare two version vectors
+ * Missing vectors and entries count as zero
+ * @param {Object<string, number>} a - The first vector
+ * @param {Object<string, number>} b - The second vector
+ * @returns {string} A VECTOR_ORDER value saying how a relates to b
+ */
+export function compareVectors(a = {}, b = {}) {
+  let aAhead = false;
+  let bAhead = false;
+
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(device => {
+    const aCount = a[device] || 0;
+    const bCount = b[device] || 0;
+    if (aCount > bCount) aAhead = true;
+    if (bCount > aCount) bAhead = true;
+  });
+
+  if (aAhead && bAhead) return VECTOR_ORDER.CONCURRENT;
+  if (aAhead) return VECTOR_ORDER.AFTER;
+  if (bAhead) return VECTOR_ORDER.BEFORE;
+  return VECTOR_ORDER.EQUAL;
+}
+
+/**
+ * Combine two version vectors, taking the higher counter of each device
+ * Device ids are sorted, so the result is the same whichever vector comes first
+ * @param {Object<string, number>} a - The first vector
+ * @param {Object<string, number>} b - The second vector
+ * @returns {Object<string, number>} The combined vector
+ */
+export function mergeVectors(a = {}, b = {}) {
+  const devices = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return Object.fromEntries(devices.map(device => [device, Math.max(a[device] || 0, b[device] || 0)]));
+}
+
+/**
+ * Get an item's contents without its version vector, for comparison
+ * Two devices can hold the same contents under different vectors
+ * @param {Object} item - The item
+ * @returns {string} The contents as JSON
+ */
+export function itemContents(item) {
+  const { versions, ...contents } = item;
+  return JSON.stringify(contents);
+}
+
+/**
+ * Record this device's changes in the version vectors of vault data about to be saved
+ * Changed items get this device's next counter; removed items get a tombstone, and
+ * items that exist again lose theirs. The data is not changed: stamped items are copies,
+ * so a save that fails leaves the open vault's items as they were
+ * @param {Object} data - The vault data
+ * @param {{changed: Array<Object>, removed: Array<Object>}} changes - The items changed and removed since the last save, from listItemChanges
+ * @returns {Object} A copy of the data with the stamped items and tombstones, or the data itself if nothing changed
+ */
+export function stampItemVersions(data, { changed, removed }) {
+  if (changed.length === 0 && removed.length === 0) return data;
+
+  const { id, counter } = nextDeviceVersion();
+  const stamped = { ...data };
+  const tombstones = { ...data.tombstones };
+
+  // An item that exists again, such as a restored one, descends from its deletion
+  changed.forEach(({ section, id: itemId }) => {
+    const item = stamped[section][itemId];
+    const tombstone = tombstones[section] && tombstones[section][itemId];
+    const versions = { ...mergeVectors(item.versions, tombstone && tombstone.versions), [id]: counter };
+    stamped[section] = { ...stamped[section], [itemId]: { ...item, versions } };
+    if (tombstone) {
+      tombstones[section] = Object.fromEntries(Object.entries(tombstones[section]).filter(([key]) => key !== itemId));
+    }
+  });
+
+  // A tombstone descends from the version that was deleted
+  removed.forEach(({ section, id: itemId, versions }) => {
+    tombstones[section] = {
+      ...tombstones[section],
+      [itemId]: { versions: { ...versions, [id]: counter }, deletedAt: new Date().toISOString() }
+    };
+  });
+
+  stamped.tombstones = tombstones;
+  console.log(`Stamped ${changed.length} changed and ${removed.length} removed items with version ${counter} of device ${id}`);
+  return stamped;
+}
+
+// Export version vectors module
+export default {
+  VECTOR_ORDER,
+  getDeviceId,
+  compareVectors,
+  mergeVectors,
+  itemContents,
+  stampItemVersions
+};
@@ -0,0 +1,156 @@
+// Import dependencies
+import { utf8Encode, bytesToBase64 } from './crypto.js';
+import { SyncError, SyncAuthError, SyncConflictError } from './sync-errors.js';
+
+/*
+ * WebDAV sync provider
+ *
+ * Reads and writes the encrypted vault container as one file on a WebDAV share.
+ * The server only ever sees the container the vault is already stored in, never
+ * a decrypted item. ETags make every write conditional: a write names the version
+ * it replaces, and the server refuses it with 412 if another device wrote first.
+ *
+ * A sync provider is any object with this module's pull and push functions, so
+ * vault-sync can work with other transports the same way.
+ */
+
+// Content type of the uploaded container
+const CONTAINER_TYPE = 'application/octet-stream';
+
+/**
+ * Result of reading the remote vault
+ * @typedef {Object} PullResult
+ * @property {string} status - 'found', 'unchanged' when it still has the known ETag, or 'missing'
+ * @property {Blob|null} blob - The remote vault container, if found
+ * @property {string|null} etag - Its ETag, if the server sent one
+ */
+
+/**
+ * Build the headers of a request
+ * @param {Object} settings - The WebDAV settings
+ * @param {Object<string, string>} extra - Further headers
+ * @returns {Object<string, string>} The headers
+ */
+function buildHeaders({ username, password }, extra = {}) {
+  const headers = { ...extra };
+  if (username) {
+    // Encode as UTF-8 first, so credentials outside Latin-1 survive Base64
+    headers.Authorization = `Basic ${bytesToBase64(utf8Encode(`${username}:${password || ''}`))}`;
+  }
+  return headers;
+}
+
+/**
+ * Turn an unsuccessful response into a sync error
+ * @param {Response} response - The response
+ * @param {string} action - What was being done, for the message
+ * @returns {SyncError} The error to throw
+ */
+function responseError(response, action) {
+  if (response.status === 401 || response.status === 403) {
+    return new SyncAuthError(`WebDAV server refused to ${action}: ${response.status}`);
+  }
+  if (response.status === 412) {
+    return new SyncConflictError(`Remote vault changed before it could ${action}`);
+  }
+  return new SyncError(`WebDAV server could not ${action}: ${response.status} ${response.statusText || ''}`.trim());
+}
+
+/**
+ * Send a request, reporting network failures as sync errors
+ * Cross-origin servers that do not allow this app's origin also fail here
+ * @param {Function} fetchFn - The fetch function
+ * @param {string} url - The vault file URL
+ * @param {Object} init - The fetch options
+ * @returns {Promise<Response>} The response
+ * @throws {SyncError} If the server could not be reached
+ */
+async function send(fetchFn, url, init) {
+  try {
+    return await fetchFn(url, { ...init, cache: 'no-store', credentials: 'omit' });
+  } catch (error) {
+    throw new SyncError(`Could not reach the WebDAV server: ${error.message}`);
+  }
+}
+
+/**
+ * Read the remote vault
+ * @param {Object} settings - The WebDAV settings
+ * @param {Function} fetchFn - The fetch function
+ * @param {string|null} knownEtag - The ETag last synced with, to skip an unchanged download
+ * @returns {Promise<PullResult>} The remote vault
+ * @throws {SyncError} If it could not be read
+ */
+async function pullVault(settings, fetchFn, knownEtag = null) {
+  const headers = buildHeaders(settings, knownEtag ? { 'If-None-Match': knownEtag } : {});
+  const response = await send(fetchFn, settings.url, { method: 'GET', headers });
+
+  if (response.status === 304) {
+    console.log('Remote vault is unchanged since the last sync');
+    return { status: 'unchanged', blob: null, etag: knownEtag };
+  }
+  if (response.status === 404) {
+    console.log('No vault on the WebDAV server yet');
+    return { status: 'missing', blob: null, etag: null };
+  }
+  if (!response.ok) {
+    throw responseError(response, 'send the vault');
+  }
+
+  const blob = await response.blob();
+  const etag = response.headers.get('ETag');
+  console.log(`Downloaded remote vault: ${blob.size} bytes, ETag ${etag || 'none'}`);
+  return { status: 'found', blob, etag };
+}
+
+/**
+ * Write the vault, only if the remote vault is still the one it was merged with
+ * @param {Object} settings - The WebDAV settings
+ * @param {Function} fetchFn - The fetch function
+ * @param {Blob} container - The encrypted vault container
+ * @param {string|null} etag - ETag of the remote vault it replaces, or null if there was none
+ * @returns {Promise<{etag: string|null}>} The new ETag, if the server sent one
+ * @throws {SyncConflictError} If the remote vault changed in the meantime
+ * @throws {SyncError} If it could not be written
+ */
+async function pushVault(settings, fetchFn, container, etag) {
+  // Without a known version, only create the file; never overwrite one not merged with
+  const condition = etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+  const headers = buildHeaders(settings, { 'Content-Type': CONTAINER_TYPE, ...condition });
+  const response = await send(fetchFn, settings.url, { method: 'PUT', headers, body: container });
+
+  if (!response.ok) {
+    throw responseError(response, 'store the vault');
+  }
+
+  // Servers that do not return the new ETag make the next sync download the vault again
+  const newEtag = response.headers.get('ETag');
+  console.log(`Uploaded vault: ${container.size} bytes, ETag ${newEtag || 'none'}`);
+  return { etag: newEtag };
+}
+
+/**
+ * Create a WebDAV sync provider
+ * @param {Object} settings - Where the vault is kept
+ * @param {string} settings.url - URL of the vault file on the share
+ * @param {string} settings.username - WebDAV username, or empty for none
+ * @param {string} settings.password - WebDAV password
+ * @param {Function} fetchFn - The fetch function, replaceable for tests
+ * @returns {{name: string, pull: Function, push: Function}} The provider
+ */
+export function createWebDavProvider(settings, fetchFn = (...args) => fetch(...args)) {
+  if (!settings || !/^https?:\/\//i.test(settings.url || '')) {
+    throw new SyncError('The WebDAV URL must start with http:// or https://');
+  }
+
+  return {
+    name: 'webdav',
+    pull: (knownEtag) => pullVault(settings, fetchFn, knownEtag),
+    push: (container, etag) => pushVault(settings, fetchFn, container, etag)
+  };
+}
+
+// Export WebDAV module
+export default {
+  createWebDavProvider
+};
@@ -7,11 +7,67 @@ const ASSETS_TO_CACHE = [
   '/styles/main.css',
   '/js/app.js',
   '/js/auth.js',
+  '/js/auth-screen.js',
+  '/js/auto-lock.js',
+  '/js/auto-lock-settings.js',
+  '/js/compression.js',
+  '/js/crypto.js',
   '/js/database.js',
+  '/js/decoy-settings.js',
+  '/js/decoy-vault.js',
   '/js/editor.js',
+  '/js/emergency-kit.js',
+  '/js/envelope.js',
+  '/js/file-blobs.js',
+  '/js/file-handle.js',
   '/js/files.js',
+  '/js/kdf.js',
+  '/js/kdf-settings.js',
+  '/js/key-commit.js',
+  '/js/key-slots.js',
+  '/js/keyfile.js',
+  '/js/keyfile-picker.js',
+  '/js/merge-import.js',
+  '/js/password-settings.js',
+  '/js/password-unlock.js',
   '/js/photos.js',
+  '/js/recovery-key.js',
+  '/js/recovery-unlock.js',
+  '/js/remote-sync.js',
+  '/js/session-keys.js',
+  '/js/slot-settings.js',
+  '/js/slot-sync.js',
+  '/js/snapshot-settings.js',
+  '/js/snapshot-store.js',
+  '/js/snapshots.js',
+  '/js/storage-indexeddb.js',
+  '/js/storage-opfs.js',
+  '/js/stream-crypto.js',
+  '/js/sync-engine.js',
+  '/js/sync-errors.js',
+  '/js/sync-settings.js',
   '/js/ui.js',
+  '/js/unlock-throttle.js',
+  '/js/unlock-throttle-settings.js',
+  '/js/vault-container.js',
+  '/js/vault-decoy.js',
+  '/js/vault-errors.js',
+  '/js/vault-file.js',
+  '/js/vault-format.js',
+  '/js/vault-import.js',
+  '/js/vault-items.js',
+  '/js/vault-merge.js',
+  '/js/vault-open.js',
+  '/js/vault-picker.js',
+  '/js/vault-registry.js',
+  '/js/vault-schema.js',
+  '/js/vault-serialize.js',
+  '/js/vault-session.js',
+  '/js/vault-slots.js',
+  '/js/vault-storage.js',
+  '/js/vault-sync.js',
+  '/js/version-vectors.js',
+  '/js/webdav.js',
   '/manifest.json'
 ];
 
@@ -54,6 +110,9 @@ self.addEventListener('fetch', event => {
   // Skip for browser-sync requests during development
   if (event.request.url.includes('browser-sync')) return;
   
+  // Never cache authenticated requests, such as vault downloads from a sync server
+  if (event.request.headers.has('Authorization')) return;
+  
   // Handle API requests differently (don't cache)
   if (event.request.url.includes('/api/')) {
     return fetch(event.request);
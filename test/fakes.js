@@ -0,0 +1,112 @@
+/*
+ * Test fakes
+ *
+ * In-memory stand-ins for the browser storage the vault modules use, so they run under Node.
+ */
+
+/**
+ * Web Storage kept in memory, for localStorage and sessionStorage
+ */
+export class MemoryStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {number} The count
+   */
+  get length() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get the key at an index
+   * @param {number} index - The index
+   * @returns {string|null} The key, or null
+   */
+  key(index) {
+    return [...this.entries.keys()][index] ?? null;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - The key
+   * @returns {string|null} The value, or null if unset
+   */
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  /**
+   * Write an entry
+   * @param {string} key - The key
+   * @param {string} value - The value, stored as a string
+   */
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - The key
+   */
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Delete every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Install empty localStorage and sessionStorage globals
+ * Object.keys(localStorage) lists stored keys as in a browser
+ */
+export function installWebStorage() {
+  for (const name of ['localStorage', 'sessionStorage']) {
+    const storage = new MemoryStorage();
+    globalThis[name] = new Proxy(storage, {
+      ownKeys: target => [...target.entries.keys()],
+      getOwnPropertyDescriptor: (target, key) => target.entries.has(key)
+        ? { value: target.entries.get(key), enumerable: true, configurable: true }
+        : undefined
+    });
+  }
+}
+
+/**
+ * Create a storage adapter that keeps the vault, its blobs and snapshots in memory
+ * @returns {Object} The storage adapter (see StorageAdapter in vault-storage.js)
+ */
+export function createMemoryAdapter() {
+  let vault = null;
+  const blobs = new Map();
+  const snapshots = new Map();
+
+  return {
+    name: 'memory',
+    isAvailable: async () => true,
+    useNamespace: () => {},
+    removeNamespace: async () => {
+      vault = null;
+      blobs.clear();
+      snapshots.clear();
+    },
+    read: async () => vault,
+    write: async (content) => { vault = content; },
+    remove: async () => { vault = null; },
+    writeBlob: async (id, stream) => { blobs.set(id, await new Response(stream).blob()); },
+    readBlob: async (id) => blobs.get(id) || null,
+    removeBlob: async (id) => { blobs.delete(id); },
+    listBlobs: async () => [...blobs.keys()],
+    listSnapshots: async () => [...snapshots.values()].map(snapshot => snapshot.meta),
+    writeSnapshot: async (meta, content) => { snapshots.set(meta.id, { meta, content }); },
+    readSnapshot: async (id) => snapshots.has(id) ? snapshots.get(id).content : null,
+    removeSnapshot: async (id) => { snapshots.delete(id); }
+  };
+}
@@ -0,0 +1,151 @@
+// Import dependencies
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebStorage, createMemoryAdapter } from './fakes.js';
+import { createKdfParams, parseVaultFile, getVaultKeySlots } from '../js/vault-format.js';
+import { KDF_PBKDF2 } from '../js/kdf.js';
+import { isSameDataKey } from '../js/envelope.js';
+import { bytesToBase64, randomBytes } from '../js/crypto.js';
+import { createKeySlot, openKeySlot } from '../js/key-slots.js';
+import { getEncryptionKey, getActiveSlotId, getKeySlots } from '../js/vault-session.js';
+import { setStorageAdapter } from '../js/vault-storage.js';
+import { getVaultData, setVaultData, closeOpenVault, persistCurrentVault } from '../js/database.js';
+import {
+  initializeVaultKey,
+  unwrapWithPassword,
+  addKeySlot,
+  revokeKeySlot,
+  listKeySlots,
+  reconcileKeySlots
+} from '../js/vault-slots.js';
+import { mergeRevokedSlots, mergeKeySlotLists, vouchForSlots, chooseDataKey, KEY_SOURCES } from '../js/slot-sync.js';
+
+// Cheap key derivation, so each test derives keys quickly
+const TEST_KDF = { name: KDF_PBKDF2, iterations: 1000, keySize: 256 };
+
+const PASSWORD = 'correct horse battery';
+const PHONE_PASSPHRASE = 'phone passphrase';
+
+// Storage the open vault is saved to
+let adapter = null;
+
+/**
+ * Create and store a new vault with one password slot
+ */
+async function createVault() {
+  await initializeVaultKey(PASSWORD, createKdfParams(TEST_KDF));
+  setVaultData({ docs: {}, files: {}, photos: {}, meta: {} });
+  await persistCurrentVault();
+}
+
+/**
+ * Read the key slots of the vault stored on this device
+ * @returns {Promise<Array<Object>>} The stored key slots
+ */
+async function storedKeySlots() {
+  return getVaultKeySlots(parseVaultFile(await adapter.read()));
+}
+
+beforeEach(async () => {
+  installWebStorage();
+  closeOpenVault();
+  adapter = createMemoryAdapter();
+  setStorageAdapter(adapter);
+  await createVault();
+});
+
+test('an added slot opens the stored vault with its passphrase', async () => {
+  const slotId = await addKeySlot(PASSWORD, PHONE_PASSPHRASE, 'Phone');
+
+  assert.ok(slotId);
+  assert.deepEqual(listKeySlots().map(slot => slot.label).sort(), ['', 'Phone']);
+  const match = await unwrapWithPassword(PHONE_PASSPHRASE, await storedKeySlots());
+  assert.equal(match.slot.id, slotId);
+  assert.ok(await isSameDataKey(match.dataKey, getEncryptionKey()));
+});
+
+test('revoking a slot rotates the data key and shuts the revoked passphrase out', async () => {
+  const slotId = await addKeySlot(PASSWORD, PHONE_PASSPHRASE, 'Phone');
+  const previousKey = getEncryptionKey();
+
+  assert.equal(await revokeKeySlot(PASSWORD, slotId), true);
+
+  assert.equal(await isSameDataKey(previousKey, getEncryptionKey()), false);
+  assert.deepEqual(listKeySlots().map(slot => slot.id), [getActiveSlotId()]);
+  assert.ok(getVaultData().revokedKeySlots[slotId]);
+  assert.equal(getVaultData().keySlotLabels[slotId], undefined);
+
+  // The stored vault opens with the password under the new key, and not with the revoked passphrase
+  const slots = await storedKeySlots();
+  const match = await unwrapWithPassword(PASSWORD, slots);
+  assert.ok(await isSameDataKey(match.dataKey, getEncryptionKey()));
+  assert.equal(await unwrapWithPassword(PHONE_PASSPHRASE, slots), null);
+});
+
+test('remaining slots keep opening the vault after a rotation', async () => {
+  const phoneSlot = await addKeySlot(PASSWORD, PHONE_PASSPHRASE, 'Phone');
+  const laptopSlot = await addKeySlot(PASSWORD, 'laptop passphrase', 'Laptop');
+
+  assert.equal(await revokeKeySlot(PASSWORD, phoneSlot), true);
+
+  const match = await unwrapWithPassword('laptop passphrase', await storedKeySlots());
+  assert.equal(match.slot.id, laptopSlot);
+  assert.ok(await isSameDataKey(match.dataKey, getEncryptionKey()));
+});
+
+test('refuses to revoke the active slot, an unknown slot or with a wrong password', async () => {
+  const slotId = await addKeySlot(PASSWORD, PHONE_PASSPHRASE, 'Phone');
+  const key = getEncryptionKey();
+
+  assert.equal(await revokeKeySlot(PASSWORD, getActiveSlotId()), false);
+  assert.equal(await revokeKeySlot(PASSWORD, 'no-such-slot'), false);
+  assert.equal(await revokeKeySlot('wrong password', slotId), false);
+
+  assert.equal(getEncryptionKey(), key);
+  assert.equal(listKeySlots().length, 2);
+});
+
+test('a slot revoked in either copy is not merged back in', () => {
+  const slots = [{ id: 'a' }, { id: 'b' }];
+  const remoteSlots = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const revoked = mergeRevokedSlots({ b: '2024-02-01T00:00:00Z' }, { b: '2024-01-01T00:00:00Z' });
+
+  assert.deepEqual(revoked, { b: '2024-01-01T00:00:00Z' });
+  assert.deepEqual(mergeKeySlotLists(slots, remoteSlots, revoked).map(slot => slot.id), ['a', 'c']);
+});
+
+test('copies settle on the data key of the copy that knows every revocation', () => {
+  assert.equal(chooseDataKey({}, {}), KEY_SOURCES.REMOTE);
+  assert.equal(chooseDataKey({ b: 't' }, {}), KEY_SOURCES.LOCAL);
+  assert.equal(chooseDataKey({}, { b: 't' }), KEY_SOURCES.REMOTE);
+  assert.equal(chooseDataKey({ b: 't' }, { c: 't' }), KEY_SOURCES.NEW);
+});
+
+test('a synced copy adds only the slots its encrypted data vouches for', async () => {
+  const kdf = createKdfParams(TEST_KDF);
+  const laptopKey = bytesToBase64(randomBytes(32));
+  const { dataKey } = await unwrapWithPassword(PASSWORD, getKeySlots());
+  const laptopSlot = await createKeySlot(laptopKey, kdf, dataKey);
+  const labels = await vouchForSlots({}, [laptopSlot]);
+
+  // A server can add a slot to the file header, but not to the encrypted labels
+  const attackerKey = bytesToBase64(randomBytes(32));
+  const forgedSlot = await createKeySlot(attackerKey, kdf, bytesToBase64(randomBytes(32)));
+  const vaultFileObj = { keySlots: [...getKeySlots(), laptopSlot, forgedSlot] };
+
+  assert.equal(await reconcileKeySlots({ vaultFileObj, data: { ...getVaultData(), keySlotLabels: labels }, dataKey: null }), true);
+  const ids = listKeySlots().map(slot => slot.id);
+  assert.ok(ids.includes(laptopSlot.id));
+  assert.equal(ids.includes(forgedSlot.id), false);
+
+  // The next rotation wraps the new data key only to the vouched slots: the attacker's
+  // private key opens none of the stored wraps, while the laptop's opens its own
+  const phoneSlot = await addKeySlot(PASSWORD, PHONE_PASSPHRASE, 'Phone');
+  assert.equal(await revokeKeySlot(PASSWORD, phoneSlot), true);
+  const stored = await storedKeySlots();
+  for (const slot of stored) {
+    assert.equal(await openKeySlot(attackerKey, { ...slot, privateKey: forgedSlot.privateKey }), null);
+  }
+  const laptopKeyAfter = await openKeySlot(laptopKey, stored.find(slot => slot.id === laptopSlot.id));
+  assert.ok(await isSameDataKey(laptopKeyAfter, getEncryptionKey()));
+});
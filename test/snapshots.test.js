@@ -0,0 +1,77 @@
+// Import dependencies
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebStorage, createMemoryAdapter } from './fakes.js';
+import { createKdfParams } from '../js/vault-format.js';
+import { KDF_PBKDF2 } from '../js/kdf.js';
+import { setStorageAdapter, takeVaultSnapshot } from '../js/vault-storage.js';
+import { getVaultData, setVaultData, closeOpenVault, persistCurrentVault, saveToSecureStorage } from '../js/database.js';
+import { initializeVaultKey } from '../js/vault-slots.js';
+import { setDuressPassword, isDecoyOpen, getDecoyData } from '../js/vault-decoy.js';
+import { importDatabaseWithPassword } from '../js/vault-open.js';
+import { packOpenVault } from '../js/vault-file.js';
+import { listVaultSnapshots } from '../js/snapshots.js';
+
+// Cheap key derivation, so each test derives keys quickly
+const TEST_KDF = { name: KDF_PBKDF2, iterations: 1000, keySize: 256 };
+
+const PASSWORD = 'correct horse battery';
+const DURESS_PASSWORD = 'duress password';
+
+// Storage the open vault is saved to
+let adapter = null;
+
+/**
+ * Lock the open vault and open its file again with a password
+ * @param {string} password - The password
+ */
+async function reopenVault(password) {
+  const file = new File([await packOpenVault()], 'secure-vault.vault');
+  closeOpenVault();
+  await importDatabaseWithPassword(file, password);
+}
+
+beforeEach(async () => {
+  installWebStorage();
+  closeOpenVault();
+  adapter = createMemoryAdapter();
+  setStorageAdapter(adapter);
+  await initializeVaultKey(PASSWORD, createKdfParams(TEST_KDF));
+  setVaultData({ docs: {}, files: {}, photos: {}, meta: {} });
+  await persistCurrentVault();
+});
+
+test('snapshots list their item counts', async () => {
+  const note = { id: 'note', name: 'note.md', content: 'text', modified: new Date().toISOString() };
+  await saveToSecureStorage({ ...getVaultData(), docs: { note } });
+  await takeVaultSnapshot();
+
+  // The save kept the empty vault, and the snapshot taken now has the note
+  const snapshots = await listVaultSnapshots();
+  assert.deepEqual(snapshots.map(snapshot => snapshot.counts), [
+    { docs: 1, files: 0, photos: 0 },
+    { docs: 0, files: 0, photos: 0 }
+  ]);
+});
+
+test('the decoy neither lists the real vault\'s snapshots nor takes its own', async () => {
+  assert.equal(await setDuressPassword(PASSWORD, DURESS_PASSWORD), true);
+  await takeVaultSnapshot();
+  const stored = (await adapter.listSnapshots()).length;
+  assert.ok(stored > 0);
+
+  await reopenVault(DURESS_PASSWORD);
+  assert.equal(isDecoyOpen(), true);
+  assert.deepEqual(await listVaultSnapshots(), []);
+
+  const note = { id: 'note', name: 'note.md', content: 'text', modified: new Date().toISOString() };
+  assert.equal(await saveToSecureStorage({ ...getVaultData(), docs: { note } }), true);
+  await takeVaultSnapshot();
+  assert.equal((await adapter.listSnapshots()).length, stored);
+
+  // The real vault still sees its snapshots, and opens the decoy with the key its data records
+  await reopenVault(PASSWORD);
+  assert.equal(isDecoyOpen(), false);
+  assert.equal((await listVaultSnapshots()).length, stored);
+  assert.equal(getDecoyData().docs.note.content, 'text');
+});
@@ -0,0 +1,102 @@
+// Import dependencies
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNK_SIZE, CHUNK_TAG_BYTES, generateFileKey, encryptStream, decryptStream } from '../js/stream-crypto.js';
+
+// Size of one encrypted chunk: the ciphertext followed by its tag
+const SEALED_CHUNK = CHUNK_SIZE + CHUNK_TAG_BYTES;
+
+/**
+ * Build plaintext of a given length whose bytes depend on their position
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} The plaintext
+ */
+function plaintext(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) bytes[i] = (i * 31 + 7) & 0xff;
+  return bytes;
+}
+
+/**
+ * Read a stream to the end
+ * @param {ReadableStream<Uint8Array>} stream - The stream
+ * @returns {Promise<Uint8Array>} All its bytes
+ */
+async function readAll(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encrypt bytes with a file key
+ * @param {Uint8Array} bytes - The plaintext
+ * @param {string} fileKey - The Base64 file key
+ * @returns {Promise<Uint8Array>} The encrypted bytes
+ */
+function seal(bytes, fileKey) {
+  return readAll(encryptStream(new Blob([bytes]).stream(), fileKey));
+}
+
+/**
+ * Decrypt bytes with a file key
+ * @param {Uint8Array} bytes - The encrypted bytes
+ * @param {string} fileKey - The Base64 file key
+ * @returns {Promise<Uint8Array>} The plaintext
+ */
+function open(bytes, fileKey) {
+  return readAll(decryptStream(new Blob([bytes]).stream(), fileKey));
+}
+
+test('round-trips data spanning several chunks', async () => {
+  const fileKey = generateFileKey();
+  const data = plaintext(CHUNK_SIZE * 2 + 1234);
+  const sealed = await seal(data, fileKey);
+
+  assert.equal(sealed.length, data.length + 3 * CHUNK_TAG_BYTES);
+  assert.deepEqual(await open(sealed, fileKey), data);
+});
+
+test('round-trips empty data and data of exactly one chunk', async () => {
+  const fileKey = generateFileKey();
+  for (const length of [0, CHUNK_SIZE]) {
+    const data = plaintext(length);
+    assert.deepEqual(await open(await seal(data, fileKey), fileKey), data);
+  }
+});
+
+test('rejects a stream truncated at a chunk boundary', async () => {
+  const fileKey = generateFileKey();
+  const sealed = await seal(plaintext(CHUNK_SIZE * 2 + 10), fileKey);
+
+  await assert.rejects(open(sealed.slice(0, SEALED_CHUNK * 2), fileKey));
+  await assert.rejects(open(sealed.slice(0, SEALED_CHUNK), fileKey));
+});
+
+test('rejects a stream truncated inside a chunk', async () => {
+  const fileKey = generateFileKey();
+  const sealed = await seal(plaintext(CHUNK_SIZE + 10), fileKey);
+
+  await assert.rejects(open(sealed.slice(0, sealed.length - 5), fileKey));
+});
+
+test('rejects reordered chunks', async () => {
+  const fileKey = generateFileKey();
+  const sealed = await seal(plaintext(CHUNK_SIZE * 2 + 10), fileKey);
+
+  const first = sealed.slice(0, SEALED_CHUNK);
+  const second = sealed.slice(SEALED_CHUNK, SEALED_CHUNK * 2);
+  const reordered = new Uint8Array(sealed);
+  reordered.set(second, 0);
+  reordered.set(first, SEALED_CHUNK);
+
+  await assert.rejects(open(reordered, fileKey));
+});
+
+test('rejects an altered chunk and the wrong file key', async () => {
+  const fileKey = generateFileKey();
+  const sealed = await seal(plaintext(1000), fileKey);
+
+  const altered = new Uint8Array(sealed);
+  altered[10] ^= 1;
+  await assert.rejects(open(altered, fileKey));
+  await assert.rejects(open(sealed, generateFileKey()));
+});
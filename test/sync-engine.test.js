@@ -0,0 +1,104 @@
+// Import dependencies
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeVaultStates } from '../js/sync-engine.js';
+
+/**
+ * Build a document item
+ * @param {string} id - The item id
+ * @param {string} content - Its content
+ * @param {Object<string, number>} versions - Its version vector
+ * @param {string} modified - When it was last modified
+ * @returns {Object} The item
+ */
+function doc(id, content, versions, modified = '2024-01-01T00:00:00.000Z') {
+  return { id, name: `${id}.md`, content, modified, versions };
+}
+
+/**
+ * Build vault data with documents and document tombstones
+ * @param {Object<string, Object>} docs - The documents by id
+ * @param {Object<string, Object>} deleted - The document tombstones by id
+ * @returns {Object} The vault data
+ */
+function vault(docs, deleted = {}) {
+  return { docs, files: {}, photos: {}, tombstones: { docs: deleted }, meta: {} };
+}
+
+/**
+ * Merge two states both ways and check both devices end up with the same items
+ * @param {Object} a - One device's vault data
+ * @param {Object} b - The other device's vault data
+ * @returns {Promise<{data: Object, report: Object}>} The merged vault data and its sync report
+ */
+async function mergeBothWays(a, b) {
+  const { data: ab, report } = await mergeVaultStates(a, b);
+  const { data: ba } = await mergeVaultStates(b, a);
+  for (const key of ['docs', 'files', 'photos', 'tombstones']) {
+    assert.deepEqual(ab[key], ba[key], `${key} differ by merge direction`);
+  }
+  return { data: ab, report };
+}
+
+test('concurrent edits keep the newer version and make the same conflict copy both ways', async () => {
+  const base = { laptop: 1 };
+  const a = vault({ note: doc('note', 'laptop edit', { laptop: 2 }, '2024-01-02T00:00:00.000Z') });
+  const b = vault({ note: doc('note', 'phone edit', { ...base, phone: 1 }, '2024-01-03T00:00:00.000Z') });
+
+  const { data, report } = await mergeBothWays(a, b);
+
+  assert.equal(data.docs.note.content, 'phone edit');
+  assert.deepEqual(data.docs.note.versions, { laptop: 2, phone: 1 });
+  const copies = Object.values(data.docs).filter(item => item.id !== 'note');
+  assert.equal(copies.length, 1);
+  assert.equal(copies[0].content, 'laptop edit');
+  assert.equal(copies[0].name, 'note (conflict copy).md');
+  assert.equal(report.conflicts.length, 1);
+});
+
+test('conflicts modified at the same time are ranked by contents, the same both ways', async () => {
+  const a = vault({ note: doc('note', 'alpha', { laptop: 1 }) });
+  const b = vault({ note: doc('note', 'beta', { phone: 1 }) });
+
+  const { data } = await mergeBothWays(a, b);
+  assert.equal(Object.keys(data.docs).length, 2);
+});
+
+test('a version that descends from the other is taken without a conflict', async () => {
+  const a = vault({ note: doc('note', 'first', { laptop: 1 }) });
+  const b = vault({ note: doc('note', 'second', { laptop: 1, phone: 1 }) });
+
+  const { data, report } = await mergeBothWays(a, b);
+  assert.equal(data.docs.note.content, 'second');
+  assert.equal(report.conflicts.length, 0);
+});
+
+test('an edit wins over a concurrent deletion, both ways', async () => {
+  const a = vault({ note: doc('note', 'edited', { laptop: 2 }) });
+  const b = vault({}, { note: { versions: { laptop: 1, phone: 1 }, deletedAt: '2024-01-02T00:00:00.000Z' } });
+
+  const { data } = await mergeBothWays(a, b);
+  assert.equal(data.docs.note.content, 'edited');
+  assert.deepEqual(data.docs.note.versions, { laptop: 2, phone: 1 });
+  assert.equal(data.tombstones.docs.note, undefined);
+});
+
+test('a deletion after the last edit removes the item', async () => {
+  const a = vault({ note: doc('note', 'text', { laptop: 1 }) });
+  const b = vault({}, { note: { versions: { laptop: 1, phone: 1 }, deletedAt: '2024-01-02T00:00:00.000Z' } });
+
+  const { data, report } = await mergeBothWays(a, b);
+  assert.equal(data.docs.note, undefined);
+  assert.ok(data.tombstones.docs.note);
+  assert.equal(report.deleted, 1);
+});
+
+test('the same contents under concurrent vectors merge without a conflict', async () => {
+  const a = vault({ note: doc('note', 'same', { laptop: 1 }) });
+  const b = vault({ note: doc('note', 'same', { phone: 1 }) });
+
+  const { data, report } = await mergeBothWays(a, b);
+  assert.deepEqual(Object.keys(data.docs), ['note']);
+  assert.deepEqual(data.docs.note.versions, { laptop: 1, phone: 1 });
+  assert.equal(report.conflicts.length, 0);
+});
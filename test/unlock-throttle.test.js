@@ -0,0 +1,122 @@
+// Import dependencies
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebStorage, createMemoryAdapter } from './fakes.js';
+import { setStorageAdapter, setVaultNamespace } from '../js/vault-storage.js';
+import {
+  UNLOCK_SOURCES,
+  getDelayAfter,
+  getUnlockDelay,
+  getAttemptsBeforeErase,
+  setThrottleSettings,
+  recordFailedUnlock,
+  recordSuccessfulUnlock
+} from '../js/unlock-throttle.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Storage the vault is kept in
+let adapter = null;
+
+/**
+ * Record wrong passwords in a row
+ * @param {number} count - How many
+ * @returns {Promise<Object>} The result of the last one
+ */
+async function failTimes(count) {
+  let failure = null;
+  for (let i = 0; i < count; i++) {
+    failure = await recordFailedUnlock(UNLOCK_SOURCES.UNLOCK);
+  }
+  return failure;
+}
+
+beforeEach(async () => {
+  installWebStorage();
+  setVaultNamespace('');
+  adapter = createMemoryAdapter();
+  setStorageAdapter(adapter);
+  await adapter.write('{"type":"secure-vault"}');
+});
+
+test('waits only after the free attempts, doubling up to the longest wait', () => {
+  assert.deepEqual([0, 1, 2].map(getDelayAfter), [0, 0, 0]);
+  assert.equal(getDelayAfter(3), 5 * SECOND);
+  assert.equal(getDelayAfter(4), 10 * SECOND);
+  assert.equal(getDelayAfter(5), 20 * SECOND);
+  assert.equal(getDelayAfter(20), 15 * MINUTE);
+});
+
+test('the wait counts down from the last wrong password', async (t) => {
+  let now = Date.parse('2024-01-01T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+
+  assert.equal((await failTimes(2)).delayMs, 0);
+  assert.equal(getUnlockDelay(), 0);
+
+  assert.equal((await failTimes(1)).delayMs, 5 * SECOND);
+  now += 2 * SECOND;
+  assert.equal(getUnlockDelay(), 3 * SECOND);
+  now += 3 * SECOND;
+  assert.equal(getUnlockDelay(), 0);
+});
+
+test('a clock set back never makes the wait longer than the longest one, and it still ends', async (t) => {
+  let now = Date.parse('2024-01-01T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+
+  await failTimes(30);
+  now -= 24 * 60 * MINUTE;
+  assert.equal(getUnlockDelay(), 15 * MINUTE);
+
+  // The wait counts down from when the clock was set back
+  now += 5 * MINUTE;
+  assert.equal(getUnlockDelay(), 10 * MINUTE);
+  now += 10 * MINUTE + SECOND;
+  assert.equal(getUnlockDelay(), 0);
+});
+
+test('a successful unlock ends the wait and hands over the failure log', async () => {
+  await failTimes(4);
+  await recordFailedUnlock(UNLOCK_SOURCES.IMPORT);
+  assert.ok(getUnlockDelay() > 0);
+
+  const log = recordSuccessfulUnlock();
+  assert.deepEqual(log.map(entry => entry.source), [...Array(4).fill(UNLOCK_SOURCES.UNLOCK), UNLOCK_SOURCES.IMPORT]);
+  assert.equal(getUnlockDelay(), 0);
+  assert.deepEqual(recordSuccessfulUnlock(), []);
+});
+
+test('erase-after settings are clamped to their limits', () => {
+  assert.deepEqual(setThrottleSettings({ eraseAfter: 500 }), { eraseAfter: 100 });
+  assert.deepEqual(setThrottleSettings({ eraseAfter: -3 }), { eraseAfter: 0 });
+  assert.deepEqual(setThrottleSettings({ eraseAfter: 'many' }), { eraseAfter: 0 });
+  assert.deepEqual(setThrottleSettings({ eraseAfter: 4.6 }), { eraseAfter: 5 });
+  assert.equal(getAttemptsBeforeErase(), 5);
+});
+
+test('erases the locked vault once the set number of wrong passwords is reached', async () => {
+  setThrottleSettings({ eraseAfter: 3 });
+
+  const failure = await failTimes(2);
+  assert.equal(failure.erased, false);
+  assert.equal(getAttemptsBeforeErase(), 1);
+  assert.ok(await adapter.read());
+
+  assert.equal((await failTimes(1)).erased, true);
+  assert.equal(await adapter.read(), null);
+  assert.equal(getUnlockDelay(), 0);
+});
+
+test('each vault on the device counts its own wrong passwords', async () => {
+  await failTimes(5);
+  assert.ok(getUnlockDelay() > 0);
+
+  setVaultNamespace('second');
+  assert.equal(getUnlockDelay(), 0);
+  assert.equal((await failTimes(1)).failures, 1);
+
+  setVaultNamespace('');
+  assert.equal((await failTimes(1)).failures, 6);
+});
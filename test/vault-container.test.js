@@ -0,0 +1,112 @@
+// Import dependencies
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bytesToBase64 } from '../js/crypto.js';
+import { isVaultContainer, encodeVaultContainer, decodeVaultContainer } from '../js/vault-container.js';
+import { CorruptVaultError, UnsupportedVersionError } from '../js/vault-errors.js';
+
+// Section type no version of this app writes
+const UNKNOWN_SECTION = 9;
+
+/**
+ * Build a vault file object with an index, two item records and a header field
+ * @returns {Object} The vault file object
+ */
+function sampleVaultFile() {
+  return {
+    type: 'secure-vault',
+    version: 5,
+    keySlots: [{ id: 'slot-1', label: 'Password' }],
+    index: bytesToBase64(new Uint8Array([1, 2, 3, 4])),
+    items: {
+      'record-a': bytesToBase64(new Uint8Array([5, 6, 7])),
+      'record-b': bytesToBase64(new Uint8Array([8]))
+    }
+  };
+}
+
+/**
+ * Read a container into bytes
+ * @param {Blob} container - The container
+ * @returns {Promise<Uint8Array>} Its bytes
+ */
+async function containerBytes(container) {
+  return new Uint8Array(await container.arrayBuffer());
+}
+
+/**
+ * Encode one section as the container does
+ * @param {number} type - The section type
+ * @param {string} name - The section name
+ * @param {Uint8Array} data - The section data
+ * @returns {Uint8Array} The section header followed by its data
+ */
+function encodeSection(type, name, data) {
+  const nameBytes = new TextEncoder().encode(name);
+  const section = new Uint8Array(3 + nameBytes.length + 8 + data.length);
+  const view = new DataView(section.buffer);
+  view.setUint8(0, type);
+  view.setUint16(1, nameBytes.length);
+  section.set(nameBytes, 3);
+  view.setBigUint64(3 + nameBytes.length, BigInt(data.length));
+  section.set(data, 3 + nameBytes.length + 8);
+  return section;
+}
+
+test('round-trips the header, records and blobs', async () => {
+  const blob = new Blob([new Uint8Array([9, 9, 9])]);
+  const container = encodeVaultContainer(sampleVaultFile(), { 'blob-1': blob });
+
+  assert.equal(await isVaultContainer(container), true);
+  const decoded = await decodeVaultContainer(container);
+  assert.equal(decoded.type, 'secure-vault');
+  assert.deepEqual(decoded.keySlots, [{ id: 'slot-1', label: 'Password' }]);
+  assert.deepEqual([...decoded.index], [1, 2, 3, 4]);
+  assert.deepEqual([...decoded.items['record-a']], [5, 6, 7]);
+  assert.deepEqual([...decoded.items['record-b']], [8]);
+  assert.deepEqual([...await containerBytes(decoded.blobs['blob-1'])], [9, 9, 9]);
+});
+
+test('does not take a JSON vault file for a container', async () => {
+  const json = new Blob([JSON.stringify(sampleVaultFile())]);
+  assert.equal(await isVaultContainer(json), false);
+});
+
+test('rejects a container truncated at any point', async () => {
+  const bytes = await containerBytes(encodeVaultContainer(sampleVaultFile(), {
+    'blob-1': new Blob([new Uint8Array(64)])
+  }));
+
+  // Cut inside the file header, the metadata, a section header, section data and before the end marker
+  for (const length of [10, 20, bytes.length - 70, bytes.length - 30, bytes.length - 1]) {
+    await assert.rejects(decodeVaultContainer(new Blob([bytes.slice(0, length)])), CorruptVaultError, `cut at ${length}`);
+  }
+});
+
+test('skips sections of unknown type', async () => {
+  const bytes = await containerBytes(encodeVaultContainer(sampleVaultFile()));
+
+  // Insert a section from a newer writer before the end marker
+  const unknown = encodeSection(UNKNOWN_SECTION, 'future', new Uint8Array([1, 2, 3]));
+  const extended = new Blob([bytes.slice(0, -1), unknown, bytes.slice(-1)]);
+
+  const decoded = await decodeVaultContainer(extended);
+  assert.deepEqual(Object.keys(decoded.items).sort(), ['record-a', 'record-b']);
+  assert.deepEqual(decoded.blobs, {});
+  assert.deepEqual([...decoded.index], [1, 2, 3, 4]);
+});
+
+test('rejects a newer container version', async () => {
+  const bytes = await containerBytes(encodeVaultContainer(sampleVaultFile()));
+  new DataView(bytes.buffer).setUint16(8, 99);
+
+  await assert.rejects(decodeVaultContainer(new Blob([bytes])), UnsupportedVersionError);
+});
+
+test('rejects unreadable metadata', async () => {
+  const bytes = await containerBytes(encodeVaultContainer(sampleVaultFile()));
+  bytes[14] = 0x7b;
+  bytes[15] = 0x7b;
+
+  await assert.rejects(decodeVaultContainer(new Blob([bytes])), CorruptVaultError);
+});
@@ -0,0 +1,65 @@
+// Import dependencies
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebStorage, createMemoryAdapter } from './fakes.js';
+import { createKdfParams, parseVaultFile } from '../js/vault-format.js';
+import { KDF_PBKDF2, KDF_ARGON2ID, KDF_SCRYPT } from '../js/kdf.js';
+import { CorruptVaultError } from '../js/vault-errors.js';
+import { setStorageAdapter } from '../js/vault-storage.js';
+import { setVaultData, closeOpenVault, persistCurrentVault } from '../js/database.js';
+import { initializeVaultKey } from '../js/vault-slots.js';
+
+// Cheap key derivation, so each test derives keys quickly
+const TEST_KDF = { name: KDF_PBKDF2, iterations: 1000, keySize: 256 };
+
+// Storage the open vault is saved to
+let adapter = null;
+
+/**
+ * Read the stored vault file with its first key slot's KDF parameters replaced
+ * @param {Object} kdf - The KDF parameters, without a salt
+ * @returns {Promise<string>} The vault file JSON
+ */
+async function withSlotKdf(kdf) {
+  const vaultFileObj = JSON.parse(await adapter.read());
+  const [slot, ...others] = vaultFileObj.keySlots;
+  vaultFileObj.keySlots = [{ ...slot, kdf: { ...kdf, salt: slot.kdf.salt } }, ...others];
+  return JSON.stringify(vaultFileObj);
+}
+
+beforeEach(async () => {
+  installWebStorage();
+  closeOpenVault();
+  adapter = createMemoryAdapter();
+  setStorageAdapter(adapter);
+  await initializeVaultKey('correct horse battery', createKdfParams(TEST_KDF));
+  setVaultData({ docs: {}, files: {}, photos: {}, meta: {} });
+  await persistCurrentVault();
+});
+
+test('accepts key derivation costs that calibration picks', async () => {
+  const calibrated = [
+    { name: KDF_PBKDF2, iterations: 600000, keySize: 256 },
+    { name: KDF_ARGON2ID, memorySize: 65536, iterations: 20, parallelism: 1, keySize: 256 },
+    { name: KDF_SCRYPT, costFactor: 2 ** 20, blockSize: 8, parallelism: 1, keySize: 256 }
+  ];
+  for (const kdf of calibrated) {
+    assert.ok(parseVaultFile(await withSlotKdf(kdf)), kdf.name);
+  }
+});
+
+test('rejects key derivation costs beyond their limits', async () => {
+  const excessive = [
+    { name: KDF_PBKDF2, iterations: 2 ** 31, keySize: 256 },
+    { name: KDF_PBKDF2, iterations: '600000', keySize: 256 },
+    { name: KDF_ARGON2ID, memorySize: 4 * 1048576, iterations: 2, parallelism: 1, keySize: 256 },
+    { name: KDF_ARGON2ID, memorySize: 65536, iterations: 10000, parallelism: 1, keySize: 256 },
+    { name: KDF_SCRYPT, costFactor: 2 ** 30, blockSize: 8, parallelism: 1, keySize: 256 },
+    { name: KDF_SCRYPT, costFactor: 100000, blockSize: 8, parallelism: 1, keySize: 256 },
+    { name: KDF_SCRYPT, costFactor: 16384, blockSize: 8, keySize: 256 }
+  ];
+  for (const kdf of excessive) {
+    const content = await withSlotKdf(kdf);
+    assert.throws(() => parseVaultFile(content), CorruptVaultError, JSON.stringify(kdf));
+  }
+});
@@ -0,0 +1,163 @@
+// Import dependencies
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebStorage, createMemoryAdapter } from './fakes.js';
+import { createKdfParams, parseVaultFile } from '../js/vault-format.js';
+import { KDF_PBKDF2 } from '../js/kdf.js';
+import { getEncryptionKey } from '../js/vault-session.js';
+import { setStorageAdapter } from '../js/vault-storage.js';
+import { readVaultFile, packOpenVault } from '../js/vault-file.js';
+import {
+  getVaultData,
+  setVaultData,
+  closeOpenVault,
+  persistCurrentVault,
+  saveToSecureStorage
+} from '../js/database.js';
+import { initializeVaultKey } from '../js/vault-slots.js';
+import { openVaultState } from '../js/sync-engine.js';
+import { syncWithProvider } from '../js/vault-sync.js';
+import { createWebDavProvider } from '../js/webdav.js';
+import { SyncError, SyncAuthError, SyncConflictError } from '../js/sync-errors.js';
+
+// Cheap key derivation, so each test derives keys quickly
+const TEST_KDF = { name: KDF_PBKDF2, iterations: 1000, keySize: 256 };
+
+const VAULT_URL = 'https://dav.example.com/vault.vault';
+
+/**
+ * Create a stub WebDAV server holding one file, with ETags and conditional writes
+ * @returns {Object} The server: its file, ETag, the requests it got, and its fetch function
+ */
+function createStubServer() {
+  const server = { body: null, etag: null, requests: [], beforePut: null, writes: 0 };
+
+  server.fetch = async (url, init) => {
+    const headers = init.headers || {};
+    server.requests.push({ url, method: init.method, headers });
+
+    if (init.method === 'GET') {
+      if (!server.body) return new Response(null, { status: 404 });
+      if (headers['If-None-Match'] === server.etag) return new Response(null, { status: 304 });
+      return new Response(server.body, { status: 200, headers: { ETag: server.etag } });
+    }
+
+    // Another device may upload between this device's download and upload
+    if (server.beforePut) server.beforePut(server);
+    const current = headers['If-Match'] ? headers['If-Match'] === server.etag : !server.body;
+    if (!current) return new Response(null, { status: 412 });
+
+    server.body = await new Response(init.body).blob();
+    server.etag = `"v${++server.writes}"`;
+    return new Response(null, { status: 201, headers: { ETag: server.etag } });
+  };
+  return server;
+}
+
+/**
+ * Build a fetch function that answers every request with a status
+ * @param {number} status - The status code
+ * @returns {Function} The fetch function
+ */
+function respondWith(status) {
+  return async () => new Response(null, { status });
+}
+
+/**
+ * Decrypt the vault file a stub server holds with the open vault's key
+ * @param {Object} server - The stub server
+ * @returns {Promise<Object>} The vault data
+ */
+async function readServerVault(server) {
+  const vaultFileObj = parseVaultFile(await readVaultFile(new File([server.body], 'remote.vault')));
+  return openVaultState({ vaultFileObj, dataKey: getEncryptionKey() });
+}
+
+beforeEach(async () => {
+  installWebStorage();
+  closeOpenVault();
+  setStorageAdapter(createMemoryAdapter());
+  await initializeVaultKey('correct horse battery', createKdfParams(TEST_KDF));
+  setVaultData({ docs: {}, files: {}, photos: {}, meta: {} });
+  await persistCurrentVault();
+});
+
+test('refuses URLs that are not http or https', () => {
+  assert.throws(() => createWebDavProvider({ url: 'ftp://dav.example.com/vault' }), SyncError);
+  assert.throws(() => createWebDavProvider({}), SyncError);
+});
+
+test('uploads a new vault only if none exists, and later ones only over the version merged with', async () => {
+  const server = createStubServer();
+  const provider = createWebDavProvider({ url: VAULT_URL, username: 'me', password: 'secret' }, server.fetch);
+  const container = new Blob([new Uint8Array([1, 2, 3])]);
+
+  const { etag } = await provider.push(container, null);
+  assert.equal(server.requests[0].headers['If-None-Match'], '*');
+  assert.match(server.requests[0].headers.Authorization, /^Basic /);
+
+  await provider.push(container, etag);
+  assert.equal(server.requests[1].headers['If-Match'], etag);
+
+  await assert.rejects(provider.push(container, null), SyncConflictError);
+  await assert.rejects(provider.push(container, '"stale"'), SyncConflictError);
+});
+
+test('reports unchanged and missing remote vaults', async () => {
+  const server = createStubServer();
+  const provider = createWebDavProvider({ url: VAULT_URL }, server.fetch);
+
+  assert.equal((await provider.pull()).status, 'missing');
+  const { etag } = await provider.push(new Blob(['vault']), null);
+  assert.equal((await provider.pull(etag)).status, 'unchanged');
+  assert.equal((await provider.pull()).status, 'found');
+});
+
+test('turns refused and failed requests into sync errors', async () => {
+  await assert.rejects(createWebDavProvider({ url: VAULT_URL }, respondWith(401)).pull(), SyncAuthError);
+  await assert.rejects(createWebDavProvider({ url: VAULT_URL }, respondWith(500)).pull(), SyncError);
+  const offline = async () => { throw new TypeError('Failed to fetch'); };
+  await assert.rejects(createWebDavProvider({ url: VAULT_URL }, offline).pull(), SyncError);
+});
+
+test('a sync that loses the upload race to another device merges again and retries', async () => {
+  const server = createStubServer();
+  const provider = createWebDavProvider({ url: VAULT_URL }, server.fetch);
+
+  // The server holds this vault; then a document is added on this device
+  server.body = await packOpenVault();
+  server.etag = '"v0"';
+  const note = { id: 'note', name: 'note.md', content: 'written offline', modified: new Date().toISOString() };
+  assert.equal(await saveToSecureStorage({ ...getVaultData(), docs: { note } }), true);
+
+  // Another device uploads after this device's first download
+  server.beforePut = () => {
+    server.beforePut = null;
+    server.etag = '"other-device"';
+  };
+
+  const result = await syncWithProvider(provider, {});
+
+  assert.equal(result.uploaded, true);
+  assert.deepEqual(server.requests.map(request => request.method), ['GET', 'PUT', 'GET', 'PUT']);
+  assert.equal(server.requests[1].headers['If-Match'], '"v0"');
+  assert.equal(server.requests[3].headers['If-Match'], '"other-device"');
+  assert.equal(result.etag, server.etag);
+  assert.equal((await readServerVault(server)).docs.note.content, 'written offline');
+});
+
+test('a sync gives up with a conflict when every upload loses the race', async () => {
+  const server = createStubServer();
+  const provider = createWebDavProvider({ url: VAULT_URL }, server.fetch);
+  server.body = await packOpenVault();
+  server.etag = '"v0"';
+  await saveToSecureStorage({ ...getVaultData(), docs: { note: { id: 'note', name: 'note.md', content: 'text' } } });
+
+  let uploads = 0;
+  server.beforePut = () => {
+    server.etag = `"other-${++uploads}"`;
+  };
+
+  await assert.rejects(syncWithProvider(provider, {}), SyncConflictError);
+  assert.equal(uploads, 3);
+});